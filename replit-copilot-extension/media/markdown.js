@@ -0,0 +1,802 @@
+// Markdown renderer for the chat webview.
+//
+// Output is built with createElement/textContent only, so nothing the model
+// writes is ever parsed as HTML. Supports the CommonMark/GFM subset models
+// produce: headings, paragraphs, emphasis, code spans, fenced code blocks
+// (with a file name after the language, as in ```ts src/app.ts), lists with
+// nesting and task items, block quotes, tables, rules and links.
+(function () {
+    'use strict';
+
+    // ---------------------------------------------------------------------
+    // Block structure
+    // ---------------------------------------------------------------------
+
+    const FENCE_RE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+    const HEADING_RE = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+    const RULE_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const QUOTE_RE = /^ {0,3}> ?/;
+    const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])(\s+)(.*)$/;
+    const TABLE_DELIMITER_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    function isBlank(line) {
+        return line.trim() === '';
+    }
+
+    function indentOf(line) {
+        return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    }
+
+    function openingFence(line) {
+        const match = FENCE_RE.exec(line);
+        if (!match) return null;
+        const info = match[3].trim();
+        // A backtick fence's info string may not contain backticks (that is inline code)
+        if (match[2][0] === '`' && info.includes('`')) return null;
+        const separator = info.search(/[\s:]/);
+        return {
+            indent: match[1].length,
+            marker: match[2],
+            language: (separator < 0 ? info : info.slice(0, separator)).toLowerCase(),
+            file: separator < 0 ? '' : info.slice(separator + 1).trim().split(/\s+/)[0]
+        };
+    }
+
+    function isClosingFence(line, fence) {
+        const match = /^ {0,3}(`{3,}|~{3,})\s*$/.exec(line);
+        return !!match && match[1][0] === fence.marker[0] && match[1].length >= fence.marker.length;
+    }
+
+    function isTableStart(lines, i) {
+        return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_DELIMITER_RE.test(lines[i + 1]);
+    }
+
+    function startsBlock(lines, i) {
+        const line = lines[i];
+        return !!openingFence(line) || HEADING_RE.test(line) || RULE_RE.test(line) || QUOTE_RE.test(line) ||
+            LIST_RE.test(line) || isTableStart(lines, i);
+    }
+
+    function splitRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+        const cells = [];
+        let current = '';
+        let inCode = false;
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '`') {
+                inCode = !inCode;
+                current += '`';
+            } else if (row[i] === '\\' && row[i + 1] === '|') {
+                current += inCode ? '\\|' : '|';
+                i++;
+            } else if (row[i] === '|' && !inCode) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += row[i];
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    /**
+     * Splits text into top-level blocks. Each block keeps its source (`raw`)
+     * so a streaming render can tell which blocks are unchanged.
+     */
+    function parseBlocks(text) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const start = i;
+
+            if (isBlank(line)) {
+                i++;
+                continue;
+            }
+
+            const fence = openingFence(line);
+            if (fence) {
+                const body = [];
+                i++;
+                let closed = false;
+                while (i < lines.length) {
+                    if (isClosingFence(lines[i], fence)) {
+                        closed = true;
+                        i++;
+                        break;
+                    }
+                    // Content is unindented by as much as the opening fence was
+                    body.push(lines[i].replace(new RegExp('^ {0,' + fence.indent + '}'), ''));
+                    i++;
+                }
+                blocks.push({ type: 'code', language: fence.language, file: fence.file, code: body.join('\n'), open: !closed, raw: lines.slice(start, i).join('\n') });
+                continue;
+            }
+
+            const heading = HEADING_RE.exec(line);
+            if (heading) {
+                i++;
+                blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] || '', raw: line });
+                continue;
+            }
+
+            if (RULE_RE.test(line)) {
+                i++;
+                blocks.push({ type: 'rule', raw: line });
+                continue;
+            }
+
+            if (QUOTE_RE.test(line)) {
+                const body = [];
+                while (i < lines.length && QUOTE_RE.test(lines[i])) {
+                    body.push(lines[i].replace(QUOTE_RE, ''));
+                    i++;
+                }
+                blocks.push({ type: 'quote', children: parseBlocks(body.join('\n')), raw: lines.slice(start, i).join('\n') });
+                continue;
+            }
+
+            if (LIST_RE.test(line)) {
+                const list = parseList(lines, i);
+                i = list.end;
+                list.block.raw = lines.slice(start, i).join('\n');
+                blocks.push(list.block);
+                continue;
+            }
+
+            if (isTableStart(lines, i)) {
+                const header = splitRow(line);
+                const align = splitRow(lines[i + 1]).map(cell => {
+                    const left = cell.startsWith(':');
+                    const right = cell.endsWith(':');
+                    return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+                });
+                const rows = [];
+                i += 2;
+                while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+                    rows.push(splitRow(lines[i]));
+                    i++;
+                }
+                blocks.push({ type: 'table', header, align, rows, raw: lines.slice(start, i).join('\n') });
+                continue;
+            }
+
+            const paragraph = [line];
+            i++;
+            while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+                paragraph.push(lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'paragraph', text: paragraph.join('\n'), raw: paragraph.join('\n') });
+        }
+
+        return blocks;
+    }
+
+    function parseList(lines, i) {
+        const first = LIST_RE.exec(lines[i]);
+        const indent = indentOf(first[1]);
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let loose = false;
+
+        while (i < lines.length) {
+            const match = LIST_RE.exec(lines[i]);
+            if (!match || indentOf(match[1]) > indent + 1 || /\d/.test(match[2]) !== ordered) {
+                break;
+            }
+
+            const contentIndent = indentOf(match[1]) + match[2].length + Math.min(match[3].length, 4);
+            const body = [match[4]];
+            i++;
+
+            while (i < lines.length) {
+                const line = lines[i];
+                if (isBlank(line)) {
+                    let next = i + 1;
+                    while (next < lines.length && isBlank(lines[next])) next++;
+                    // A blank line stays in the item only when indented content follows
+                    if (next < lines.length && indentOf(lines[next]) >= contentIndent) {
+                        body.push('');
+                        loose = true;
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+                const lineIndent = indentOf(line);
+                if (lineIndent >= contentIndent || (LIST_RE.test(line) && lineIndent > indent)) {
+                    // Nested content, including sub-lists indented less than the marker's text
+                    body.push(line.replace(/\t/g, '    ').slice(Math.min(lineIndent, contentIndent)));
+                } else if (LIST_RE.test(line) || startsBlock(lines, i)) {
+                    break;
+                } else {
+                    // Lazy continuation of the item's paragraph
+                    body.push(line.trim());
+                }
+                i++;
+            }
+
+            let task = null;
+            const taskMatch = /^\[([ xX])\]\s+/.exec(body[0]);
+            if (taskMatch) {
+                task = taskMatch[1] !== ' ';
+                body[0] = body[0].slice(taskMatch[0].length);
+            }
+            items.push({ task, children: parseBlocks(body.join('\n')) });
+
+            // A blank line between items makes the list loose
+            if (i < lines.length && isBlank(lines[i])) {
+                let next = i + 1;
+                while (next < lines.length && isBlank(lines[next])) next++;
+                const sibling = next < lines.length ? LIST_RE.exec(lines[next]) : null;
+                if (sibling && indentOf(sibling[1]) <= indent + 1 && /\d/.test(sibling[2]) === ordered) {
+                    loose = true;
+                    i = next;
+                }
+            }
+        }
+
+        return { block: { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, loose, items }, end: i };
+    }
+
+    // ---------------------------------------------------------------------
+    // Inline content
+    // ---------------------------------------------------------------------
+
+    const PUNCTUATION = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+    const SAFE_URL_RE = /^(https?:|mailto:)/i;
+
+    function appendText(parent, text) {
+        if (text) parent.appendChild(document.createTextNode(text));
+    }
+
+    function findClosing(text, delimiter, from) {
+        let index = text.indexOf(delimiter, from);
+        while (index !== -1) {
+            // Closing delimiters may not follow whitespace, and `**` is not a closing `*`
+            const before = text[index - 1];
+            const doubled = delimiter.length === 1 && (text[index + 1] === delimiter || before === delimiter);
+            if (index > from && before !== ' ' && before !== '\n' && before !== '\\' && !doubled) {
+                return index;
+            }
+            index = text.indexOf(delimiter, index + 1);
+        }
+        return -1;
+    }
+
+    function findLinkEnd(text, open) {
+        let depth = 0;
+        for (let i = open; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '[') {
+                depth++;
+            } else if (text[i] === ']') {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        return -1;
+    }
+
+    // `label` is Markdown, except for autolinks whose label is the URL itself
+    function appendLink(parent, label, url, title, plainLabel) {
+        const render = target => plainLabel ? appendText(target, label) : renderInline(label, target);
+        if (!SAFE_URL_RE.test(url)) {
+            render(parent);
+            return;
+        }
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        if (title) link.setAttribute('title', title);
+        render(link);
+        parent.appendChild(link);
+    }
+
+    function renderInline(text, parent) {
+        let plain = '';
+        let i = 0;
+        const flush = () => {
+            appendText(parent, plain);
+            plain = '';
+        };
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (ch === '\\' && i + 1 < text.length && PUNCTUATION.includes(text[i + 1])) {
+                plain += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            if (ch === '\\' && text[i + 1] === '\n') {
+                flush();
+                parent.appendChild(document.createElement('br'));
+                i += 2;
+                continue;
+            }
+
+            if (ch === '\n') {
+                // Models use single newlines as line breaks, so soft breaks are kept
+                flush();
+                parent.appendChild(document.createElement('br'));
+                i++;
+                continue;
+            }
+
+            if (ch === '`') {
+                const run = text.slice(i).match(/^`+/)[0];
+                let close = text.indexOf(run, i + run.length);
+                while (close !== -1 && (text[close + run.length] === '`' || text[close - 1] === '`')) {
+                    close = text.indexOf(run, close + 1);
+                }
+                if (close === -1) {
+                    plain += run;
+                    i += run.length;
+                    continue;
+                }
+                let code = text.slice(i + run.length, close).replace(/\n/g, ' ');
+                if (code.length > 2 && code[0] === ' ' && code[code.length - 1] === ' ') code = code.slice(1, -1);
+                flush();
+                const element = document.createElement('code');
+                element.textContent = code;
+                parent.appendChild(element);
+                i = close + run.length;
+                continue;
+            }
+
+            if ((ch === '*' || ch === '_' || ch === '~') && text[i + 1] === ch) {
+                const delimiter = ch + ch;
+                const close = text[i + 2] && text[i + 2] !== ' ' ? text.indexOf(delimiter, i + 3) : -1;
+                if (close !== -1) {
+                    flush();
+                    const element = document.createElement(ch === '~' ? 'del' : 'strong');
+                    renderInline(text.slice(i + 2, close), element);
+                    parent.appendChild(element);
+                    i = close + 2;
+                    continue;
+                }
+            }
+
+            if (ch === '*' || ch === '_') {
+                // An underscore inside a word (snake_case) is not emphasis
+                const intraword = ch === '_' && /\w/.test(text[i - 1] || '');
+                const close = !intraword && text[i + 1] && text[i + 1] !== ' ' ? findClosing(text, ch, i + 1) : -1;
+                if (close !== -1 && !(ch === '_' && /\w/.test(text[close + 1] || ''))) {
+                    flush();
+                    const element = document.createElement('em');
+                    renderInline(text.slice(i + 1, close), element);
+                    parent.appendChild(element);
+                    i = close + 1;
+                    continue;
+                }
+            }
+
+            if (ch === '!' && text[i + 1] === '[') {
+                // Remote images are blocked by the webview's CSP; show the alt text as a link instead
+                const end = findLinkEnd(text, i + 1);
+                const target = end !== -1 ? /^\(((?:[^\s()]|\([^\s()]*\))+)(?:\s+"([^"]*)")?\)/.exec(text.slice(end + 1)) : null;
+                if (target) {
+                    flush();
+                    appendLink(parent, '🖼 ' + (text.slice(i + 2, end) || target[1]), target[1], target[2]);
+                    i = end + 1 + target[0].length;
+                    continue;
+                }
+            }
+
+            if (ch === '[') {
+                const end = findLinkEnd(text, i);
+                const target = end !== -1 ? /^\(<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"([^"]*)")?\)/.exec(text.slice(end + 1)) : null;
+                if (target) {
+                    flush();
+                    appendLink(parent, text.slice(i + 1, end), target[1], target[2]);
+                    i = end + 1 + target[0].length;
+                    continue;
+                }
+            }
+
+            if (ch === '<') {
+                const autolink = /^<((?:https?:\/\/|mailto:)[^\s>]+)>/i.exec(text.slice(i));
+                if (autolink) {
+                    flush();
+                    appendLink(parent, autolink[1], autolink[1], '', true);
+                    i += autolink[0].length;
+                    continue;
+                }
+            }
+
+            if ((ch === 'h' || ch === 'H') && !/\w/.test(text[i - 1] || '')) {
+                const bare = /^https?:\/\/[^\s<>()]+(?:\([^\s<>()]*\)[^\s<>()]*)*/i.exec(text.slice(i));
+                if (bare) {
+                    // Trailing punctuation belongs to the sentence, not the URL
+                    const url = bare[0].replace(/[.,;:!?'"*_~]+$/, '');
+                    flush();
+                    appendLink(parent, url, url, '', true);
+                    i += url.length;
+                    continue;
+                }
+            }
+
+            plain += ch;
+            i++;
+        }
+        flush();
+    }
+
+    // ---------------------------------------------------------------------
+    // Syntax highlighting
+    // ---------------------------------------------------------------------
+
+    const words = list => new Set(list.split(' '));
+    const C_FAMILY = 'if else for while do switch case default break continue return goto try catch finally throw new delete this sizeof typeof static const void struct enum union class public private protected virtual extern inline volatile unsigned signed int long short char float double bool true false null';
+    const JS_KEYWORDS = 'as async await break case catch class const continue debugger default delete do else enum export extends false finally for from function get if implements import in instanceof interface let new null of package private protected public return set static super switch this throw true try typeof undefined var void while with yield type namespace declare abstract readonly keyof infer is satisfies override any unknown never string number boolean symbol object bigint';
+
+    const LANGUAGES = {
+        js: { keywords: words(JS_KEYWORDS), line: ['//'], block: [['/*', '*/']], strings: '"\'`' },
+        python: { keywords: words('and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield match case self cls print'), line: ['#'], strings: '"\'', triple: true },
+        shell: { keywords: words('if then else elif fi for in do done while until case esac function return local export readonly unset shift exit echo cd source set declare'), line: ['#'], strings: '"\'', variables: true },
+        json: { keywords: words('true false null'), strings: '"', properties: true },
+        yaml: { keywords: words('true false null yes no on off'), line: ['#'], strings: '"\'', yamlKeys: true },
+        css: { keywords: words('important inherit initial unset none auto'), block: [['/*', '*/']], line: ['//'], strings: '"\'', cssProperties: true },
+        sql: { keywords: words('select from where and or not insert into values update set delete create table alter drop index primary key foreign references join inner left right outer full on as group by order having limit offset distinct union all null is in exists between like case when then else end begin commit rollback returning with default unique check constraint view trigger'), line: ['--'], block: [['/*', '*/']], strings: '\'"', caseInsensitive: true },
+        go: { keywords: words('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var true false nil iota string int int64 int32 uint byte rune float64 float32 bool error any'), line: ['//'], block: [['/*', '*/']], strings: '"\'`' },
+        rust: { keywords: words('as async await break const continue crate dyn else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while Some None Ok Err i32 i64 u8 u32 u64 usize isize f32 f64 bool str String Vec Option Result Box'), line: ['//'], block: [['/*', '*/']], strings: '"' },
+        c: { keywords: words(C_FAMILY + ' include define ifdef ifndef endif pragma typedef auto register namespace using template typename nullptr override final noexcept constexpr std'), line: ['//'], block: [['/*', '*/']], strings: '"\'' },
+        java: { keywords: words(C_FAMILY + ' abstract assert boolean byte extends final implements import instanceof interface native package super synchronized throws transient var record sealed permits yield fun val when object companion data lateinit override open internal is in out suspend'), line: ['//'], block: [['/*', '*/']], strings: '"\'`' },
+        csharp: { keywords: words(C_FAMILY + ' abstract as base byte checked decimal delegate event explicit implicit in interface internal is lock namespace object operator out override params readonly ref sbyte sealed stackalloc string uint ulong unchecked unsafe ushort using var async await get set value yield record init'), line: ['//'], block: [['/*', '*/']], strings: '"\'' },
+        php: { keywords: words('abstract and array as break callable case catch class clone const continue declare default do echo else elseif empty enddeclare endfor endforeach endif endswitch endwhile extends final finally fn for foreach function global goto if implements include instanceof insteadof interface isset list match namespace new or print private protected public readonly require return static switch throw trait try unset use var while yield true false null'), line: ['//', '#'], block: [['/*', '*/']], strings: '"\'', variables: true },
+        ruby: { keywords: words('alias and begin break case class def defined do else elsif end ensure false for if in module next nil not or redo rescue retry return self super then true undef unless until when while yield require attr_accessor attr_reader puts'), line: ['#'], strings: '"\'' },
+        lua: { keywords: words('and break do else elseif end false for function goto if in local nil not or repeat return then true until while'), line: ['--'], strings: '"\'' },
+        swift: { keywords: words('associatedtype class deinit enum extension fileprivate func import init inout internal let open operator private protocol public rethrows static struct subscript typealias var break case continue default defer do else fallthrough for guard if in repeat return switch where while as catch false is nil super self Self throw throws true try async await some any'), line: ['//'], block: [['/*', '*/']], strings: '"' },
+        markup: { markup: true },
+        diff: { diff: true }
+    };
+
+    const ALIASES = {
+        javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js', ts: 'js', typescript: 'js', tsx: 'js', typescriptreact: 'js', javascriptreact: 'js', node: 'js',
+        py: 'python', python3: 'python', bash: 'shell', sh: 'shell', zsh: 'shell', console: 'shell', shellscript: 'shell', powershell: 'shell', ps1: 'shell', dockerfile: 'shell', makefile: 'shell',
+        jsonc: 'json', json5: 'json', yml: 'yaml', toml: 'yaml', ini: 'yaml', scss: 'css', less: 'css', sass: 'css',
+        golang: 'go', rs: 'rust', h: 'c', cpp: 'c', 'c++': 'c', cc: 'c', hpp: 'c', objc: 'c', cs: 'csharp', 'c#': 'csharp',
+        kotlin: 'java', kt: 'java', scala: 'java', groovy: 'java', dart: 'java', rb: 'ruby',
+        html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup', svelte: 'markup', xhtml: 'markup', patch: 'diff'
+    };
+
+    function span(parent, className, text) {
+        const element = document.createElement('span');
+        element.className = 'tok-' + className;
+        element.textContent = text;
+        parent.appendChild(element);
+    }
+
+    function highlight(code, language, parent) {
+        const spec = LANGUAGES[ALIASES[language] || language];
+        if (!spec) {
+            appendText(parent, code);
+        } else if (spec.markup) {
+            highlightMarkup(code, parent);
+        } else if (spec.diff) {
+            highlightDiff(code, parent);
+        } else {
+            highlightCode(code, spec, parent);
+        }
+    }
+
+    function highlightCode(code, spec, parent) {
+        const NUMBER = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*/y;
+        const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+        let plain = '';
+        let i = 0;
+        const flush = () => {
+            appendText(parent, plain);
+            plain = '';
+        };
+        const startsLine = () => {
+            const lineStart = code.lastIndexOf('\n', i - 1) + 1;
+            return code.slice(lineStart, i).trim() === '';
+        };
+
+        while (i < code.length) {
+            const ch = code[i];
+
+            const lineComment = (spec.line || []).find(marker => code.startsWith(marker, i));
+            // "#" only starts a comment at a word boundary in shells (not in $# or a#b)
+            if (lineComment && !(lineComment === '#' && spec.variables && /[\w$]/.test(code[i - 1] || ''))) {
+                const end = code.indexOf('\n', i);
+                flush();
+                span(parent, 'comment', code.slice(i, end === -1 ? code.length : end));
+                i = end === -1 ? code.length : end;
+                continue;
+            }
+
+            const blockComment = (spec.block || []).find(pair => code.startsWith(pair[0], i));
+            if (blockComment) {
+                const end = code.indexOf(blockComment[1], i + blockComment[0].length);
+                const stop = end === -1 ? code.length : end + blockComment[1].length;
+                flush();
+                span(parent, 'comment', code.slice(i, stop));
+                i = stop;
+                continue;
+            }
+
+            if (spec.strings && spec.strings.includes(ch)) {
+                const triple = spec.triple && code.startsWith(ch + ch + ch, i) ? ch + ch + ch : '';
+                let j = i + (triple ? 3 : 1);
+                while (j < code.length) {
+                    if (code[j] === '\\') {
+                        j += 2;
+                    } else if (triple ? code.startsWith(triple, j) : code[j] === ch) {
+                        j += triple ? 3 : 1;
+                        break;
+                    } else if (code[j] === '\n' && !triple && ch !== '`') {
+                        break;
+                    } else {
+                        j++;
+                    }
+                }
+                const text = code.slice(i, j);
+                flush();
+                // JSON object keys and YAML keys are properties rather than strings
+                const isKey = (spec.properties || spec.yamlKeys) && /^\s*:/.test(code.slice(j, j + 20));
+                span(parent, isKey ? 'property' : 'string', text);
+                i = j;
+                continue;
+            }
+
+            if (/\d/.test(ch) && !/[\w$]/.test(code[i - 1] || '')) {
+                NUMBER.lastIndex = i;
+                const match = NUMBER.exec(code);
+                if (match) {
+                    flush();
+                    span(parent, 'number', match[0]);
+                    i += match[0].length;
+                    continue;
+                }
+            }
+
+            if (spec.variables && ch === '$' && /[\w{(]/.test(code[i + 1] || '')) {
+                const match = /^\$(?:\{[^}]*\}|\w+)/.exec(code.slice(i));
+                if (match) {
+                    flush();
+                    span(parent, 'variable', match[0]);
+                    i += match[0].length;
+                    continue;
+                }
+            }
+
+            IDENTIFIER.lastIndex = i;
+            const identifier = /[A-Za-z_$]/.test(ch) && !/[\w$]/.test(code[i - 1] || '') ? IDENTIFIER.exec(code) : null;
+            if (identifier) {
+                const word = identifier[0];
+                const rest = code.slice(i + word.length, i + word.length + 40);
+                flush();
+                if (spec.keywords.has(spec.caseInsensitive ? word.toLowerCase() : word)) {
+                    span(parent, 'keyword', word);
+                } else if ((spec.yamlKeys && startsLine() && /^\s*:/.test(rest)) || (spec.cssProperties && /^\s*:[^:]/.test(rest) && startsLine())) {
+                    span(parent, 'property', word);
+                } else if (/^\s*\(/.test(rest)) {
+                    span(parent, 'function', word);
+                } else if (/^[A-Z][a-z]/.test(word) && !spec.caseInsensitive) {
+                    span(parent, 'type', word);
+                } else {
+                    appendText(parent, word);
+                }
+                i += word.length;
+                continue;
+            }
+
+            plain += ch;
+            i++;
+        }
+        flush();
+    }
+
+    function highlightMarkup(code, parent) {
+        const TOKEN = /<!--[\s\S]*?(?:-->|$)|<\/?[\w:.-]+|\/?>|"[^"]*"|'[^']*'|[\w:.-]+(?==)/g;
+        let last = 0;
+        let inTag = false;
+        let match;
+        while ((match = TOKEN.exec(code)) !== null) {
+            const token = match[0];
+            const isTagStart = token[0] === '<' && !token.startsWith('<!--');
+            const isTagEnd = token === '>' || token === '/>';
+            // Quotes and attribute names only count inside a tag
+            if (!inTag && !isTagStart && !token.startsWith('<!--')) {
+                continue;
+            }
+            appendText(parent, code.slice(last, match.index));
+            if (token.startsWith('<!--')) {
+                span(parent, 'comment', token);
+            } else if (isTagStart || isTagEnd) {
+                span(parent, 'tag', token);
+                inTag = isTagStart;
+            } else if (token[0] === '"' || token[0] === "'") {
+                span(parent, 'string', token);
+            } else {
+                span(parent, 'property', token);
+            }
+            last = match.index + token.length;
+        }
+        appendText(parent, code.slice(last));
+    }
+
+    function highlightDiff(code, parent) {
+        code.split('\n').forEach((line, index, all) => {
+            const kind = line.startsWith('+') ? 'inserted' : line.startsWith('-') ? 'deleted' : line.startsWith('@@') ? 'meta' : '';
+            const text = line + (index < all.length - 1 ? '\n' : '');
+            if (kind) {
+                span(parent, kind, text);
+            } else {
+                appendText(parent, text);
+            }
+        });
+    }
+
+    // ---------------------------------------------------------------------
+    // Rendering
+    // ---------------------------------------------------------------------
+
+    const CODE_ACTIONS = [
+        ['copy', 'Copy', 'Copy to the clipboard'],
+        ['insert', 'Insert', 'Insert at the cursor in the active editor'],
+        ['apply', 'Apply', 'Review this code as an edit'],
+        ['newFile', 'New File', 'Create a new file with this code']
+    ];
+
+    function renderCodeBlock(block) {
+        const container = document.createElement('div');
+        container.className = 'code-block' + (block.open ? ' open' : '');
+        if (block.file) container.setAttribute('data-file', block.file);
+        if (block.language) container.setAttribute('data-language', block.language);
+
+        const header = document.createElement('div');
+        header.className = 'code-block-header';
+        const label = document.createElement('span');
+        label.textContent = block.file || block.language || 'code';
+        header.appendChild(label);
+
+        const actions = document.createElement('span');
+        actions.className = 'code-block-actions';
+        CODE_ACTIONS.forEach(([action, text, title]) => {
+            const button = document.createElement('button');
+            button.className = 'code-action';
+            button.setAttribute('data-action', action);
+            button.textContent = text;
+            button.title = action === 'apply' && block.file ? 'Review this code as an edit to ' + block.file : title;
+            actions.appendChild(button);
+        });
+        header.appendChild(actions);
+        container.appendChild(header);
+
+        const pre = document.createElement('pre');
+        const code = document.createElement('code');
+        highlight(block.code, block.language, code);
+        pre.appendChild(code);
+        container.appendChild(pre);
+        return container;
+    }
+
+    function renderBlock(block) {
+        switch (block.type) {
+            case 'code':
+                return renderCodeBlock(block);
+            case 'heading': {
+                const element = document.createElement('h' + block.level);
+                renderInline(block.text, element);
+                return element;
+            }
+            case 'rule':
+                return document.createElement('hr');
+            case 'quote': {
+                const element = document.createElement('blockquote');
+                block.children.forEach(child => element.appendChild(renderBlock(child)));
+                return element;
+            }
+            case 'list': {
+                const element = document.createElement(block.ordered ? 'ol' : 'ul');
+                if (block.ordered && block.start !== 1) element.setAttribute('start', String(block.start));
+                block.items.forEach(item => {
+                    const li = document.createElement('li');
+                    if (item.task !== null) {
+                        li.className = 'task-item';
+                        const checkbox = document.createElement('input');
+                        checkbox.setAttribute('type', 'checkbox');
+                        checkbox.setAttribute('disabled', '');
+                        if (item.task) checkbox.setAttribute('checked', '');
+                        li.appendChild(checkbox);
+                    }
+                    item.children.forEach((child, index) => {
+                        // Tight lists put the item's text straight into the <li>
+                        if (child.type === 'paragraph' && !block.loose) {
+                            if (index > 0) li.appendChild(document.createElement('br'));
+                            renderInline(child.text, li);
+                        } else {
+                            li.appendChild(renderBlock(child));
+                        }
+                    });
+                    element.appendChild(li);
+                });
+                return element;
+            }
+            case 'table': {
+                const wrapper = document.createElement('div');
+                wrapper.className = 'table-wrapper';
+                const table = document.createElement('table');
+                const head = document.createElement('thead');
+                const headRow = document.createElement('tr');
+                block.header.forEach((cell, index) => {
+                    const th = document.createElement('th');
+                    if (block.align[index]) th.style.textAlign = block.align[index];
+                    renderInline(cell, th);
+                    headRow.appendChild(th);
+                });
+                head.appendChild(headRow);
+                table.appendChild(head);
+                const body = document.createElement('tbody');
+                block.rows.forEach(row => {
+                    const tr = document.createElement('tr');
+                    block.header.forEach((_, index) => {
+                        const td = document.createElement('td');
+                        if (block.align[index]) td.style.textAlign = block.align[index];
+                        renderInline(row[index] || '', td);
+                        tr.appendChild(td);
+                    });
+                    body.appendChild(tr);
+                });
+                table.appendChild(body);
+                wrapper.appendChild(table);
+                return wrapper;
+            }
+            default: {
+                const element = document.createElement('p');
+                renderInline(block.text, element);
+                return element;
+            }
+        }
+    }
+
+    /** Renders Markdown into `container`, replacing its content. */
+    function render(text, container) {
+        container.textContent = '';
+        parseBlocks(text).forEach(block => container.appendChild(renderBlock(block)));
+    }
+
+    /**
+     * Incremental rendering for a streaming reply: each update re-parses the
+     * text but only rebuilds blocks whose source changed, which while
+     * streaming is normally just the last one.
+     */
+    function createStream(container) {
+        let rendered = [];
+        container.textContent = '';
+        return {
+            update(text) {
+                const blocks = parseBlocks(text);
+                let same = 0;
+                while (same < blocks.length && same < rendered.length && blocks[same].raw === rendered[same].raw && blocks[same].type !== 'code') {
+                    same++;
+                }
+                // Closed code blocks are stable too; an open one is still growing
+                while (same < blocks.length && same < rendered.length && blocks[same].raw === rendered[same].raw && !(blocks[same].open || rendered[same].open)) {
+                    same++;
+                }
+                rendered.slice(same).forEach(entry => entry.node.remove());
+                rendered = rendered.slice(0, same);
+                blocks.slice(same).forEach(block => {
+                    const node = renderBlock(block);
+                    container.appendChild(node);
+                    rendered.push({ raw: block.raw, open: !!block.open, node });
+                });
+            }
+        };
+    }
+
+    window.MarkdownRenderer = { render, createStream, parseBlocks };
+})();
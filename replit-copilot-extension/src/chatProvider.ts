@@ -1,18 +1,64 @@
 import * as vscode from 'vscode';
-import { EnhancedMCPClient } from './enhancedMcpClient';
-import { OllamaClient } from './ollamaClient';
+import { EnhancedMCPClient, MCPPromptMessage } from './enhancedMcpClient';
+import { ChatOptions, OllamaClient } from './ollamaClient';
 import { FileOperationsManager } from './fileOperationsManager';
+import { EditReviewManager } from './editReviewManager';
+import { ChatSession, ChatSessionStore, TranscriptEntry, UNTITLED_SESSION } from './chatSessionStore';
+import { isSummaryMessage } from './contextManager';
+import { CodeIndex } from './codeIndex';
+import { ContextBlock, ContextMention, ContextMentionProvider, MENTION_KINDS } from './contextMentions';
+import { DEFAULT_BACKEND, ProviderRegistry } from './modelProvider';
+import { ModelManager } from './modelManager';
+import { GenerationPresets } from './generationPresets';
+import { checkImage, ImageAttachment, PICKABLE_IMAGE_EXTENSIONS, readImageFile } from './imageAttachments';
+import { describeOperation, FILE_COMMANDS, IntentRouter, RoutedIntent } from './intentRouter';
+import { WorkspaceRoots } from './workspaceRoots';
+
+export interface ResourceAttachment {
+    serverId: string;
+    uri: string;
+    name: string;
+}
+
+export type EditorAction = 'explain' | 'improve' | 'generate';
+
+export interface MentionAttachment extends ContextMention {
+    /** Chip id assigned by the webview, used to reuse the previewed content. */
+    id: string;
+}
+
+// Code fence languages whose usual file extension differs from the language name
+const CODE_FILE_EXTENSIONS: { [language: string]: string } = {
+    typescript: 'ts', javascript: 'js', typescriptreact: 'tsx', javascriptreact: 'jsx', python: 'py',
+    ruby: 'rb', rust: 'rs', golang: 'go', csharp: 'cs', kotlin: 'kt', markdown: 'md', shell: 'sh',
+    bash: 'sh', zsh: 'sh', yaml: 'yml', text: 'txt', plaintext: 'txt', powershell: 'ps1'
+};
 
 export class ChatProvider implements vscode.WebviewViewProvider {
     public static readonly viewType = 'replitCopilotChat';
 
     private _view?: vscode.WebviewView;
+    private session?: ChatSession;
+    private activeRequest?: AbortController;
+    // Mentions are resolved when their chip is added, so what is sent matches the estimate shown
+    private mentionPreviews = new Map<string, Promise<ContextBlock>>();
+    private resolveViewReady?: () => void;
+    private readonly viewReady = new Promise<void>(resolve => this.resolveViewReady = resolve);
 
     constructor(
         private readonly _extensionUri: vscode.Uri,
         private readonly mcpClient: EnhancedMCPClient,
         private readonly ollamaClient: OllamaClient,
-        private readonly fileOpsManager: FileOperationsManager
+        private readonly fileOpsManager: FileOperationsManager,
+        private readonly reviewManager: EditReviewManager,
+        private readonly sessionStore: ChatSessionStore,
+        private readonly codeIndex: CodeIndex,
+        private readonly mentions: ContextMentionProvider,
+        private readonly providers: ProviderRegistry,
+        private readonly modelManager: ModelManager,
+        private readonly presets: GenerationPresets,
+        private readonly intentRouter: IntentRouter,
+        private readonly roots: WorkspaceRoots
     ) {}
 
     public resolveWebviewView(
@@ -37,9 +83,35 @@ export class ChatProvider implements vscode.WebviewViewProvider {
                 switch (message.type) {
                     case 'ready':
                         console.log('[OLLAMA-CHAT] Webview is ready!');
+                        await this.restoreSession();
+                        this.resolveViewReady?.();
                         break;
                     case 'sendMessage':
-                        await this.handleChatMessage(message.text);
+                        await this.handleChatMessage(message.text, message.attachments || [], message.mentions || [], message.images || []);
+                        break;
+                    case 'pickImages':
+                        await this.handlePickImages();
+                        break;
+                    case 'attachImageUris':
+                        await this.handleAttachImageUris(message.uris || []);
+                        break;
+                    case 'checkImageSupport':
+                        await this.postImageSupport();
+                        break;
+                    case 'stopGeneration':
+                        this.activeRequest?.abort();
+                        break;
+                    case 'mentionSuggestions':
+                        await this.handleMentionSuggestions(message.requestId, message.kind, message.query || '');
+                        break;
+                    case 'previewMention':
+                        await this.handlePreviewMention(message.mention);
+                        break;
+                    case 'runPrompt':
+                        await this.handleRunPrompt(message.serverId, message.name, message.arguments || {});
+                        break;
+                    case 'getMcpCatalog':
+                        this.postMcpCatalog();
                         break;
                     case 'saveSettings':
                         await this.handleSaveSettings(message.settings);
@@ -53,12 +125,75 @@ export class ChatProvider implements vscode.WebviewViewProvider {
                     case 'refreshModels':
                         await this.handleRefreshModels();
                         break;
+                    case 'getPresets':
+                        this.postPresets();
+                        break;
+                    case 'getThinking':
+                        this.postThinking();
+                        break;
+                    case 'setThinking':
+                        await this.handleSetThinking(message.enabled);
+                        break;
+                    case 'setPreset':
+                        await this.handleSetPreset(message.name);
+                        break;
+                    case 'listInstalledModels':
+                        await this.postInstalledModels();
+                        break;
+                    case 'pullModel':
+                        await this.handlePullModel(message.model);
+                        break;
+                    case 'cancelPull':
+                        this.modelManager.cancelPull(message.model);
+                        break;
+                    case 'deleteModel':
+                        await this.handleDeleteModel(message.model);
+                        break;
+                    case 'copyModel':
+                        await this.handleCopyModel(message.source, message.destination);
+                        break;
+                    case 'useModel':
+                        await this.handleUseModel(message.model);
+                        break;
                     case 'refreshMcpTools':
                         await this.handleRefreshMcpTools();
                         break;
                     case 'loadMcpConfig':
                         await this.handleLoadMcpConfig();
                         break;
+                    case 'applyCode':
+                        await this.handleApplyCode(message.code, message.file);
+                        break;
+                    case 'copyCode':
+                        await vscode.env.clipboard.writeText(message.code);
+                        break;
+                    case 'insertCode':
+                        await this.handleInsertCode(message.code);
+                        break;
+                    case 'createFileFromCode':
+                        await this.handleCreateFileFromCode(message.code, message.file, message.language);
+                        break;
+                    case 'newSession':
+                        this.startNewSession();
+                        break;
+                    case 'listSessions':
+                        await this.postSessionList(message.query);
+                        break;
+                    case 'loadSession':
+                        await this.loadSession(message.id);
+                        break;
+                    case 'renameSession':
+                        await this.renameSession(message.id, message.title);
+                        break;
+                    case 'deleteSession':
+                        await this.deleteSession(message.id);
+                        break;
+                    case 'exportSession':
+                        await this.exportSession(message.id, message.format);
+                        break;
+                    case 'importSession':
+                        await this.importSession();
+                        break;
                 }
             },
             undefined,
@@ -66,39 +201,69 @@ export class ChatProvider implements vscode.WebviewViewProvider {
         );
     }
 
-    private async handleChatMessage(message: string) {
+    private async handleChatMessage(message: string, attachments: ResourceAttachment[] = [], mentions: MentionAttachment[] = [], postedImages: any[] = []) {
         console.log('[OLLAMA-CHAT] Processing chat message:', message);
+        const controller = new AbortController();
+        this.activeRequest = controller;
         try {
-            // Add user message to chat immediately
-            this.postMessage({
-                type: 'userMessage',
-                message: message
-            });
+            // The webview has already drawn the user's message
+            const images = postedImages.map(checkImage);
+            this.record('user', message, images.length ? { images: images.map(({ name, thumbnail }) => ({ name, thumbnail })) } : {});
 
-            // Check for file operations first
-            const fileOperation = await this.fileOpsManager.detectFileOperation(message);
-            if (fileOperation) {
-                console.log('[OLLAMA-CHAT] Detected file operation:', fileOperation);
-                this.postMessage({ type: 'startTyping' });
-                
-                const result = await this.fileOpsManager.executeFileOperation(fileOperation);
-                this.postMessage({
-                    type: 'assistantMessage',
-                    message: result,
-                    formatted: this.formatMessage(result)
-                });
-                return;
+            if (images.length > 0) {
+                const problem = await this.imageSupportProblem();
+                if (problem) {
+                    this.postMessage({ type: 'error', message: problem });
+                    this.record('error', problem);
+                    await this.saveSession();
+                    return;
+                }
             }
 
             // Start typing indicator
             this.postMessage({ type: 'startTyping' });
 
-            // Add workspace context to the message
-            const workspaceContext = await this.getWorkspaceContext();
-            const enhancedMessage = `${workspaceContext}\n\nUser Query: ${message}`;
+            // Check for file operations first; a message with images is always for the model
+            let intent: RoutedIntent | undefined;
+            try {
+                intent = images.length > 0 ? undefined : await this.intentRouter.route(message, controller.signal);
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    this.postMessage({ type: 'assistantMessage', message: '', interrupted: true });
+                    this.record('assistant', '', { interrupted: true });
+                    await this.saveSession();
+                    return;
+                }
+                const usage = error instanceof Error ? error.message : String(error);
+                this.postMessage({ type: 'error', message: usage });
+                this.record('error', usage);
+                await this.saveSession();
+                return;
+            }
+            if (intent) {
+                console.log(`[OLLAMA-CHAT] File operation from ${intent.source}:`, intent.operation);
+                const result = await this.fileOpsManager.executeFileOperation(intent.operation, controller.signal);
+                // Show what the model understood, and the command that does it directly
+                const note = intent.source === 'model'
+                    ? `\n\n_Ran \`${describeOperation(intent.operation)}\` (${Math.round(intent.confidence * 100)}% sure). If that was not what you meant, rephrase the request._`
+                    : '';
+                this.postMessage({ type: 'assistantMessage', message: result + note });
+                this.record('assistant', result + note);
+                await this.saveSession();
+                return;
+            }
+
+            // The workspace overview is pinned once per conversation rather than
+            // repeated in every message; mentions and MCP resources go with this turn only
+            this.ollamaClient.setContextBlock('workspace', await this.getWorkspaceContext());
+            this.ollamaClient.setContextBlock('code', await this.getCodeContext(message, controller.signal));
+            const attachedContext = await this.getAttachedContext(attachments, mentions);
+            const enhancedMessage = attachedContext ? `${attachedContext.trim()}\n\nUser Query: ${message}` : message;
 
             // Get fast response from Ollama
             let fullResponse = '';
+            let missingModel: string | undefined;
+            const reasoning = this.trackThinking();
             const startTime = Date.now();
             
             const response = await this.ollamaClient.chat(
@@ -111,36 +276,229 @@ export class ChatProvider implements vscode.WebviewViewProvider {
                         fullMessage: fullResponse
                     });
                 },
-                true
+                true,
+                {
+                    onToolCall: (name, args) => {
+                        this.postMessage({
+                            type: 'toolCall',
+                            name: name,
+                            args: args
+                        });
+                        this.record('tool', `${name} ${JSON.stringify(args || {})}`);
+                    },
+                    onToolResult: (name, result) => {
+                        this.postMessage({ type: 'toolResult', name, result });
+                    },
+                    onContextUsage: (usage) => {
+                        this.postMessage({ type: 'contextUsage', usage });
+                    },
+                    onModelNotFound: (model) => {
+                        missingModel = model;
+                    },
+                    onThinking: reasoning.onThinking,
+                    images: images.map(image => image.data),
+                    signal: controller.signal
+                }
             );
             
             const responseTime = Date.now() - startTime;
             console.log(`[OLLAMA-CHAT] Response time: ${responseTime}ms`);
-            
+
+            const interrupted = controller.signal.aborted;
             this.postMessage({
                 type: 'assistantMessage',
                 message: response,
-                formatted: this.formatMessage(response)
+                interrupted,
+                ...reasoning.result()
             });
+            if (missingModel) {
+                this.postMessage({ type: 'modelNotFound', model: missingModel });
+            }
+            this.record('assistant', response, { interrupted, ...reasoning.result() });
+            await this.saveSession();
+            this.generateSessionTitle(this.currentSession());
 
         } catch (error) {
             this.postMessage({
                 type: 'error',
                 message: `Error: ${error}`
             });
+            this.record('error', `Error: ${error}`);
+            await this.saveSession();
+        } finally {
+            if (this.activeRequest === controller) {
+                this.activeRequest = undefined;
+            }
+            this.postContextUsage();
+        }
+    }
+
+    /**
+     * Runs an editor helper and streams its answer into the chat as a normal
+     * exchange, so follow-up questions in the chat can refer to it. `input`
+     * is the code to explain or improve, or the description to generate from.
+     */
+    public async runEditorAction(action: EditorAction, input: string, language: string | undefined, label: string) {
+        const request = action === 'generate' ? label : `${label}:\n\n\`\`\`${language || ''}\n${input}\n\`\`\``;
+        await this.runInChat(label, request, (onToken, options) => {
+            switch (action) {
+                case 'explain':
+                    return this.ollamaClient.explainCode(input, language, onToken, options);
+                case 'improve':
+                    return this.ollamaClient.suggestImprovements(input, language, onToken, options);
+                case 'generate':
+                    return this.ollamaClient.generateCode(input, language, onToken, options);
+            }
+        });
+    }
+
+    /**
+     * Shows `label` as the user's message and streams the answer of a
+     * one-off request into the chat. `request` is kept in the model's
+     * history in place of the prompt, which may be too large to keep.
+     */
+    public async runInChat(label: string, request: string, answer: (onToken: (token: string) => void, options: ChatOptions) => Promise<string>) {
+        if (this.activeRequest) {
+            vscode.window.showWarningMessage('Ollama is still answering in the chat; stop it or wait before starting another request');
+            return;
+        }
+
+        await vscode.commands.executeCommand(`${ChatProvider.viewType}.focus`);
+        await this.viewReady;
+
+        const controller = new AbortController();
+        this.activeRequest = controller;
+        try {
+            this.postMessage({ type: 'userMessage', message: label });
+            this.record('user', label);
+            this.postMessage({ type: 'startTyping' });
+
+            const onToken = (token: string) => this.postMessage({ type: 'streamToken', token });
+            const reasoning = this.trackThinking();
+            const reply = await answer(onToken, { signal: controller.signal, onThinking: reasoning.onThinking });
+
+            const interrupted = controller.signal.aborted;
+            this.ollamaClient.appendToHistory([
+                { role: 'user', content: request },
+                { role: 'assistant', content: reply }
+            ]);
+
+            this.postMessage({ type: 'assistantMessage', message: reply, interrupted, ...reasoning.result() });
+            this.record('assistant', reply, { interrupted, ...reasoning.result() });
+            await this.saveSession();
+            this.generateSessionTitle(this.currentSession());
+        } catch (error) {
+            this.postMessage({ type: 'error', message: `Error: ${error}` });
+            this.record('error', `Error: ${error}`);
+            await this.saveSession();
+        } finally {
+            if (this.activeRequest === controller) {
+                this.activeRequest = undefined;
+            }
+            this.postContextUsage();
+        }
+    }
+
+    private async getAttachedContext(attachments: ResourceAttachment[], mentions: MentionAttachment[]): Promise<string> {
+        const blocks: string[] = [];
+
+        for (const mention of mentions) {
+            const label = `@${mention.kind}${mention.value ? ` ${mention.value}` : ''}`;
+            try {
+                const block = await (this.mentionPreviews.get(mention.id) ?? this.resolveMention(mention));
+                blocks.push(`${block.label}\n${block.content}`);
+            } catch (error) {
+                blocks.push(`${label} could not be resolved: ${error instanceof Error ? error.message : error}`);
+            }
+        }
+        this.mentionPreviews.clear();
+
+        for (const attachment of attachments) {
+            try {
+                const contents = await this.mcpClient.readResource(attachment.serverId, attachment.uri);
+                const text = EnhancedMCPClient.formatResourceContents(contents);
+                blocks.push(`RESOURCE: ${attachment.name} (${attachment.uri}) from ${attachment.serverId}\n${text}`);
+            } catch (error) {
+                blocks.push(`RESOURCE: ${attachment.name} (${attachment.uri}) could not be read: ${error}`);
+            }
+        }
+
+        return blocks.length > 0 ? `\n\nATTACHED CONTEXT:\n${blocks.join('\n\n')}` : '';
+    }
+
+    private async handleMentionSuggestions(requestId: number, kind: ContextMention['kind'], query: string) {
+        try {
+            const items = await this.mentions.suggest(kind, query);
+            this.postMessage({ type: 'mentionSuggestions', requestId, items });
+        } catch (error) {
+            console.log('[OLLAMA-CHAT] Mention suggestions failed:', error);
+            this.postMessage({ type: 'mentionSuggestions', requestId, items: [] });
+        }
+    }
+
+    private async handlePreviewMention(mention: MentionAttachment) {
+        const pending = this.resolveMention(mention);
+        this.mentionPreviews.set(mention.id, pending);
+        try {
+            const block = await pending;
+            this.postMessage({ type: 'mentionPreview', id: mention.id, label: block.label, tokens: block.tokens });
+        } catch (error) {
+            this.mentionPreviews.delete(mention.id);
+            this.postMessage({ type: 'mentionPreview', id: mention.id, error: error instanceof Error ? error.message : String(error) });
+        }
+    }
+
+    private resolveMention(mention: ContextMention): Promise<ContextBlock> {
+        if (!MENTION_KINDS.includes(mention.kind)) {
+            return Promise.reject(new Error(`Unknown mention @${mention.kind}`));
+        }
+        return this.mentions.resolve({ kind: mention.kind, value: mention.value });
+    }
+
+    private async handleRunPrompt(serverId: string, name: string, args: { [key: string]: string }) {
+        try {
+            const prompt = await this.mcpClient.getPrompt(serverId, name, args);
+            const toText = (m: MCPPromptMessage) => EnhancedMCPClient.formatContentBlock(m.content);
+
+            // Everything before the final user turn becomes conversation history;
+            // the final user turn is sent like a normal chat message
+            const lastUser = prompt.messages.map(m => m.role).lastIndexOf('user');
+            if (lastUser === -1) {
+                this.ollamaClient.appendToHistory(prompt.messages.map(m => ({ role: m.role, content: toText(m) })));
+                const text = prompt.messages.map(toText).join('\n\n') || prompt.description || `Prompt ${name} returned no messages`;
+                this.postMessage({ type: 'assistantMessage', message: text });
+                this.record('assistant', text);
+                await this.saveSession();
+                return;
+            }
+
+            this.ollamaClient.appendToHistory(prompt.messages.slice(0, lastUser).map(m => ({ role: m.role, content: toText(m) })));
+            await this.handleChatMessage(toText(prompt.messages[lastUser]));
+        } catch (error) {
+            this.postMessage({ type: 'error', message: `Prompt ${serverId}:${name} failed: ${error}` });
         }
     }
 
+    private postMcpCatalog() {
+        this.postMessage({
+            type: 'mcpCatalog',
+            catalog: this.mcpClient.getCatalog()
+        });
+    }
+
     private async handleSaveSettings(settings: any) {
         try {
             const config = vscode.workspace.getConfiguration("replitCopilot");
-            await config.update("defaultModel", settings.model, vscode.ConfigurationTarget.Global);
+            await this.providers.select(settings.backend || DEFAULT_BACKEND, settings.model);
             await config.update("mcpConfigFile", settings.mcpConfigFile, vscode.ConfigurationTarget.Global);
             
             this.ollamaClient.updateConfiguration();
             this.mcpClient.updateConfiguration();
             
             this.postMessage({ type: "settingsSaved", message: "⚡ Settings saved!" });
+            // The new model may have a preset and a thinking setting of its own
+            this.postPresets();
+            this.postThinking();
         } catch (error) {
             this.postMessage({ type: "error", message: `Failed to save settings: ${error}` });
         }
@@ -151,6 +509,7 @@ export class ChatProvider implements vscode.WebviewViewProvider {
         this.postMessage({
             type: "settingsLoaded",
             settings: {
+                backend: this.providers.active().name,
                 model: config.get("defaultModel") || "llama3.2:1b",
                 mcpConfigFile: config.get("mcpConfigFile") || "",
                 enableFileOperations: config.get("enableFileOperations") !== false
@@ -160,11 +519,18 @@ export class ChatProvider implements vscode.WebviewViewProvider {
 
     private async handleTestConnection() {
         try {
-            const ollamaAvailable = await this.ollamaClient.isAvailable();
+            const active = this.providers.active().name;
+            const backends = await Promise.all(this.providers.backends().map(async backend => ({
+                name: backend.name,
+                available: await this.providers.get(backend.name)!.isAvailable()
+            })));
             const mcpConnected = await this.mcpClient.connectAll();
             
             let message = "🔍 Connection Test Results:\n\n";
-            message += `🤖 Ollama: ${ollamaAvailable ? "✅ Connected" : "❌ Not available"}\n`;
+            for (const backend of backends) {
+                const marker = backend.name === active ? " (active)" : "";
+                message += `🤖 ${backend.name}${marker}: ${backend.available ? "✅ Connected" : "❌ Not available"}\n`;
+            }
             
             const connectedServers = this.mcpClient.getConnectedServers();
             message += `🔗 MCP Servers: ${connectedServers.length > 0 ? `✅ Connected (${connectedServers.join(', ')})` : "❌ Not connected"}\n`;
@@ -178,6 +544,7 @@ export class ChatProvider implements vscode.WebviewViewProvider {
             message += `⚡ Fast Mode: ${vscode.workspace.getConfiguration("replitCopilot").get("enableFastMode") ? "✅ Enabled" : "❌ Disabled"}`;
             
             this.postMessage({ type: "connectionTest", message });
+            this.postMcpCatalog();
         } catch (error) {
             this.postMessage({ type: "error", message: `Connection test failed: ${error}` });
         }
@@ -185,16 +552,128 @@ export class ChatProvider implements vscode.WebviewViewProvider {
 
     private async handleRefreshModels() {
         try {
-            const models = await this.ollamaClient.getModels();
+            const backends = await this.providers.listAll();
             this.postMessage({
                 type: "modelsRefreshed",
-                models: models.length > 0 ? models : ["llama3.2:1b", "llama3.2:3b", "codellama"],
+                backends,
+                active: {
+                    backend: this.providers.active().name,
+                    model: vscode.workspace.getConfiguration("replitCopilot").get("defaultModel") || "llama3.2:1b"
+                }
             });
         } catch (error) {
             this.postMessage({ type: "error", message: `Failed to refresh models: ${error}` });
         }
     }
 
+    /** Presets for the header switcher, with the one chat currently resolves to. */
+    private postPresets() {
+        const model = vscode.workspace.getConfiguration('replitCopilot').get<string>('defaultModel') || 'llama3.2:1b';
+        this.postMessage({
+            type: 'presets',
+            presets: this.presets.all().map(preset => ({ name: preset.name, description: preset.description })),
+            active: this.presets.resolve('chat', model).name
+        });
+    }
+
+    /** The reasoning switch for the current model: true, false or null for the model's default. */
+    private postThinking() {
+        const model = vscode.workspace.getConfiguration('replitCopilot').get<string>('defaultModel') || 'llama3.2:1b';
+        this.postMessage({ type: 'thinking', model, enabled: this.ollamaClient.getThinking(model) ?? null });
+    }
+
+    private async handleSetThinking(enabled: boolean | null) {
+        try {
+            await this.ollamaClient.setThinking(enabled ?? undefined);
+        } catch (error) {
+            this.postMessage({ type: 'error', message: `Failed to change thinking: ${error}` });
+        }
+        this.postThinking();
+    }
+
+    private async handleSetPreset(name: string) {
+        try {
+            await this.presets.assign('chat', name);
+            this.postContextUsage();
+        } catch (error) {
+            this.postMessage({ type: 'error', message: `Failed to switch preset: ${error}` });
+        }
+        this.postPresets();
+    }
+
+    private async postInstalledModels() {
+        try {
+            this.postMessage({ type: 'installedModels', ...(await this.modelManager.list()) });
+        } catch (error) {
+            this.postMessage({ type: 'installedModels', models: [], error: error instanceof Error ? error.message : String(error) });
+        }
+    }
+
+    /**
+     * Streams /api/pull progress to the settings panel. Progress lines arrive
+     * many times a second, so only status changes and every few hundred
+     * milliseconds of byte counts are forwarded.
+     */
+    private async handlePullModel(model: string) {
+        const name = (model || '').trim();
+        if (!name) {
+            return;
+        }
+
+        let lastStatus = '';
+        let lastPost = 0;
+        try {
+            await this.modelManager.pull(name, progress => {
+                const now = Date.now();
+                if (progress.status === lastStatus && now - lastPost < 250) {
+                    return;
+                }
+                lastStatus = progress.status;
+                lastPost = now;
+                this.postMessage({ type: 'pullProgress', model: name, status: progress.status, completed: progress.completed, total: progress.total });
+            });
+            this.postMessage({ type: 'pullFinished', model: name });
+            await this.postInstalledModels();
+            await this.handleRefreshModels();
+        } catch (error) {
+            this.postMessage({ type: 'pullFinished', model: name, error: error instanceof Error ? error.message : String(error) });
+        }
+    }
+
+    private async handleDeleteModel(model: string) {
+        try {
+            if (await this.modelManager.delete(model)) {
+                await this.postInstalledModels();
+                await this.handleRefreshModels();
+            }
+        } catch (error) {
+            this.postMessage({ type: 'error', message: `Failed to delete ${model}: ${error}` });
+        }
+    }
+
+    private async handleCopyModel(source: string, destination: string) {
+        try {
+            await this.modelManager.copy(source, destination);
+            await this.postInstalledModels();
+            await this.handleRefreshModels();
+        } catch (error) {
+            this.postMessage({ type: 'error', message: `Failed to copy ${source} to ${destination}: ${error}` });
+        }
+    }
+
+    /** Switches chat to an installed model of the managed Ollama server. */
+    private async handleUseModel(model: string) {
+        const server = this.providers.ollama();
+        if (!server) {
+            return;
+        }
+        await this.providers.select(server.name, model);
+        this.ollamaClient.updateConfiguration();
+        await this.handleRefreshModels();
+        this.postPresets();
+        this.postThinking();
+    }
+
     private async handleRefreshMcpTools() {
         try {
             const connected = await this.mcpClient.connectAll();
@@ -207,6 +686,7 @@ export class ChatProvider implements vscode.WebviewViewProvider {
                 servers: servers,
                 connected: connected
             });
+            this.postMcpCatalog();
         } catch (error) {
             this.postMessage({ type: "error", message: `Failed to refresh MCP tools: ${error}` });
         }
@@ -228,122 +708,633 @@ export class ChatProvider implements vscode.WebviewViewProvider {
         }
     }
 
-    private async getWorkspaceContext(): Promise<string> {
+    /**
+     * Stages a chat code block for review. The target is the file named on the
+     * code fence, else the active editor (its selection if there is one), else
+     * a new file the user names.
+     */
+    private async handleApplyCode(code: string, file?: string) {
         try {
-            const workspaceOverview = await this.fileOpsManager.getWorkspaceOverview();
-            const workspaceRoot = this.fileOpsManager.getCurrentWorkspace();
-            
-            return `WORKSPACE CONTEXT:\n${workspaceOverview}\n\nCurrent workspace: ${workspaceRoot}\n\nAvailable file operations: read, write, create, delete, list, search\nYou can help with file management through natural language commands.`;
+            const workspaceRoot = this.roots.primary();
+            const editor = vscode.window.activeTextEditor;
+            let target: vscode.Uri | undefined;
+            let proposed = code;
+
+            if (file && workspaceRoot) {
+                target = await this.roots.resolve(file);
+            } else if (editor && editor.document.uri.scheme === 'file') {
+                target = editor.document.uri;
+                if (!editor.selection.isEmpty) {
+                    const text = editor.document.getText();
+                    proposed = text.slice(0, editor.document.offsetAt(editor.selection.start)) +
+                        code + text.slice(editor.document.offsetAt(editor.selection.end));
+                }
+            } else if (workspaceRoot) {
+                const relativePath = await vscode.window.showInputBox({
+                    prompt: 'No file is open. Create a new file for this code at:',
+                    placeHolder: this.roots.isMultiRoot() ? `${workspaceRoot.name}/src/example.ts` : 'src/example.ts'
+                });
+                if (!relativePath) {
+                    return;
+                }
+                target = await this.roots.resolve(relativePath);
+            }
+
+            if (!target) {
+                throw new Error('Open a workspace folder or a file to apply code to');
+            }
+            // The fence's file name comes from the model, so every target gets the file tools' sandbox
+            await this.fileOpsManager.resolvePath(target, 'write');
+
+            const status = await this.reviewManager.propose(target, proposed);
+            this.postMessage({ type: 'assistantMessage', message: status });
+            this.record('assistant', status);
+            await this.saveSession();
         } catch (error) {
-            return `WORKSPACE CONTEXT: Error loading workspace context: ${error}`;
+            this.postMessage({ type: 'error', message: `Failed to apply code: ${error instanceof Error ? error.message : error}` });
         }
     }
 
-    private formatMessage(message: string): string {
-        let formatted = message.replace(/```(\w+)?\n([\s\S]*?)```/g, (match, language, code) => {
-            return `<pre style="background: #1e293b; color: #10b981; padding: 12px; border-radius: 6px; overflow-x: auto; margin: 8px 0;"><code>${this.escapeHtml(code.trim())}</code></pre>`;
-        });
+    /**
+     * Replaces the selection of the editor the user was last in with a code
+     * block. The chat view has focus at this point, so a visible editor is
+     * used when there is no active one.
+     */
+    private async handleInsertCode(code: string) {
+        const editor = vscode.window.activeTextEditor || vscode.window.visibleTextEditors[0];
+        if (!editor) {
+            this.postMessage({ type: 'error', message: 'Open a file to insert code into' });
+            return;
+        }
+        const inserted = await editor.edit(builder => builder.replace(editor.selection, code));
+        if (!inserted) {
+            this.postMessage({ type: 'error', message: `Could not insert code into ${vscode.workspace.asRelativePath(editor.document.uri)}` });
+            return;
+        }
+        await vscode.window.showTextDocument(editor.document, editor.viewColumn);
+    }
+
+    /**
+     * Stages a code block as a new file for review. The path defaults to the
+     * file named on the code fence, else an untitled file with the
+     * language's extension; existing files are left to Apply.
+     */
+    private async handleCreateFileFromCode(code: string, file?: string, language?: string) {
+        try {
+            if (!this.roots.primary()) {
+                throw new Error('Open a workspace folder to create files in');
+            }
+            const extension = CODE_FILE_EXTENSIONS[language || ''] || language || 'txt';
+            const relativePath = await vscode.window.showInputBox({
+                prompt: 'Create a new file for this code at:',
+                value: file || `untitled.${extension}`
+            });
+            if (!relativePath) {
+                return;
+            }
+
+            const target = await this.fileOpsManager.resolvePath(relativePath, 'write');
+            try {
+                await vscode.workspace.fs.stat(target);
+                throw new Error(`${relativePath} already exists; use Apply to edit it`);
+            } catch (error) {
+                if (!(error instanceof vscode.FileSystemError)) {
+                    throw error;
+                }
+            }
 
-        formatted = formatted.replace(/`([^`]+)`/g, '<code style="background: #e5e7eb; color: #374151; padding: 2px 4px; border-radius: 3px; font-size: 0.9em;">$1</code>');
-        formatted = formatted.replace(/\*\*(.*?)\*\*/g, '<strong style="font-weight: 600;">$1</strong>');
-        formatted = formatted.replace(/\*(.*?)\*/g, '<em style="font-style: italic;">$1</em>');
-        formatted = formatted.replace(/\n/g, '<br>');
+            const status = await this.reviewManager.propose(target, code);
+            this.postMessage({ type: 'assistantMessage', message: status });
+            this.record('assistant', status);
+            await this.saveSession();
+        } catch (error) {
+            this.postMessage({ type: 'error', message: `Failed to create file: ${error instanceof Error ? error.message : error}` });
+        }
+    }
 
-        return formatted;
+    private currentSession(): ChatSession {
+        if (!this.session) {
+            this.session = this.sessionStore.create();
+        }
+        return this.session;
     }
 
-    private escapeHtml(text: string): string {
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#039;');
+    private record(role: TranscriptEntry['role'], content: string, details: Pick<TranscriptEntry, 'interrupted' | 'thinking' | 'thinkingMs' | 'images'> = {}) {
+        this.currentSession().transcript.push({
+            role,
+            content,
+            timestamp: Date.now(),
+            ...(details.interrupted ? { interrupted: true } : {}),
+            ...(details.thinking ? { thinking: details.thinking, thinkingMs: details.thinkingMs } : {}),
+            ...(details.images?.length ? { images: details.images } : {})
+        });
     }
 
-    private postMessage(message: any) {
-        if (this._view) {
-            this._view.webview.postMessage(message);
+    /**
+     * Why the current model cannot take images, or undefined if it can or
+     * its capabilities are unknown (then the server has the final word).
+     */
+    private async imageSupportProblem(): Promise<string | undefined> {
+        const model = vscode.workspace.getConfiguration('replitCopilot').get<string>('defaultModel') || 'llama3.2:1b';
+        let capabilities: string[] | undefined;
+        try {
+            capabilities = await this.modelManager.capabilities(model);
+        } catch (error) {
+            console.log(`[OLLAMA-CHAT] Could not read capabilities of ${model}:`, error instanceof Error ? error.message : error);
+            return undefined;
         }
+        if (!capabilities || capabilities.includes('vision')) {
+            return undefined;
+        }
+        return `${model} cannot read images (its capabilities are: ${capabilities.join(', ') || 'none'}). ` +
+            'Switch to a vision model such as llava, llama3.2-vision or qwen2.5vl to ask about images.';
     }
 
-    private _getHtmlForWebview(webview: vscode.Webview) {
-        const nonce = getNonce();
-        
-        return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}' ${webview.cspSource};">
-    <title>Ollama Chat</title>
-    <style>
-        * { box-sizing: border-box; margin: 0; padding: 0; }
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif; height: 100vh; display: flex; flex-direction: column; background: #0f172a; color: #f8fafc; font-size: 14px; }
-        .header { display: flex; align-items: center; justify-content: space-between; padding: 16px; border-bottom: 1px solid #374151; background: #1e293b; }
-        .header-left { display: flex; align-items: center; gap: 8px; }
-        .logo { width: 16px; height: 16px; background: linear-gradient(45deg, #3b82f6, #1d4ed8); border-radius: 2px; display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 10px; }
-        .settings-btn { padding: 8px; background: none; border: none; color: #f8fafc; cursor: pointer; border-radius: 6px; transition: background 0.2s; }
-        .settings-btn:hover { background: #374151; }
-        .settings-panel { background: #1e293b; border-bottom: 1px solid #374151; padding: 16px; display: none; }
-        .settings-panel.visible { display: block; }
-        .form-group { margin-bottom: 12px; }
-        .form-label { display: block; margin-bottom: 4px; font-size: 12px; font-weight: 500; color: #d1d5db; }
-        .form-input, .form-select { width: 100%; padding: 8px 12px; background: #374151; border: 1px solid #4b5563; border-radius: 6px; color: #f8fafc; font-size: 14px; }
-        .form-input:focus, .form-select:focus { outline: none; border-color: #3b82f6; }
-        .btn { padding: 8px 16px; border: none; border-radius: 6px; font-weight: 500; cursor: pointer; transition: background 0.2s; margin-right: 8px; margin-bottom: 8px; }
-        .btn-primary { background: #3b82f6; color: white; } .btn-primary:hover { background: #2563eb; }
-        .btn-success { background: #10b981; color: white; } .btn-success:hover { background: #059669; }
-        .btn-warning { background: #f59e0b; color: white; } .btn-warning:hover { background: #d97706; }
-        .chat-container { flex: 1; overflow-y: auto; background: #0f172a; }
-        .messages { padding: 16px; min-height: 100%; }
-        .welcome { text-align: center; color: #6b7280; margin-bottom: 24px; }
-        .welcome h3 { color: #3b82f6; margin-bottom: 8px; font-size: 18px; }
-        .message { display: flex; margin-bottom: 16px; animation: slideIn 0.3s ease-out; }
-        .message.user { flex-direction: row-reverse; margin-left: 32px; }
-        .message.assistant { margin-right: 32px; }
-        .avatar { width: 32px; height: 32px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 12px; margin: 0 12px; }
-        .avatar.user { background: #059669; }
-        .avatar.assistant { background: #3b82f6; }
-        .message-content { flex: 1; padding: 12px; border-radius: 12px; word-wrap: break-word; }
-        .message.user .message-content { background: #064e3b; }
-        .message.assistant .message-content { background: #1e293b; }
-        .input-area { border-top: 1px solid #374151; background: #1e293b; padding: 16px; }
-        .input-row { display: flex; align-items: flex-end; gap: 12px; }
-        .input-wrapper { flex: 1; }
-        .chat-input { width: 100%; min-height: 40px; max-height: 120px; padding: 12px; background: #374151; border: 1px solid #4b5563; border-radius: 12px; color: #f8fafc; resize: none; font-family: inherit; font-size: 14px; }
-        .chat-input:focus { outline: none; border-color: #3b82f6; }
-        .send-btn { padding: 12px 24px; background: #3b82f6; border: none; border-radius: 12px; color: white; font-weight: 500; cursor: pointer; transition: all 0.2s; }
-        .send-btn:hover:not(:disabled) { background: #2563eb; }
-        .send-btn:disabled { background: #4b5563; cursor: not-allowed; }
-        .typing { display: flex; align-items: center; gap: 8px; color: #6b7280; }
-        .typing-dots { display: flex; gap: 2px; }
-        .typing-dot { width: 4px; height: 4px; background: #6b7280; border-radius: 50%; animation: bounce 1.5s infinite; }
-        .typing-dot:nth-child(2) { animation-delay: 0.1s; }
-        .typing-dot:nth-child(3) { animation-delay: 0.2s; }
-        @keyframes slideIn { from { opacity: 0; transform: translateY(10px); } to { opacity: 1; transform: translateY(0); } }
-        @keyframes bounce { 0%, 60%, 100% { transform: translateY(0); } 30% { transform: translateY(-6px); } }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <div class="header-left">
-            <div class="logo">O</div>
-            <span style="font-weight: 600;">Ollama Chat</span>
-            <span id="status" style="font-size: 12px; color: #10b981;">⚡ Ready</span>
-        </div>
-        <button class="settings-btn" onclick="toggleSettings()">⚙️</button>
-    </div>
+    private async postImageSupport() {
+        const problem = await this.imageSupportProblem();
+        this.postMessage({ type: 'imageSupport', supported: !problem, message: problem });
+    }
 
-    <div id="settingsPanel" class="settings-panel">
-        <div class="form-group">
-            <label class="form-label">Model</label>
+    private async handlePickImages() {
+        const uris = await vscode.window.showOpenDialog({
+            canSelectMany: true,
+            openLabel: 'Attach',
+            filters: { Images: PICKABLE_IMAGE_EXTENSIONS }
+        });
+        await this.attachImageFiles(uris || []);
+    }
+
+    /** Images dropped from the Explorer arrive as URIs rather than file contents. */
+    private async handleAttachImageUris(uris: string[]) {
+        await this.attachImageFiles(uris.map(uri => vscode.Uri.parse(uri)));
+    }
+
+    private async attachImageFiles(uris: vscode.Uri[]) {
+        const images: ImageAttachment[] = [];
+        for (const uri of uris) {
+            try {
+                images.push(await readImageFile(uri));
+            } catch (error) {
+                this.postMessage({ type: 'error', message: `Could not attach image: ${error instanceof Error ? error.message : error}` });
+            }
+        }
+        if (images.length > 0) {
+            this.postMessage({ type: 'imagesAttached', images });
+        }
+    }
+
+    /**
+     * Streams a reply's reasoning to the webview and keeps it, with how long
+     * the model spent on it, for the transcript.
+     */
+    private trackThinking() {
+        let thinking = '';
+        let startedAt = 0;
+        let endedAt = 0;
+        return {
+            onThinking: (token: string) => {
+                endedAt = Date.now();
+                if (!thinking) {
+                    startedAt = endedAt;
+                }
+                thinking += token;
+                this.postMessage({ type: 'thinkingToken', token });
+            },
+            result: (): { thinking?: string; thinkingMs?: number } =>
+                thinking.trim() ? { thinking, thinkingMs: endedAt - startedAt } : {}
+        };
+    }
+
+    private async saveSession() {
+        const session = this.currentSession();
+        session.updatedAt = Date.now();
+        // Full images stay in memory for follow-up questions; saved chats and exports keep only the transcript's thumbnails
+        session.history = this.ollamaClient.getConversationHistory()
+            .filter(message => message.role !== 'system' || isSummaryMessage(message))
+            .map(({ images, ...message }) => images?.length
+                ? { ...message, content: `${message.content}\n[${images.length === 1 ? 'An image was' : `${images.length} images were`} attached here; images are not kept in saved chats]` }
+                : message);
+        try {
+            await this.sessionStore.save(session);
+        } catch (error) {
+            console.error('[OLLAMA-CHAT] Failed to save chat session:', error);
+        }
+        this.postSessionInfo();
+    }
+
+    /**
+     * Titles a chat after its first exchange: the opening message is used
+     * straight away and replaced by a model-written title when one arrives.
+     */
+    private async generateSessionTitle(session: ChatSession) {
+        const firstUser = session.transcript.find(entry => entry.role === 'user');
+        const firstReply = session.transcript.find(entry => entry.role === 'assistant');
+        if (!session.autoTitle || session.title !== UNTITLED_SESSION || !firstUser || !firstReply) {
+            return;
+        }
+
+        session.title = firstUser.content.replace(/\s+/g, ' ').trim().slice(0, 50) || UNTITLED_SESSION;
+        try {
+            const title = await this.ollamaClient.generateTitle(firstUser.content, firstReply.content);
+            // The user may have renamed the chat while the model was busy
+            if (title && session.autoTitle) {
+                session.title = title;
+            }
+        } catch (error) {
+            console.log('[OLLAMA-CHAT] Could not generate a chat title:', error);
+        }
+
+        try {
+            await this.sessionStore.save(session);
+        } catch (error) {
+            console.error('[OLLAMA-CHAT] Failed to save chat session:', error);
+        }
+        this.postSessionInfo();
+    }
+
+    /**
+     * Redraws the chat when the webview is (re)created. On first load the
+     * most recent saved chat is resumed.
+     */
+    private async restoreSession() {
+        this.ollamaClient.setContextBlock('workspace', await this.getWorkspaceContext());
+        if (!this.session) {
+            const [latest] = await this.sessionStore.list();
+            const saved = latest ? await this.sessionStore.load(latest.id) : undefined;
+            if (saved) {
+                this.session = saved;
+                this.ollamaClient.setHistory(saved.history);
+            }
+        }
+        this.postSessionLoaded();
+    }
+
+    private startNewSession() {
+        this.session = this.sessionStore.create();
+        this.ollamaClient.clearHistory();
+        this.postSessionLoaded();
+    }
+
+    private async loadSession(id: string) {
+        const session = await this.sessionStore.load(id);
+        if (!session) {
+            this.postMessage({ type: 'error', message: 'That chat could not be found. It may have been deleted.' });
+            await this.postSessionList();
+            return;
+        }
+
+        this.session = session;
+        this.ollamaClient.setHistory(session.history);
+        this.postSessionLoaded();
+    }
+
+    private async renameSession(id: string, title: string) {
+        const session = this.session?.id === id ? this.session : await this.sessionStore.load(id);
+        if (!session || !title?.trim()) {
+            return;
+        }
+
+        session.title = title.trim();
+        session.autoTitle = false;
+        await this.sessionStore.save(session);
+        this.postSessionInfo();
+        await this.postSessionList();
+    }
+
+    private async deleteSession(id: string) {
+        const summary = (await this.sessionStore.list()).find(s => s.id === id);
+        const choice = await vscode.window.showWarningMessage(
+            `Delete the chat "${summary?.title || UNTITLED_SESSION}"? This cannot be undone.`,
+            { modal: true },
+            'Delete'
+        );
+        if (choice !== 'Delete') {
+            return;
+        }
+
+        await this.sessionStore.delete(id);
+        if (this.session?.id === id) {
+            this.startNewSession();
+        }
+        await this.postSessionList();
+    }
+
+    private async exportSession(id: string, format: 'markdown' | 'json') {
+        try {
+            const session = this.session?.id === id ? this.session : await this.sessionStore.load(id);
+            if (!session) {
+                throw new Error('chat not found');
+            }
+
+            const extension = format === 'json' ? 'json' : 'md';
+            const fileName = `${session.title.replace(/[^a-zA-Z0-9-_ ]/g, '').trim().replace(/\s+/g, '-') || 'chat'}.${extension}`;
+            const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+            const target = await vscode.window.showSaveDialog({
+                defaultUri: folder ? vscode.Uri.joinPath(folder, fileName) : undefined,
+                filters: format === 'json' ? { 'Chat session': ['json'] } : { Markdown: ['md'] }
+            });
+            if (!target) {
+                return;
+            }
+
+            const content = format === 'json' ? ChatSessionStore.toJson(session) : ChatSessionStore.toMarkdown(session);
+            await vscode.workspace.fs.writeFile(target, Buffer.from(content, 'utf-8'));
+            vscode.window.showInformationMessage(`Exported chat to ${vscode.workspace.asRelativePath(target)}`);
+        } catch (error) {
+            this.postMessage({ type: 'error', message: `Failed to export chat: ${error instanceof Error ? error.message : error}` });
+        }
+    }
+
+    private async importSession() {
+        try {
+            const [source] = await vscode.window.showOpenDialog({
+                canSelectMany: false,
+                filters: { 'Chat session': ['json'] },
+                openLabel: 'Import Chat'
+            }) || [];
+            if (!source) {
+                return;
+            }
+
+            const bytes = await vscode.workspace.fs.readFile(source);
+            const session = this.sessionStore.fromJson(Buffer.from(bytes).toString('utf-8'));
+            await this.sessionStore.save(session);
+            await this.loadSession(session.id);
+        } catch (error) {
+            this.postMessage({ type: 'error', message: `Failed to import chat: ${error instanceof Error ? error.message : error}` });
+        }
+    }
+
+    private postSessionInfo() {
+        const session = this.currentSession();
+        this.postMessage({ type: 'sessionInfo', session: { id: session.id, title: session.title } });
+    }
+
+    private postSessionLoaded() {
+        const session = this.currentSession();
+        this.postMessage({
+            type: 'sessionLoaded',
+            session: { id: session.id, title: session.title },
+            // The webview renders entries itself, as it does live messages
+            entries: session.transcript.map(({ role, content, interrupted, thinking, thinkingMs, images }) => ({ role, content, interrupted: !!interrupted, thinking, thinkingMs, images }))
+        });
+        this.postContextUsage();
+    }
+
+    private postContextUsage() {
+        this.postMessage({ type: 'contextUsage', usage: this.ollamaClient.getContextUsage() });
+    }
+
+    private async postSessionList(query?: string) {
+        const sessions = query ? await this.sessionStore.search(query) : await this.sessionStore.list();
+        this.postMessage({ type: 'sessionList', sessions, currentId: this.session?.id });
+    }
+
+    /**
+     * Chunks from the semantic index that match this turn's question. They
+     * replace the previous turn's chunks rather than accumulating in history.
+     */
+    private async getCodeContext(message: string, signal: AbortSignal): Promise<string | undefined> {
+        try {
+            return await this.codeIndex.buildContext(message, signal);
+        } catch (error) {
+            console.log('[OLLAMA-CHAT] Code index lookup failed:', error instanceof Error ? error.message : error);
+            return undefined;
+        }
+    }
+
+    private async getWorkspaceContext(): Promise<string> {
+        try {
+            const workspaceOverview = await this.fileOpsManager.getWorkspaceOverview();
+            const workspaceRoots = this.fileOpsManager.describeWorkspace();
+            
+            return `WORKSPACE CONTEXT:\n${workspaceOverview}\n\n${workspaceRoots}\n\nAvailable file operations: read, write, create, delete, list, search\nYou can help with file management through natural language commands.`;
+        } catch (error) {
+            return `WORKSPACE CONTEXT: Error loading workspace context: ${error}`;
+        }
+    }
+
+
+    private postMessage(message: any) {
+        if (this._view) {
+            this._view.webview.postMessage(message);
+        }
+    }
+
+    private _getHtmlForWebview(webview: vscode.Webview) {
+        const nonce = getNonce();
+        const markdownUri = webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, 'media', 'markdown.js'));
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}' ${webview.cspSource}; img-src ${webview.cspSource} data:;">
+    <title>Ollama Chat</title>
+    <style>
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif; height: 100vh; display: flex; flex-direction: column; background: #0f172a; color: #f8fafc; font-size: 14px; }
+        .header { display: flex; align-items: center; justify-content: space-between; padding: 16px; border-bottom: 1px solid #374151; background: #1e293b; }
+        .header-left { display: flex; align-items: center; gap: 8px; }
+        .logo { width: 16px; height: 16px; background: linear-gradient(45deg, #3b82f6, #1d4ed8); border-radius: 2px; display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 10px; }
+        .settings-btn { padding: 8px; background: none; border: none; color: #f8fafc; cursor: pointer; border-radius: 6px; transition: background 0.2s; }
+        .settings-btn:hover { background: #374151; }
+        .settings-panel { background: #1e293b; border-bottom: 1px solid #374151; padding: 16px; display: none; }
+        .settings-panel.visible { display: block; }
+        .form-group { margin-bottom: 12px; }
+        .form-label { display: block; margin-bottom: 4px; font-size: 12px; font-weight: 500; color: #d1d5db; }
+        .form-input, .form-select { width: 100%; padding: 8px 12px; background: #374151; border: 1px solid #4b5563; border-radius: 6px; color: #f8fafc; font-size: 14px; }
+        .form-input:focus, .form-select:focus { outline: none; border-color: #3b82f6; }
+        .btn { padding: 8px 16px; border: none; border-radius: 6px; font-weight: 500; cursor: pointer; transition: background 0.2s; margin-right: 8px; margin-bottom: 8px; }
+        .btn-primary { background: #3b82f6; color: white; } .btn-primary:hover { background: #2563eb; }
+        .btn-success { background: #10b981; color: white; } .btn-success:hover { background: #059669; }
+        .btn-warning { background: #f59e0b; color: white; } .btn-warning:hover { background: #d97706; }
+        .chat-container { flex: 1; overflow-y: auto; background: #0f172a; }
+        .messages { padding: 16px; min-height: 100%; }
+        .welcome { text-align: center; color: #6b7280; margin-bottom: 24px; }
+        .header-right { display: flex; align-items: center; gap: 2px; }
+        .preset-select { max-width: 120px; padding: 4px 6px; background: #374151; border: 1px solid #4b5563; border-radius: 6px; color: #f8fafc; font-size: 12px; margin-right: 4px; }
+        .history-toolbar { display: flex; gap: 8px; margin-bottom: 8px; }
+        .history-toolbar .form-input { flex: 1; }
+        .history-toolbar .btn { margin: 0; }
+        .history-list { max-height: 260px; overflow-y: auto; }
+        .history-item { display: flex; align-items: center; gap: 6px; padding: 6px 8px; border-radius: 6px; }
+        .history-item:hover { background: #374151; }
+        .history-item.current { border-left: 3px solid #3b82f6; }
+        .history-info { flex: 1; min-width: 0; cursor: pointer; }
+        .history-title { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .history-meta { font-size: 11px; color: #9ca3af; }
+        .history-item button { background: none; border: none; color: #9ca3af; cursor: pointer; font-size: 11px; padding: 2px 4px; }
+        .history-item button:hover { color: #f8fafc; }
+        .welcome h3 { color: #3b82f6; margin-bottom: 8px; font-size: 18px; }
+        .message { display: flex; margin-bottom: 16px; animation: slideIn 0.3s ease-out; }
+        .message.user { flex-direction: row-reverse; margin-left: 32px; }
+        .message.assistant { margin-right: 32px; }
+        .avatar { width: 32px; height: 32px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 12px; margin: 0 12px; }
+        .avatar.user { background: #059669; }
+        .avatar.assistant { background: #3b82f6; }
+        .message-content { flex: 1; padding: 12px; border-radius: 12px; word-wrap: break-word; }
+        .message.user .message-content { background: #064e3b; }
+        .message.assistant .message-content { background: #1e293b; }
+        .input-area { border-top: 1px solid #374151; background: #1e293b; padding: 16px; }
+        .input-row { display: flex; align-items: flex-end; gap: 12px; }
+        .input-wrapper { flex: 1; }
+        .chat-input { width: 100%; min-height: 40px; max-height: 120px; padding: 12px; background: #374151; border: 1px solid #4b5563; border-radius: 12px; color: #f8fafc; resize: none; font-family: inherit; font-size: 14px; }
+        .chat-input:focus { outline: none; border-color: #3b82f6; }
+        .send-btn { padding: 12px 24px; background: #3b82f6; border: none; border-radius: 12px; color: white; font-weight: 500; cursor: pointer; transition: all 0.2s; }
+        .send-btn:hover:not(:disabled) { background: #2563eb; }
+        .send-btn:disabled { background: #4b5563; cursor: not-allowed; }
+        .send-btn.stop { background: #dc2626; }
+        .send-btn.stop:hover:not(:disabled) { background: #b91c1c; }
+        .tool-output { white-space: pre-wrap; max-height: 300px; overflow: auto; margin-top: 6px; padding: 8px; background: #0f172a; border-radius: 6px; font-size: 12px; }
+        .tool-result summary { cursor: pointer; font-size: 12px; color: #9ca3af; }
+        .reasoning { margin-bottom: 8px; padding: 6px 8px; border-left: 2px solid #4b5563; background: #111827; border-radius: 0 6px 6px 0; }
+        .reasoning summary { cursor: pointer; font-size: 12px; color: #9ca3af; }
+        .reasoning-text { margin-top: 6px; max-height: 240px; overflow-y: auto; white-space: pre-wrap; font-size: 12px; color: #9ca3af; }
+        .interrupted-note { margin-top: 6px; font-size: 12px; color: #f59e0b; }
+        .context-meter { display: flex; align-items: center; gap: 8px; margin-bottom: 8px; font-size: 11px; color: #9ca3af; }
+        .context-meter-bar { flex: 1; height: 4px; background: #374151; border-radius: 2px; overflow: hidden; }
+        .context-meter-fill { height: 100%; width: 0; background: #10b981; transition: width 0.3s; }
+        .context-meter-fill.warn { background: #f59e0b; }
+        .context-meter-fill.full { background: #ef4444; }
+        .model-list { max-height: 220px; overflow-y: auto; margin-bottom: 8px; }
+        .model-item { display: flex; align-items: center; gap: 6px; padding: 6px 8px; border-radius: 6px; }
+        .model-item:hover { background: #374151; }
+        .model-item.current { border-left: 3px solid #3b82f6; }
+        .model-info { flex: 1; min-width: 0; }
+        .model-name { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .model-meta { font-size: 11px; color: #9ca3af; }
+        .model-item button { background: none; border: none; color: #9ca3af; cursor: pointer; font-size: 11px; padding: 2px 4px; }
+        .model-item button:hover { color: #f8fafc; }
+        .model-pull { display: flex; gap: 8px; }
+        .model-pull .form-input { flex: 1; }
+        .model-pull .btn { margin: 0; }
+        .pull-status { display: none; align-items: center; gap: 8px; margin-top: 8px; font-size: 11px; color: #9ca3af; }
+        .pull-status.visible { display: flex; }
+        .pull-status button { background: none; border: none; color: #9ca3af; cursor: pointer; font-size: 11px; }
+        .typing { display: flex; align-items: center; gap: 8px; color: #6b7280; }
+        .typing-dots { display: flex; gap: 2px; }
+        .typing-dot { width: 4px; height: 4px; background: #6b7280; border-radius: 50%; animation: bounce 1.5s infinite; }
+        .typing-dot:nth-child(2) { animation-delay: 0.1s; }
+        .typing-dot:nth-child(3) { animation-delay: 0.2s; }
+        .input-tools { display: flex; flex-direction: column; gap: 6px; }
+        .icon-btn { padding: 8px 10px; background: #374151; border: 1px solid #4b5563; border-radius: 12px; color: #f8fafc; cursor: pointer; }
+        .icon-btn:hover { background: #4b5563; }
+        .chips { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 8px; }
+        .chips:empty { display: none; }
+        .chip { display: inline-flex; align-items: center; gap: 6px; padding: 2px 8px; background: #1e3a8a; border-radius: 10px; font-size: 12px; }
+        .chip button { background: none; border: none; color: #93c5fd; cursor: pointer; font-size: 12px; }
+        .chip.mention { background: #134e4a; }
+        .chip.mention.error { background: #7f1d1d; }
+        .chip-tokens { color: #9ca3af; font-size: 11px; }
+        .chip.image { background: #312e81; }
+        .chip.image img { width: 20px; height: 20px; object-fit: cover; border-radius: 3px; }
+        .image-thumbs { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px; }
+        .image-thumb { max-width: 120px; max-height: 120px; border-radius: 6px; border: 1px solid #4b5563; font-size: 12px; }
+        .input-area.drop-target { outline: 2px dashed #3b82f6; outline-offset: -4px; }
+        .markdown { line-height: 1.5; }
+        .markdown > :first-child { margin-top: 0; }
+        .markdown p, .markdown ul, .markdown ol, .markdown blockquote, .markdown .table-wrapper { margin: 8px 0; }
+        .markdown h1, .markdown h2, .markdown h3, .markdown h4, .markdown h5, .markdown h6 { margin: 12px 0 6px 0; font-weight: 600; }
+        .markdown h1 { font-size: 1.4em; } .markdown h2 { font-size: 1.25em; } .markdown h3 { font-size: 1.1em; } .markdown h4, .markdown h5, .markdown h6 { font-size: 1em; }
+        .markdown ul, .markdown ol { padding-left: 20px; }
+        .markdown li.task-item { list-style: none; margin-left: -18px; }
+        .markdown li.task-item input { margin-right: 6px; }
+        .markdown blockquote { padding-left: 10px; border-left: 3px solid #4b5563; color: #cbd5e1; }
+        .markdown hr { border: none; border-top: 1px solid #374151; margin: 12px 0; }
+        .markdown a { color: var(--vscode-textLink-foreground, #60a5fa); }
+        .markdown :not(pre) > code { padding: 1px 4px; border-radius: 3px; background: var(--vscode-textCodeBlock-background, #111827); font-family: var(--vscode-editor-font-family, monospace); font-size: 0.9em; }
+        .markdown .table-wrapper { overflow-x: auto; }
+        .markdown table { border-collapse: collapse; font-size: 13px; }
+        .markdown th, .markdown td { padding: 4px 8px; border: 1px solid #374151; }
+        .markdown th { background: #111827; font-weight: 600; }
+        .code-block { margin: 8px 0; border: 1px solid var(--vscode-widget-border, #374151); border-radius: 6px; overflow: hidden; }
+        .code-block-header { display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 4px 8px; background: var(--vscode-editorGroupHeader-tabsBackground, #111827); font-size: 11px; color: var(--vscode-descriptionForeground, #9ca3af); }
+        .code-block-header > span:first-child { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .code-block-actions { display: flex; gap: 4px; flex-shrink: 0; }
+        .code-block.open .code-block-actions { visibility: hidden; }
+        .code-action { padding: 2px 8px; background: var(--vscode-button-secondaryBackground, #374151); border: none; border-radius: 4px; color: var(--vscode-button-secondaryForeground, #f8fafc); cursor: pointer; font-size: 11px; }
+        .code-action:hover { background: var(--vscode-button-secondaryHoverBackground, #4b5563); }
+        .code-action[data-action="apply"] { background: var(--vscode-button-background, #2563eb); color: var(--vscode-button-foreground, white); }
+        .code-action[data-action="apply"]:hover { background: var(--vscode-button-hoverBackground, #1d4ed8); }
+        .code-block pre { margin: 0; padding: 10px 12px; overflow-x: auto; background: var(--vscode-editor-background, #1e1e1e); color: var(--vscode-editor-foreground, #d4d4d4); }
+        .code-block code { font-family: var(--vscode-editor-font-family, monospace); font-size: var(--vscode-editor-font-size, 12px); }
+        /* Token colours come from the active theme's symbol and debug colours */
+        .tok-keyword { color: var(--vscode-symbolIcon-keywordForeground, #569cd6); }
+        .tok-string { color: var(--vscode-debugTokenExpression-string, #ce9178); }
+        .tok-number { color: var(--vscode-debugTokenExpression-number, #b5cea8); }
+        .tok-comment { color: var(--vscode-descriptionForeground, #6a9955); font-style: italic; }
+        .tok-function { color: var(--vscode-symbolIcon-functionForeground, #dcdcaa); }
+        .tok-type { color: var(--vscode-symbolIcon-classForeground, #4ec9b0); }
+        .tok-property { color: var(--vscode-symbolIcon-propertyForeground, #9cdcfe); }
+        .tok-variable { color: var(--vscode-symbolIcon-variableForeground, #9cdcfe); }
+        .tok-tag { color: var(--vscode-debugTokenExpression-name, #569cd6); }
+        .tok-inserted { color: var(--vscode-gitDecoration-addedResourceForeground, #81b88b); }
+        .tok-deleted { color: var(--vscode-gitDecoration-deletedResourceForeground, #c74e39); }
+        .tok-meta { color: var(--vscode-descriptionForeground, #9ca3af); }
+        .popup-menu { display: none; max-height: 200px; overflow-y: auto; margin-bottom: 8px; background: #0f172a; border: 1px solid #4b5563; border-radius: 8px; }
+        .popup-menu.visible { display: block; }
+        .popup-item { padding: 6px 10px; cursor: pointer; font-size: 13px; }
+        .popup-item .hint { color: #9ca3af; font-size: 11px; margin-left: 6px; }
+        .popup-item.active, .popup-item:hover { background: #1e3a8a; }
+        .popup-section { padding: 4px 10px; font-size: 11px; color: #9ca3af; text-transform: uppercase; }
+        .inline-form { display: none; margin-bottom: 8px; padding: 10px; background: #0f172a; border: 1px solid #4b5563; border-radius: 8px; }
+        .inline-form.visible { display: block; }
+        .inline-form h4 { font-size: 13px; margin-bottom: 8px; }
+        @keyframes slideIn { from { opacity: 0; transform: translateY(10px); } to { opacity: 1; transform: translateY(0); } }
+        @keyframes bounce { 0%, 60%, 100% { transform: translateY(0); } 30% { transform: translateY(-6px); } }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="header-left">
+            <div class="logo">O</div>
+            <span style="font-weight: 600;">Ollama Chat</span>
+            <span id="status" style="font-size: 12px; color: #10b981;">⚡ Ready</span>
+        </div>
+        <div class="header-right">
+            <select id="presetSelect" class="preset-select" title="Generation preset for chat"></select>
+            <select id="thinkSelect" class="preset-select" title="Reasoning for the current model">
+                <option value="">🧠 Default</option>
+                <option value="on">🧠 Think</option>
+                <option value="off">🧠 No thinking</option>
+            </select>
+            <button id="newChatBtn" class="settings-btn" title="New chat">➕</button>
+            <button id="historyBtn" class="settings-btn" title="Chat history">🕘</button>
+            <button id="settingsBtn" class="settings-btn" title="Settings">⚙️</button>
+        </div>
+    </div>
+
+    <div id="historyPanel" class="settings-panel">
+        <div class="history-toolbar">
+            <input type="text" id="historySearch" class="form-input" placeholder="Search chats...">
+            <button id="importSessionBtn" class="btn" title="Import a chat from a JSON export">Import</button>
+        </div>
+        <div id="historyList" class="history-list"></div>
+    </div>
+
+    <div id="settingsPanel" class="settings-panel">
+        <div class="form-group">
+            <label class="form-label">Model</label>
             <select id="modelSelect" class="form-select">
-                <option value="llama3.2:1b">Llama-3.2:1b (Fast)</option>
-                <option value="llama3.2:3b">Llama-3.2:3b</option>
-                <option value="codellama">CodeLlama</option>
+                <option value="">Loading models...</option>
             </select>
         </div>
+
+        <div class="form-group">
+            <label class="form-label" id="installedModelsLabel">Installed Models</label>
+            <div id="installedModels" class="model-list"></div>
+            <div class="model-pull">
+                <input type="text" id="pullModelName" class="form-input" placeholder="Model to download, e.g. qwen2.5-coder:7b">
+                <button id="pullModelBtn" class="btn btn-primary">Pull</button>
+            </div>
+            <div id="pullStatus" class="pull-status">
+                <span id="pullStatusLabel"></span>
+                <div class="context-meter-bar"><div id="pullStatusFill" class="context-meter-fill"></div></div>
+                <button id="cancelPullBtn" title="Cancel download">✕</button>
+            </div>
+        </div>
         
         <div class="form-group">
             <label class="form-label">MCP Config File Path</label>
@@ -351,109 +1342,1062 @@ export class ChatProvider implements vscode.WebviewViewProvider {
         </div>
         
         <div style="margin: 16px 0;">
-            <button class="btn btn-primary" onclick="saveSettings()">💾 Save</button>
-            <button class="btn btn-success" onclick="testConnection()">🔍 Test</button>
-            <button class="btn btn-warning" onclick="refreshMcpTools()">🛠️ MCP Tools</button>
+            <button id="saveSettingsBtn" class="btn btn-primary">💾 Save</button>
+            <button id="testConnectionBtn" class="btn btn-success">🔍 Test</button>
+            <button id="refreshMcpToolsBtn" class="btn btn-warning">🛠️ MCP Tools</button>
+        </div>
+    </div>
+
+    <div class="chat-container">
+        <div class="messages" id="messages">
+            <div class="welcome">
+                <h3>⚡ Ollama Chat</h3>
+                <p>Fast AI assistant with file operations.<br>Try: "create file test.js", "list files", "read package.json"</p>
+            </div>
+        </div>
+    </div>
+
+    <div class="input-area">
+        <div id="slashMenu" class="popup-menu"></div>
+        <div id="resourcePicker" class="popup-menu"></div>
+        <div id="inlineForm" class="inline-form"></div>
+        <div id="attachments" class="chips"></div>
+        <div id="contextMeter" class="context-meter">
+            <div class="context-meter-bar"><div id="contextMeterFill" class="context-meter-fill"></div></div>
+            <span id="contextMeterLabel"></span>
+        </div>
+        <div class="input-row">
+            <div class="input-wrapper">
+                <textarea id="chatInput" class="chat-input" placeholder="Ask about code, files, or anything... (/ for commands, @ for context)" rows="1"></textarea>
+            </div>
+            <div class="input-tools">
+                <button id="attachBtn" class="icon-btn" title="Attach MCP resource">📎</button>
+                <button id="imageBtn" class="icon-btn" title="Attach images (you can also paste or drop them)">🖼️</button>
+            </div>
+            <button id="sendBtn" class="send-btn">Send</button>
         </div>
     </div>
 
-    <div class="chat-container">
-        <div class="messages" id="messages">
-            <div class="welcome">
-                <h3>⚡ Ollama Chat</h3>
-                <p>Fast AI assistant with file operations.<br>Try: "create file test.js", "list files", "read package.json"</p>
-            </div>
-        </div>
-    </div>
+    <script nonce="${nonce}" src="${markdownUri}"></script>
+    <script nonce="${nonce}">
+        console.log('[WEBVIEW] Script starting...');
+        
+        let vscode;
+        try {
+            vscode = acquireVsCodeApi();
+            console.log('[WEBVIEW] VS Code API acquired successfully');
+        } catch (error) {
+            console.error('[WEBVIEW] Failed to acquire VS Code API:', error);
+        }
+
+        let isThinking = false;
+        let mcpCatalog = { resources: [], resourceTemplates: [], prompts: [] };
+        let attachments = [];
+        let mentions = [];
+        // Pending images: { name, mimeType, data (base64), thumbnail (data: URL) }
+        let images = [];
+        const MAX_IMAGES = 4;
+        const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+        const THUMBNAIL_SIZE = 160;
+        let mentionSeq = 0;
+        let mentionRequestId = 0;
+        let currentModel = '';
+        let pullingModel = null;
+        let mentionSuggestTimer;
+        let slashItems = [];
+        let slashIndex = 0;
+        let currentSessionId = null;
+        let historySearchTimer;
+        let welcomeHtml = '';
+
+        function init() {
+            console.log('[WEBVIEW] Initializing...');
+            
+            const chatInput = document.getElementById('chatInput');
+            const sendBtn = document.getElementById('sendBtn');
+            const settingsBtn = document.getElementById('settingsBtn');
+            
+            if (chatInput && sendBtn) {
+                chatInput.addEventListener('keydown', handleKeyPress);
+                sendBtn.addEventListener('click', () => isThinking ? stopGeneration() : sendMessage());
+                
+                chatInput.addEventListener('input', function() {
+                    this.style.height = 'auto';
+                    this.style.height = Math.min(this.scrollHeight, 120) + 'px';
+                    updateSlashMenu();
+                });
+                
+                setTimeout(() => chatInput.focus(), 100);
+            }
+            
+            if (settingsBtn) {
+                settingsBtn.addEventListener('click', toggleSettings);
+            }
+            // The nonce-based CSP blocks inline onclick handlers, so every button is bound here
+            document.getElementById('saveSettingsBtn').addEventListener('click', saveSettings);
+            document.getElementById('testConnectionBtn').addEventListener('click', testConnection);
+            document.getElementById('refreshMcpToolsBtn').addEventListener('click', refreshMcpTools);
+
+            const attachBtn = document.getElementById('attachBtn');
+            if (attachBtn) {
+                attachBtn.addEventListener('click', toggleResourcePicker);
+            }
+
+            document.getElementById('imageBtn').addEventListener('click', () => {
+                vscode.postMessage({ type: 'pickImages' });
+            });
+            chatInput.addEventListener('paste', (event) => {
+                const files = Array.from(event.clipboardData ? event.clipboardData.files : []).filter(file => file.type.startsWith('image/'));
+                if (files.length > 0) {
+                    event.preventDefault();
+                    files.forEach(addImageFile);
+                }
+            });
+            const inputArea = document.querySelector('.input-area');
+            inputArea.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                inputArea.classList.add('drop-target');
+            });
+            inputArea.addEventListener('dragleave', () => inputArea.classList.remove('drop-target'));
+            inputArea.addEventListener('drop', (event) => {
+                event.preventDefault();
+                inputArea.classList.remove('drop-target');
+                const files = Array.from(event.dataTransfer.files).filter(file => file.type.startsWith('image/'));
+                if (files.length > 0) {
+                    files.forEach(addImageFile);
+                    return;
+                }
+                // Files dragged from the Explorer (hold Shift to drop into the view) come as URIs
+                const uris = (event.dataTransfer.getData('text/uri-list') || '').split(/\\r?\\n/).filter(uri => uri && !uri.startsWith('#'));
+                if (uris.length > 0) {
+                    vscode.postMessage({ type: 'attachImageUris', uris });
+                }
+            });
+
+            document.getElementById('newChatBtn').addEventListener('click', () => {
+                if (vscode && !isThinking) {
+                    vscode.postMessage({ type: 'newSession' });
+                }
+            });
+            document.getElementById('historyBtn').addEventListener('click', toggleHistory);
+            document.getElementById('thinkSelect').addEventListener('change', (event) => {
+                const value = event.target.value;
+                vscode.postMessage({ type: 'setThinking', enabled: value === '' ? null : value === 'on' });
+            });
+            document.getElementById('presetSelect').addEventListener('change', (event) => {
+                vscode.postMessage({ type: 'setPreset', name: event.target.value });
+            });
+            document.getElementById('pullModelBtn').addEventListener('click', () => startPull(document.getElementById('pullModelName').value));
+            document.getElementById('pullModelName').addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') startPull(event.target.value);
+            });
+            document.getElementById('cancelPullBtn').addEventListener('click', () => {
+                if (pullingModel) vscode.postMessage({ type: 'cancelPull', model: pullingModel });
+            });
+            document.getElementById('importSessionBtn').addEventListener('click', () => {
+                if (vscode) {
+                    vscode.postMessage({ type: 'importSession' });
+                }
+            });
+            document.getElementById('historySearch').addEventListener('input', () => {
+                clearTimeout(historySearchTimer);
+                historySearchTimer = setTimeout(requestSessionList, 200);
+            });
+            welcomeHtml = document.getElementById('messages').innerHTML;
+
+            // Apply buttons are rendered inside message HTML, so delegate from the list
+            const messagesList = document.getElementById('messages');
+            if (messagesList) {
+                messagesList.addEventListener('click', (event) => {
+                    const pullButton = event.target.closest('.pull-missing-btn');
+                    if (pullButton) {
+                        document.getElementById('settingsPanel').classList.add('visible');
+                        vscode.postMessage({ type: 'listInstalledModels' });
+                        startPull(pullButton.getAttribute('data-model'));
+                        return;
+                    }
+                    const button = event.target.closest('.code-action');
+                    if (button && vscode) {
+                        runCodeAction(button);
+                    }
+                });
+            }
+            
+            if (vscode) {
+                vscode.postMessage({ type: 'ready' });
+                vscode.postMessage({ type: 'getSettings' });
+                vscode.postMessage({ type: 'refreshModels' });
+                vscode.postMessage({ type: 'getPresets' });
+                vscode.postMessage({ type: 'getThinking' });
+                vscode.postMessage({ type: 'getMcpCatalog' });
+            }
+        }
+
+        function handleKeyPress(event) {
+            if (slashItems.length > 0) {
+                if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                    event.preventDefault();
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    slashIndex = (slashIndex + step + slashItems.length) % slashItems.length;
+                    renderSlashMenu();
+                    return;
+                }
+                if (event.key === 'Tab' || (event.key === 'Enter' && !event.shiftKey)) {
+                    event.preventDefault();
+                    chooseSlashItem(slashItems[slashIndex]);
+                    return;
+                }
+                if (event.key === 'Escape') {
+                    hideSlashMenu();
+                    return;
+                }
+            }
+
+            if (event.key === 'Escape' && isThinking) {
+                event.preventDefault();
+                stopGeneration();
+                return;
+            }
+
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                sendMessage();
+            }
+        }
+
+        function sendMessage() {
+            const input = document.getElementById('chatInput');
+            const message = input.value.trim();
+            
+            if ((!message && images.length === 0) || isThinking) return;
+
+            const prompt = findPromptCommand(message);
+            if (prompt) {
+                input.value = '';
+                openPrompt(prompt);
+                return;
+            }
+            
+            input.value = '';
+            input.style.height = 'auto';
+            hideSlashMenu();
+
+            const sent = attachments.slice();
+            const sentMentions = mentions.filter(m => !m.error).map(m => ({ id: m.id, kind: m.kind, value: m.value }));
+            const sentImages = images.slice();
+            addImageThumbnails(addMessage(escapeHtml(message) + attachmentSummary(sent, sentMentions), true), sentImages);
+            attachments = [];
+            mentions = [];
+            images = [];
+            renderAttachments();
+            
+            if (vscode) {
+                vscode.postMessage({ type: 'sendMessage', text: message, attachments: sent, mentions: sentMentions, images: sentImages });
+            }
+        }
+
+        function stopGeneration() {
+            const sendBtn = document.getElementById('sendBtn');
+            sendBtn.disabled = true;
+            sendBtn.textContent = 'Stopping…';
+            if (vscode) {
+                vscode.postMessage({ type: 'stopGeneration' });
+            }
+        }
+
+        // While a reply is running the send button turns into a stop button
+        function setThinking(thinking) {
+            const sendBtn = document.getElementById('sendBtn');
+            isThinking = thinking;
+            sendBtn.disabled = false;
+            sendBtn.textContent = thinking ? 'Stop' : 'Send';
+            sendBtn.classList.toggle('stop', thinking);
+            sendBtn.title = thinking ? 'Stop generating (Esc)' : '';
+            document.getElementById('status').textContent = thinking ? '🤔 Thinking...' : '⚡ Ready';
+        }
+
+        function formatTokens(count) {
+            return count >= 1000 ? (count / 1000).toFixed(1) + 'k' : String(count);
+        }
+
+        function showContextUsage(usage) {
+            const ratio = usage.numCtx > 0 ? usage.usedTokens / usage.numCtx : 0;
+            const fill = document.getElementById('contextMeterFill');
+            fill.style.width = Math.min(100, Math.round(ratio * 100)) + '%';
+            fill.className = 'context-meter-fill' + (ratio >= 0.95 ? ' full' : ratio >= 0.8 ? ' warn' : '');
+
+            document.getElementById('contextMeterLabel').textContent =
+                formatTokens(usage.usedTokens) + ' / ' + formatTokens(usage.numCtx) + ' tokens';
+            document.getElementById('contextMeter').title =
+                'Estimated context window usage, including room reserved for the reply and tools.' +
+                (usage.summarizedMessages > 0 ? ' ' + usage.summarizedMessages + ' older messages have been summarized.' : '');
+        }
+
+        function attachmentSummary(list, mentionList) {
+            const names = mentionList.map(mentionLabel).concat(list.map(a => a.name));
+            if (names.length === 0) return '';
+            return '<div style="font-size: 12px; color: #93c5fd; margin-top: 4px;">📎 ' +
+                names.map(escapeHtml).join(', ') + '</div>';
+        }
+
+        // Slash commands: the built-in file commands, run by the extension without
+        // asking the model, then one per MCP server prompt, named /server:prompt
+        const FILE_COMMANDS = ${JSON.stringify(FILE_COMMANDS)};
+
+        function slashCommands() {
+            const fileCommands = FILE_COMMANDS.map(entry => ({
+                command: entry.command,
+                description: entry.usage + ' · ' + entry.description,
+                fileCommand: entry
+            }));
+            return fileCommands.concat(mcpCatalog.prompts.map(prompt => ({
+                command: '/' + prompt.serverId + ':' + prompt.name,
+                description: prompt.title || prompt.description || '',
+                prompt: prompt
+            })));
+        }
+
+        function findPromptCommand(text) {
+            const match = slashCommands().find(item => item.command === text);
+            return match ? match.prompt : null;
+        }
+
+        function updateSlashMenu() {
+            if (updateMentionMenu() || updateCommandArgumentMenu()) return;
+            const value = document.getElementById('chatInput').value;
+            if (!value.startsWith('/') || value.includes(' ') || value.includes('\\n')) {
+                hideSlashMenu();
+                return;
+            }
+            slashItems = slashCommands().filter(item => item.command.startsWith(value));
+            slashIndex = 0;
+            renderSlashMenu();
+        }
+
+        function renderSlashMenu() {
+            const menu = document.getElementById('slashMenu');
+            menu.innerHTML = '';
+            slashItems.forEach((item, index) => {
+                const row = document.createElement('div');
+                row.className = 'popup-item' + (index === slashIndex ? ' active' : '');
+                row.textContent = item.command;
+                if (item.description) {
+                    const hint = document.createElement('span');
+                    hint.className = 'hint';
+                    hint.textContent = item.description;
+                    row.appendChild(hint);
+                }
+                row.addEventListener('mousedown', event => {
+                    event.preventDefault();
+                    chooseSlashItem(item);
+                });
+                menu.appendChild(row);
+            });
+            menu.classList.toggle('visible', slashItems.length > 0);
+        }
+
+        function hideSlashMenu() {
+            slashItems = [];
+            mentionRequestId++;
+            document.getElementById('slashMenu').classList.remove('visible');
+        }
+
+        function chooseSlashItem(item) {
+            if (item.token) {
+                chooseMentionItem(item);
+                return;
+            }
+            if (item.argument) {
+                chooseCommandArgument(item);
+                return;
+            }
+            if (item.fileCommand) {
+                const input = document.getElementById('chatInput');
+                input.value = item.command + ' ';
+                input.setSelectionRange(input.value.length, input.value.length);
+                input.focus();
+                hideSlashMenu();
+                updateSlashMenu();
+                return;
+            }
+            hideSlashMenu();
+            document.getElementById('chatInput').value = '';
+            openPrompt(item.prompt);
+        }
+
+        // @-mentions; @file and @folder go on to complete a workspace path from the extension
+        const MENTION_KINDS = [
+            { kind: 'file', description: 'Contents of a workspace file', needsPath: true },
+            { kind: 'folder', description: 'Files in a workspace folder', needsPath: true },
+            { kind: 'selection', description: 'Code selected in the editor' },
+            { kind: 'problems', description: 'Errors and warnings from the Problems panel' },
+            { kind: 'openEditors', description: 'Every open editor tab' },
+            { kind: 'gitDiff', description: 'Uncommitted git changes' },
+            { kind: 'terminal', description: 'Recent output of the active terminal' }
+        ];
+
+        // The @mention being typed just before the caret, if any
+        function findMentionToken() {
+            const input = document.getElementById('chatInput');
+            const before = input.value.slice(0, input.selectionStart);
+            const match = /(^|\s)@(\w*)(:(\S*))?$/.exec(before);
+            if (!match) return null;
+            return {
+                start: match.index + match[1].length,
+                end: input.selectionStart,
+                kind: match[2],
+                hasPath: match[3] !== undefined,
+                query: match[4] || ''
+            };
+        }
+
+        function updateMentionMenu() {
+            const token = findMentionToken();
+            if (!token) return false;
+
+            if (!token.hasPath) {
+                const typed = token.kind.toLowerCase();
+                slashItems = MENTION_KINDS
+                    .filter(entry => entry.kind.toLowerCase().startsWith(typed))
+                    .map(entry => ({
+                        command: '@' + entry.kind,
+                        description: entry.description,
+                        token: token,
+                        expandKind: entry.needsPath ? entry.kind : null,
+                        mention: entry.needsPath ? null : { kind: entry.kind }
+                    }));
+                slashIndex = 0;
+                renderSlashMenu();
+                return true;
+            }
+
+            const entry = MENTION_KINDS.find(e => e.kind === token.kind && e.needsPath);
+            if (!entry) {
+                hideSlashMenu();
+                return true;
+            }
+            requestPathSuggestions(entry.kind, token.query);
+            return true;
+        }
+
+        // Workspace paths matching the query, for @file:, @folder: and file command arguments
+        function requestPathSuggestions(kind, query) {
+            const requestId = ++mentionRequestId;
+            clearTimeout(mentionSuggestTimer);
+            mentionSuggestTimer = setTimeout(() => {
+                if (vscode) {
+                    vscode.postMessage({ type: 'mentionSuggestions', requestId: requestId, kind: kind, query: query });
+                }
+            }, 120);
+        }
+
+        function showMentionSuggestions(requestId, items) {
+            if (requestId !== mentionRequestId) return;
+            const argument = findCommandArgument();
+            if (argument) {
+                showCommandArguments(argument, items);
+                return;
+            }
+            const token = findMentionToken();
+            if (!token || !token.hasPath) return;
+            slashItems = items.map(item => ({
+                command: item.value,
+                description: item.description || '',
+                token: token,
+                mention: { kind: token.kind, value: item.value }
+            }));
+            slashIndex = 0;
+            renderSlashMenu();
+        }
+
+        // Replaces the typed @token: with "@file:" to go on completing a path, or with a chip
+        function chooseMentionItem(item) {
+            const input = document.getElementById('chatInput');
+            const replacement = item.expandKind ? '@' + item.expandKind + ':' : '';
+            input.value = input.value.slice(0, item.token.start) + replacement + input.value.slice(item.token.end);
+            const caret = item.token.start + replacement.length;
+            input.setSelectionRange(caret, caret);
+            input.focus();
+            hideSlashMenu();
+            if (item.expandKind) {
+                updateSlashMenu();
+            } else {
+                addMention(item.mention);
+            }
+        }
+
+        // The path argument being typed after a file command, e.g. "/read src/ma"
+        function findCommandArgument() {
+            const input = document.getElementById('chatInput');
+            if (input.selectionStart !== input.value.length) return null;
+            const match = /^(\\/\\w+) (\\S*)$/.exec(input.value);
+            const entry = match && FILE_COMMANDS.find(e => e.command === match[1] && e.complete);
+            if (!entry) return null;
+            return { entry: entry, start: match[1].length + 1, query: match[2] };
+        }
+
+        function updateCommandArgumentMenu() {
+            const argument = findCommandArgument();
+            if (!argument) return false;
+            requestPathSuggestions(argument.entry.complete, argument.query);
+            return true;
+        }
+
+        function showCommandArguments(argument, items) {
+            slashItems = items.map(item => ({
+                command: item.value + (argument.entry.complete === 'folder' ? '/' : ''),
+                description: item.description || '',
+                argument: argument
+            }));
+            slashIndex = 0;
+            renderSlashMenu();
+        }
+
+        // Folders end in "/" so typing goes on with the rest of the path
+        function chooseCommandArgument(item) {
+            const input = document.getElementById('chatInput');
+            input.value = input.value.slice(0, item.argument.start) + item.command;
+            input.setSelectionRange(input.value.length, input.value.length);
+            input.focus();
+            hideSlashMenu();
+        }
+
+        function mentionLabel(mention) {
+            return '@' + mention.kind + (mention.value ? ' ' + mention.value : '');
+        }
+
+        // The extension resolves the mention right away and replies with its token estimate
+        function addMention(mention) {
+            if (mentions.some(m => m.kind === mention.kind && (m.value || '') === (mention.value || ''))) return;
+            const chip = { id: 'm' + Date.now().toString(36) + (++mentionSeq), kind: mention.kind, value: mention.value };
+            mentions.push(chip);
+            renderAttachments();
+            if (vscode) {
+                vscode.postMessage({ type: 'previewMention', mention: { id: chip.id, kind: chip.kind, value: chip.value } });
+            }
+        }
+
+        function showMentionPreview(preview) {
+            const mention = mentions.find(m => m.id === preview.id);
+            if (!mention) return;
+            mention.tokens = preview.tokens;
+            mention.label = preview.label;
+            mention.error = preview.error;
+            renderAttachments();
+        }
+
+        function openPrompt(prompt) {
+            const args = prompt.arguments || [];
+            if (args.length === 0) {
+                runPrompt(prompt, {});
+                return;
+            }
+            showInlineForm(
+                '/' + prompt.serverId + ':' + prompt.name,
+                prompt.description || '',
+                args.map(arg => ({ name: arg.name, label: arg.name + (arg.required ? ' *' : ''), placeholder: arg.description || '', required: !!arg.required })),
+                'Run',
+                values => runPrompt(prompt, values)
+            );
+        }
+
+        function runPrompt(prompt, values) {
+            if (isThinking) return;
+            const summary = Object.keys(values).filter(key => values[key]).map(key => key + '=' + values[key]).join(', ');
+            addMessage(escapeHtml('/' + prompt.serverId + ':' + prompt.name + (summary ? ' (' + summary + ')' : '')), true);
+            if (vscode) {
+                vscode.postMessage({ type: 'runPrompt', serverId: prompt.serverId, name: prompt.name, arguments: values });
+            }
+        }
+
+        // Generic argument form shared by prompts and resource templates
+        function showInlineForm(title, description, fields, submitLabel, onSubmit) {
+            const form = document.getElementById('inlineForm');
+            form.innerHTML = '';
+
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            form.appendChild(heading);
+
+            if (description) {
+                const desc = document.createElement('p');
+                desc.style.cssText = 'font-size: 12px; color: #9ca3af; margin-bottom: 8px;';
+                desc.textContent = description;
+                form.appendChild(desc);
+            }
+
+            const inputs = {};
+            fields.forEach(field => {
+                const group = document.createElement('div');
+                group.className = 'form-group';
+                const label = document.createElement('label');
+                label.className = 'form-label';
+                label.textContent = field.label;
+                const input = document.createElement('input');
+                input.className = 'form-input';
+                input.placeholder = field.placeholder;
+                input.value = field.value || '';
+                group.appendChild(label);
+                group.appendChild(input);
+                form.appendChild(group);
+                inputs[field.name] = input;
+            });
+
+            const submit = document.createElement('button');
+            submit.className = 'btn btn-primary';
+            submit.textContent = submitLabel;
+            submit.addEventListener('click', () => {
+                const values = {};
+                for (const field of fields) {
+                    const value = inputs[field.name].value.trim();
+                    if (field.required && !value) {
+                        inputs[field.name].style.borderColor = '#ef4444';
+                        return;
+                    }
+                    values[field.name] = value;
+                }
+                hideInlineForm();
+                onSubmit(values);
+            });
+
+            const cancel = document.createElement('button');
+            cancel.className = 'btn';
+            cancel.textContent = 'Cancel';
+            cancel.addEventListener('click', hideInlineForm);
+
+            form.appendChild(submit);
+            form.appendChild(cancel);
+            form.classList.add('visible');
+
+            const first = form.querySelector('input');
+            if (first) first.focus();
+        }
+
+        function toggleHistory() {
+            const panel = document.getElementById('historyPanel');
+            panel.classList.toggle('visible');
+            if (panel.classList.contains('visible')) {
+                requestSessionList();
+            }
+        }
+
+        function requestSessionList() {
+            if (vscode) {
+                vscode.postMessage({ type: 'listSessions', query: document.getElementById('historySearch').value });
+            }
+        }
+
+        function renderSessionList(sessions) {
+            const list = document.getElementById('historyList');
+            list.innerHTML = '';
+
+            if (sessions.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'history-meta';
+                empty.textContent = document.getElementById('historySearch').value ? 'No chats match your search.' : 'No saved chats yet.';
+                list.appendChild(empty);
+                return;
+            }
+
+            sessions.forEach(session => {
+                const item = document.createElement('div');
+                item.className = 'history-item' + (session.id === currentSessionId ? ' current' : '');
+
+                const info = document.createElement('div');
+                info.className = 'history-info';
+                const title = document.createElement('div');
+                title.className = 'history-title';
+                title.textContent = session.title;
+                const meta = document.createElement('div');
+                meta.className = 'history-meta';
+                meta.textContent = new Date(session.updatedAt).toLocaleString() + ' · ' + session.messageCount + ' messages';
+                info.appendChild(title);
+                info.appendChild(meta);
+                info.addEventListener('click', () => {
+                    if (isThinking) return;
+                    vscode.postMessage({ type: 'loadSession', id: session.id });
+                    document.getElementById('historyPanel').classList.remove('visible');
+                });
+                item.appendChild(info);
+
+                const actions = [
+                    ['✏️', 'Rename', () => renameSession(session)],
+                    ['MD', 'Export as Markdown', () => vscode.postMessage({ type: 'exportSession', id: session.id, format: 'markdown' })],
+                    ['JSON', 'Export as JSON', () => vscode.postMessage({ type: 'exportSession', id: session.id, format: 'json' })],
+                    ['🗑️', 'Delete', () => vscode.postMessage({ type: 'deleteSession', id: session.id })]
+                ];
+                actions.forEach(([label, tooltip, handler]) => {
+                    const button = document.createElement('button');
+                    button.textContent = label;
+                    button.title = tooltip;
+                    button.addEventListener('click', handler);
+                    item.appendChild(button);
+                });
 
-    <div class="input-area">
-        <div class="input-row">
-            <div class="input-wrapper">
-                <textarea id="chatInput" class="chat-input" placeholder="Ask about code, files, or anything..." rows="1"></textarea>
-            </div>
-            <button id="sendBtn" class="send-btn">Send</button>
-        </div>
-    </div>
+                list.appendChild(item);
+            });
+        }
 
-    <script nonce="${nonce}">
-        console.log('[WEBVIEW] Script starting...');
-        
-        let vscode;
-        try {
-            vscode = acquireVsCodeApi();
-            console.log('[WEBVIEW] VS Code API acquired successfully');
-        } catch (error) {
-            console.error('[WEBVIEW] Failed to acquire VS Code API:', error);
+        function renameSession(session) {
+            showInlineForm('Rename chat', '', [
+                { name: 'title', label: 'Title', placeholder: 'Chat title', value: session.title, required: true }
+            ], 'Rename', values => {
+                vscode.postMessage({ type: 'renameSession', id: session.id, title: values.title });
+            });
         }
 
-        let isThinking = false;
+        function renderTranscript(entries) {
+            const messages = document.getElementById('messages');
+            messages.innerHTML = entries.length === 0 ? welcomeHtml : '';
+            entries.forEach(entry => {
+                if (entry.role === 'user') {
+                    addImageThumbnails(addMessage(escapeHtml(entry.content), true), entry.images);
+                } else if (entry.role === 'tool') {
+                    addMessage('🛠️ <code>' + escapeHtml(entry.content) + '</code>', false);
+                } else if (entry.role === 'error') {
+                    addMessage('❌ ' + escapeHtml(entry.content), false);
+                } else {
+                    addMarkdownMessage(entry.content, entry.interrupted, entry.thinking, entry.thinkingMs);
+                }
+            });
+        }
 
-        function init() {
-            console.log('[WEBVIEW] Initializing...');
-            
-            const chatInput = document.getElementById('chatInput');
-            const sendBtn = document.getElementById('sendBtn');
-            const settingsBtn = document.querySelector('.settings-btn');
-            
-            if (chatInput && sendBtn) {
-                chatInput.addEventListener('keydown', handleKeyPress);
-                sendBtn.addEventListener('click', sendMessage);
-                
-                chatInput.addEventListener('input', function() {
-                    this.style.height = 'auto';
-                    this.style.height = Math.min(this.scrollHeight, 120) + 'px';
+        function showSessionTitle(session) {
+            currentSessionId = session.id;
+            document.getElementById('historyBtn').title = 'Chat history (current: ' + session.title + ')';
+        }
+
+        function hideInlineForm() {
+            document.getElementById('inlineForm').classList.remove('visible');
+        }
+
+        function toggleResourcePicker() {
+            const picker = document.getElementById('resourcePicker');
+            if (picker.classList.contains('visible')) {
+                picker.classList.remove('visible');
+                return;
+            }
+
+            picker.innerHTML = '';
+            const addSection = (title) => {
+                const section = document.createElement('div');
+                section.className = 'popup-section';
+                section.textContent = title;
+                picker.appendChild(section);
+            };
+            const addItem = (label, hint, onClick) => {
+                const row = document.createElement('div');
+                row.className = 'popup-item';
+                row.textContent = label;
+                const hintSpan = document.createElement('span');
+                hintSpan.className = 'hint';
+                hintSpan.textContent = hint;
+                row.appendChild(hintSpan);
+                row.addEventListener('click', () => {
+                    picker.classList.remove('visible');
+                    onClick();
+                });
+                picker.appendChild(row);
+            };
+
+            if (mcpCatalog.resources.length > 0) {
+                addSection('Resources');
+                mcpCatalog.resources.forEach(resource => {
+                    addItem(resource.title || resource.name, resource.serverId + ' · ' + resource.uri, () => {
+                        addAttachment({ serverId: resource.serverId, uri: resource.uri, name: resource.title || resource.name });
+                    });
                 });
-                
-                setTimeout(() => chatInput.focus(), 100);
             }
-            
-            if (settingsBtn) {
-                settingsBtn.addEventListener('click', toggleSettings);
+
+            if (mcpCatalog.resourceTemplates.length > 0) {
+                addSection('Templates');
+                mcpCatalog.resourceTemplates.forEach(template => {
+                    addItem(template.title || template.name, template.serverId + ' · ' + template.uriTemplate, () => {
+                        openResourceTemplate(template);
+                    });
+                });
             }
-            
-            if (vscode) {
-                vscode.postMessage({ type: 'ready' });
-                vscode.postMessage({ type: 'getSettings' });
+
+            if (picker.children.length === 0) {
+                addSection('No MCP resources. Connect servers with 🛠️ MCP Tools.');
             }
+            picker.classList.add('visible');
         }
 
-        function handleKeyPress(event) {
-            if (event.key === 'Enter' && !event.shiftKey) {
-                event.preventDefault();
-                sendMessage();
-            }
+        function openResourceTemplate(template) {
+            const names = [];
+            template.uriTemplate.replace(/\\{[+#]?([^}]+)\\}/g, (match, vars) => {
+                vars.split(',').forEach(name => names.push(name.trim()));
+                return match;
+            });
+
+            showInlineForm(
+                template.title || template.name,
+                template.uriTemplate,
+                names.map(name => ({ name: name, label: name + ' *', placeholder: '', required: true })),
+                'Attach',
+                values => {
+                    // RFC 6570 level 1-2 expansion: {var} is escaped, {+var} and {#var} are not
+                    const uri = template.uriTemplate.replace(/\\{([+#]?)([^}]+)\\}/g, (match, op, vars) => {
+                        const expanded = vars.split(',').map(name => {
+                            const value = values[name.trim()] || '';
+                            return op ? encodeURI(value) : encodeURIComponent(value);
+                        }).join(',');
+                        return (op === '#' ? '#' : '') + expanded;
+                    });
+                    addAttachment({ serverId: template.serverId, uri: uri, name: template.name + ' (' + uri + ')' });
+                }
+            );
         }
 
-        function sendMessage() {
-            const input = document.getElementById('chatInput');
-            const message = input.value.trim();
-            
-            if (!message || isThinking) return;
-            
-            input.value = '';
-            input.style.height = 'auto';
-            
-            addMessage(message, true);
-            
-            if (vscode) {
-                vscode.postMessage({ type: 'sendMessage', text: message });
+        function addAttachment(attachment) {
+            if (!attachments.some(a => a.serverId === attachment.serverId && a.uri === attachment.uri)) {
+                attachments.push(attachment);
             }
+            renderAttachments();
         }
 
-        function addMessage(content, isUser) {
-            const messages = document.getElementById('messages');
+        function renderAttachments() {
+            const container = document.getElementById('attachments');
+            container.innerHTML = '';
+            mentions.forEach((mention, index) => {
+                const chip = document.createElement('span');
+                chip.className = 'chip mention' + (mention.error ? ' error' : '');
+                chip.title = mention.error || mention.label || 'Resolving…';
+                chip.textContent = mentionLabel(mention);
+                const tokens = document.createElement('span');
+                tokens.className = 'chip-tokens';
+                tokens.textContent = mention.error ? '⚠ unavailable' : mention.tokens === undefined ? '…' : '~' + formatTokens(mention.tokens) + ' tokens';
+                chip.appendChild(tokens);
+                const remove = document.createElement('button');
+                remove.textContent = '✕';
+                remove.addEventListener('click', () => {
+                    mentions.splice(index, 1);
+                    renderAttachments();
+                });
+                chip.appendChild(remove);
+                container.appendChild(chip);
+            });
+            images.forEach((image, index) => {
+                const chip = document.createElement('span');
+                chip.className = 'chip image';
+                chip.title = image.name;
+                const thumb = document.createElement('img');
+                thumb.src = image.thumbnail;
+                thumb.alt = image.name;
+                chip.appendChild(thumb);
+                const label = document.createElement('span');
+                label.textContent = image.name;
+                chip.appendChild(label);
+                const remove = document.createElement('button');
+                remove.textContent = '✕';
+                remove.addEventListener('click', () => {
+                    images.splice(index, 1);
+                    renderAttachments();
+                });
+                chip.appendChild(remove);
+                container.appendChild(chip);
+            });
+            attachments.forEach((attachment, index) => {
+                const chip = document.createElement('span');
+                chip.className = 'chip';
+                chip.title = attachment.serverId + ' · ' + attachment.uri;
+                chip.textContent = '📎 ' + attachment.name;
+                const remove = document.createElement('button');
+                remove.textContent = '✕';
+                remove.addEventListener('click', () => {
+                    attachments.splice(index, 1);
+                    renderAttachments();
+                });
+                chip.appendChild(remove);
+                container.appendChild(chip);
+            });
+        }
+
+        function createMessageElement(isUser) {
             const messageDiv = document.createElement('div');
-            messageDiv.className = \`message \${isUser ? 'user' : 'assistant'}\`;
-            
-            messageDiv.innerHTML = \`
-                <div class="avatar \${isUser ? 'user' : 'assistant'}">\${isUser ? 'U' : 'O'}</div>
-                <div class="message-content"><div>\${content}</div></div>
-            \`;
-            
-            messages.appendChild(messageDiv);
+            messageDiv.className = 'message ' + (isUser ? 'user' : 'assistant');
+            const avatar = document.createElement('div');
+            avatar.className = 'avatar ' + (isUser ? 'user' : 'assistant');
+            avatar.textContent = isUser ? 'U' : 'O';
+            const content = document.createElement('div');
+            content.className = 'message-content';
+            const body = document.createElement('div');
+            content.appendChild(body);
+            messageDiv.appendChild(avatar);
+            messageDiv.appendChild(content);
+            document.getElementById('messages').appendChild(messageDiv);
+            return { messageDiv, body };
+        }
+
+        // \`content\` is HTML built by this script; anything from outside must be escaped first
+        function addMessage(content, isUser) {
+            const { body } = createMessageElement(isUser);
+            body.innerHTML = content;
+            scrollToBottom();
+            return body;
+        }
+
+        function addImageThumbnails(body, list) {
+            if (!list || list.length === 0) return;
+            const row = document.createElement('div');
+            row.className = 'image-thumbs';
+            list.forEach(image => {
+                const thumb = isImageDataUrl(image.thumbnail) ? document.createElement('img') : document.createElement('span');
+                thumb.className = 'image-thumb';
+                thumb.title = image.name;
+                if (thumb.tagName === 'IMG') {
+                    thumb.src = image.thumbnail;
+                    thumb.alt = image.name;
+                } else {
+                    thumb.textContent = '🖼️ ' + image.name;
+                }
+                row.appendChild(thumb);
+            });
+            body.appendChild(row);
+            scrollToBottom();
+        }
+
+        function isImageDataUrl(value) {
+            return typeof value === 'string' && (value.startsWith('data:image/png;base64,') || value.startsWith('data:image/jpeg;base64,'));
+        }
+
+        function addImageFile(file) {
+            const reader = new FileReader();
+            reader.onload = () => addImage(file.name || 'pasted image', reader.result);
+            reader.onerror = () => addMessage('❌ Could not read ' + escapeHtml(file.name || 'the pasted image'), false);
+            reader.readAsDataURL(file);
+        }
+
+        /**
+         * Adds an image from a data: URL. Vision models take PNG and JPEG, so
+         * other formats are redrawn as PNG; a small JPEG thumbnail is kept for
+         * the transcript.
+         */
+        function addImage(name, dataUrl) {
+            if (images.length >= MAX_IMAGES) {
+                addMessage('❌ At most ' + MAX_IMAGES + ' images can be sent with one message.', false);
+                return;
+            }
+            const img = new Image();
+            img.onerror = () => addMessage('❌ ' + escapeHtml(name) + ' is not an image that can be read.', false);
+            img.onload = () => {
+                const sendable = isImageDataUrl(dataUrl) ? dataUrl : drawImage(img, img.naturalWidth, img.naturalHeight, 'image/png');
+                const data = sendable.slice(sendable.indexOf(',') + 1);
+                if (data.length * 3 / 4 > MAX_IMAGE_BYTES) {
+                    addMessage('❌ ' + escapeHtml(name) + ' is larger than ' + (MAX_IMAGE_BYTES / 1024 / 1024) + ' MB.', false);
+                    return;
+                }
+                const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+                images.push({
+                    name,
+                    mimeType: sendable.startsWith('data:image/png') ? 'image/png' : 'image/jpeg',
+                    data,
+                    thumbnail: drawImage(img, Math.max(1, Math.round(img.naturalWidth * scale)), Math.max(1, Math.round(img.naturalHeight * scale)), 'image/jpeg')
+                });
+                renderAttachments();
+                // Ask once per batch whether the current model can see images
+                if (images.length === 1 && vscode) {
+                    vscode.postMessage({ type: 'checkImageSupport' });
+                }
+            };
+            img.src = dataUrl;
+        }
+
+        function drawImage(img, width, height, type) {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+            if (type === 'image/jpeg') {
+                // JPEG has no transparency; use white rather than black behind it
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, width, height);
+            }
+            context.drawImage(img, 0, 0, width, height);
+            return canvas.toDataURL(type, 0.8);
+        }
+
+        // Model output and other Markdown, rendered without ever being parsed as HTML
+        function addMarkdownMessage(text, interrupted, thinking, thinkingMs) {
+            const { body } = createMessageElement(false);
+            if (thinking) {
+                const reasoning = createReasoning(body);
+                reasoning.textNode.data = thinking;
+                reasoning.summary.textContent = 'Reasoning · ' + thoughtFor(thinkingMs || 0);
+            }
+            const answer = document.createElement('div');
+            answer.className = 'markdown';
+            body.appendChild(answer);
+            MarkdownRenderer.render(text || '', answer);
+            if (interrupted) addInterruptedNote(body);
             scrollToBottom();
         }
 
+        // Collapsible "Reasoning" section above an answer; the text is plain, not Markdown
+        function createReasoning(body) {
+            const details = document.createElement('details');
+            details.className = 'reasoning';
+            const summary = document.createElement('summary');
+            const text = document.createElement('div');
+            text.className = 'reasoning-text';
+            const textNode = document.createTextNode('');
+            text.appendChild(textNode);
+            details.appendChild(summary);
+            details.appendChild(text);
+            body.insertBefore(details, body.firstChild);
+            return { details, summary, textNode };
+        }
+
+        function thoughtFor(ms) {
+            const seconds = Math.max(1, Math.round(ms / 1000));
+            return 'Thought for ' + (seconds < 60 ? seconds + 's' : Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's');
+        }
+
+        function showThinking(model, enabled) {
+            const select = document.getElementById('thinkSelect');
+            select.value = enabled === null || enabled === undefined ? '' : enabled ? 'on' : 'off';
+            select.title = 'Reasoning for ' + model + ': ' + (enabled === null || enabled === undefined
+                ? "the model's default" : enabled ? 'think before answering' : 'answer directly');
+        }
+
+        function addInterruptedNote(body) {
+            const note = document.createElement('div');
+            note.className = 'interrupted-note';
+            note.textContent = '⏹️ Stopped before the answer was complete';
+            body.appendChild(note);
+        }
+
+        function runCodeAction(button) {
+            const block = button.closest('.code-block');
+            const code = block.querySelector('pre code').textContent;
+            const file = block.getAttribute('data-file') || undefined;
+            switch (button.getAttribute('data-action')) {
+                case 'copy':
+                    vscode.postMessage({ type: 'copyCode', code });
+                    button.textContent = 'Copied';
+                    setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+                    break;
+                case 'insert':
+                    vscode.postMessage({ type: 'insertCode', code });
+                    break;
+                case 'apply':
+                    vscode.postMessage({ type: 'applyCode', code, file });
+                    break;
+                case 'newFile':
+                    vscode.postMessage({ type: 'createFileFromCode', code, file, language: block.getAttribute('data-language') || undefined });
+                    break;
+            }
+        }
+
+        function escapeHtml(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
         function showTyping() {
             const messages = document.getElementById('messages');
             const typingDiv = document.createElement('div');
@@ -480,6 +2424,82 @@ export class ChatProvider implements vscode.WebviewViewProvider {
             if (typingMsg) typingMsg.remove();
         }
 
+        // The reply being streamed. Tokens are batched per animation frame and
+        // only the Markdown blocks that changed are re-rendered.
+        let streaming = null;
+
+        function currentStreaming() {
+            if (!streaming) {
+                hideTyping();
+                const { messageDiv, body } = createMessageElement(false);
+                messageDiv.classList.add('streaming-message');
+                const answer = document.createElement('div');
+                answer.className = 'markdown';
+                body.appendChild(answer);
+                streaming = { messageDiv, body, text: '', renderer: MarkdownRenderer.createStream(answer), scheduled: false, reasoning: null, thinkingStartedAt: 0 };
+            }
+            return streaming;
+        }
+
+        // Reasoning streams open, then collapses once the answer starts
+        function showThinkingToken(token) {
+            const current = currentStreaming();
+            if (!current.reasoning) {
+                current.reasoning = createReasoning(current.body);
+                current.reasoning.details.open = true;
+                current.thinkingStartedAt = Date.now();
+            }
+            current.reasoning.textNode.appendData(token);
+            current.reasoning.summary.textContent = 'Reasoning · Thinking… ' + Math.round((Date.now() - current.thinkingStartedAt) / 1000) + 's';
+            scrollToBottom();
+        }
+
+        function showStreamToken(token) {
+            currentStreaming();
+            if (streaming.reasoning && !streaming.text) {
+                streaming.reasoning.details.open = false;
+                streaming.reasoning.summary.textContent = 'Reasoning · ' + thoughtFor(Date.now() - streaming.thinkingStartedAt);
+            }
+            streaming.text += token;
+            if (!streaming.scheduled) {
+                const current = streaming;
+                current.scheduled = true;
+                requestAnimationFrame(() => {
+                    current.scheduled = false;
+                    if (streaming === current) {
+                        current.renderer.update(current.text);
+                        scrollToBottom();
+                    }
+                });
+            }
+        }
+
+        // Turns the streamed bubble into the final reply; false when nothing was streamed
+        function finishStreaming(text, interrupted, thinking, thinkingMs) {
+            if (!streaming) return false;
+            const current = streaming;
+            streaming = null;
+            current.messageDiv.classList.remove('streaming-message');
+            current.renderer.update(text || '');
+            // Reasoning from earlier tool-calling rounds was only in bubbles that are gone
+            if (thinking) {
+                const reasoning = current.reasoning || createReasoning(current.body);
+                reasoning.details.open = false;
+                reasoning.textNode.data = thinking;
+                reasoning.summary.textContent = 'Reasoning · ' + thoughtFor(thinkingMs || 0);
+            }
+            if (interrupted) addInterruptedNote(current.body);
+            scrollToBottom();
+            return true;
+        }
+
+        function hideStreaming() {
+            if (streaming) {
+                streaming.messageDiv.remove();
+                streaming = null;
+            }
+        }
+
         function scrollToBottom() {
             const container = document.querySelector('.chat-container');
             setTimeout(() => { container.scrollTop = container.scrollHeight; }, 10);
@@ -490,12 +2510,170 @@ export class ChatProvider implements vscode.WebviewViewProvider {
             panel.classList.toggle('visible');
             if (panel.classList.contains('visible') && vscode) {
                 vscode.postMessage({ type: 'getSettings' });
+                vscode.postMessage({ type: 'refreshModels' });
+                vscode.postMessage({ type: 'listInstalledModels' });
+            }
+        }
+
+        function showPresets(presets, active) {
+            const select = document.getElementById('presetSelect');
+            select.textContent = '';
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.name;
+                option.textContent = preset.name;
+                option.title = preset.description || '';
+                option.selected = preset.name === active;
+                select.appendChild(option);
+            });
+            const current = presets.find(preset => preset.name === active);
+            select.title = 'Generation preset for chat' + (current && current.description ? ': ' + current.description : '');
+        }
+
+        function formatBytes(bytes) {
+            if (!bytes) return '0 B';
+            const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+            const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+            return (bytes / Math.pow(1024, exponent)).toFixed(exponent > 1 ? 1 : 0) + ' ' + units[exponent];
+        }
+
+        function showInstalledModels(message) {
+            const list = document.getElementById('installedModels');
+            document.getElementById('installedModelsLabel').textContent = 'Installed Models' + (message.backend ? ' on ' + message.backend : '');
+            list.textContent = '';
+            if (message.error || message.models.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'model-meta';
+                empty.textContent = message.error || 'No models installed yet. Pull one below.';
+                list.appendChild(empty);
+                return;
+            }
+
+            message.models.forEach(model => {
+                const item = document.createElement('div');
+                item.className = 'model-item' + (model.name === currentModel ? ' current' : '');
+
+                const info = document.createElement('div');
+                info.className = 'model-info';
+                const name = document.createElement('div');
+                name.className = 'model-name';
+                name.textContent = model.name;
+                const meta = document.createElement('div');
+                meta.className = 'model-meta';
+                meta.textContent = [
+                    formatBytes(model.size),
+                    model.family,
+                    model.parameterSize,
+                    model.quantization,
+                    model.contextLength ? 'ctx ' + model.contextLength : ''
+                ].filter(Boolean).join(' · ');
+                info.appendChild(name);
+                info.appendChild(meta);
+                item.appendChild(info);
+
+                const actions = [
+                    ['Use', 'Chat with this model', () => vscode.postMessage({ type: 'useModel', model: model.name })],
+                    ['Copy', 'Copy under a new name', () => copyModel(model.name)],
+                    ['🗑️', 'Delete', () => vscode.postMessage({ type: 'deleteModel', model: model.name })]
+                ];
+                actions.forEach(([label, tooltip, handler]) => {
+                    const button = document.createElement('button');
+                    button.textContent = label;
+                    button.title = tooltip;
+                    button.addEventListener('click', handler);
+                    item.appendChild(button);
+                });
+
+                list.appendChild(item);
+            });
+        }
+
+        function copyModel(source) {
+            showInlineForm('Copy ' + source, 'Creates a second name for the same model, e.g. to customise it with a Modelfile.', [
+                { name: 'destination', label: 'New name', placeholder: source.split(':')[0] + '-custom', required: true }
+            ], 'Copy', values => {
+                vscode.postMessage({ type: 'copyModel', source, destination: values.destination });
+            });
+        }
+
+        function startPull(model) {
+            const name = (model || '').trim();
+            if (!name || !vscode) return;
+            if (pullingModel) {
+                addMessage('⏳ ' + escapeHtml(pullingModel) + ' is still downloading.', false);
+                return;
+            }
+            pullingModel = name;
+            document.getElementById('pullModelName').value = name;
+            showPullProgress({ model: name, status: 'starting download' });
+            vscode.postMessage({ type: 'pullModel', model: name });
+        }
+
+        function showPullProgress(progress) {
+            const status = document.getElementById('pullStatus');
+            const fill = document.getElementById('pullStatusFill');
+            let text = progress.model + ': ' + progress.status;
+            let percent = 0;
+            if (progress.total) {
+                percent = Math.round((progress.completed || 0) / progress.total * 100);
+                text += ' ' + percent + '% of ' + formatBytes(progress.total);
+            }
+            document.getElementById('pullStatusLabel').textContent = text;
+            fill.style.width = percent + '%';
+            status.classList.add('visible');
+        }
+
+        function pullFinished(message) {
+            pullingModel = null;
+            document.getElementById('pullStatus').classList.remove('visible');
+            document.getElementById('pullStatusFill').style.width = '0';
+            if (message.error) {
+                addMessage('❌ Could not pull ' + escapeHtml(message.model) + ': ' + escapeHtml(message.error), false);
+            } else {
+                document.getElementById('pullModelName').value = '';
+                addMessage('✅ Downloaded ' + escapeHtml(message.model) + '.', false);
             }
         }
 
+        // One option group per configured backend; each option remembers its backend
+        function showModels(backends, active) {
+            const select = document.getElementById('modelSelect');
+            if (!select) return;
+            select.textContent = '';
+            backends.forEach(backend => {
+                const group = document.createElement('optgroup');
+                group.label = backend.name + (backend.error ? ' (unavailable)' : '');
+                const models = backend.models.slice();
+                // Keep the configured model selectable even when the server does not list it
+                if (backend.name === active.backend && active.model && !models.includes(active.model)) {
+                    models.unshift(active.model);
+                }
+                models.forEach(model => {
+                    const option = document.createElement('option');
+                    option.value = model;
+                    option.textContent = model;
+                    option.setAttribute('data-backend', backend.name);
+                    if (backend.name === active.backend && model === active.model) {
+                        option.selected = true;
+                    }
+                    group.appendChild(option);
+                });
+                if (models.length === 0) {
+                    const option = document.createElement('option');
+                    option.disabled = true;
+                    option.textContent = backend.error ? 'Not reachable' : 'No models';
+                    group.appendChild(option);
+                }
+                select.appendChild(group);
+            });
+        }
+
         function saveSettings() {
+            const modelSelect = document.getElementById('modelSelect');
+            const selected = modelSelect && modelSelect.selectedIndex >= 0 ? modelSelect.options[modelSelect.selectedIndex] : null;
             const settings = {
-                model: document.getElementById('modelSelect')?.value || 'llama3.2:1b',
+                backend: selected ? selected.getAttribute('data-backend') || undefined : undefined,
+                model: selected && selected.value ? selected.value : undefined,
                 mcpConfigFile: document.getElementById('mcpConfigFile')?.value || ''
             };
             if (vscode) {
@@ -518,46 +2696,137 @@ export class ChatProvider implements vscode.WebviewViewProvider {
         // Message handler
         window.addEventListener('message', event => {
             const message = event.data;
-            const sendBtn = document.getElementById('sendBtn');
             
             switch (message.type) {
+                case 'userMessage':
+                    addMessage(escapeHtml(message.message), true);
+                    break;
+
                 case 'startTyping':
                     showTyping();
-                    isThinking = true;
-                    if (sendBtn) sendBtn.disabled = true;
-                    document.getElementById('status').textContent = '🤔 Thinking...';
+                    setThinking(true);
+                    break;
+
+                case 'streamToken':
+                    showStreamToken(message.token);
+                    break;
+
+                case 'imagesAttached':
+                    (message.images || []).forEach(image => addImage(image.name, 'data:' + image.mimeType + ';base64,' + image.data));
+                    break;
+
+                case 'imageSupport':
+                    if (!message.supported && images.length > 0) {
+                        images = [];
+                        renderAttachments();
+                        addMessage('❌ ' + escapeHtml(message.message), false);
+                    }
+                    break;
+
+                case 'thinkingToken':
+                    showThinkingToken(message.token);
+                    break;
+
+                case 'thinking':
+                    showThinking(message.model, message.enabled);
                     break;
                     
                 case 'assistantMessage':
                     hideTyping();
-                    addMessage(message.formatted || message.message, false);
-                    isThinking = false;
-                    if (sendBtn) sendBtn.disabled = false;
-                    document.getElementById('status').textContent = '⚡ Ready';
+                    if (!finishStreaming(message.message, message.interrupted, message.thinking, message.thinkingMs)) {
+                        addMarkdownMessage(message.message, message.interrupted, message.thinking, message.thinkingMs);
+                    }
+                    setThinking(false);
                     break;
                     
                 case 'error':
                     hideTyping();
-                    addMessage('❌ ' + message.message, false);
-                    isThinking = false;
-                    if (sendBtn) sendBtn.disabled = false;
+                    hideStreaming();
+                    addMessage('❌ ' + escapeHtml(message.message), false);
+                    setThinking(false);
                     break;
                     
                 case 'settingsLoaded':
                     if (message.settings) {
-                        const modelSelect = document.getElementById('modelSelect');
                         const mcpConfigFile = document.getElementById('mcpConfigFile');
-                        if (modelSelect) modelSelect.value = message.settings.model || 'llama3.2:1b';
                         if (mcpConfigFile) mcpConfigFile.value = message.settings.mcpConfigFile || '';
                     }
                     break;
                     
-                case 'settingsSaved':
-                    addMessage(message.message, false);
+                case 'modelsRefreshed':
+                    currentModel = message.active ? message.active.model : currentModel;
+                    showModels(message.backends || [], message.active || {});
                     break;
-                    
+
+                case 'presets':
+                    showPresets(message.presets || [], message.active);
+                    break;
+
+                case 'installedModels':
+                    showInstalledModels(message);
+                    break;
+
+                case 'pullProgress':
+                    showPullProgress(message);
+                    break;
+
+                case 'pullFinished':
+                    pullFinished(message);
+                    break;
+
+                case 'modelNotFound':
+                    addMessage('<button class="btn btn-primary pull-missing-btn" data-model="' + escapeHtml(message.model) + '">⬇️ Pull ' +
+                        escapeHtml(message.model) + '</button>', false);
+                    break;
+
+                case 'mentionSuggestions':
+                    showMentionSuggestions(message.requestId, message.items || []);
+                    break;
+
+                case 'mentionPreview':
+                    showMentionPreview(message);
+                    break;
+
+                case 'mcpCatalog':
+                    mcpCatalog = message.catalog || mcpCatalog;
+                    break;
+
+                case 'sessionLoaded':
+                    hideTyping();
+                    hideStreaming();
+                    showSessionTitle(message.session);
+                    renderTranscript(message.entries || []);
+                    break;
+
+                case 'sessionInfo':
+                    showSessionTitle(message.session);
+                    break;
+
+                case 'sessionList':
+                    renderSessionList(message.sessions || []);
+                    break;
+
+                case 'contextUsage':
+                    showContextUsage(message.usage);
+                    break;
+
+                case 'toolCall':
+                    hideTyping();
+                    hideStreaming();
+                    addMessage('🛠️ <code>' + escapeHtml(message.name) + '</code> ' + escapeHtml(JSON.stringify(message.args || {})), false);
+                    showTyping();
+                    break;
+
+                case 'toolResult':
+                    hideTyping();
+                    addMessage('<details class="tool-result"><summary>' + escapeHtml(message.name) + ' result</summary><pre class="tool-output">' +
+                        escapeHtml(message.result) + '</pre></details>', false);
+                    showTyping();
+                    break;
+
+                case 'settingsSaved':
                 case 'connectionTest':
-                    addMessage(message.message, false);
+                    addMarkdownMessage(message.message);
                     break;
                     
                 case 'mcpToolsRefreshed':
@@ -566,12 +2835,12 @@ export class ChatProvider implements vscode.WebviewViewProvider {
                         toolsMsg += \`**Connected Servers:** \${message.servers.join(', ')}\\n\`;
                         toolsMsg += \`**Available Tools:**\\n\`;
                         message.tools.forEach(tool => {
-                            toolsMsg += \`• \${tool.name}: \${tool.description}\\n\`;
+                            toolsMsg += \`- \\\`\${tool.name}\\\`: \${tool.description || ''}\\n\`;
                         });
                     } else {
                         toolsMsg += \`No MCP servers connected. Check your config file.\`;
                     }
-                    addMessage(toolsMsg, false);
+                    addMarkdownMessage(toolsMsg);
                     break;
             }
         });
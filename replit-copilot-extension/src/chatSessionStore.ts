@@ -0,0 +1,253 @@
+import * as vscode from 'vscode';
+import { ChatMessage } from './ollamaClient';
+
+export interface TranscriptEntry {
+    role: 'user' | 'assistant' | 'tool' | 'error';
+    content: string;
+    timestamp: number;
+    /** Set on assistant replies the user stopped before they finished. */
+    interrupted?: boolean;
+    /** A reasoning model's thinking before the reply; shown, never sent back to the model. */
+    thinking?: string;
+    /** How long the model spent thinking, in milliseconds. */
+    thinkingMs?: number;
+    /** Images attached to a user message. Only thumbnails are saved; the images themselves are not kept in `history` either. */
+    images?: { name: string; thumbnail?: string }[];
+}
+
+export interface ChatSession {
+    id: string;
+    title: string;
+    /** Cleared once the user renames the chat so the model stops retitling it. */
+    autoTitle: boolean;
+    createdAt: number;
+    updatedAt: number;
+    /** What the user saw, used to redraw the chat and for exports. */
+    transcript: TranscriptEntry[];
+    /** What the model saw, restored into OllamaClient when the chat is resumed. */
+    history: ChatMessage[];
+}
+
+export interface ChatSessionSummary {
+    id: string;
+    title: string;
+    createdAt: number;
+    updatedAt: number;
+    messageCount: number;
+}
+
+const EXPORT_FORMAT = 'ollama-chat-session';
+const EXPORT_VERSION = 1;
+export const UNTITLED_SESSION = 'New chat';
+
+/**
+ * Persists chat sessions as one JSON file each under the extension's
+ * workspace storage, with an index file so the history list loads quickly.
+ */
+export class ChatSessionStore {
+    private readonly directory: vscode.Uri;
+    private readonly indexUri: vscode.Uri;
+    // Serializes writes so concurrent saves cannot interleave on the index
+    private queue: Promise<unknown> = Promise.resolve();
+
+    constructor(storageUri: vscode.Uri) {
+        this.directory = vscode.Uri.joinPath(storageUri, 'chat-sessions');
+        this.indexUri = vscode.Uri.joinPath(this.directory, 'index.json');
+    }
+
+    public create(): ChatSession {
+        const now = Date.now();
+        return {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            title: UNTITLED_SESSION,
+            autoTitle: true,
+            createdAt: now,
+            updatedAt: now,
+            transcript: [],
+            history: []
+        };
+    }
+
+    /** Summaries of every saved session, most recently updated first. */
+    public async list(): Promise<ChatSessionSummary[]> {
+        const index = await this.readJson<ChatSessionSummary[]>(this.indexUri);
+        return (Array.isArray(index) ? index : []).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Matches the query against titles first and then, for the remaining
+     * sessions, against the transcript text.
+     */
+    public async search(query: string): Promise<ChatSessionSummary[]> {
+        const sessions = await this.list();
+        const needle = query.trim().toLowerCase();
+        if (!needle) {
+            return sessions;
+        }
+
+        const matches: ChatSessionSummary[] = [];
+        for (const summary of sessions) {
+            if (summary.title.toLowerCase().includes(needle)) {
+                matches.push(summary);
+                continue;
+            }
+            const session = await this.load(summary.id);
+            if (session?.transcript.some(entry => entry.content.toLowerCase().includes(needle))) {
+                matches.push(summary);
+            }
+        }
+        return matches;
+    }
+
+    public async load(id: string): Promise<ChatSession | undefined> {
+        return await this.readJson<ChatSession>(this.sessionUri(id));
+    }
+
+    public save(session: ChatSession): Promise<void> {
+        return this.enqueue(async () => {
+            await vscode.workspace.fs.createDirectory(this.directory);
+            await this.writeJson(this.sessionUri(session.id), session);
+
+            const index = (await this.list()).filter(summary => summary.id !== session.id);
+            index.push(ChatSessionStore.summarize(session));
+            await this.writeJson(this.indexUri, index);
+        });
+    }
+
+    public delete(id: string): Promise<void> {
+        return this.enqueue(async () => {
+            try {
+                await vscode.workspace.fs.delete(this.sessionUri(id));
+            } catch {
+                // Already gone; the index entry is still removed below
+            }
+            const index = (await this.list()).filter(summary => summary.id !== id);
+            await this.writeJson(this.indexUri, index);
+        });
+    }
+
+    public static summarize(session: ChatSession): ChatSessionSummary {
+        return {
+            id: session.id,
+            title: session.title,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt,
+            messageCount: session.transcript.filter(entry => entry.role === 'user' || entry.role === 'assistant').length
+        };
+    }
+
+    public static toJson(session: ChatSession): string {
+        return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, session }, null, 2);
+    }
+
+    /**
+     * Parses a JSON export. The imported chat gets a fresh id so importing
+     * the same file twice never overwrites an existing session.
+     */
+    public fromJson(text: string): ChatSession {
+        const data = JSON.parse(text);
+        const source = data?.format === EXPORT_FORMAT ? data.session : data;
+        if (!source || !Array.isArray(source.transcript)) {
+            throw new Error('Not a chat session export: missing transcript');
+        }
+
+        const roles = ['user', 'assistant', 'tool', 'error'];
+        const transcript: TranscriptEntry[] = source.transcript
+            .filter((entry: any) => entry && roles.includes(entry.role) && typeof entry.content === 'string')
+            .map((entry: any) => ({
+                role: entry.role,
+                content: entry.content,
+                timestamp: Number(entry.timestamp) || Date.now(),
+                ...(entry.interrupted ? { interrupted: true } : {}),
+                ...(typeof entry.thinking === 'string' && entry.thinking ? { thinking: entry.thinking, thinkingMs: Number(entry.thinkingMs) || 0 } : {}),
+                ...(Array.isArray(entry.images) ? { images: ChatSessionStore.importedImages(entry.images) } : {})
+            }));
+
+        // Older or hand-written exports may lack model history; rebuild it from the transcript
+        const history: ChatMessage[] = Array.isArray(source.history)
+            ? source.history.filter((message: any) => message && typeof message.content === 'string' && message.role !== 'system')
+            : transcript
+                .filter(entry => entry.role === 'user' || entry.role === 'assistant')
+                .map(entry => ({ role: entry.role as 'user' | 'assistant', content: entry.content }));
+
+        const session = this.create();
+        session.title = typeof source.title === 'string' && source.title.trim() ? source.title.trim() : UNTITLED_SESSION;
+        session.autoTitle = false;
+        session.createdAt = Number(source.createdAt) || session.createdAt;
+        session.transcript = transcript;
+        session.history = history;
+        return session;
+    }
+
+    // Thumbnails end up in an <img> in the webview, so only image data URLs are kept
+    private static importedImages(images: any[]): { name: string; thumbnail?: string }[] {
+        return images
+            .filter(image => image && typeof image.name === 'string')
+            .map(image => ({
+                name: image.name,
+                ...(typeof image.thumbnail === 'string' && /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/.test(image.thumbnail) ? { thumbnail: image.thumbnail } : {})
+            }));
+    }
+
+    public static toMarkdown(session: ChatSession): string {
+        const lines = [
+            `# ${session.title}`,
+            '',
+            `_Created ${new Date(session.createdAt).toLocaleString()} · Updated ${new Date(session.updatedAt).toLocaleString()}_`,
+            ''
+        ];
+
+        for (const entry of session.transcript) {
+            const time = new Date(entry.timestamp).toLocaleString();
+            switch (entry.role) {
+                case 'user':
+                    lines.push(`## User · ${time}`, '', entry.content, '');
+                    if (entry.images?.length) {
+                        lines.push(`_🖼️ ${entry.images.map(image => image.name).join(', ')}_`, '');
+                    }
+                    break;
+                case 'assistant':
+                    lines.push(`## Assistant · ${time}`, '');
+                    if (entry.thinking) {
+                        lines.push(`<details><summary>Reasoning (${Math.round((entry.thinkingMs || 0) / 1000)}s)</summary>`, '', entry.thinking.trim(), '', '</details>', '');
+                    }
+                    lines.push(entry.content, '');
+                    if (entry.interrupted) {
+                        lines.push('_(interrupted)_', '');
+                    }
+                    break;
+                case 'tool':
+                    lines.push(`> 🛠️ Tool call: \`${entry.content}\``, '');
+                    break;
+                case 'error':
+                    lines.push(`> ❌ ${entry.content}`, '');
+                    break;
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    private sessionUri(id: string): vscode.Uri {
+        return vscode.Uri.joinPath(this.directory, `${id.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    }
+
+    private enqueue(task: () => Promise<void>): Promise<void> {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => undefined);
+        return run;
+    }
+
+    private async readJson<T>(uri: vscode.Uri): Promise<T | undefined> {
+        try {
+            const bytes = await vscode.workspace.fs.readFile(uri);
+            return JSON.parse(Buffer.from(bytes).toString('utf-8')) as T;
+        } catch {
+            return undefined;
+        }
+    }
+
+    private async writeJson(uri: vscode.Uri, value: any) {
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(JSON.stringify(value), 'utf-8'));
+    }
+}
@@ -0,0 +1,220 @@
+import { FileOperationsManager as WorkspaceFileOperations } from './fileOperations';
+import { EnhancedMCPClient } from './enhancedMcpClient';
+import { OllamaTool, ToolExecutor } from './ollamaClient';
+import { CommandRunner } from './commandRunner';
+import { ToolPolicy, ToolRef } from './toolPolicy';
+
+// Keep tool output from flooding a small model's context window
+const MAX_TOOL_RESULT_CHARS = 8000;
+
+interface BuiltinTool {
+    definition: OllamaTool;
+    run: (args: any, signal?: AbortSignal) => Promise<string>;
+    /** The tool shows its own approval prompt when the policy says ask. */
+    confirmsItself?: boolean;
+}
+
+function tool(name: string, description: string, properties: { [key: string]: any } = {}, required: string[] = []): OllamaTool {
+    return {
+        type: 'function',
+        function: {
+            name,
+            description,
+            parameters: { type: 'object', properties, required }
+        }
+    };
+}
+
+/**
+ * Exposes the workspace file operations and every connected MCP server tool
+ * to the model as native Ollama function tools.
+ */
+export class ChatToolRegistry implements ToolExecutor {
+    private builtins = new Map<string, BuiltinTool>();
+    private mcpToolNames = new Map<string, { serverId: string; name: string }>();
+
+    constructor(
+        private readonly workspaceOps: WorkspaceFileOperations,
+        private readonly mcpClient: EnhancedMCPClient,
+        private readonly policy: ToolPolicy
+    ) {
+        this.registerBuiltins();
+    }
+
+    private registerBuiltins() {
+        const path = { type: 'string', description: 'File path relative to the workspace root' };
+
+        this.register(
+            tool('read_file', 'Read the contents of a file in the workspace', { path }, ['path']),
+            async (args) => this.workspaceOps.readFile(args.path)
+        );
+
+        this.register(
+            tool('create_new_file', 'Create a new file with the given content', {
+                path,
+                content: { type: 'string', description: 'Full content of the new file' }
+            }, ['path', 'content']),
+            async (args) => this.workspaceOps.writeFile(args.path, args.content ?? '')
+        );
+
+        this.register(
+            tool('edit_existing_file', 'Replace the entire content of an existing file', {
+                path,
+                content: { type: 'string', description: 'New full content of the file' }
+            }, ['path', 'content']),
+            async (args) => {
+                if (!(await this.workspaceOps.fileExists(args.path))) {
+                    throw new Error(`File not found: ${args.path}`);
+                }
+                return await this.workspaceOps.writeFile(args.path, args.content ?? '');
+            }
+        );
+
+        this.register(
+            tool('search_and_replace_in_file', 'Replace every occurrence of some exact text in a file', {
+                path,
+                search: { type: 'string', description: 'Exact text to find, matched literally (not a regular expression)' },
+                replace: { type: 'string', description: 'Replacement text' }
+            }, ['path', 'search', 'replace']),
+            async (args) => {
+                const replaced = await this.workspaceOps.searchAndReplaceInFile(args.path, args.search, args.replace ?? '');
+                return replaced ? `Proposed replacing "${args.search}" in ${args.path}; the change is waiting for review` : `No occurrences of "${args.search}" in ${args.path}`;
+            }
+        );
+
+        this.register(
+            tool('ls', 'List the files and folders in a workspace directory', {
+                path: { type: 'string', description: 'Directory relative to the workspace root (defaults to the root)' }
+            }),
+            async (args) => this.workspaceOps.viewSubdirectory(args.path || '.')
+        );
+
+        this.register(
+            tool('view_repo_map', 'Get an overview of the repository structure and languages'),
+            async () => this.workspaceOps.viewRepoMap()
+        );
+
+        this.register(
+            tool('file_glob_search', 'Find workspace files matching a glob pattern', {
+                pattern: { type: 'string', description: 'Glob pattern such as **/*.ts' }
+            }, ['pattern']),
+            async (args, signal) => {
+                const files = await this.workspaceOps.fileGlobSearch(args.pattern, signal);
+                return files.length > 0 ? files.join('\n') : `No files match ${args.pattern}`;
+            }
+        );
+
+        this.register(
+            tool('grep_search', 'Search file contents across the workspace for a term', {
+                query: { type: 'string', description: 'Case-insensitive text to search for' },
+                include: { type: 'string', description: 'Optional glob restricting which files are searched' }
+            }, ['query']),
+            async (args, signal) => {
+                const matches = await this.workspaceOps.grepSearch(args.query, args.include || undefined, signal);
+                if (matches.length === 0) {
+                    return `No matches for "${args.query}"`;
+                }
+                return matches.slice(0, 100).map(m => `${m.file}:${m.line}: ${m.content}`).join('\n');
+            }
+        );
+
+        this.register(
+            tool('read_currently_open_file', 'Read the file currently open in the active editor'),
+            async () => {
+                const file = await this.workspaceOps.readCurrentlyOpenFile();
+                return file ? `${file.path}\n\n${file.content}` : 'No file is currently open';
+            }
+        );
+
+        this.register(
+            tool('run_terminal_command', 'Run a shell command in the workspace root and return its output and exit code. The user approves each command first', {
+                command: { type: 'string', description: 'The command line to execute' }
+            }, ['command']),
+            async (args, signal) => {
+                const tool = { name: 'run_terminal_command' };
+                const result = await this.workspaceOps.runTerminalCommand(args.command, {
+                    signal,
+                    confirm: this.policy.modeFor(tool) === 'ask',
+                    onRemember: scope => this.policy.remember(tool, 'allow', scope)
+                });
+                return CommandRunner.format(result);
+            },
+            true
+        );
+
+        this.register(
+            tool('view_diff', 'Compare two files in the workspace', {
+                file1: { type: 'string', description: 'First file path' },
+                file2: { type: 'string', description: 'Second file path' }
+            }, ['file1', 'file2']),
+            async (args) => this.workspaceOps.viewDiff(args.file1, args.file2)
+        );
+
+        this.register(
+            tool('fetch_url_content', 'Fetch the text content of a URL', {
+                url: { type: 'string', description: 'The URL to fetch' }
+            }, ['url']),
+            async (args, signal) => this.workspaceOps.fetchUrlContent(args.url, signal)
+        );
+    }
+
+    private register(definition: OllamaTool, run: (args: any, signal?: AbortSignal) => Promise<string>, confirmsItself = false) {
+        this.builtins.set(definition.function.name, { definition, run, confirmsItself });
+    }
+
+    public getTools(): OllamaTool[] {
+        const tools = Array.from(this.builtins.values()).map(b => b.definition);
+
+        this.mcpToolNames.clear();
+        for (const mcpTool of this.mcpClient.getAllTools()) {
+            // Server prefix avoids clashes with built-ins and between servers
+            const name = `${mcpTool.serverId}__${mcpTool.name}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+            this.mcpToolNames.set(name, { serverId: mcpTool.serverId, name: mcpTool.name });
+            tools.push({
+                type: 'function',
+                function: {
+                    name,
+                    description: `[MCP ${mcpTool.serverId}] ${mcpTool.description}`,
+                    parameters: mcpTool.inputSchema
+                }
+            });
+        }
+
+        return tools;
+    }
+
+    public async executeTool(name: string, args: any, signal?: AbortSignal): Promise<string> {
+        console.log(`[CHAT-TOOLS] Executing ${name}`, args);
+
+        let result: string;
+        try {
+            const builtin = this.builtins.get(name);
+            const mcpTool = this.mcpToolNames.get(name);
+            const ref: ToolRef | undefined = builtin ? { name } : mcpTool ? { name: mcpTool.name, serverId: mcpTool.serverId } : undefined;
+            const mode = ref ? this.policy.modeFor(ref) : 'allow';
+
+            // A stopped turn must not go on to write files or call servers
+            if (signal?.aborted) {
+                result = `Error: ${name} was cancelled by the user`;
+            } else if (ref && mode === 'deny') {
+                result = `Error: ${name} is not allowed by the user's tool permission settings`;
+            } else if (ref && mode === 'ask' && !builtin?.confirmsItself && !(await this.policy.confirm(ref, args))) {
+                result = `Error: the user declined to run ${name}`;
+            } else if (builtin) {
+                result = await builtin.run(args || {}, signal);
+            } else if (mcpTool) {
+                const toolResult = await this.mcpClient.callTool(mcpTool.name, args || {}, mcpTool.serverId, signal);
+                result = EnhancedMCPClient.formatToolResult(toolResult);
+            } else {
+                result = `Error: unknown tool '${name}'`;
+            }
+        } catch (error) {
+            result = `Error: ${error instanceof Error ? error.message : error}`;
+        }
+
+        if (result.length > MAX_TOOL_RESULT_CHARS) {
+            result = `${result.slice(0, MAX_TOOL_RESULT_CHARS)}\n... (truncated ${result.length - MAX_TOOL_RESULT_CHARS} characters)`;
+        }
+        return result;
+    }
+}
@@ -0,0 +1,499 @@
+import * as vscode from 'vscode';
+import axios from 'axios';
+import { OllamaClient } from './ollamaClient';
+import { WorkspaceRoots } from './workspaceRoots';
+
+export interface CodeIndexConfig {
+    enabled: boolean;
+    model: string;
+    topK: number;
+}
+
+export interface CodeSearchResult {
+    uri: vscode.Uri;
+    path: string;
+    startLine: number;
+    endLine: number;
+    score: number;
+    text: string;
+}
+
+interface IndexedChunk {
+    /** 0-based, inclusive line range of the chunk. */
+    start: number;
+    end: number;
+    /** Unit-length embedding, stored as base64-encoded float32 values. */
+    vector: string;
+}
+
+interface IndexedFile {
+    mtime: number;
+    size: number;
+    chunks: IndexedChunk[];
+}
+
+interface IndexFile {
+    version: number;
+    model: string;
+    files: { [uri: string]: IndexedFile };
+}
+
+const INDEX_VERSION = 1;
+const SOURCE_GLOB = '**/*.{ts,tsx,js,jsx,mjs,cjs,py,go,rs,java,kt,cs,c,h,cpp,hpp,cc,rb,php,swift,scala,sh,vue,svelte,md}';
+export const EXCLUDE_GLOB = '**/{node_modules,.git,out,dist,build,coverage,.next,.venv,venv,__pycache__,target,vendor}/**';
+const EXCLUDED_SEGMENTS = ['node_modules', '.git', 'out', 'dist', 'build', 'coverage', '.next', '.venv', 'venv', '__pycache__', 'target', 'vendor'];
+const MAX_FILES = 5000;
+const MAX_FILE_BYTES = 200 * 1024;
+const CHUNK_LINES = 60;
+const MIN_CHUNK_LINES = 20;
+const MAX_CHUNK_CHARS = 2000;
+const EMBED_BATCH = 16;
+const SAVE_DELAY_MS = 5000;
+// Below this cosine similarity a chunk is unlikely to be relevant
+const MIN_SCORE = 0.3;
+const MAX_CONTEXT_CHARS = 6000;
+
+/**
+ * Background semantic index of workspace source files. Files are split into
+ * line chunks, embedded through Ollama /api/embed and kept in a JSON file
+ * under extension storage; file watchers on each workspace root keep it current.
+ */
+export class CodeIndex implements vscode.Disposable {
+    private config: CodeIndexConfig = { enabled: true, model: 'nomic-embed-text', topK: 5 };
+    private index: IndexFile = { version: INDEX_VERSION, model: '', files: {} };
+    private readonly directory: vscode.Uri;
+    private readonly indexUri: vscode.Uri;
+    private decoded = new WeakMap<IndexedChunk, Float32Array>();
+    private queue = new Set<string>();
+    private running = false;
+    private paused = false;
+    private loaded = false;
+    private saveTimer?: NodeJS.Timeout;
+    private watchers: vscode.FileSystemWatcher[] = [];
+    private rootsListener?: vscode.Disposable;
+    private readonly statusBarItem: vscode.StatusBarItem;
+
+    constructor(private readonly ollamaClient: OllamaClient, storageUri: vscode.Uri, private readonly roots: WorkspaceRoots) {
+        this.directory = vscode.Uri.joinPath(storageUri, 'code-index');
+        this.indexUri = vscode.Uri.joinPath(this.directory, 'index.json');
+        this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 99);
+        this.statusBarItem.command = 'replit-copilot.rebuildIndex';
+        this.readConfig();
+    }
+
+    public register(context: vscode.ExtensionContext) {
+        context.subscriptions.push(
+            this,
+            vscode.commands.registerCommand('replit-copilot.rebuildIndex', () => this.rebuild())
+        );
+        if (this.config.enabled) {
+            this.start();
+        }
+    }
+
+    public updateConfiguration() {
+        const wasEnabled = this.config.enabled;
+        const previousModel = this.config.model;
+        this.readConfig();
+
+        if (!this.config.enabled) {
+            this.stop();
+        } else if (!wasEnabled || previousModel !== this.config.model) {
+            this.paused = false;
+            this.start();
+        }
+    }
+
+    private readConfig() {
+        const config = vscode.workspace.getConfiguration('replitCopilot');
+        this.config = {
+            enabled: config.get<boolean>('enableCodeIndex') !== false,
+            model: config.get<string>('embeddingModel') || 'nomic-embed-text',
+            topK: config.get<number>('codeIndexTopK') || 5
+        };
+    }
+
+    public isReady(): boolean {
+        return this.config.enabled && this.loaded && Object.keys(this.index.files).length > 0;
+    }
+
+    private start() {
+        if (!this.rootsListener) {
+            // Added folders are indexed and removed ones dropped by the next scan
+            this.rootsListener = this.roots.onDidChange(() => {
+                this.watch();
+                this.reconcile().catch(error => console.error('[CODE-INDEX] Failed to scan workspace:', error));
+            });
+            this.watch();
+        }
+        this.reconcile().catch(error => console.error('[CODE-INDEX] Failed to scan workspace:', error));
+    }
+
+    private watch() {
+        this.watchers.forEach(watcher => watcher.dispose());
+        this.watchers = this.roots.all().map(root => {
+            const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(root.uri, SOURCE_GLOB));
+            watcher.onDidCreate(uri => this.enqueue(uri));
+            watcher.onDidChange(uri => this.enqueue(uri));
+            watcher.onDidDelete(uri => this.remove(uri));
+            return watcher;
+        });
+    }
+
+    private stop() {
+        this.rootsListener?.dispose();
+        this.rootsListener = undefined;
+        this.watchers.forEach(watcher => watcher.dispose());
+        this.watchers = [];
+        this.queue.clear();
+        this.statusBarItem.hide();
+    }
+
+    private async rebuild() {
+        if (!this.config.enabled) {
+            vscode.window.showInformationMessage('The code index is disabled. Enable replitCopilot.enableCodeIndex to use it.');
+            return;
+        }
+        this.index = { version: INDEX_VERSION, model: this.config.model, files: {} };
+        this.paused = false;
+        this.start();
+    }
+
+    /**
+     * Loads the saved index and queues every file that is new or changed
+     * since it was written; entries for deleted files are dropped.
+     */
+    private async reconcile() {
+        if (!this.loaded) {
+            await this.load();
+        }
+        if (this.index.model !== this.config.model || this.index.version !== INDEX_VERSION) {
+            // Vectors from different models are not comparable
+            this.index = { version: INDEX_VERSION, model: this.config.model, files: {} };
+        }
+
+        const found = await Promise.all(this.roots.all().map(root =>
+            vscode.workspace.findFiles(new vscode.RelativePattern(root.uri, SOURCE_GLOB), EXCLUDE_GLOB, MAX_FILES)
+        ));
+        const files = found.flat().slice(0, MAX_FILES);
+        const present = new Set(files.map(uri => uri.toString()));
+
+        for (const key of Object.keys(this.index.files)) {
+            if (!present.has(key)) {
+                delete this.index.files[key];
+            }
+        }
+        for (const key of Array.from(this.queue)) {
+            if (!present.has(key)) {
+                this.queue.delete(key);
+            }
+        }
+
+        for (const uri of files) {
+            const entry = this.index.files[uri.toString()];
+            if (!entry) {
+                this.queue.add(uri.toString());
+                continue;
+            }
+            try {
+                const stat = await vscode.workspace.fs.stat(uri);
+                if (stat.mtime !== entry.mtime || stat.size !== entry.size) {
+                    this.queue.add(uri.toString());
+                }
+            } catch {
+                delete this.index.files[uri.toString()];
+            }
+        }
+
+        this.scheduleSave();
+        this.processQueue();
+    }
+
+    private enqueue(uri: vscode.Uri) {
+        if (!this.config.enabled || this.isExcluded(uri)) {
+            return;
+        }
+        this.queue.add(uri.toString());
+        this.processQueue();
+    }
+
+    private remove(uri: vscode.Uri) {
+        this.queue.delete(uri.toString());
+        if (this.index.files[uri.toString()]) {
+            delete this.index.files[uri.toString()];
+            this.scheduleSave();
+        }
+    }
+
+    private isExcluded(uri: vscode.Uri): boolean {
+        return uri.path.split('/').some(segment => EXCLUDED_SEGMENTS.includes(segment));
+    }
+
+    private async processQueue() {
+        if (this.running || this.paused) {
+            return;
+        }
+        this.running = true;
+        let done = 0;
+
+        try {
+            while (this.queue.size > 0 && !this.paused && this.config.enabled) {
+                const key = this.queue.values().next().value as string;
+                this.queue.delete(key);
+                this.updateStatus(done, done + this.queue.size + 1);
+
+                try {
+                    await this.indexFile(vscode.Uri.parse(key));
+                } catch (error) {
+                    if (this.pauseIfUnavailable(error)) {
+                        this.queue.add(key);
+                        break;
+                    }
+                    console.error(`[CODE-INDEX] Failed to index ${key}:`, error instanceof Error ? error.message : error);
+                }
+                done++;
+                this.scheduleSave();
+            }
+        } finally {
+            this.running = false;
+            this.statusBarItem.hide();
+        }
+    }
+
+    private async indexFile(uri: vscode.Uri) {
+        let stat: vscode.FileStat;
+        try {
+            stat = await vscode.workspace.fs.stat(uri);
+        } catch {
+            this.remove(uri);
+            return;
+        }
+        if (stat.size > MAX_FILE_BYTES) {
+            delete this.index.files[uri.toString()];
+            return;
+        }
+
+        const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf-8');
+        const lines = text.split(/\r?\n/);
+        const ranges = CodeIndex.chunk(lines);
+        const path = this.roots.relativePath(uri);
+        const chunks: IndexedChunk[] = [];
+
+        for (let i = 0; i < ranges.length; i += EMBED_BATCH) {
+            const batch = ranges.slice(i, i + EMBED_BATCH);
+            const inputs = batch.map(range => this.documentPrefix() + `${path}\n${lines.slice(range.start, range.end + 1).join('\n').slice(0, MAX_CHUNK_CHARS)}`);
+            const vectors = await this.ollamaClient.embed(this.config.model, inputs);
+            batch.forEach((range, j) => {
+                if (vectors[j]) {
+                    chunks.push({ ...range, vector: CodeIndex.encode(CodeIndex.normalize(vectors[j])) });
+                }
+            });
+        }
+
+        this.index.files[uri.toString()] = { mtime: stat.mtime, size: stat.size, chunks };
+    }
+
+    /**
+     * Splits a file into chunks of up to CHUNK_LINES lines, preferring to end
+     * a chunk at a blank line so functions tend to stay together.
+     */
+    public static chunk(lines: string[]): Array<{ start: number; end: number }> {
+        const ranges: Array<{ start: number; end: number }> = [];
+        let start = 0;
+
+        while (start < lines.length) {
+            let end = Math.min(start + CHUNK_LINES, lines.length) - 1;
+            if (end < lines.length - 1) {
+                for (let i = end; i >= start + MIN_CHUNK_LINES; i--) {
+                    if (lines[i].trim() === '') {
+                        end = i;
+                        break;
+                    }
+                }
+            }
+
+            if (lines.slice(start, end + 1).some(line => line.trim() !== '')) {
+                ranges.push({ start, end });
+            }
+            start = end + 1;
+        }
+        return ranges;
+    }
+
+    /**
+     * Returns the `topK` chunks most similar to the query, best first.
+     */
+    public async search(query: string, topK: number = this.config.topK, signal?: AbortSignal): Promise<CodeSearchResult[]> {
+        if (!this.isReady()) {
+            return [];
+        }
+
+        const [queryVector] = await this.ollamaClient.embed(this.config.model, [this.queryPrefix() + query], signal);
+        if (!queryVector) {
+            return [];
+        }
+        const normalized = CodeIndex.normalize(queryVector);
+
+        const scored: Array<{ key: string; chunk: IndexedChunk; score: number }> = [];
+        for (const [key, file] of Object.entries(this.index.files)) {
+            for (const chunk of file.chunks) {
+                let vector = this.decoded.get(chunk);
+                if (!vector) {
+                    vector = CodeIndex.decode(chunk.vector);
+                    this.decoded.set(chunk, vector);
+                }
+                if (vector.length !== normalized.length) {
+                    continue;
+                }
+                let score = 0;
+                for (let i = 0; i < vector.length; i++) {
+                    score += vector[i] * normalized[i];
+                }
+                scored.push({ key, chunk, score });
+            }
+        }
+
+        scored.sort((a, b) => b.score - a.score);
+        const results: CodeSearchResult[] = [];
+        for (const { key, chunk, score } of scored.slice(0, topK)) {
+            const uri = vscode.Uri.parse(key);
+            try {
+                const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf-8');
+                results.push({
+                    uri,
+                    path: this.roots.relativePath(uri),
+                    startLine: chunk.start,
+                    endLine: chunk.end,
+                    score,
+                    text: text.split(/\r?\n/).slice(chunk.start, chunk.end + 1).join('\n')
+                });
+            } catch {
+                // Deleted since it was indexed; the watcher will drop it
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Formats the best matches for a chat turn as a labelled context block,
+     * or returns undefined when nothing relevant is indexed.
+     */
+    public async buildContext(query: string, signal?: AbortSignal): Promise<string | undefined> {
+        const results = (await this.search(query, this.config.topK, signal)).filter(result => result.score >= MIN_SCORE);
+        if (results.length === 0) {
+            return undefined;
+        }
+
+        let budget = MAX_CONTEXT_CHARS;
+        const blocks: string[] = [];
+        for (const result of results) {
+            const text = result.text.slice(0, Math.max(0, budget));
+            if (!text) {
+                break;
+            }
+            blocks.push(`--- ${result.path} (lines ${result.startLine + 1}-${result.endLine + 1}) ---\n${text}`);
+            budget -= text.length;
+        }
+
+        return `RELEVANT CODE (retrieved from the workspace index for this question):\n${blocks.join('\n\n')}`;
+    }
+
+    // nomic-embed-text is trained with task prefixes and scores noticeably better with them
+    private documentPrefix(): string {
+        return this.config.model.includes('nomic') ? 'search_document: ' : '';
+    }
+
+    private queryPrefix(): string {
+        return this.config.model.includes('nomic') ? 'search_query: ' : '';
+    }
+
+    /**
+     * Stops indexing when every further request would fail the same way:
+     * the embedding model is not installed or Ollama is unreachable.
+     */
+    private pauseIfUnavailable(error: any): boolean {
+        if (!axios.isAxiosError(error)) {
+            return false;
+        }
+        if (error.response?.status === 404) {
+            this.paused = true;
+            vscode.window.showWarningMessage(
+                `Code indexing is paused: the embedding model '${this.config.model}' is not installed. Pull it with "ollama pull ${this.config.model}", then run "Rebuild Code Index".`
+            );
+            return true;
+        }
+        if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+            this.paused = true;
+            console.log('[CODE-INDEX] Ollama is not reachable; indexing paused until the index is rebuilt');
+            return true;
+        }
+        return false;
+    }
+
+    private updateStatus(done: number, total: number) {
+        this.statusBarItem.text = `$(database) Indexing ${done}/${total}`;
+        this.statusBarItem.tooltip = 'Building the semantic code index. Click to rebuild from scratch.';
+        this.statusBarItem.show();
+    }
+
+    private async load() {
+        try {
+            const bytes = await vscode.workspace.fs.readFile(this.indexUri);
+            const data = JSON.parse(Buffer.from(bytes).toString('utf-8'));
+            if (data && typeof data.files === 'object') {
+                this.index = data;
+            }
+        } catch {
+            // No index yet
+        }
+        this.loaded = true;
+    }
+
+    private scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = undefined;
+            this.save().catch(error => console.error('[CODE-INDEX] Failed to save index:', error));
+        }, SAVE_DELAY_MS);
+    }
+
+    private async save() {
+        await vscode.workspace.fs.createDirectory(this.directory);
+        await vscode.workspace.fs.writeFile(this.indexUri, Buffer.from(JSON.stringify(this.index), 'utf-8'));
+    }
+
+    private static normalize(vector: number[]): Float32Array {
+        const result = Float32Array.from(vector);
+        let norm = 0;
+        for (const value of result) {
+            norm += value * value;
+        }
+        norm = Math.sqrt(norm) || 1;
+        for (let i = 0; i < result.length; i++) {
+            result[i] /= norm;
+        }
+        return result;
+    }
+
+    private static encode(vector: Float32Array): string {
+        return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+    }
+
+    private static decode(encoded: string): Float32Array {
+        const bytes = Buffer.from(encoded, 'base64');
+        // Copy into an aligned buffer; Buffer slices may not be 4-byte aligned
+        return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    }
+
+    public dispose() {
+        this.stop();
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = undefined;
+            this.save().catch(() => undefined);
+        }
+        this.statusBarItem.dispose();
+    }
+}
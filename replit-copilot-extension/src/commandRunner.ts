@@ -0,0 +1,371 @@
+import * as vscode from 'vscode';
+import { spawn } from 'child_process';
+import { RememberScope } from './toolPolicy';
+import { WorkspaceRoots } from './workspaceRoots';
+
+export interface CommandResult {
+    /** The command line that ran, after any edits the user made when approving it. */
+    command: string;
+    /** Undefined when the process was killed or the shell did not report one. */
+    exitCode: number | undefined;
+    stdout: string;
+    stderr: string;
+    durationMs: number;
+    timedOut: boolean;
+    cancelled: boolean;
+    truncated: boolean;
+    /** Shell integration merges stderr into stdout, since the terminal has one stream. */
+    via: 'process' | 'terminal';
+}
+
+export interface CommandRunnerConfig {
+    timeoutSeconds: number;
+    maxOutputChars: number;
+    useShellIntegration: boolean;
+}
+
+export interface RunOptions {
+    cwd?: string;
+    signal?: AbortSignal;
+    /** Set to false when the tool policy lets commands run without asking. */
+    confirm?: boolean;
+    /** Offered as buttons on the approval prompt to stop asking in future. */
+    onRemember?: (scope: RememberScope) => Promise<void>;
+}
+
+const TERMINAL_NAME = 'Ollama Commands';
+const SHELL_INTEGRATION_WAIT_MS = 3000;
+const KILL_GRACE_MS = 2000;
+// Strips colour codes and the OSC sequences shell integration writes around each command
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+/**
+ * Keeps the start and the end of a command's output, dropping the middle
+ * once it grows past the limit. Errors usually show up at the end.
+ */
+class OutputBuffer {
+    private head = '';
+    private tail = '';
+    private dropped = 0;
+
+    constructor(private readonly limit: number) {}
+
+    public append(text: string) {
+        const headRoom = Math.floor(this.limit / 4) - this.head.length;
+        if (headRoom > 0) {
+            this.head += text.slice(0, headRoom);
+            text = text.slice(headRoom);
+        }
+        this.tail += text;
+        const tailLimit = this.limit - Math.floor(this.limit / 4);
+        if (this.tail.length > tailLimit) {
+            this.dropped += this.tail.length - tailLimit;
+            this.tail = this.tail.slice(this.tail.length - tailLimit);
+        }
+    }
+
+    public get truncated(): boolean {
+        return this.dropped > 0;
+    }
+
+    public toString(): string {
+        return this.dropped > 0
+            ? `${this.head}\n... (${this.dropped} characters omitted) ...\n${this.tail}`
+            : this.head + this.tail;
+    }
+}
+
+/**
+ * Runs shell commands for the model after the user approves them. Commands
+ * go through the shared terminal's shell integration when VS Code offers it,
+ * so the user sees them run, and otherwise through a child process.
+ */
+export class CommandRunner implements vscode.Disposable {
+    private config: CommandRunnerConfig = { timeoutSeconds: 120, maxOutputChars: 20000, useShellIntegration: true };
+    private terminal?: vscode.Terminal;
+    private readonly disposables: vscode.Disposable[] = [];
+
+    constructor(private readonly roots: WorkspaceRoots) {
+        this.readConfig();
+        this.disposables.push(vscode.window.onDidCloseTerminal(closed => {
+            if (closed === this.terminal) {
+                this.terminal = undefined;
+            }
+        }));
+    }
+
+    public updateConfiguration() {
+        this.readConfig();
+    }
+
+    /**
+     * Asks the user to approve (and optionally edit) the command, then runs
+     * it. Throws if the user declines.
+     */
+    public async run(command: string, options: RunOptions = {}): Promise<CommandResult> {
+        const cwd = options.cwd || this.roots.primary()?.uri.fsPath;
+        const approved = options.confirm === false ? command : await this.approve(command, cwd, options.onRemember);
+        if (!approved?.trim()) {
+            throw new Error('The user declined to run the command');
+        }
+        if (options.signal?.aborted) {
+            throw new Error('The command was cancelled before it started');
+        }
+
+        return await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `Running: ${approved}`,
+            cancellable: true
+        }, async (_progress, token) => {
+            // Either the notification's Cancel button or the chat's Stop button ends the run
+            const controller = new AbortController();
+            const cancel = () => controller.abort();
+            token.onCancellationRequested(cancel);
+            options.signal?.addEventListener('abort', cancel, { once: true });
+            try {
+                const terminal = this.config.useShellIntegration && !options.cwd ? await this.shellIntegrationTerminal() : undefined;
+                return terminal
+                    ? await this.runInTerminal(terminal, approved, controller.signal)
+                    : await this.runProcess(approved, cwd, controller.signal);
+            } finally {
+                options.signal?.removeEventListener('abort', cancel);
+            }
+        });
+    }
+
+    /**
+     * Shows the command in an editable box. Enter runs it; the remember
+     * buttons run it and stop asking for this workspace or everywhere.
+     */
+    private approve(command: string, cwd: string | undefined, onRemember?: (scope: RememberScope) => Promise<void>): Promise<string | undefined> {
+        type RememberButton = vscode.QuickInputButton & { scope: RememberScope };
+        const buttons: RememberButton[] = [
+            { iconPath: new vscode.ThemeIcon('check-all'), tooltip: 'Run and always allow commands in this workspace', scope: 'workspace' },
+            { iconPath: new vscode.ThemeIcon('globe'), tooltip: 'Run and always allow commands', scope: 'global' }
+        ];
+
+        const input = vscode.window.createInputBox();
+        input.title = 'Ollama wants to run a command';
+        input.prompt = `Press Enter to run it${cwd ? ` in ${cwd}` : ''}, or Escape to decline. You can edit the command first.`;
+        input.value = command;
+        input.ignoreFocusOut = true;
+        input.buttons = onRemember ? buttons.filter(button => button.scope === 'global' || vscode.workspace.workspaceFolders) : [];
+
+        return new Promise(resolve => {
+            let settled = false;
+            const finish = (value: string | undefined) => {
+                if (!settled) {
+                    settled = true;
+                    resolve(value);
+                    input.dispose();
+                }
+            };
+            input.onDidAccept(() => finish(input.value));
+            input.onDidTriggerButton(button => {
+                finish(input.value);
+                onRemember?.((button as RememberButton).scope).catch(error => {
+                    console.error('[COMMAND-RUNNER] Could not save the command permission:', error);
+                });
+            });
+            input.onDidHide(() => finish(undefined));
+            input.show();
+        });
+    }
+
+    /** Formats a result as the tool output the model sees. */
+    public static format(result: CommandResult): string {
+        const seconds = (result.durationMs / 1000).toFixed(1);
+        const status = result.timedOut ? 'timed out' : result.cancelled ? 'cancelled by the user' : `exit code ${result.exitCode ?? 'unknown'}`;
+        const lines = [`$ ${result.command}`, `${status} after ${seconds}s`];
+        if (result.stdout) {
+            lines.push(result.via === 'terminal' ? 'output:' : 'stdout:', result.stdout.trimEnd());
+        }
+        if (result.stderr) {
+            lines.push('stderr:', result.stderr.trimEnd());
+        }
+        if (!result.stdout && !result.stderr) {
+            lines.push('(no output)');
+        }
+        return lines.join('\n');
+    }
+
+    private runProcess(command: string, cwd: string | undefined, signal: AbortSignal): Promise<CommandResult> {
+        return new Promise(resolve => {
+            const started = Date.now();
+            const stdout = new OutputBuffer(this.config.maxOutputChars);
+            const stderr = new OutputBuffer(this.config.maxOutputChars);
+            let timedOut = false;
+
+            // A process group on POSIX lets a timeout kill whatever the shell started
+            const child = spawn(command, { cwd, shell: true, detached: process.platform !== 'win32', env: process.env });
+            child.stdout?.on('data', (data: Buffer) => stdout.append(data.toString()));
+            child.stderr?.on('data', (data: Buffer) => stderr.append(data.toString()));
+
+            const kill = () => {
+                if (child.exitCode !== null || !child.pid) {
+                    return;
+                }
+                if (process.platform === 'win32') {
+                    // Without taskkill only the shell can be stopped, not what it started
+                    spawn('taskkill', ['/pid', String(child.pid), '/T', '/F']).on('error', error => {
+                        console.error('[COMMAND-RUNNER] taskkill failed:', error);
+                        child.kill();
+                    });
+                    return;
+                }
+                try {
+                    process.kill(-child.pid, 'SIGTERM');
+                    setTimeout(() => {
+                        try {
+                            process.kill(-child.pid!, 'SIGKILL');
+                        } catch {
+                            // Already exited
+                        }
+                    }, KILL_GRACE_MS);
+                } catch {
+                    child.kill();
+                }
+            };
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                kill();
+            }, this.config.timeoutSeconds * 1000);
+            signal.addEventListener('abort', kill, { once: true });
+
+            const finish = (exitCode: number | undefined, error?: Error) => {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', kill);
+                if (error) {
+                    stderr.append(error.message);
+                }
+                resolve({
+                    command,
+                    exitCode,
+                    stdout: stdout.toString(),
+                    stderr: stderr.toString(),
+                    durationMs: Date.now() - started,
+                    timedOut,
+                    cancelled: signal.aborted,
+                    truncated: stdout.truncated || stderr.truncated,
+                    via: 'process'
+                });
+            };
+            child.on('error', error => finish(undefined, error));
+            child.on('close', code => finish(code ?? undefined));
+        });
+    }
+
+    private async runInTerminal(terminal: vscode.Terminal, command: string, signal: AbortSignal): Promise<CommandResult> {
+        const started = Date.now();
+        const output = new OutputBuffer(this.config.maxOutputChars);
+        let timedOut = false;
+
+        terminal.show(true);
+        const execution = terminal.shellIntegration!.executeCommand(command);
+        let endListener: vscode.Disposable | undefined;
+        const ended = new Promise<number | undefined>(resolve => {
+            endListener = vscode.window.onDidEndTerminalShellExecution(event => {
+                if (event.execution === execution) {
+                    resolve(event.exitCode);
+                }
+            });
+        });
+
+        // Programs that ignore Ctrl+C (full-screen tools, prompts, sub-shells) have their terminal closed instead
+        let killTimer: ReturnType<typeof setTimeout> | undefined;
+        let killed: () => void = () => undefined;
+        const terminalClosed = new Promise<undefined>(resolve => {
+            killed = () => resolve(undefined);
+        });
+        // Ctrl+C is what the user would press; the stream ends once the shell returns
+        const interrupt = () => {
+            terminal.sendText('\x03', false);
+            killTimer ??= setTimeout(() => {
+                console.log('[COMMAND-RUNNER] Command ignored Ctrl+C, closing its terminal:', command);
+                if (this.terminal === terminal) {
+                    this.terminal = undefined;
+                }
+                terminal.dispose();
+                killed();
+            }, KILL_GRACE_MS);
+        };
+        const timer = setTimeout(() => {
+            timedOut = true;
+            interrupt();
+        }, this.config.timeoutSeconds * 1000);
+        signal.addEventListener('abort', interrupt, { once: true });
+
+        const finished = (async () => {
+            for await (const data of execution.read()) {
+                output.append(data.replace(ANSI_PATTERN, ''));
+            }
+            return await ended;
+        })();
+
+        try {
+            const exitCode = await Promise.race([finished, terminalClosed]);
+            return {
+                command,
+                exitCode,
+                stdout: output.toString(),
+                stderr: '',
+                durationMs: Date.now() - started,
+                timedOut,
+                cancelled: signal.aborted,
+                truncated: output.truncated,
+                via: 'terminal'
+            };
+        } finally {
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            endListener?.dispose();
+            signal.removeEventListener('abort', interrupt);
+        }
+    }
+
+    /**
+     * The shared terminal, once its shell integration is active. Returns
+     * undefined on VS Code versions or shells without it.
+     */
+    private async shellIntegrationTerminal(): Promise<vscode.Terminal | undefined> {
+        if (typeof vscode.window.onDidChangeTerminalShellIntegration !== 'function') {
+            return undefined;
+        }
+        if (!this.terminal) {
+            this.terminal = vscode.window.createTerminal({ name: TERMINAL_NAME, cwd: this.roots.primary()?.uri });
+        }
+        const terminal = this.terminal;
+        if (terminal.shellIntegration) {
+            return terminal;
+        }
+
+        return await new Promise(resolve => {
+            const timer = setTimeout(() => {
+                listener.dispose();
+                resolve(undefined);
+            }, SHELL_INTEGRATION_WAIT_MS);
+            const listener = vscode.window.onDidChangeTerminalShellIntegration(event => {
+                if (event.terminal === terminal) {
+                    clearTimeout(timer);
+                    listener.dispose();
+                    resolve(terminal);
+                }
+            });
+        });
+    }
+
+    private readConfig() {
+        const config = vscode.workspace.getConfiguration('replitCopilot');
+        this.config = {
+            timeoutSeconds: Math.max(1, config.get<number>('commandTimeout', 120)),
+            maxOutputChars: Math.max(1000, config.get<number>('maxCommandOutput', 20000)),
+            useShellIntegration: config.get<boolean>('useShellIntegration', true)
+        };
+    }
+
+    public dispose() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.terminal?.dispose();
+    }
+}
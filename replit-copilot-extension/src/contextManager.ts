@@ -0,0 +1,186 @@
+import { ChatMessage } from './ollamaClient';
+
+export const SUMMARY_PREFIX = 'Summary of the earlier conversation:';
+
+export interface ContextUsage {
+    /** Estimated prompt tokens, including what is reserved for the reply and tools. */
+    usedTokens: number;
+    numCtx: number;
+    /** Messages folded into the rolling summary so far. */
+    summarizedMessages: number;
+}
+
+export type Summarizer = (previousSummary: string | undefined, messages: ChatMessage[], signal?: AbortSignal) => Promise<string>;
+
+// Newest messages that are always kept verbatim, so the current exchange is never summarized
+const KEEP_RECENT_MESSAGES = 4;
+// Fold a little more than the overflow so summarizing does not run on every turn
+const FOLD_SLACK_RATIO = 0.25;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Vision models turn each image into a fixed number of embeddings (576 for llava)
+const IMAGE_TOKENS = 768;
+const TRUNCATION_NOTE = '\n…[truncated to fit the context window]…\n';
+
+/**
+ * Rough token count. Llama-family tokenizers average about four characters
+ * per token on English and code, which is close enough for budgeting.
+ */
+export function estimateTokens(text: string): number {
+    return Math.ceil(text.length / 4);
+}
+
+export function estimateMessageTokens(messages: ChatMessage[]): number {
+    return messages.reduce((total, message) => {
+        const toolCalls = message.tool_calls ? estimateTokens(JSON.stringify(message.tool_calls)) : 0;
+        const images = (message.images?.length || 0) * IMAGE_TOKENS;
+        return total + estimateTokens(message.content) + toolCalls + images + MESSAGE_OVERHEAD_TOKENS;
+    }, 0);
+}
+
+export function isSummaryMessage(message: ChatMessage): boolean {
+    return message.role === 'system' && message.content.startsWith(SUMMARY_PREFIX);
+}
+
+/**
+ * Keeps a conversation inside the model's `num_ctx`. The system prompt and
+ * any pinned context blocks always stay; the oldest turns are folded into a
+ * rolling summary written by the model, and only as a last resort are
+ * oversized messages truncated.
+ */
+export class ContextManager {
+    private summarizedMessages = 0;
+
+    constructor(private readonly summarize: Summarizer) {}
+
+    /**
+     * Compacts `history` in place so that it fits `budget` tokens together
+     * with `pinned`, and returns the messages to send. `history[0]` is the
+     * system prompt; a summary message, when present, sits right after it.
+     */
+    public async fit(history: ChatMessage[], pinned: ChatMessage[], budget: number, signal?: AbortSignal): Promise<ChatMessage[]> {
+        let overflow = estimateMessageTokens(this.assemble(history, pinned)) - budget;
+
+        while (overflow > 0 && !signal?.aborted) {
+            const chunk = this.takeOldestTurns(history, overflow + Math.ceil(budget * FOLD_SLACK_RATIO));
+            if (!chunk) {
+                break;
+            }
+
+            const summaryIndex = history.findIndex(isSummaryMessage);
+            const previous = summaryIndex !== -1 ? history[summaryIndex].content.slice(SUMMARY_PREFIX.length).trim() : undefined;
+            const folded = history.slice(chunk.start, chunk.end);
+
+            let summary: string;
+            try {
+                summary = await this.summarize(previous, folded, signal);
+            } catch (error) {
+                if (signal?.aborted) {
+                    break;
+                }
+                console.error('[CONTEXT] Summarization failed, keeping an extract instead:', error);
+                summary = ContextManager.extract(previous, folded);
+            }
+
+            history.splice(chunk.start, chunk.end - chunk.start);
+            const message: ChatMessage = { role: 'system', content: `${SUMMARY_PREFIX}\n${summary}` };
+            if (summaryIndex !== -1) {
+                history[summaryIndex] = message;
+            } else {
+                history.splice(1, 0, message);
+            }
+            this.summarizedMessages += folded.length;
+
+            overflow = estimateMessageTokens(this.assemble(history, pinned)) - budget;
+        }
+
+        if (overflow > 0) {
+            this.truncate(history, overflow);
+        }
+        return this.assemble(history, pinned);
+    }
+
+    public usage(history: ChatMessage[], pinned: ChatMessage[], reservedTokens: number, numCtx: number): ContextUsage {
+        return {
+            usedTokens: estimateMessageTokens(this.assemble(history, pinned)) + reservedTokens,
+            numCtx,
+            summarizedMessages: this.summarizedMessages
+        };
+    }
+
+    public reset(summarizedMessages = 0) {
+        this.summarizedMessages = summarizedMessages;
+    }
+
+    private assemble(history: ChatMessage[], pinned: ChatMessage[]): ChatMessage[] {
+        return history.length > 0 ? [history[0], ...pinned, ...history.slice(1)] : [...pinned];
+    }
+
+    /**
+     * Picks the oldest foldable turns worth at least `tokens`. The chunk never
+     * ends between an assistant tool call and its tool results, and never
+     * reaches the latest user message, however long its tool loop has run.
+     */
+    private takeOldestTurns(history: ChatMessage[], tokens: number): { start: number; end: number } | undefined {
+        let start = 1;
+        while (start < history.length && history[start].role === 'system') {
+            start++;
+        }
+
+        let limit = history.length - KEEP_RECENT_MESSAGES;
+        for (let index = history.length - 1; index >= start; index--) {
+            if (history[index].role === 'user') {
+                limit = Math.min(limit, index);
+                break;
+            }
+        }
+        // The first kept message must not be a tool result, or its call would be folded without it
+        while (limit > start && history[limit]?.role === 'tool') {
+            limit--;
+        }
+        let end = start;
+        let collected = 0;
+        while (end < limit && collected < tokens) {
+            collected += estimateMessageTokens([history[end]]);
+            end++;
+            while (end < limit && history[end].role === 'tool') {
+                collected += estimateMessageTokens([history[end]]);
+                end++;
+            }
+        }
+
+        return end > start ? { start, end } : undefined;
+    }
+
+    /**
+     * Last resort when even the recent turns are too big: shortens the
+     * largest non-system messages by cutting out their middle.
+     */
+    private truncate(history: ChatMessage[], overflowTokens: number) {
+        const candidates = history
+            .map((message, index) => ({ message, index }))
+            .filter(({ message }) => message.role !== 'system')
+            .sort((a, b) => b.message.content.length - a.message.content.length);
+
+        let remaining = overflowTokens * 4;
+        for (const { message, index } of candidates) {
+            if (remaining <= 0) {
+                break;
+            }
+            const keep = Math.max(400, message.content.length - remaining - TRUNCATION_NOTE.length);
+            if (keep >= message.content.length) {
+                continue;
+            }
+            const head = message.content.slice(0, Math.ceil(keep / 2));
+            const tail = message.content.slice(message.content.length - Math.floor(keep / 2));
+            history[index] = { ...message, content: head + TRUNCATION_NOTE + tail };
+            remaining -= message.content.length - history[index].content.length;
+        }
+    }
+
+    private static extract(previous: string | undefined, messages: ChatMessage[]): string {
+        const lines = messages
+            .filter(message => message.role === 'user' || message.role === 'assistant')
+            .map(message => `- ${message.role}: ${message.content.replace(/\s+/g, ' ').slice(0, 200)}`);
+        return [previous, ...lines].filter(Boolean).join('\n');
+    }
+}
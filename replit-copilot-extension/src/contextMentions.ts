@@ -0,0 +1,361 @@
+import * as vscode from 'vscode';
+import { execFile } from 'child_process';
+import { FileOperationsManager as WorkspaceFileOperations } from './fileOperations';
+import { EXCLUDE_GLOB } from './codeIndex';
+import { estimateTokens } from './contextManager';
+import { WorkspaceRoots } from './workspaceRoots';
+import { ToolPolicy } from './toolPolicy';
+
+export type MentionKind = 'file' | 'folder' | 'selection' | 'problems' | 'openEditors' | 'gitDiff' | 'terminal';
+
+export interface ContextMention {
+    kind: MentionKind;
+    /** Workspace-relative path for @file and @folder (prefixed with the folder name in multi-root workspaces); unused by the other kinds. */
+    value?: string;
+}
+
+export interface MentionSuggestion {
+    value: string;
+    description?: string;
+}
+
+export interface ContextBlock {
+    label: string;
+    content: string;
+    tokens: number;
+}
+
+export const MENTION_KINDS: MentionKind[] = ['file', 'folder', 'selection', 'problems', 'openEditors', 'gitDiff', 'terminal'];
+
+// One mention should never crowd out the conversation on a small num_ctx
+const MAX_BLOCK_CHARS = 16000;
+const MAX_FOLDER_FILES = 200;
+const MAX_PROBLEMS = 100;
+const MAX_SUGGESTIONS = 20;
+const MAX_TERMINAL_LINES = 200;
+const FILE_LIST_TTL_MS = 30000;
+const GIT_TIMEOUT_MS = 10000;
+
+/**
+ * Resolves @-mentions typed in the chat input into labelled context blocks,
+ * and supplies the path suggestions for @file and @folder autocompletion.
+ */
+export class ContextMentionProvider {
+    private fileList?: { paths: string[]; loadedAt: number };
+
+    constructor(
+        private readonly workspaceOps: WorkspaceFileOperations,
+        private readonly policy: ToolPolicy,
+        private readonly roots: WorkspaceRoots
+    ) {
+        roots.onDidChange(() => this.fileList = undefined);
+    }
+
+    public async suggest(kind: MentionKind, query: string): Promise<MentionSuggestion[]> {
+        if (kind !== 'file' && kind !== 'folder') {
+            return [];
+        }
+
+        const paths = await this.listWorkspaceFiles();
+        const candidates = kind === 'file' ? paths : ContextMentionProvider.folders(paths);
+        const needle = query.toLowerCase();
+        const active = this.activeRelativePath();
+
+        const ranked = candidates
+            .filter(path => path.toLowerCase().includes(needle))
+            .map(path => {
+                const base = path.slice(path.lastIndexOf('/') + 1).toLowerCase();
+                const rank = path === active ? 0 : base.startsWith(needle) ? 1 : 2;
+                return { path, rank };
+            })
+            .sort((a, b) => a.rank - b.rank || a.path.length - b.path.length || a.path.localeCompare(b.path))
+            .slice(0, MAX_SUGGESTIONS);
+
+        return ranked.map(({ path }) => ({
+            value: path,
+            description: path === active ? 'current file' : undefined
+        }));
+    }
+
+    public async resolve(mention: ContextMention): Promise<ContextBlock> {
+        let block: { label: string; content: string };
+        switch (mention.kind) {
+            case 'file':
+                block = await this.resolveFile(mention.value);
+                break;
+            case 'folder':
+                block = await this.resolveFolder(mention.value || '.');
+                break;
+            case 'selection':
+                block = await this.resolveSelection();
+                break;
+            case 'problems':
+                block = this.resolveProblems();
+                break;
+            case 'openEditors':
+                block = await this.resolveOpenEditors();
+                break;
+            case 'gitDiff':
+                block = await this.resolveGitDiff();
+                break;
+            case 'terminal':
+                block = await this.resolveTerminal();
+                break;
+            default:
+                throw new Error(`Unknown mention @${(mention as ContextMention).kind}`);
+        }
+
+        const content = ContextMentionProvider.clip(block.content, MAX_BLOCK_CHARS);
+        return { label: block.label, content, tokens: estimateTokens(`${block.label}\n${content}`) };
+    }
+
+    private async resolveFile(path: string | undefined) {
+        if (!path) {
+            const current = await this.workspaceOps.readCurrentlyOpenFile();
+            if (!current) {
+                throw new Error('No file is open in the editor');
+            }
+            return { label: `FILE: ${this.roots.relativePath(vscode.Uri.file(current.path))}`, content: current.content };
+        }
+        return { label: `FILE: ${path}`, content: await this.workspaceOps.readFile(path) };
+    }
+
+    /**
+     * The folder's file list, followed by as many of its text files as fit.
+     * A folder outside the workspace is read only if the user allows it, and
+     * protected files are left out of both the list and the contents.
+     */
+    private async resolveFolder(path: string) {
+        const folders = this.roots.isWorkspacePath(path) ? this.roots.all().map(root => root.uri) : [await this.roots.resolve(path)];
+        const found = await Promise.all(folders.map(async folder => {
+            const outside = (await this.policy.locate(folder)).relative === undefined;
+            await this.policy.checkPath(folder, 'read');
+            const uris = await vscode.workspace.findFiles(new vscode.RelativePattern(folder, '**/*'), EXCLUDE_GLOB, MAX_FOLDER_FILES);
+            // Links out of a workspace folder are dropped like protected files; they would need their own prompt
+            const allowed = await Promise.all(uris.map(async uri => {
+                const location = await this.policy.locate(uri);
+                return !location.isProtected && (outside || location.relative !== undefined);
+            }));
+            return uris.filter((_uri, index) => allowed[index]);
+        }));
+        const files = found.flat()
+            .map(uri => ({ uri, path: this.roots.relativePath(uri) }))
+            .sort((a, b) => a.path.localeCompare(b.path))
+            .slice(0, MAX_FOLDER_FILES);
+        if (files.length === 0) {
+            throw new Error(`No files found in ${path}`);
+        }
+
+        let content = `Files:\n${files.map(file => file.path).join('\n')}\n`;
+        for (const file of files) {
+            if (content.length >= MAX_BLOCK_CHARS) {
+                break;
+            }
+            const text = await this.readText(file.uri);
+            if (text !== undefined && content.length + text.length <= MAX_BLOCK_CHARS) {
+                content += `\n--- ${file.path} ---\n${text}\n`;
+            }
+        }
+
+        return { label: `FOLDER: ${path} (${files.length} files)`, content };
+    }
+
+    /** The editor selection, or the whole open file when nothing is selected. */
+    private async resolveSelection() {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            throw new Error('No file is open in the editor');
+        }
+
+        const path = this.roots.relativePath(editor.document.uri);
+        const selection = editor.selection;
+        if (selection.isEmpty) {
+            const current = await this.workspaceOps.readCurrentlyOpenFile();
+            return { label: `SELECTION: ${path} (no selection, entire file)`, content: current?.content ?? '' };
+        }
+
+        const language = editor.document.languageId;
+        return {
+            label: `SELECTION: ${path} lines ${selection.start.line + 1}-${selection.end.line + 1}`,
+            content: `\`\`\`${language}\n${editor.document.getText(selection)}\n\`\`\``
+        };
+    }
+
+    /** Errors and warnings from every open or analysed file, errors first. */
+    private resolveProblems() {
+        const problems: { severity: vscode.DiagnosticSeverity; line: string }[] = [];
+        for (const [uri, diagnostics] of vscode.languages.getDiagnostics()) {
+            const path = this.roots.relativePath(uri);
+            for (const diagnostic of diagnostics) {
+                if (diagnostic.severity > vscode.DiagnosticSeverity.Warning) {
+                    continue;
+                }
+                const severity = diagnostic.severity === vscode.DiagnosticSeverity.Error ? 'error' : 'warning';
+                const source = diagnostic.source ? ` (${diagnostic.source})` : '';
+                const position = `${diagnostic.range.start.line + 1}:${diagnostic.range.start.character + 1}`;
+                problems.push({ severity: diagnostic.severity, line: `${path}:${position} ${severity}: ${diagnostic.message}${source}` });
+            }
+        }
+
+        if (problems.length === 0) {
+            return { label: 'PROBLEMS: none', content: 'There are no errors or warnings in the workspace.' };
+        }
+
+        problems.sort((a, b) => a.severity - b.severity);
+        const errors = problems.filter(p => p.severity === vscode.DiagnosticSeverity.Error).length;
+        const shown = problems.slice(0, MAX_PROBLEMS).map(p => p.line);
+        if (problems.length > MAX_PROBLEMS) {
+            shown.push(`... and ${problems.length - MAX_PROBLEMS} more`);
+        }
+        return { label: `PROBLEMS: ${errors} errors, ${problems.length - errors} warnings`, content: shown.join('\n') };
+    }
+
+    /** Contents of every open text tab, including unsaved changes. */
+    private async resolveOpenEditors() {
+        const uris = new Map<string, vscode.Uri>();
+        for (const group of vscode.window.tabGroups.all) {
+            for (const tab of group.tabs) {
+                if (tab.input instanceof vscode.TabInputText && tab.input.uri.scheme === 'file') {
+                    uris.set(tab.input.uri.toString(), tab.input.uri);
+                }
+            }
+        }
+        if (uris.size === 0) {
+            throw new Error('No editors are open');
+        }
+
+        // Share the budget so one large file does not hide the others
+        const share = Math.floor(MAX_BLOCK_CHARS / uris.size);
+        const sections: string[] = [];
+        for (const uri of uris.values()) {
+            const document = await vscode.workspace.openTextDocument(uri);
+            const dirty = document.isDirty ? ' (unsaved)' : '';
+            sections.push(`--- ${this.roots.relativePath(uri)}${dirty} ---\n${ContextMentionProvider.clip(document.getText(), share)}`);
+        }
+
+        return { label: `OPEN EDITORS: ${uris.size} files`, content: sections.join('\n\n') };
+    }
+
+    /** Staged and unstaged changes against HEAD, for each root that is a git repository. */
+    private async resolveGitDiff() {
+        const roots = this.roots.all();
+        if (roots.length === 0) {
+            throw new Error('No workspace folder open');
+        }
+
+        const sections: string[] = [];
+        let repositories = 0;
+        for (const root of roots) {
+            let diff: string;
+            try {
+                diff = await this.git(root.uri.fsPath, ['diff', 'HEAD', '--no-color']);
+            } catch {
+                try {
+                    // A repository without commits has no HEAD yet; show what is staged
+                    diff = await this.git(root.uri.fsPath, ['diff', '--cached', '--no-color']);
+                } catch (error) {
+                    // Not a repository; with one root that is worth reporting
+                    if (roots.length === 1) {
+                        throw error;
+                    }
+                    continue;
+                }
+            }
+            repositories++;
+            if (diff.trim()) {
+                sections.push(this.roots.isMultiRoot() ? `### ${root.name}\n${diff}` : diff);
+            }
+        }
+        if (repositories === 0) {
+            throw new Error('No workspace folder is a git repository');
+        }
+
+        return {
+            label: 'GIT DIFF: uncommitted changes',
+            content: sections.length ? sections.join('\n') : 'The working tree has no uncommitted changes.'
+        };
+    }
+
+    /**
+     * VS Code offers no API to read a terminal's buffer, so the active
+     * terminal is copied through the clipboard, which is restored afterwards.
+     */
+    private async resolveTerminal() {
+        const terminal = vscode.window.activeTerminal;
+        if (!terminal) {
+            throw new Error('No terminal is open');
+        }
+
+        const previous = await vscode.env.clipboard.readText();
+        let output: string;
+        try {
+            await vscode.commands.executeCommand('workbench.action.terminal.selectAll');
+            await vscode.commands.executeCommand('workbench.action.terminal.copySelection');
+            await vscode.commands.executeCommand('workbench.action.terminal.clearSelection');
+            output = await vscode.env.clipboard.readText();
+        } finally {
+            await vscode.env.clipboard.writeText(previous);
+        }
+
+        const lines = output.trimEnd().split(/\r?\n/).slice(-MAX_TERMINAL_LINES);
+        return { label: `TERMINAL: ${terminal.name} (last ${lines.length} lines)`, content: lines.join('\n') };
+    }
+
+    private git(cwd: string, args: string[]): Promise<string> {
+        return new Promise((resolve, reject) => {
+            execFile('git', args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 8 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(stderr.trim() || error.message));
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    private async listWorkspaceFiles(): Promise<string[]> {
+        if (this.fileList && Date.now() - this.fileList.loadedAt < FILE_LIST_TTL_MS) {
+            return this.fileList.paths;
+        }
+        const found = await Promise.all(this.roots.all().map(root =>
+            vscode.workspace.findFiles(new vscode.RelativePattern(root.uri, '**/*'), EXCLUDE_GLOB, 5000)
+        ));
+        const paths = found.flat().map(uri => this.roots.relativePath(uri)).sort();
+        this.fileList = { paths, loadedAt: Date.now() };
+        return paths;
+    }
+
+    private activeRelativePath(): string | undefined {
+        const document = vscode.window.activeTextEditor?.document;
+        return document && this.roots.rootOf(document.uri) ? this.roots.relativePath(document.uri) : undefined;
+    }
+
+    /** Text content of a file, or undefined for binaries and large files. */
+    private async readText(uri: vscode.Uri): Promise<string | undefined> {
+        try {
+            const bytes = await vscode.workspace.fs.readFile(uri);
+            if (bytes.length > MAX_BLOCK_CHARS || bytes.subarray(0, 1024).includes(0)) {
+                return undefined;
+            }
+            return Buffer.from(bytes).toString('utf-8');
+        } catch {
+            return undefined;
+        }
+    }
+
+    private static folders(paths: string[]): string[] {
+        const folders = new Set<string>();
+        for (const path of paths) {
+            let index = path.lastIndexOf('/');
+            while (index > 0) {
+                folders.add(path.slice(0, index));
+                index = path.lastIndexOf('/', index - 1);
+            }
+        }
+        return Array.from(folders).sort();
+    }
+
+    private static clip(text: string, max: number): string {
+        return text.length > max ? `${text.slice(0, max)}\n... (truncated ${text.length - max} characters)` : text;
+    }
+}
@@ -0,0 +1,321 @@
+import * as vscode from 'vscode';
+import { OllamaClient } from './ollamaClient';
+import { ChatProvider } from './chatProvider';
+import { EditReviewManager, ProposedEdit } from './editReviewManager';
+
+const SEVERITY_NAMES = ['error', 'warning', 'info', 'hint'];
+// Lines of code shown on each side of the reported range
+const CONTEXT_LINES = 20;
+// Smaller files are also sent whole, so the model sees imports and declarations
+const WHOLE_FILE_CHARS = 12000;
+const MAX_RELATED = 5;
+// Diagnostics are read once the language server has been quiet this long after a fix, or at the deadline
+const DIAGNOSTICS_SETTLE_MS = 1500;
+const DIAGNOSTICS_DEADLINE_MS = 10000;
+
+/** The lines sent to the model and replaced by its fix. */
+interface Excerpt {
+    start: number;
+    end: number;
+    text: string;
+}
+
+/**
+ * "Fix with Ollama" and "Explain this error" quick fixes for every
+ * diagnostic, from the TypeScript server, ESLint or any other source. Fixes
+ * are proposed through the edit review; with `recheckDiagnosticFixes` on, an
+ * accepted fix that leaves the problem (or a new error) behind is tried once more.
+ */
+export class DiagnosticActionsProvider implements vscode.CodeActionProvider {
+    public static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+    constructor(
+        private readonly ollamaClient: OllamaClient,
+        private readonly chatProvider: ChatProvider,
+        private readonly reviewManager: EditReviewManager
+    ) {}
+
+    public register(context: vscode.ExtensionContext) {
+        context.subscriptions.push(
+            vscode.languages.registerCodeActionsProvider({ scheme: 'file' }, this, {
+                providedCodeActionKinds: DiagnosticActionsProvider.providedCodeActionKinds
+            }),
+            vscode.commands.registerCommand('replit-copilot.fixDiagnostic', (uri?: vscode.Uri, diagnostic?: vscode.Diagnostic) => this.report(this.fix(uri, diagnostic))),
+            vscode.commands.registerCommand('replit-copilot.explainDiagnostic', (uri?: vscode.Uri, diagnostic?: vscode.Diagnostic) => this.report(this.explain(uri, diagnostic)))
+        );
+    }
+
+    public provideCodeActions(document: vscode.TextDocument, _range: vscode.Range, context: vscode.CodeActionContext): vscode.CodeAction[] {
+        if (vscode.workspace.getConfiguration('replitCopilot').get<boolean>('enableDiagnosticActions') === false) {
+            return [];
+        }
+
+        const several = context.diagnostics.length > 1;
+        return context.diagnostics.flatMap(diagnostic => {
+            // With several problems on the line the titles say which one they are for
+            const suffix = several ? `: ${shorten(diagnostic.message, 60)}` : '';
+            const action = (title: string, command: string) => {
+                const codeAction = new vscode.CodeAction(title + suffix, vscode.CodeActionKind.QuickFix);
+                codeAction.command = { command, title: codeAction.title, arguments: [document.uri, diagnostic] };
+                codeAction.diagnostics = [diagnostic];
+                return codeAction;
+            };
+            return [
+                action('Fix with Ollama', 'replit-copilot.fixDiagnostic'),
+                action('Explain this error', 'replit-copilot.explainDiagnostic')
+            ];
+        });
+    }
+
+    private async fix(uri?: vscode.Uri, diagnostic?: vscode.Diagnostic) {
+        const target = await this.target(uri, diagnostic);
+        if (target) {
+            await this.proposeFix(target.document, target.diagnostic, false);
+        }
+    }
+
+    /**
+     * Asks for a corrected excerpt and proposes it. After a first attempt the
+     * result is rechecked when enabled; `retry` marks the second and last one.
+     */
+    private async proposeFix(document: vscode.TextDocument, diagnostic: vscode.Diagnostic, retry: boolean) {
+        const before = vscode.languages.getDiagnostics(document.uri);
+        const excerpt = excerptAround(document, diagnostic.range);
+        const prompt = await this.fixPrompt(document, diagnostic, excerpt, retry);
+
+        const reply = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: retry ? 'Ollama is trying the fix again' : 'Ollama is fixing the problem', cancellable: true },
+            async (_progress, token) => {
+                const controller = new AbortController();
+                token.onCancellationRequested(() => controller.abort());
+                try {
+                    return await this.ollamaClient.generate({
+                        model: this.ollamaClient.model,
+                        prompt,
+                        options: { temperature: 0.1, num_ctx: this.ollamaClient.contextWindow('improve') }
+                    }, controller.signal);
+                } catch (error) {
+                    if (token.isCancellationRequested) {
+                        return undefined;
+                    }
+                    throw error;
+                }
+            }
+        );
+        if (reply === undefined) {
+            return;
+        }
+
+        const replacement = /```[^\n]*\n([\s\S]*?)\n?```/.exec(reply)?.[1];
+        if (replacement === undefined) {
+            throw new Error('The model did not reply with the corrected code');
+        }
+
+        // The document may have been edited while the model was answering
+        const current = await vscode.workspace.openTextDocument(document.uri);
+        if (current.version !== document.version) {
+            throw new Error(`${vscode.workspace.asRelativePath(document.uri)} changed while the fix was being written; try again`);
+        }
+        const range = new vscode.Range(excerpt.start, 0, excerpt.end, document.lineAt(excerpt.end).text.length);
+        const text = document.getText();
+        const updated = text.slice(0, document.offsetAt(range.start)) + replacement + text.slice(document.offsetAt(range.end));
+
+        const status = await this.reviewManager.propose(document.uri, updated);
+        console.log('[DIAGNOSTICS]', status);
+        const edit = this.reviewManager.pendingEditFor(document.uri);
+        if (!edit) {
+            vscode.window.showInformationMessage(`Ollama did not change the code for: ${shorten(diagnostic.message, 80)}`);
+            return;
+        }
+        if (retry || !vscode.workspace.getConfiguration('replitCopilot').get<boolean>('recheckDiagnosticFixes', false)) {
+            return;
+        }
+
+        if (!(await this.accepted(edit))) {
+            return;
+        }
+        const remaining = await this.problemAfterFix(document.uri, diagnostic, before);
+        if (!remaining) {
+            vscode.window.setStatusBarMessage('$(check) The problem is no longer reported', 5000);
+            return;
+        }
+        console.log('[DIAGNOSTICS] Still reported after the fix, retrying:', remaining.message);
+        await this.proposeFix(await vscode.workspace.openTextDocument(document.uri), remaining, true);
+    }
+
+    private async fixPrompt(document: vscode.TextDocument, diagnostic: vscode.Diagnostic, excerpt: Excerpt, retry: boolean): Promise<string> {
+        const language = document.languageId;
+        const path = vscode.workspace.asRelativePath(document.uri);
+        const text = document.getText();
+        const partial = excerpt.start > 0 || excerpt.end < document.lineCount - 1;
+        const whole = partial && text.length <= WHOLE_FILE_CHARS
+            ? `The whole file, for reference:\n\`\`\`${language}\n${text}\n\`\`\`\n\n`
+            : '';
+        const again = retry ? 'A fix for this file was just applied, but this problem is still reported. Try a different approach.\n\n' : '';
+        const reported = document.lineAt(diagnostic.range.start.line).text.trim();
+
+        return `Fix this problem in ${path}.\n\n${again}${await describe(diagnostic, document)}\n\n${whole}` +
+            `The problem is in lines ${excerpt.start + 1}-${excerpt.end + 1}, on the line \`${reported}\`:\n\`\`\`${language}\n${excerpt.text}\n\`\`\`\n\n` +
+            `Reply with one ${language} code block holding lines ${excerpt.start + 1}-${excerpt.end + 1} with the fix applied, keeping their indentation and changing nothing unrelated to the problem. Do not add explanations.`;
+    }
+
+    private async explain(uri?: vscode.Uri, diagnostic?: vscode.Diagnostic) {
+        const target = await this.target(uri, diagnostic);
+        if (!target) {
+            return;
+        }
+        const { document } = target;
+        const problem = target.diagnostic;
+        const language = document.languageId;
+        const excerpt = excerptAround(document, problem.range);
+        const numbered = excerpt.text.split(/\r?\n/).map((line, index) => {
+            const number = excerpt.start + index;
+            const marker = number >= problem.range.start.line && number <= problem.range.end.line ? '>>' : '  ';
+            return `${marker} ${String(number + 1).padStart(4)} | ${line}`;
+        }).join('\n');
+
+        const description = await describe(problem, document);
+        const label = `Explain this ${severityName(problem)} in ${vscode.workspace.asRelativePath(document.uri)}:${problem.range.start.line + 1}: ${shorten(problem.message, 120)}`;
+        const prompt = `Explain this ${language} ${severityName(problem)} in plain terms: what it means, why this code triggers it, and how to fix it, with a corrected snippet.\n\n${description}\n\nThe code around it, with the reported lines marked >>:\n\`\`\`${language}\n${numbered}\n\`\`\``;
+        await this.chatProvider.runInChat(label, `${label}\n\n${description}`, (onToken, options) =>
+            this.ollamaClient.chat(prompt, onToken, false, { ...options, command: 'explain' })
+        );
+    }
+
+    /**
+     * The document and diagnostic a command is for. From the palette, the
+     * problem at the cursor is used, or picked from the file's problems.
+     */
+    private async target(uri?: vscode.Uri, diagnostic?: vscode.Diagnostic): Promise<{ document: vscode.TextDocument; diagnostic: vscode.Diagnostic } | undefined> {
+        if (uri && diagnostic) {
+            return { document: await vscode.workspace.openTextDocument(uri), diagnostic };
+        }
+
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showWarningMessage('Open a file with a problem to use Ollama on it');
+            return undefined;
+        }
+        const diagnostics = vscode.languages.getDiagnostics(editor.document.uri)
+            .sort((a, b) => a.severity - b.severity || a.range.start.compareTo(b.range.start));
+        if (diagnostics.length === 0) {
+            vscode.window.showInformationMessage(`No problems are reported in ${vscode.workspace.asRelativePath(editor.document.uri)}`);
+            return undefined;
+        }
+
+        const atCursor = diagnostics.find(candidate => candidate.range.contains(editor.selection.active));
+        if (atCursor || diagnostics.length === 1) {
+            return { document: editor.document, diagnostic: atCursor || diagnostics[0] };
+        }
+        const picked = await vscode.window.showQuickPick(
+            diagnostics.map(candidate => ({
+                label: shorten(candidate.message, 100),
+                description: `${severityName(candidate)}, line ${candidate.range.start.line + 1}${candidate.source ? `, ${candidate.source}` : ''}`,
+                diagnostic: candidate
+            })),
+            { placeHolder: 'Problem' }
+        );
+        return picked ? { document: editor.document, diagnostic: picked.diagnostic } : undefined;
+    }
+
+    /** Resolves with whether any of `edit` was written once the user is done reviewing it. */
+    private accepted(edit: ProposedEdit): Promise<boolean> {
+        return new Promise(resolve => {
+            const listener = this.reviewManager.onDidResolve(resolved => {
+                if (resolved === edit) {
+                    listener.dispose();
+                    resolve(resolved.applied === true);
+                }
+            });
+        });
+    }
+
+    /**
+     * The original problem if it is still reported after the fix, otherwise
+     * the first error the fix introduced.
+     */
+    private async problemAfterFix(uri: vscode.Uri, original: vscode.Diagnostic, before: vscode.Diagnostic[]): Promise<vscode.Diagnostic | undefined> {
+        await settleDiagnostics(uri);
+        const after = vscode.languages.getDiagnostics(uri);
+        const same = (a: vscode.Diagnostic, b: vscode.Diagnostic) => a.message === b.message && codeOf(a) === codeOf(b) && a.source === b.source;
+        return after.find(diagnostic => same(diagnostic, original))
+            ?? after.find(diagnostic => diagnostic.severity === vscode.DiagnosticSeverity.Error && !before.some(old => same(old, diagnostic)));
+    }
+
+    private async report(task: Promise<void>) {
+        try {
+            await task;
+        } catch (error) {
+            console.error('[DIAGNOSTICS] Failed:', error);
+            vscode.window.showErrorMessage(`Ollama: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+}
+
+/** The diagnostic with its source, code and related locations, as sent to the model. */
+async function describe(diagnostic: vscode.Diagnostic, document: vscode.TextDocument): Promise<string> {
+    const position = diagnostic.range.start;
+    const code = codeOf(diagnostic);
+    const lines = [
+        `${severityName(diagnostic)} from ${diagnostic.source || 'the language server'}${code ? ` (${code})` : ''} at ${vscode.workspace.asRelativePath(document.uri)}:${position.line + 1}:${position.character + 1}:`,
+        diagnostic.message
+    ];
+
+    const related = (diagnostic.relatedInformation || []).slice(0, MAX_RELATED);
+    if (related.length > 0) {
+        lines.push('', 'Related information:');
+        for (const information of related) {
+            const { uri, range } = information.location;
+            let source = '';
+            try {
+                const relatedDocument = uri.toString() === document.uri.toString() ? document : await vscode.workspace.openTextDocument(uri);
+                source = `: \`${relatedDocument.lineAt(range.start.line).text.trim()}\``;
+            } catch {
+                // The location may be in a file that cannot be opened, e.g. a removed one
+            }
+            lines.push(`- ${vscode.workspace.asRelativePath(uri)}:${range.start.line + 1} ${information.message}${source}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function excerptAround(document: vscode.TextDocument, range: vscode.Range): Excerpt {
+    const start = Math.max(0, range.start.line - CONTEXT_LINES);
+    const end = Math.min(document.lineCount - 1, range.end.line + CONTEXT_LINES);
+    return { start, end, text: document.getText(new vscode.Range(start, 0, end, document.lineAt(end).text.length)) };
+}
+
+/** Resolves once diagnostics for `uri` have stopped changing, or at the deadline. */
+function settleDiagnostics(uri: vscode.Uri): Promise<void> {
+    return new Promise(resolve => {
+        let timer: ReturnType<typeof setTimeout>;
+        const finish = () => {
+            clearTimeout(timer);
+            clearTimeout(deadline);
+            listener.dispose();
+            resolve();
+        };
+        const deadline = setTimeout(finish, DIAGNOSTICS_DEADLINE_MS);
+        const listener = vscode.languages.onDidChangeDiagnostics(event => {
+            if (event.uris.some(changed => changed.toString() === uri.toString())) {
+                clearTimeout(timer);
+                timer = setTimeout(finish, DIAGNOSTICS_SETTLE_MS);
+            }
+        });
+        timer = setTimeout(finish, DIAGNOSTICS_SETTLE_MS);
+    });
+}
+
+function codeOf(diagnostic: vscode.Diagnostic): string {
+    const code = diagnostic.code;
+    return code === undefined ? '' : String(typeof code === 'object' ? code.value : code);
+}
+
+function severityName(diagnostic: vscode.Diagnostic): string {
+    return SEVERITY_NAMES[diagnostic.severity] || 'problem';
+}
+
+function shorten(text: string, length: number): string {
+    const line = text.split('\n')[0];
+    return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
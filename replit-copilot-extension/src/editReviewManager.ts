@@ -0,0 +1,406 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { DiffHunk, computeHunks, splitLines, applyHunk, revertHunk } from './lineDiff';
+
+export const PROPOSED_SCHEME = 'ollama-proposed';
+
+export interface ProposedEdit {
+    id: string;
+    target: vscode.Uri;
+    kind: 'create' | 'update' | 'delete';
+    original: string;
+    proposed: string;
+    eol: string;
+    hunks: DiffHunk[];
+    /** Set once any part of the edit has been written to the workspace. */
+    applied?: boolean;
+}
+
+/**
+ * Stages every model-proposed file change and shows it in a diff editor.
+ * Nothing touches the workspace until the user accepts a file or a hunk;
+ * accepted changes go through WorkspaceEdit so they can be undone.
+ */
+export class EditReviewManager implements vscode.TextDocumentContentProvider, vscode.CodeLensProvider, vscode.Disposable {
+    private edits = new Map<string, ProposedEdit>();
+    private nextId = 1;
+    private readonly contentChanged = new vscode.EventEmitter<vscode.Uri>();
+    private readonly codeLensesChanged = new vscode.EventEmitter<void>();
+    private readonly resolved = new vscode.EventEmitter<ProposedEdit>();
+    private readonly statusBarItem: vscode.StatusBarItem;
+
+    public readonly onDidChange = this.contentChanged.event;
+    public readonly onDidChangeCodeLenses = this.codeLensesChanged.event;
+    /** Fires when the user has finished with an edit, whether it was accepted, rejected or partly both. */
+    public readonly onDidResolve = this.resolved.event;
+
+    constructor() {
+        this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+        this.statusBarItem.command = 'replit-copilot.reviewEdits';
+    }
+
+    public register(context: vscode.ExtensionContext) {
+        context.subscriptions.push(
+            this,
+            vscode.workspace.registerTextDocumentContentProvider(PROPOSED_SCHEME, this),
+            vscode.languages.registerCodeLensProvider({ scheme: PROPOSED_SCHEME }, this),
+            vscode.commands.registerCommand('replit-copilot.acceptEdit', (uri?: vscode.Uri) => this.acceptFile(this.findEdit(uri))),
+            vscode.commands.registerCommand('replit-copilot.rejectEdit', (uri?: vscode.Uri) => this.rejectFile(this.findEdit(uri))),
+            vscode.commands.registerCommand('replit-copilot.acceptHunk', (id: string, index: number) => this.acceptHunk(id, index)),
+            vscode.commands.registerCommand('replit-copilot.rejectHunk', (id: string, index: number) => this.rejectHunk(id, index)),
+            vscode.commands.registerCommand('replit-copilot.acceptAllEdits', () => this.acceptAll()),
+            vscode.commands.registerCommand('replit-copilot.rejectAllEdits', () => this.rejectAll()),
+            vscode.commands.registerCommand('replit-copilot.reviewEdits', () => this.pickEdit())
+        );
+    }
+
+    /**
+     * Stages a change to `target`. Pass `null` as the content to propose
+     * deleting the file. Returns a short status line for the chat.
+     */
+    public async propose(target: vscode.Uri, proposedContent: string | null): Promise<string> {
+        let original = '';
+        let exists = true;
+        try {
+            const document = await vscode.workspace.openTextDocument(target);
+            original = document.getText();
+        } catch {
+            exists = false;
+        }
+
+        if (proposedContent === null && !exists) {
+            throw new Error(`File not found: ${target.fsPath}`);
+        }
+
+        // A newer proposal for the same file replaces the pending one
+        for (const existing of this.edits.values()) {
+            if (existing.target.toString() === target.toString()) {
+                this.edits.delete(existing.id);
+                await this.closeDiff(existing);
+                this.resolved.fire(existing);
+            }
+        }
+
+        const eol = original.includes('\r\n') ? '\r\n' : '\n';
+        const edit: ProposedEdit = {
+            id: String(this.nextId++),
+            target,
+            kind: proposedContent === null ? 'delete' : exists ? 'update' : 'create',
+            original,
+            proposed: (proposedContent ?? '').replace(/\r?\n/g, eol),
+            eol,
+            hunks: []
+        };
+        this.recompute(edit);
+
+        const label = vscode.workspace.asRelativePath(target);
+        if (edit.kind === 'update' && edit.hunks.length === 0) {
+            return `No changes proposed for ${label}`;
+        }
+
+        this.edits.set(edit.id, edit);
+        this.updateStatus();
+        await this.showDiff(edit);
+
+        const action = edit.kind === 'create' ? 'create' : edit.kind === 'delete' ? 'delete' : 'change';
+        return `📝 Proposed ${action} of ${label} (${edit.hunks.length} hunk${edit.hunks.length === 1 ? '' : 's'}) is waiting for review in the diff editor`;
+    }
+
+    /** The edit waiting for review for `target`, if any. */
+    public pendingEditFor(target: vscode.Uri): ProposedEdit | undefined {
+        return this.getPendingEdits().find(edit => edit.target.toString() === target.toString());
+    }
+
+    public getPendingEdits(): ProposedEdit[] {
+        return Array.from(this.edits.values());
+    }
+
+    public provideTextDocumentContent(uri: vscode.Uri): string {
+        const params = new URLSearchParams(uri.query);
+        const edit = this.edits.get(params.get('id') || '');
+        if (!edit) {
+            return '';
+        }
+        return params.get('side') === 'original' ? edit.original : edit.proposed;
+    }
+
+    public provideCodeLenses(document: vscode.TextDocument): vscode.CodeLens[] {
+        const params = new URLSearchParams(document.uri.query);
+        const edit = this.edits.get(params.get('id') || '');
+        if (!edit || params.get('side') === 'original') {
+            return [];
+        }
+
+        const top = new vscode.Range(0, 0, 0, 0);
+        const lenses = [
+            new vscode.CodeLens(top, { title: '$(check) Accept file', command: 'replit-copilot.acceptEdit', arguments: [document.uri] }),
+            new vscode.CodeLens(top, { title: '$(close) Reject file', command: 'replit-copilot.rejectEdit', arguments: [document.uri] })
+        ];
+
+        // Whole-file creates and deletes are only accepted or rejected as a unit
+        if (edit.kind === 'update') {
+            edit.hunks.forEach((hunk, index) => {
+                const line = Math.min(hunk.proposedStart, Math.max(document.lineCount - 1, 0));
+                const range = new vscode.Range(line, 0, line, 0);
+                lenses.push(
+                    new vscode.CodeLens(range, { title: 'Accept change', command: 'replit-copilot.acceptHunk', arguments: [edit.id, index] }),
+                    new vscode.CodeLens(range, { title: 'Reject change', command: 'replit-copilot.rejectHunk', arguments: [edit.id, index] })
+                );
+            });
+        }
+        return lenses;
+    }
+
+    private proposedUri(edit: ProposedEdit, side: 'original' | 'proposed' = 'proposed'): vscode.Uri {
+        return vscode.Uri.from({
+            scheme: PROPOSED_SCHEME,
+            path: edit.target.path,
+            query: `id=${edit.id}&side=${side}`
+        });
+    }
+
+    private async showDiff(edit: ProposedEdit) {
+        // Creates have no file on disk yet, so the left side is a virtual empty document
+        const left = edit.kind === 'create' ? this.proposedUri(edit, 'original') : edit.target;
+        const title = `${path.basename(edit.target.fsPath)} (${edit.kind === 'create' ? 'new file' : edit.kind === 'delete' ? 'delete' : 'proposed'}) ↔ Review`;
+        await vscode.commands.executeCommand('vscode.diff', left, this.proposedUri(edit), title, { preview: false });
+    }
+
+    private findEdit(uri?: vscode.Uri): ProposedEdit | undefined {
+        const candidate = uri || vscode.window.activeTextEditor?.document.uri;
+        if (candidate?.scheme === PROPOSED_SCHEME) {
+            return this.edits.get(new URLSearchParams(candidate.query).get('id') || '');
+        }
+        if (candidate) {
+            return Array.from(this.edits.values()).find(edit => edit.target.toString() === candidate.toString());
+        }
+        return undefined;
+    }
+
+    private recompute(edit: ProposedEdit) {
+        edit.hunks = computeHunks(splitLines(edit.original), splitLines(edit.proposed));
+    }
+
+    /**
+     * Re-reads the file before applying; if the user edited it since the
+     * proposal was made, the diff is rebased instead of overwriting their work.
+     */
+    private async ensureUpToDate(edit: ProposedEdit): Promise<boolean> {
+        if (edit.kind === 'create') {
+            return true;
+        }
+
+        const document = await vscode.workspace.openTextDocument(edit.target);
+        if (document.getText() === edit.original) {
+            return true;
+        }
+
+        edit.original = document.getText();
+        this.recompute(edit);
+        this.refresh(edit);
+        vscode.window.showWarningMessage(`${vscode.workspace.asRelativePath(edit.target)} changed since the proposal was made. The diff has been refreshed; please review it again.`);
+        return false;
+    }
+
+    public async acceptFile(edit?: ProposedEdit) {
+        if (!edit) {
+            vscode.window.showInformationMessage('No pending edit for this editor.');
+            return;
+        }
+        if (!(await this.ensureUpToDate(edit))) {
+            return;
+        }
+
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        if (edit.kind === 'create') {
+            workspaceEdit.createFile(edit.target, { overwrite: true, ignoreIfExists: false });
+            workspaceEdit.insert(edit.target, new vscode.Position(0, 0), edit.proposed);
+        } else if (edit.kind === 'delete') {
+            workspaceEdit.deleteFile(edit.target, { ignoreIfNotExists: true });
+        } else {
+            const document = await vscode.workspace.openTextDocument(edit.target);
+            const [range, text] = this.minimalReplacement(document, edit.proposed);
+            workspaceEdit.replace(edit.target, range, text);
+        }
+
+        if (await this.applyWorkspaceEdit(edit, workspaceEdit)) {
+            edit.applied = true;
+            await this.resolve(edit);
+            vscode.window.setStatusBarMessage(`Applied changes to ${vscode.workspace.asRelativePath(edit.target)}`, 3000);
+        }
+    }
+
+    public async rejectFile(edit?: ProposedEdit) {
+        if (!edit) {
+            vscode.window.showInformationMessage('No pending edit for this editor.');
+            return;
+        }
+        await this.resolve(edit);
+    }
+
+    private async acceptHunk(id: string, index: number) {
+        const edit = this.edits.get(id);
+        const hunk = edit?.hunks[index];
+        if (!edit || !hunk) {
+            return;
+        }
+        if (edit.kind !== 'update') {
+            await this.acceptFile(edit);
+            return;
+        }
+        if (!(await this.ensureUpToDate(edit))) {
+            return;
+        }
+
+        const originalLines = splitLines(edit.original);
+        const proposedLines = splitLines(edit.proposed);
+        const updated = applyHunk(originalLines, proposedLines, hunk).join(edit.eol);
+
+        const document = await vscode.workspace.openTextDocument(edit.target);
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        const [range, text] = this.minimalReplacement(document, updated);
+        workspaceEdit.replace(edit.target, range, text);
+        if (!(await this.applyWorkspaceEdit(edit, workspaceEdit))) {
+            return;
+        }
+
+        edit.applied = true;
+        edit.original = updated;
+        this.recompute(edit);
+        await this.afterHunkDecision(edit);
+    }
+
+    /**
+     * Narrows a whole-document replacement to the span that actually differs,
+     * so cursors and folding elsewhere in the file are left alone.
+     */
+    private minimalReplacement(document: vscode.TextDocument, newText: string): [vscode.Range, string] {
+        const oldText = document.getText();
+        const limit = Math.min(oldText.length, newText.length);
+
+        let prefix = 0;
+        while (prefix < limit && oldText[prefix] === newText[prefix]) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < limit - prefix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const range = new vscode.Range(document.positionAt(prefix), document.positionAt(oldText.length - suffix));
+        return [range, newText.slice(prefix, newText.length - suffix)];
+    }
+
+    private async rejectHunk(id: string, index: number) {
+        const edit = this.edits.get(id);
+        const hunk = edit?.hunks[index];
+        if (!edit || !hunk) {
+            return;
+        }
+        if (edit.kind !== 'update') {
+            await this.rejectFile(edit);
+            return;
+        }
+
+        edit.proposed = revertHunk(splitLines(edit.original), splitLines(edit.proposed), hunk).join(edit.eol);
+        this.recompute(edit);
+        await this.afterHunkDecision(edit);
+    }
+
+    private async afterHunkDecision(edit: ProposedEdit) {
+        if (edit.hunks.length === 0) {
+            await this.resolve(edit);
+            return;
+        }
+        this.refresh(edit);
+    }
+
+    private async applyWorkspaceEdit(edit: ProposedEdit, workspaceEdit: vscode.WorkspaceEdit): Promise<boolean> {
+        const success = await vscode.workspace.applyEdit(workspaceEdit);
+        if (!success) {
+            vscode.window.showErrorMessage(`Failed to apply changes to ${vscode.workspace.asRelativePath(edit.target)}`);
+            return false;
+        }
+
+        if (edit.kind !== 'delete') {
+            const document = await vscode.workspace.openTextDocument(edit.target);
+            await document.save();
+        }
+        return true;
+    }
+
+    private async acceptAll() {
+        for (const edit of this.getPendingEdits()) {
+            await this.acceptFile(edit);
+        }
+    }
+
+    private async rejectAll() {
+        for (const edit of this.getPendingEdits()) {
+            await this.resolve(edit);
+        }
+    }
+
+    private async pickEdit() {
+        const pending = this.getPendingEdits();
+        if (pending.length === 0) {
+            vscode.window.showInformationMessage('No AI-proposed edits are waiting for review.');
+            return;
+        }
+
+        const picked = await vscode.window.showQuickPick(
+            pending.map(edit => ({
+                label: vscode.workspace.asRelativePath(edit.target),
+                description: `${edit.kind}, ${edit.hunks.length} hunk${edit.hunks.length === 1 ? '' : 's'}`,
+                edit
+            })),
+            { placeHolder: 'Select a proposed edit to review' }
+        );
+        if (picked) {
+            await this.showDiff(picked.edit);
+        }
+    }
+
+    private refresh(edit: ProposedEdit) {
+        this.contentChanged.fire(this.proposedUri(edit));
+        this.codeLensesChanged.fire();
+        this.updateStatus();
+    }
+
+    private async resolve(edit: ProposedEdit) {
+        this.edits.delete(edit.id);
+        this.codeLensesChanged.fire();
+        this.updateStatus();
+        await this.closeDiff(edit);
+        this.resolved.fire(edit);
+    }
+
+    private async closeDiff(edit: ProposedEdit) {
+        const proposed = this.proposedUri(edit).toString();
+        const tabs = vscode.window.tabGroups.all
+            .flatMap(group => group.tabs)
+            .filter(tab => tab.input instanceof vscode.TabInputTextDiff && tab.input.modified.toString() === proposed);
+        if (tabs.length > 0) {
+            await vscode.window.tabGroups.close(tabs);
+        }
+    }
+
+    private updateStatus() {
+        const count = this.edits.size;
+        vscode.commands.executeCommand('setContext', 'replitCopilot.hasPendingEdits', count > 0);
+        if (count === 0) {
+            this.statusBarItem.hide();
+            return;
+        }
+        this.statusBarItem.text = `$(diff) ${count} pending edit${count === 1 ? '' : 's'}`;
+        this.statusBarItem.tooltip = 'Review AI-proposed edits';
+        this.statusBarItem.show();
+    }
+
+    public dispose() {
+        this.statusBarItem.dispose();
+        this.contentChanged.dispose();
+        this.codeLensesChanged.dispose();
+        this.resolved.dispose();
+    }
+}
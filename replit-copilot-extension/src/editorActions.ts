@@ -0,0 +1,138 @@
+import * as vscode from 'vscode';
+import { ChatProvider, EditorAction } from './chatProvider';
+
+const FUNCTION_KINDS = [vscode.SymbolKind.Function, vscode.SymbolKind.Method, vscode.SymbolKind.Constructor];
+
+/**
+ * Editor entry points for the explain / improve / generate helpers: palette
+ * and context menu commands, plus "Explain" / "Improve" CodeLens above each
+ * function. Results are streamed into the chat view.
+ */
+export class EditorActionsProvider implements vscode.CodeLensProvider, vscode.Disposable {
+    private enabled = true;
+    private readonly codeLensesChanged = new vscode.EventEmitter<void>();
+
+    public readonly onDidChangeCodeLenses = this.codeLensesChanged.event;
+
+    constructor(private readonly chatProvider: ChatProvider) {
+        this.readConfig();
+    }
+
+    public register(context: vscode.ExtensionContext) {
+        context.subscriptions.push(
+            this,
+            vscode.languages.registerCodeLensProvider({ scheme: 'file' }, this),
+            vscode.commands.registerCommand('replit-copilot.explainCode', (uri?: vscode.Uri, range?: vscode.Range) => this.runOnCode('explain', uri, range)),
+            vscode.commands.registerCommand('replit-copilot.improveCode', (uri?: vscode.Uri, range?: vscode.Range) => this.runOnCode('improve', uri, range)),
+            vscode.commands.registerCommand('replit-copilot.generateCode', () => this.generate())
+        );
+    }
+
+    public updateConfiguration() {
+        this.readConfig();
+        this.codeLensesChanged.fire();
+    }
+
+    public async provideCodeLenses(document: vscode.TextDocument): Promise<vscode.CodeLens[]> {
+        if (!this.enabled) {
+            return [];
+        }
+
+        const symbols = await this.functionSymbols(document.uri);
+        return symbols.flatMap(symbol => {
+            const top = new vscode.Range(symbol.range.start, symbol.range.start);
+            return [
+                new vscode.CodeLens(top, { title: 'Explain', command: 'replit-copilot.explainCode', arguments: [document.uri, symbol.range] }),
+                new vscode.CodeLens(top, { title: 'Improve', command: 'replit-copilot.improveCode', arguments: [document.uri, symbol.range] })
+            ];
+        });
+    }
+
+    /**
+     * Explains or reviews code. CodeLens passes the function range; from the
+     * palette or context menu the selection is used, falling back to the
+     * function around the cursor and then to the whole file.
+     */
+    private async runOnCode(action: 'explain' | 'improve', uri?: vscode.Uri, range?: vscode.Range) {
+        const editor = vscode.window.activeTextEditor;
+        const document = uri ? await vscode.workspace.openTextDocument(uri) : editor?.document;
+        if (!document) {
+            vscode.window.showWarningMessage('Open a file to use Ollama on its code');
+            return;
+        }
+
+        let target = range;
+        if (!target && editor && editor.document === document) {
+            target = editor.selection.isEmpty ? await this.enclosingFunction(document.uri, editor.selection.active) : editor.selection;
+        }
+        target = target ? document.validateRange(target) : undefined;
+
+        const code = target ? document.getText(target) : document.getText();
+        if (!code.trim()) {
+            vscode.window.showWarningMessage('There is no code to send');
+            return;
+        }
+
+        const path = vscode.workspace.asRelativePath(document.uri);
+        const where = target ? `${path} lines ${target.start.line + 1}-${target.end.line + 1}` : path;
+        const verb = action === 'explain' ? 'Explain' : 'Suggest improvements for';
+        await this.chatProvider.runEditorAction(action, code, document.languageId, `${verb} ${where}`);
+    }
+
+    private async generate() {
+        const editor = vscode.window.activeTextEditor;
+        const language = editor?.document.languageId;
+        const selected = editor && !editor.selection.isEmpty ? editor.document.getText(editor.selection).trim() : '';
+
+        const description = await vscode.window.showInputBox({
+            prompt: `Describe the ${language || ''} code to generate`.replace(/\s+/g, ' '),
+            placeHolder: 'a function that parses ISO dates and returns a Date or null',
+            value: selected
+        });
+        if (!description?.trim()) {
+            return;
+        }
+
+        await this.chatProvider.runEditorAction('generate', description.trim(), language, `Generate ${language ? `${language} ` : ''}code: ${description.trim()}`);
+    }
+
+    private async enclosingFunction(uri: vscode.Uri, position: vscode.Position): Promise<vscode.Range | undefined> {
+        const symbols = await this.functionSymbols(uri);
+        // Symbols are flattened outermost first, so the last match is the innermost function
+        const matches = symbols.filter(symbol => symbol.range.contains(position));
+        return matches.length > 0 ? matches[matches.length - 1].range : undefined;
+    }
+
+    private async functionSymbols(uri: vscode.Uri): Promise<vscode.DocumentSymbol[]> {
+        let symbols: vscode.DocumentSymbol[] | undefined;
+        try {
+            symbols = await vscode.commands.executeCommand<vscode.DocumentSymbol[]>('vscode.executeDocumentSymbolProvider', uri);
+        } catch {
+            return [];
+        }
+
+        const functions: vscode.DocumentSymbol[] = [];
+        const visit = (list: vscode.DocumentSymbol[]) => {
+            for (const symbol of list) {
+                // Older providers return SymbolInformation, which has no children or range of its own
+                if (!symbol.range) {
+                    continue;
+                }
+                if (FUNCTION_KINDS.includes(symbol.kind)) {
+                    functions.push(symbol);
+                }
+                visit(symbol.children || []);
+            }
+        };
+        visit(symbols || []);
+        return functions;
+    }
+
+    private readConfig() {
+        this.enabled = vscode.workspace.getConfiguration('replitCopilot').get<boolean>('enableCodeLens', true);
+    }
+
+    public dispose() {
+        this.codeLensesChanged.dispose();
+    }
+}
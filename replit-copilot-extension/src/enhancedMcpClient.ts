@@ -1,8 +1,10 @@
 import * as vscode from 'vscode';
-import * as WebSocket from 'ws';
-import axios from 'axios';
-import { spawn, ChildProcess } from 'child_process';
 import { MCPConfigParser, MCPServerConfig } from './mcpConfigParser';
+import { MCPSession, connectHttpSession } from './mcpSession';
+import { MCPTransport, StdioTransport, SseTransport, WebSocketTransport } from './mcpTransport';
+
+// Tool calls can legitimately run much longer than list/handshake requests
+const TOOL_CALL_TIMEOUT = 60000;
 
 export interface MCPTool {
     name: string;
@@ -11,10 +13,76 @@ export interface MCPTool {
     serverId: string;
 }
 
+export interface MCPContentBlock {
+    type: 'text' | 'image' | 'audio' | 'resource' | 'resource_link';
+    text?: string;
+    data?: string;
+    mimeType?: string;
+    uri?: string;
+    resource?: { uri: string; mimeType?: string; text?: string; blob?: string };
+}
+
+export interface MCPToolResult {
+    content: MCPContentBlock[];
+    structuredContent?: any;
+    isError?: boolean;
+}
+
+export interface MCPResource {
+    uri: string;
+    name: string;
+    title?: string;
+    description?: string;
+    mimeType?: string;
+    serverId: string;
+}
+
+export interface MCPResourceTemplate {
+    uriTemplate: string;
+    name: string;
+    title?: string;
+    description?: string;
+    mimeType?: string;
+    serverId: string;
+}
+
+export interface MCPResourceContents {
+    uri: string;
+    mimeType?: string;
+    text?: string;
+    blob?: string;
+}
+
+export interface MCPPromptArgument {
+    name: string;
+    description?: string;
+    required?: boolean;
+}
+
+export interface MCPPrompt {
+    name: string;
+    title?: string;
+    description?: string;
+    arguments?: MCPPromptArgument[];
+    serverId: string;
+}
+
+export interface MCPPromptMessage {
+    role: 'user' | 'assistant';
+    content: MCPContentBlock;
+}
+
+export interface MCPServerCatalog {
+    resources: MCPResource[];
+    resourceTemplates: MCPResourceTemplate[];
+    prompts: MCPPrompt[];
+}
+
 export class EnhancedMCPClient {
     private configParser: MCPConfigParser;
-    private activeConnections = new Map<string, any>();
+    private activeConnections = new Map<string, MCPSession>();
     private availableTools = new Map<string, MCPTool[]>();
+    private catalogs = new Map<string, MCPServerCatalog>();
     private connected = false;
 
     constructor() {
@@ -35,6 +103,9 @@ export class EnhancedMCPClient {
                 return false;
             }
 
+            // Reconnecting must not leave the previous server processes running
+            this.disconnect();
+
             const servers = this.configParser.getServers();
             console.log('[ENHANCED-MCP] Found servers:', servers.map(s => s.name));
 
@@ -55,8 +126,8 @@ export class EnhancedMCPClient {
             this.connected = successCount > 0;
             console.log(`[ENHANCED-MCP] Connected to ${successCount}/${servers.length} servers`);
             
-            // Discover tools from connected servers
-            await this.discoverTools();
+            // Discover tools, resources and prompts from connected servers
+            await Promise.all([this.discoverTools(), this.discoverCatalogs()]);
             
             return this.connected;
         } catch (error) {
@@ -69,189 +140,173 @@ export class EnhancedMCPClient {
         try {
             console.log(`[ENHANCED-MCP] Connecting to server: ${server.name} (${server.type})`);
 
-            switch (server.type) {
-                case 'stdio':
-                    return await this.connectStdio(server);
-                case 'http':
-                    return await this.connectHttp(server);
-                case 'websocket':
-                    return await this.connectWebSocket(server);
-                default:
-                    throw new Error(`Unsupported connection type: ${server.type}`);
+            const setup = (session: MCPSession) => {
+                session.onNotification('notifications/tools/list_changed', () => {
+                    this.refreshServerTools(server.name).catch(error => {
+                        console.error(`[ENHANCED-MCP] Failed to refresh tools from ${server.name}:`, error);
+                    });
+                });
+                const refreshCatalog = () => {
+                    this.refreshServerCatalog(server.name).catch(error => {
+                        console.error(`[ENHANCED-MCP] Failed to refresh catalog from ${server.name}:`, error);
+                    });
+                };
+                session.onNotification('notifications/resources/list_changed', refreshCatalog);
+                session.onNotification('notifications/prompts/list_changed', refreshCatalog);
+            };
+
+            let session: MCPSession;
+            if (server.type === 'http') {
+                if (!server.url) {
+                    throw new Error(`HTTP server '${server.name}' missing URL`);
+                }
+                session = await connectHttpSession(server.name, server.url, server.apiKey, server.timeout || 5000, TOOL_CALL_TIMEOUT, setup);
+            } else {
+                session = new MCPSession(server.name, this.createTransport(server), server.timeout || 5000);
+                setup(session);
+                await session.connect();
             }
+
+            this.activeConnections.set(server.name, session);
+            return true;
         } catch (error) {
             console.error(`[ENHANCED-MCP] Failed to connect to ${server.name}:`, error);
             return false;
         }
     }
 
-    private async connectStdio(server: MCPServerConfig): Promise<boolean> {
-        return new Promise((resolve) => {
-            try {
+    private createTransport(server: MCPServerConfig): MCPTransport {
+        switch (server.type) {
+            case 'stdio':
                 if (!server.command) {
-                    resolve(false);
-                    return;
+                    throw new Error(`STDIO server '${server.name}' missing command`);
                 }
-
-                console.log(`[ENHANCED-MCP] Starting STDIO process: ${server.command} ${server.args?.join(' ') || ''}`);
-                
-                const process = spawn(server.command, server.args || [], {
-                    stdio: ['pipe', 'pipe', 'pipe'],
-                    shell: true
-                });
-
-                const timeout = setTimeout(() => {
-                    console.log(`[ENHANCED-MCP] STDIO connection timeout for ${server.name}`);
-                    process.kill();
-                    resolve(false);
-                }, server.timeout || 5000);
-
-                process.on('spawn', () => {
-                    clearTimeout(timeout);
-                    console.log(`[ENHANCED-MCP] STDIO process spawned for ${server.name}`);
-                    
-                    this.activeConnections.set(server.name, {
-                        type: 'stdio',
-                        process: process,
-                        server: server
-                    });
-                    
-                    resolve(true);
-                });
-
-                process.on('error', (error) => {
-                    clearTimeout(timeout);
-                    console.error(`[ENHANCED-MCP] STDIO process error for ${server.name}:`, error);
-                    resolve(false);
+                return new StdioTransport(server.name, {
+                    command: server.command,
+                    args: server.args,
+                    env: server.env,
+                    cwd: vscode.workspace.workspaceFolders?.[0]?.uri.fsPath,
+                    timeout: server.timeout
                 });
+            case 'sse':
+                if (!server.url) {
+                    throw new Error(`SSE server '${server.name}' missing URL`);
+                }
+                return new SseTransport(server.name, server.url, server.apiKey, server.timeout);
+            case 'websocket':
+                if (!server.url) {
+                    throw new Error(`WebSocket server '${server.name}' missing URL`);
+                }
+                return new WebSocketTransport(server.name, server.url, server.timeout);
+            default:
+                throw new Error(`Unsupported connection type: ${server.type}`);
+        }
+    }
 
-                process.stderr?.on('data', (data) => {
-                    console.log(`[ENHANCED-MCP] ${server.name} stderr:`, data.toString());
-                });
+    private async discoverTools(): Promise<void> {
+        const promises = Array.from(this.activeConnections.keys()).map(
+            serverId => this.refreshServerTools(serverId)
+        );
 
-            } catch (error) {
-                console.error(`[ENHANCED-MCP] STDIO connection failed for ${server.name}:`, error);
-                resolve(false);
-            }
-        });
+        await Promise.allSettled(promises);
     }
 
-    private async connectHttp(server: MCPServerConfig): Promise<boolean> {
-        try {
-            if (!server.url) return false;
-
-            const response = await axios.get(`${server.url}/health`, {
-                headers: server.apiKey ? { 'Authorization': `Bearer ${server.apiKey}` } : {},
-                timeout: server.timeout || 5000
-            });
+    private async refreshServerTools(serverId: string): Promise<void> {
+        const session = this.activeConnections.get(serverId);
+        if (!session) {
+            return;
+        }
 
-            if (response.status === 200) {
-                this.activeConnections.set(server.name, {
-                    type: 'http',
-                    url: server.url,
-                    apiKey: server.apiKey,
-                    server: server
-                });
-                return true;
-            }
-            return false;
+        try {
+            const tools = await this.getToolsFromServer(serverId, session);
+            this.availableTools.set(serverId, tools);
+            console.log(`[ENHANCED-MCP] Discovered ${tools.length} tools from ${serverId}`);
         } catch (error) {
-            console.error(`[ENHANCED-MCP] HTTP connection failed for ${server.name}:`, error);
-            return false;
+            console.error(`[ENHANCED-MCP] Failed to discover tools from ${serverId}:`, error);
+            this.availableTools.set(serverId, []);
         }
     }
 
-    private async connectWebSocket(server: MCPServerConfig): Promise<boolean> {
-        return new Promise((resolve) => {
-            try {
-                if (!server.url) {
-                    resolve(false);
-                    return;
-                }
-
-                const ws = new WebSocket(server.url);
-                
-                const timeout = setTimeout(() => {
-                    ws.close();
-                    resolve(false);
-                }, server.timeout || 5000);
-
-                ws.on('open', () => {
-                    clearTimeout(timeout);
-                    this.activeConnections.set(server.name, {
-                        type: 'websocket',
-                        ws: ws,
-                        server: server
-                    });
-                    resolve(true);
-                });
-
-                ws.on('error', (error) => {
-                    clearTimeout(timeout);
-                    console.error(`[ENHANCED-MCP] WebSocket error for ${server.name}:`, error);
-                    resolve(false);
-                });
+    private async getToolsFromServer(serverId: string, session: MCPSession): Promise<MCPTool[]> {
+        if (!session.serverCapabilities.tools) {
+            return [];
+        }
 
-            } catch (error) {
-                console.error(`[ENHANCED-MCP] WebSocket connection failed for ${server.name}:`, error);
-                resolve(false);
-            }
-        });
+        const tools = await session.paginate<any>('tools/list', 'tools');
+        return tools.map(tool => ({
+            name: tool.name,
+            description: tool.description || '',
+            inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+            serverId
+        }));
     }
 
-    private async discoverTools(): Promise<void> {
-        const promises = Array.from(this.activeConnections.entries()).map(
-            async ([serverId, connection]) => {
-                try {
-                    const tools = await this.getToolsFromServer(serverId, connection);
-                    this.availableTools.set(serverId, tools);
-                    console.log(`[ENHANCED-MCP] Discovered ${tools.length} tools from ${serverId}`);
-                } catch (error) {
-                    console.error(`[ENHANCED-MCP] Failed to discover tools from ${serverId}:`, error);
-                    this.availableTools.set(serverId, []);
-                }
-            }
+    private async discoverCatalogs(): Promise<void> {
+        const promises = Array.from(this.activeConnections.keys()).map(
+            serverId => this.refreshServerCatalog(serverId)
         );
 
         await Promise.allSettled(promises);
     }
 
-    private async getToolsFromServer(serverId: string, connection: any): Promise<MCPTool[]> {
-        // Mock tools for demonstration - in real implementation, this would query the MCP server
-        const mockTools: MCPTool[] = [
-            {
-                name: 'read_file',
-                description: 'Read contents of a file',
-                inputSchema: { type: 'object', properties: { path: { type: 'string' } } },
-                serverId
-            },
-            {
-                name: 'write_file',
-                description: 'Write contents to a file',
-                inputSchema: { 
-                    type: 'object', 
-                    properties: { 
-                        path: { type: 'string' }, 
-                        content: { type: 'string' } 
-                    } 
-                },
-                serverId
-            },
-            {
-                name: 'delete_file',
-                description: 'Delete a file',
-                inputSchema: { type: 'object', properties: { path: { type: 'string' } } },
-                serverId
-            },
-            {
-                name: 'list_directory',
-                description: 'List contents of a directory',
-                inputSchema: { type: 'object', properties: { path: { type: 'string' } } },
-                serverId
+    private async refreshServerCatalog(serverId: string): Promise<void> {
+        const session = this.activeConnections.get(serverId);
+        if (!session) {
+            return;
+        }
+
+        const catalog: MCPServerCatalog = { resources: [], resourceTemplates: [], prompts: [] };
+        const withServer = (item: any) => ({ ...item, serverId });
+
+        try {
+            if (session.serverCapabilities.resources) {
+                const [resources, templates] = await Promise.all([
+                    session.paginate<any>('resources/list', 'resources'),
+                    // Templates are optional even for servers that offer resources
+                    session.paginate<any>('resources/templates/list', 'resourceTemplates').catch(() => [])
+                ]);
+                catalog.resources = resources.map(withServer);
+                catalog.resourceTemplates = templates.map(withServer);
             }
-        ];
+            if (session.serverCapabilities.prompts) {
+                catalog.prompts = (await session.paginate<any>('prompts/list', 'prompts')).map(withServer);
+            }
+            console.log(`[ENHANCED-MCP] ${serverId}: ${catalog.resources.length} resources, ${catalog.resourceTemplates.length} templates, ${catalog.prompts.length} prompts`);
+        } catch (error) {
+            console.error(`[ENHANCED-MCP] Failed to discover resources/prompts from ${serverId}:`, error);
+        }
 
-        return mockTools;
+        this.catalogs.set(serverId, catalog);
+    }
+
+    public getCatalog(): MCPServerCatalog {
+        const combined: MCPServerCatalog = { resources: [], resourceTemplates: [], prompts: [] };
+        for (const catalog of this.catalogs.values()) {
+            combined.resources.push(...catalog.resources);
+            combined.resourceTemplates.push(...catalog.resourceTemplates);
+            combined.prompts.push(...catalog.prompts);
+        }
+        return combined;
+    }
+
+    public async readResource(serverId: string, uri: string): Promise<MCPResourceContents[]> {
+        const session = this.requireSession(serverId);
+        const result = await session.request('resources/read', { uri });
+        return result?.contents || [];
+    }
+
+    public async getPrompt(serverId: string, name: string, args: { [key: string]: string } = {}): Promise<{ description?: string; messages: MCPPromptMessage[] }> {
+        const session = this.requireSession(serverId);
+        const result = await session.request('prompts/get', { name, arguments: args });
+        return { description: result?.description, messages: result?.messages || [] };
+    }
+
+    private requireSession(serverId: string): MCPSession {
+        const session = this.activeConnections.get(serverId);
+        if (!session) {
+            throw new Error(`No connection to server '${serverId}'`);
+        }
+        return session;
     }
 
     public getAllTools(): MCPTool[] {
@@ -278,50 +333,86 @@ export class EnhancedMCPClient {
         return this.configParser.hasConfig();
     }
 
-    public async callTool(toolName: string, parameters: any): Promise<any> {
+    public async callTool(toolName: string, parameters: any, serverId?: string, signal?: AbortSignal): Promise<MCPToolResult> {
+        if (serverId) {
+            return await this.executeToolOnServer(serverId, toolName, parameters, signal);
+        }
+
         // Find which server has this tool
-        for (const [serverId, tools] of this.availableTools.entries()) {
+        for (const [id, tools] of this.availableTools.entries()) {
             const tool = tools.find(t => t.name === toolName);
             if (tool) {
-                return await this.executeToolOnServer(serverId, toolName, parameters);
+                return await this.executeToolOnServer(id, toolName, parameters, signal);
             }
         }
         throw new Error(`Tool '${toolName}' not found in any connected server`);
     }
 
-    private async executeToolOnServer(serverId: string, toolName: string, parameters: any): Promise<any> {
-        const connection = this.activeConnections.get(serverId);
-        if (!connection) {
-            throw new Error(`No connection to server '${serverId}'`);
-        }
+    private async executeToolOnServer(serverId: string, toolName: string, parameters: any, signal?: AbortSignal): Promise<MCPToolResult> {
+        const session = this.requireSession(serverId);
 
         console.log(`[ENHANCED-MCP] Executing tool '${toolName}' on server '${serverId}'`, parameters);
 
-        // Mock execution - in real implementation, this would send the tool call to the MCP server
-        switch (toolName) {
-            case 'read_file':
-                return { content: `Mock content of file: ${parameters.path}` };
-            case 'write_file':
-                return { success: true, message: `Mock write to file: ${parameters.path}` };
-            case 'delete_file':
-                return { success: true, message: `Mock delete file: ${parameters.path}` };
-            case 'list_directory':
-                return { files: ['file1.txt', 'file2.js', 'subdir/'] };
-            default:
-                throw new Error(`Unknown tool: ${toolName}`);
+        return await session.request('tools/call', {
+            name: toolName,
+            arguments: parameters || {}
+        }, TOOL_CALL_TIMEOUT, signal);
+    }
+
+    /**
+     * Flattens a tools/call result into plain text for the chat and the model.
+     */
+    public static formatToolResult(result: MCPToolResult): string {
+        const parts = (result.content || []).map(block => {
+            switch (block.type) {
+                case 'text':
+                    return block.text || '';
+                case 'image':
+                case 'audio':
+                    return `[${block.type}: ${block.mimeType || 'binary'}]`;
+                case 'resource':
+                    return block.resource?.text ?? `[resource: ${block.resource?.uri}]`;
+                case 'resource_link':
+                    return `[resource: ${block.uri}]`;
+                default:
+                    return '';
+            }
+        });
+
+        if (parts.length === 0 && result.structuredContent !== undefined) {
+            parts.push(JSON.stringify(result.structuredContent, null, 2));
         }
+
+        const text = parts.filter(Boolean).join('\n');
+        return result.isError ? `Tool error: ${text}` : text;
+    }
+
+    /**
+     * Renders resource contents as text; binary blobs are summarised since
+     * the model cannot use them directly.
+     */
+    public static formatResourceContents(contents: MCPResourceContents[]): string {
+        return contents.map(item => {
+            if (item.text !== undefined) {
+                return item.text;
+            }
+            return `[binary ${item.mimeType || 'data'} at ${item.uri}, ${item.blob?.length || 0} base64 characters]`;
+        }).join('\n\n');
+    }
+
+    /**
+     * Renders one prompt message content block as text.
+     */
+    public static formatContentBlock(block: MCPContentBlock): string {
+        return EnhancedMCPClient.formatToolResult({ content: [block] });
     }
 
     public disconnect(): void {
         console.log('[ENHANCED-MCP] Disconnecting all servers...');
         
-        for (const [serverId, connection] of this.activeConnections.entries()) {
+        for (const [serverId, session] of this.activeConnections.entries()) {
             try {
-                if (connection.type === 'stdio' && connection.process) {
-                    connection.process.kill();
-                } else if (connection.type === 'websocket' && connection.ws) {
-                    connection.ws.close();
-                }
+                session.close();
                 console.log(`[ENHANCED-MCP] Disconnected from ${serverId}`);
             } catch (error) {
                 console.error(`[ENHANCED-MCP] Error disconnecting from ${serverId}:`, error);
@@ -330,6 +421,7 @@ export class EnhancedMCPClient {
 
         this.activeConnections.clear();
         this.availableTools.clear();
+        this.catalogs.clear();
         this.connected = false;
     }
 }
\ No newline at end of file
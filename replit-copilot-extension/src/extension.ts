@@ -3,11 +3,36 @@ import { ChatProvider } from './chatProvider';
 import { EnhancedMCPClient } from './enhancedMcpClient';
 import { OllamaClient } from './ollamaClient';
 import { FileOperationsManager } from './fileOperationsManager';
+import { FileOperationsManager as WorkspaceFileOperations } from './fileOperations';
+import { ChatToolRegistry } from './chatTools';
+import { OllamaInlineCompletionProvider } from './inlineCompletionProvider';
+import { EditReviewManager } from './editReviewManager';
+import { ChatSessionStore } from './chatSessionStore';
+import { CodeIndex } from './codeIndex';
+import { ContextMentionProvider } from './contextMentions';
+import { EditorActionsProvider } from './editorActions';
+import { CommandRunner } from './commandRunner';
+import { ToolPolicy } from './toolPolicy';
+import { ProviderRegistry } from './modelProvider';
+import { ModelManager } from './modelManager';
+import { GenerationPresets } from './generationPresets';
+import { IntentRouter } from './intentRouter';
+import { WorkspaceRoots } from './workspaceRoots';
+import { GitAssistant } from './gitAssistant';
+import { DiagnosticActionsProvider } from './diagnosticActions';
+import { TestGenerator } from './testGenerator';
 
 let chatProvider: ChatProvider;
 let mcpClient: EnhancedMCPClient;
 let ollamaClient: OllamaClient;
 let fileOpsManager: FileOperationsManager;
+let workspaceOps: WorkspaceFileOperations;
+let inlineCompletionProvider: OllamaInlineCompletionProvider;
+let reviewManager: EditReviewManager;
+let codeIndex: CodeIndex;
+let editorActions: EditorActionsProvider;
+let commandRunner: CommandRunner;
+let providers: ProviderRegistry;
 
 export function activate(context: vscode.ExtensionContext) {
     console.log('[OLLAMA-CHAT] Ollama Chat Extension is now active!');
@@ -15,15 +40,59 @@ export function activate(context: vscode.ExtensionContext) {
     try {
         // Initialize services
         mcpClient = new EnhancedMCPClient();
-        ollamaClient = new OllamaClient();
-        fileOpsManager = new FileOperationsManager();
-        chatProvider = new ChatProvider(context.extensionUri, mcpClient, ollamaClient, fileOpsManager);
+        // Named chat backends (Ollama or OpenAI-compatible); the active one serves every request
+        providers = new ProviderRegistry();
+        providers.register(context);
+        // Sampling options come from named presets assigned per command and per model
+        const presets = new GenerationPresets();
+        ollamaClient = new OllamaClient(providers, presets);
+        // Every AI-proposed file change is staged here for diff review
+        reviewManager = new EditReviewManager();
+        reviewManager.register(context);
+        // The folders file operations work in: every workspace folder, or replitCopilot.workspaceRoot
+        const roots = new WorkspaceRoots();
+        context.subscriptions.push(roots);
+        // Which tools may run unattended, and which paths they may touch
+        const toolPolicy = new ToolPolicy(roots);
+        fileOpsManager = new FileOperationsManager(reviewManager, toolPolicy, roots);
+        // Model-requested shell commands run here, approved by the user unless the policy allows them
+        commandRunner = new CommandRunner(roots);
+        workspaceOps = new WorkspaceFileOperations(reviewManager, commandRunner, toolPolicy, roots);
+        context.subscriptions.push(commandRunner, workspaceOps);
+        ollamaClient.setToolExecutor(new ChatToolRegistry(workspaceOps, mcpClient, toolPolicy));
+        // Chats and the code index are stored per workspace; without a folder open they fall back to global storage
+        const storageUri = context.storageUri || context.globalStorageUri;
+        const sessionStore = new ChatSessionStore(storageUri);
+        codeIndex = new CodeIndex(ollamaClient, storageUri, roots);
+        codeIndex.register(context);
+        // Chat messages asking for a file operation are run directly instead of answered
+        const intentRouter = new IntentRouter(ollamaClient);
+        chatProvider = new ChatProvider(context.extensionUri, mcpClient, ollamaClient, fileOpsManager, reviewManager, sessionStore, codeIndex, new ContextMentionProvider(workspaceOps, toolPolicy, roots), providers, new ModelManager(providers), presets, intentRouter, roots);
 
         // Register the webview provider
         console.log('[OLLAMA-CHAT] Registering webview provider with ID:', ChatProvider.viewType);
         const disposable = vscode.window.registerWebviewViewProvider(ChatProvider.viewType, chatProvider);
         context.subscriptions.push(disposable);
         console.log('[OLLAMA-CHAT] Webview provider registered successfully');
+
+        // Explain / improve / generate from the editor, answered in the chat view
+        editorActions = new EditorActionsProvider(chatProvider);
+        editorActions.register(context);
+
+        // Commit messages, branch summaries and file history through the built-in Git extension
+        new GitAssistant(ollamaClient, chatProvider, roots).register(context);
+
+        // "Fix with Ollama" / "Explain this error" quick fixes on diagnostics
+        new DiagnosticActionsProvider(ollamaClient, chatProvider, reviewManager).register(context);
+
+        // Unit tests for a selection or file, written through the reviewed file operations
+        new TestGenerator(ollamaClient, fileOpsManager, roots).register(context);
+
+        // Register ghost-text completions for every file-backed document
+        inlineCompletionProvider = new OllamaInlineCompletionProvider(ollamaClient, presets);
+        context.subscriptions.push(
+            vscode.languages.registerInlineCompletionItemProvider({ pattern: '**' }, inlineCompletionProvider)
+        );
         
         vscode.window.showInformationMessage('Ollama Chat Extension loaded successfully!');
 
@@ -48,7 +117,12 @@ export function activate(context: vscode.ExtensionContext) {
                 if (e.affectsConfiguration('replitCopilot')) {
                     // Update clients when configuration changes
                     mcpClient.updateConfiguration();
+                    providers.updateConfiguration();
                     ollamaClient.updateConfiguration();
+                    inlineCompletionProvider.updateConfiguration();
+                    codeIndex.updateConfiguration();
+                    editorActions.updateConfiguration();
+                    commandRunner.updateConfiguration();
                 }
             })
         );
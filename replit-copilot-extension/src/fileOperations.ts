@@ -1,5 +1,8 @@
 import * as vscode from 'vscode';
-import * as path from 'path';
+import { EditReviewManager } from './editReviewManager';
+import { CommandResult, CommandRunner, RunOptions } from './commandRunner';
+import { PathAccess, ToolPolicy } from './toolPolicy';
+import { WorkspaceRoots } from './workspaceRoots';
 
 export interface FileEdit {
     filePath: string;
@@ -9,16 +12,32 @@ export interface FileEdit {
     range?: vscode.Range; // for partial updates
 }
 
+// Bridges an AbortSignal from the chat pipeline to VS Code's cancellation tokens
+function cancellationFor(signal?: AbortSignal): vscode.CancellationTokenSource {
+    const source = new vscode.CancellationTokenSource();
+    if (signal?.aborted) {
+        source.cancel();
+    } else {
+        signal?.addEventListener('abort', () => source.cancel(), { once: true });
+    }
+    return source;
+}
+
 export class FileOperationsManager {
     private outputChannel: vscode.OutputChannel;
 
-    constructor() {
+    constructor(
+        private readonly reviewManager: EditReviewManager,
+        private readonly commandRunner: CommandRunner,
+        private readonly policy: ToolPolicy,
+        private readonly roots: WorkspaceRoots
+    ) {
         this.outputChannel = vscode.window.createOutputChannel('Replit Copilot');
     }
 
     public async readFile(filePath: string): Promise<string> {
         try {
-            const uri = this.resolveUri(filePath);
+            const uri = await this.resolveUri(filePath, 'read');
             const document = await vscode.workspace.openTextDocument(uri);
             return document.getText();
         } catch (error) {
@@ -26,22 +45,27 @@ export class FileOperationsManager {
         }
     }
 
-    public async writeFile(filePath: string, content: string): Promise<void> {
+    /**
+     * Stages a create/update for review in the diff editor; nothing is written
+     * until the user accepts it. Returns the review status line.
+     */
+    public async writeFile(filePath: string, content: string): Promise<string> {
         try {
-            const uri = this.resolveUri(filePath);
-            const encoder = new TextEncoder();
-            await vscode.workspace.fs.writeFile(uri, encoder.encode(content));
-            this.log(`Created/Updated file: ${filePath}`);
+            const uri = await this.resolveUri(filePath, 'write');
+            const status = await this.reviewManager.propose(uri, content);
+            this.log(`Proposed create/update: ${filePath}`);
+            return status;
         } catch (error) {
             throw new Error(`Failed to write file ${filePath}: ${error}`);
         }
     }
 
-    public async deleteFile(filePath: string): Promise<void> {
+    public async deleteFile(filePath: string): Promise<string> {
         try {
-            const uri = this.resolveUri(filePath);
-            await vscode.workspace.fs.delete(uri);
-            this.log(`Deleted file: ${filePath}`);
+            const uri = await this.resolveUri(filePath, 'write');
+            const status = await this.reviewManager.propose(uri, null);
+            this.log(`Proposed delete: ${filePath}`);
+            return status;
         } catch (error) {
             throw new Error(`Failed to delete file ${filePath}: ${error}`);
         }
@@ -49,8 +73,8 @@ export class FileOperationsManager {
 
     public async renameFile(oldPath: string, newPath: string): Promise<void> {
         try {
-            const oldUri = this.resolveUri(oldPath);
-            const newUri = this.resolveUri(newPath);
+            const oldUri = await this.resolveUri(oldPath, 'write');
+            const newUri = await this.resolveUri(newPath, 'write');
             await vscode.workspace.fs.rename(oldUri, newUri);
             this.log(`Renamed file: ${oldPath} -> ${newPath}`);
         } catch (error) {
@@ -58,36 +82,33 @@ export class FileOperationsManager {
         }
     }
 
-    public async applyEdit(edit: FileEdit): Promise<void> {
+    public async applyEdit(edit: FileEdit): Promise<string> {
         try {
             switch (edit.operation) {
                 case 'create':
                     if (!edit.content) {
                         throw new Error('Content required for create operation');
                     }
-                    await this.writeFile(edit.filePath, edit.content);
-                    break;
+                    return await this.writeFile(edit.filePath, edit.content);
 
                 case 'update':
                     if (edit.range && edit.content !== undefined) {
-                        await this.updateFileRange(edit.filePath, edit.range, edit.content);
+                        return await this.updateFileRange(edit.filePath, edit.range, edit.content);
                     } else if (edit.content !== undefined) {
-                        await this.writeFile(edit.filePath, edit.content);
+                        return await this.writeFile(edit.filePath, edit.content);
                     } else {
                         throw new Error('Content required for update operation');
                     }
-                    break;
 
                 case 'delete':
-                    await this.deleteFile(edit.filePath);
-                    break;
+                    return await this.deleteFile(edit.filePath);
 
                 case 'rename':
                     if (!edit.newPath) {
                         throw new Error('New path required for rename operation');
                     }
                     await this.renameFile(edit.filePath, edit.newPath);
-                    break;
+                    return `Renamed ${edit.filePath} to ${edit.newPath}`;
 
                 default:
                     throw new Error(`Unknown operation: ${edit.operation}`);
@@ -97,20 +118,16 @@ export class FileOperationsManager {
         }
     }
 
-    public async updateFileRange(filePath: string, range: vscode.Range, newContent: string): Promise<void> {
+    public async updateFileRange(filePath: string, range: vscode.Range, newContent: string): Promise<string> {
         try {
-            const uri = this.resolveUri(filePath);
+            const uri = await this.resolveUri(filePath, 'write');
             const document = await vscode.workspace.openTextDocument(uri);
+            const text = document.getText();
+            const proposed = text.slice(0, document.offsetAt(range.start)) + newContent + text.slice(document.offsetAt(range.end));
             
-            const edit = new vscode.WorkspaceEdit();
-            edit.replace(uri, range, newContent);
-            
-            const success = await vscode.workspace.applyEdit(edit);
-            if (!success) {
-                throw new Error('Failed to apply workspace edit');
-            }
-            
-            this.log(`Updated range in file: ${filePath}`);
+            const status = await this.reviewManager.propose(uri, proposed);
+            this.log(`Proposed range update in file: ${filePath}`);
+            return status;
         } catch (error) {
             throw new Error(`Failed to update file range ${filePath}: ${error}`);
         }
@@ -118,19 +135,7 @@ export class FileOperationsManager {
 
     public async listFiles(directoryPath?: string): Promise<string[]> {
         try {
-            const workspaceFolders = vscode.workspace.workspaceFolders;
-            if (!workspaceFolders) {
-                throw new Error('No workspace folder open');
-            }
-
-            const rootUri = directoryPath 
-                ? this.resolveUri(directoryPath)
-                : workspaceFolders[0]?.uri;
-            
-            if (!rootUri) {
-                throw new Error('No workspace folder available');
-            }
-
+            const rootUri = await this.resolveUri(directoryPath || '.', 'read');
             const entries = await vscode.workspace.fs.readDirectory(rootUri);
             return entries
                 .filter(([name, type]: [string, vscode.FileType]) => type === vscode.FileType.File)
@@ -153,56 +158,35 @@ export class FileOperationsManager {
         };
     }
 
-    public async runTerminalCommand(command: string, workingDirectory?: string): Promise<{ stdout: string; stderr: string; exitCode: number }> {
-        return new Promise((resolve) => {
-            const terminal = vscode.window.createTerminal({
-                name: 'Ollama Chat Command',
-                cwd: workingDirectory
-            });
-            
-            // For now, show the command in terminal and return a placeholder
-            terminal.show();
-            terminal.sendText(command);
-            
-            // Note: VS Code doesn't provide direct access to terminal output
-            // This would need a more sophisticated implementation for real output capture
-            resolve({
-                stdout: `Command executed: ${command}`,
-                stderr: '',
-                exitCode: 0
-            });
-        });
+    /** Runs a shell command once the user approves it, capturing its output. */
+    public async runTerminalCommand(command: string, options: RunOptions = {}): Promise<CommandResult> {
+        const result = await this.commandRunner.run(command, options);
+        this.log(`Ran command (exit ${result.exitCode ?? 'unknown'}, ${result.durationMs}ms): ${result.command}`);
+        return result;
     }
 
-    public async fileGlobSearch(pattern: string): Promise<string[]> {
+    public async fileGlobSearch(pattern: string, signal?: AbortSignal): Promise<string[]> {
+        const cancellation = cancellationFor(signal);
         try {
-            const files = await vscode.workspace.findFiles(pattern);
-            const workspaceFolders = vscode.workspace.workspaceFolders;
-            if (!workspaceFolders) {
-                return files.map(file => file.fsPath);
-            }
-            
-            const firstWorkspace = workspaceFolders[0];
-            if (!firstWorkspace) {
-                return files.map(file => file.fsPath);
-            }
-            
-            const workspaceRoot = firstWorkspace.uri.fsPath;
-            return files.map(file => {
-                const relativePath = vscode.workspace.asRelativePath(file);
-                return relativePath;
-            });
+            const files = await this.findInRoots(pattern, undefined, cancellation.token);
+            return files.map(file => this.roots.relativePath(file));
         } catch (error) {
             throw new Error(`Failed to search files with pattern ${pattern}: ${error}`);
+        } finally {
+            cancellation.dispose();
         }
     }
 
-    public async grepSearch(searchTerm: string, filePattern: string = '**/*'): Promise<Array<{file: string, line: number, content: string}>> {
+    public async grepSearch(searchTerm: string, filePattern: string = '**/*', signal?: AbortSignal): Promise<Array<{file: string, line: number, content: string}>> {
+        const cancellation = cancellationFor(signal);
         try {
-            const files = await vscode.workspace.findFiles(filePattern);
+            const files = await this.findInRoots(filePattern, undefined, cancellation.token);
             const results: Array<{file: string, line: number, content: string}> = [];
             
             for (const file of files) {
+                if (signal?.aborted) {
+                    throw new Error('search cancelled by the user');
+                }
                 try {
                     const document = await vscode.workspace.openTextDocument(file);
                     const text = document.getText();
@@ -211,7 +195,7 @@ export class FileOperationsManager {
                     lines.forEach((line, index) => {
                         if (line.toLowerCase().includes(searchTerm.toLowerCase())) {
                             results.push({
-                                file: vscode.workspace.asRelativePath(file),
+                                file: this.roots.relativePath(file),
                                 line: index + 1,
                                 content: line.trim()
                             });
@@ -225,32 +209,32 @@ export class FileOperationsManager {
             return results;
         } catch (error) {
             throw new Error(`Failed to grep search for term ${searchTerm}: ${error}`);
+        } finally {
+            cancellation.dispose();
         }
     }
 
-    public async searchAndReplaceInFile(filePath: string, searchPattern: string, replacement: string): Promise<boolean> {
+    /**
+     * Replaces every occurrence of `searchText`, matched literally: regex
+     * metacharacters and `$` patterns in the replacement have no special meaning.
+     */
+    public async searchAndReplaceInFile(filePath: string, searchText: string, replacement: string): Promise<boolean> {
+        if (!searchText) {
+            throw new Error('The text to find is empty');
+        }
         try {
-            const uri = this.resolveUri(filePath);
+            const uri = await this.resolveUri(filePath, 'write');
             const document = await vscode.workspace.openTextDocument(uri);
             const text = document.getText();
             
-            if (!text.includes(searchPattern)) {
+            if (!text.includes(searchText)) {
                 return false;
             }
             
-            const newText = text.replace(new RegExp(searchPattern, 'g'), replacement);
-            const edit = new vscode.WorkspaceEdit();
-            const fullRange = new vscode.Range(
-                document.positionAt(0),
-                document.positionAt(text.length)
-            );
-            edit.replace(uri, fullRange, newText);
-            
-            const success = await vscode.workspace.applyEdit(edit);
-            if (success) {
-                this.log(`Search and replace completed in: ${filePath}`);
-            }
-            return success;
+            const newText = text.split(searchText).join(replacement);
+            await this.reviewManager.propose(uri, newText);
+            this.log(`Proposed search and replace in: ${filePath}`);
+            return true;
         } catch (error) {
             throw new Error(`Failed to search and replace in file ${filePath}: ${error}`);
         }
@@ -258,8 +242,8 @@ export class FileOperationsManager {
 
     public async viewDiff(file1Path: string, file2Path: string): Promise<string> {
         try {
-            const uri1 = this.resolveUri(file1Path);
-            const uri2 = this.resolveUri(file2Path);
+            const uri1 = await this.resolveUri(file1Path, 'read');
+            const uri2 = await this.resolveUri(file2Path, 'read');
             
             // Use VS Code's diff command
             await vscode.commands.executeCommand('vscode.diff', uri1, uri2, `${file1Path} ↔ ${file2Path}`);
@@ -276,25 +260,18 @@ export class FileOperationsManager {
 
     public async viewRepoMap(): Promise<string> {
         try {
-            const workspaceFolders = vscode.workspace.workspaceFolders;
-            if (!workspaceFolders) {
+            if (this.roots.all().length === 0) {
                 throw new Error('No workspace folder open');
             }
 
-            const firstWorkspace = workspaceFolders[0];
-            if (!firstWorkspace) {
-                throw new Error('No workspace folder available');
-            }
-            
-            const rootPath = firstWorkspace.uri.fsPath;
-            const files = await vscode.workspace.findFiles('**/*', '**/node_modules/**');
+            const files = await this.findInRoots('**/*', '**/node_modules/**');
             
             const structure: { [key: string]: string[] } = {};
             const languages = new Set<string>();
             
             for (const file of files) {
-                const relativePath = vscode.workspace.asRelativePath(file);
-                const dir = vscode.workspace.asRelativePath(vscode.Uri.file(file.fsPath.split('/').slice(0, -1).join('/')));
+                const relativePath = this.roots.relativePath(file);
+                const dir = relativePath.includes('/') ? relativePath.slice(0, relativePath.lastIndexOf('/')) : '.';
                 const ext = file.fsPath.split('.').pop() || 'no-ext';
                 
                 if (!structure[dir]) {
@@ -326,7 +303,7 @@ export class FileOperationsManager {
 
     public async viewSubdirectory(dirPath: string): Promise<string> {
         try {
-            const uri = this.resolveUri(dirPath);
+            const uri = await this.resolveUri(dirPath, 'read');
             const entries = await vscode.workspace.fs.readDirectory(uri);
             
             let result = `📁 ${dirPath}/\n`;
@@ -341,10 +318,10 @@ export class FileOperationsManager {
         }
     }
 
-    public async fetchUrlContent(url: string): Promise<string> {
+    public async fetchUrlContent(url: string, signal?: AbortSignal): Promise<string> {
         try {
             // For VS Code extension, we can use node's fetch or axios
-            const response = await fetch(url);
+            const response = await fetch(url, { signal });
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
@@ -365,7 +342,7 @@ export class FileOperationsManager {
 
     public async createDirectory(directoryPath: string): Promise<void> {
         try {
-            const uri = this.resolveUri(directoryPath);
+            const uri = await this.resolveUri(directoryPath, 'write');
             await vscode.workspace.fs.createDirectory(uri);
             this.log(`Created directory: ${directoryPath}`);
         } catch (error) {
@@ -375,7 +352,7 @@ export class FileOperationsManager {
 
     public async fileExists(filePath: string): Promise<boolean> {
         try {
-            const uri = this.resolveUri(filePath);
+            const uri = await this.resolveUri(filePath);
             await vscode.workspace.fs.stat(uri);
             return true;
         } catch {
@@ -384,13 +361,13 @@ export class FileOperationsManager {
     }
 
     public async getFileInfo(filePath: string): Promise<vscode.FileStat> {
-        const uri = this.resolveUri(filePath);
+        const uri = await this.resolveUri(filePath);
         return await vscode.workspace.fs.stat(uri);
     }
 
     public async openFileInEditor(filePath: string, range?: vscode.Range): Promise<void> {
         try {
-            const uri = this.resolveUri(filePath);
+            const uri = await this.resolveUri(filePath);
             const document = await vscode.workspace.openTextDocument(uri);
             const editor = await vscode.window.showTextDocument(document);
             
@@ -403,22 +380,29 @@ export class FileOperationsManager {
         }
     }
 
-    private resolveUri(filePath: string): vscode.Uri {
-        if (path.isAbsolute(filePath)) {
-            return vscode.Uri.file(filePath);
-        }
-
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (!workspaceFolders || workspaceFolders.length === 0) {
-            throw new Error('No workspace folder open');
-        }
+    /**
+     * Files matching `include` in every workspace root. Searching each root
+     * separately also covers a `replitCopilot.workspaceRoot` outside the
+     * open folders, which `findFiles` alone would miss.
+     */
+    private async findInRoots(include: string, exclude?: string, token?: vscode.CancellationToken): Promise<vscode.Uri[]> {
+        const found = await Promise.all(this.roots.all().map(root =>
+            vscode.workspace.findFiles(new vscode.RelativePattern(root.uri, include), exclude, undefined, token)
+        ));
+        return found.flat();
+    }
 
-        const firstWorkspace = workspaceFolders[0];
-        if (!firstWorkspace) {
-            throw new Error('No workspace folder available');
+    /**
+     * Resolves a model-supplied path. Absolute paths and `..` segments are
+     * accepted only as far as the tool policy allows for `access`; without an
+     * access kind the path is only resolved, for stat-like lookups.
+     */
+    private async resolveUri(filePath: string, access?: PathAccess): Promise<vscode.Uri> {
+        const uri = await this.roots.resolve(filePath);
+        if (access) {
+            await this.policy.checkPath(uri, access);
         }
-
-        return vscode.Uri.joinPath(firstWorkspace.uri, filePath);
+        return uri;
     }
 
     private log(message: string): void {
@@ -1,164 +1,48 @@
 import * as vscode from 'vscode';
 import * as fs from 'fs';
 import * as path from 'path';
+import { EditReviewManager } from './editReviewManager';
+import { PathAccess, ToolPolicy } from './toolPolicy';
+import { WorkspaceRoots } from './workspaceRoots';
 
 export interface FileOperation {
-    type: 'read' | 'write' | 'delete' | 'create' | 'list' | 'search';
+    type: 'read' | 'write' | 'append' | 'delete' | 'create' | 'list' | 'search';
     path: string;
     content?: string;
     recursive?: boolean;
 }
 
 export class FileOperationsManager {
-    private workspaceRoot: string = '';
+    constructor(
+        private readonly reviewManager: EditReviewManager,
+        private readonly policy: ToolPolicy,
+        private readonly roots: WorkspaceRoots
+    ) {}
 
-    constructor() {
-        this.updateWorkspaceRoot();
-    }
-
-    private updateWorkspaceRoot() {
-        if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
-            this.workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
-        }
-        console.log('[FILE-OPS] Workspace root:', this.workspaceRoot);
-    }
-
-    public async detectFileOperation(message: string): Promise<FileOperation | null> {
-        const lowerMessage = message.toLowerCase();
-        
-        // Detect file operations from natural language
-        if (lowerMessage.includes('create file') || lowerMessage.includes('make file') || lowerMessage.includes('new file')) {
-            const pathMatch = this.extractFilePath(message);
-            if (pathMatch) {
-                return {
-                    type: 'create',
-                    path: pathMatch,
-                    content: this.extractFileContent(message) || ''
-                };
-            }
-        }
-
-        if (lowerMessage.includes('delete file') || lowerMessage.includes('remove file')) {
-            const pathMatch = this.extractFilePath(message);
-            if (pathMatch) {
-                return {
-                    type: 'delete',
-                    path: pathMatch
-                };
-            }
-        }
-
-        if (lowerMessage.includes('read file') || lowerMessage.includes('show file') || lowerMessage.includes('open file')) {
-            const pathMatch = this.extractFilePath(message);
-            if (pathMatch) {
-                return {
-                    type: 'read',
-                    path: pathMatch
-                };
-            }
-        }
-
-        if (lowerMessage.includes('list files') || lowerMessage.includes('show directory') || lowerMessage.includes('ls ')) {
-            const pathMatch = this.extractDirectoryPath(message) || '.';
-            return {
-                type: 'list',
-                path: pathMatch,
-                recursive: lowerMessage.includes('recursive') || lowerMessage.includes('-r')
-            };
-        }
-
-        if (lowerMessage.includes('search for') || lowerMessage.includes('find file')) {
-            const searchTerm = this.extractSearchTerm(message);
-            if (searchTerm) {
-                return {
-                    type: 'search',
-                    path: '.',
-                    content: searchTerm
-                };
-            }
-        }
-
-        return null;
-    }
-
-    private extractFilePath(message: string): string | null {
-        // Try to extract file paths from various patterns
-        const patterns = [
-            /[\"'`]([^\"'`]+\.[a-zA-Z0-9]+)[\"'`]/g, // "file.ext" or 'file.ext'
-            /(?:file|path):\s*([^\s]+)/g,           // file: path/to/file
-            /\b([a-zA-Z0-9_\-\/\\\.]+\.[a-zA-Z0-9]+)\b/g // standalone file.ext
-        ];
-
-        for (const pattern of patterns) {
-            const matches = message.match(pattern);
-            if (matches) {
-                return matches[0].replace(/[\"'`:]/g, '').trim();
+    public async executeFileOperation(operation: FileOperation, signal?: AbortSignal): Promise<string> {
+        try {
+            if (signal?.aborted) {
+                return `⏹️ File operation cancelled: ${operation.type} ${operation.path}`;
             }
-        }
-
-        return null;
-    }
-
-    private extractDirectoryPath(message: string): string | null {
-        const patterns = [
-            /[\"'`]([^\"'`]+\/)[\"'`]/g,
-            /(?:directory|folder|dir):\s*([^\s]+)/g,
-            /\b([a-zA-Z0-9_\-\/\\]+\/)\b/g
-        ];
-
-        for (const pattern of patterns) {
-            const matches = message.match(pattern);
-            if (matches) {
-                return matches[0].replace(/[\"'`:]/g, '').trim();
+            // "." in a multi-root workspace means every folder
+            if (this.roots.isWorkspacePath(operation.path) && (operation.type === 'list' || operation.type === 'search')) {
+                return operation.type === 'list'
+                    ? this.listRoots(operation.recursive)
+                    : await this.searchRoots(operation.content || '');
             }
-        }
-
-        return null;
-    }
-
-    private extractFileContent(message: string): string | null {
-        // Try to extract content from code blocks or quoted content
-        const codeBlockMatch = message.match(/```[\s\S]*?\n([\s\S]*?)```/);
-        if (codeBlockMatch) {
-            return codeBlockMatch[1].trim();
-        }
-
-        const quotedMatch = message.match(/[\"'`]([\s\S]*?)[\"'`]/);
-        if (quotedMatch && quotedMatch[1].length > 10) {
-            return quotedMatch[1];
-        }
-
-        return null;
-    }
-
-    private extractSearchTerm(message: string): string | null {
-        const patterns = [
-            /search for [\"'`]([^\"'`]+)[\"'`]/i,
-            /find [\"'`]([^\"'`]+)[\"'`]/i,
-            /look for ([a-zA-Z0-9_\-\s]+)/i
-        ];
-
-        for (const pattern of patterns) {
-            const match = message.match(pattern);
-            if (match) {
-                return match[1].trim();
-            }
-        }
-
-        return null;
-    }
-
-    public async executeFileOperation(operation: FileOperation): Promise<string> {
-        try {
-            const fullPath = this.resolvePath(operation.path);
+            const access = operation.type === 'read' || operation.type === 'list' || operation.type === 'search' ? 'read' : 'write';
+            const fullPath = (await this.resolvePath(operation.path, access)).fsPath;
             console.log(`[FILE-OPS] Executing ${operation.type} on ${fullPath}`);
 
             switch (operation.type) {
                 case 'read':
                     return await this.readFile(fullPath);
                 case 'write':
-                case 'create':
                     return await this.writeFile(fullPath, operation.content || '');
+                case 'create':
+                    return await this.createFile(fullPath, operation.content || '');
+                case 'append':
+                    return await this.appendFile(fullPath, operation.content || '');
                 case 'delete':
                     return await this.deleteFile(fullPath);
                 case 'list':
@@ -174,11 +58,18 @@ export class FileOperationsManager {
         }
     }
 
-    private resolvePath(filePath: string): string {
-        if (path.isAbsolute(filePath)) {
-            return filePath;
-        }
-        return path.join(this.workspaceRoot, filePath);
+    /**
+     * Absolute and `..` paths are resolved, then checked against the tool
+     * policy's sandbox. Also used for code blocks applied from the chat.
+     */
+    public async resolvePath(filePath: string | vscode.Uri, access: PathAccess): Promise<vscode.Uri> {
+        const uri = typeof filePath === 'string' ? await this.roots.resolve(filePath) : filePath;
+        await this.policy.checkPath(uri, access);
+        return uri;
+    }
+
+    private display(fsPath: string): string {
+        return this.roots.relativePath(vscode.Uri.file(fsPath));
     }
 
     private async readFile(filePath: string): Promise<string> {
@@ -187,22 +78,36 @@ export class FileOperationsManager {
         }
 
         const content = fs.readFileSync(filePath, 'utf-8');
-        const relativePath = path.relative(this.workspaceRoot, filePath);
+        const relativePath = this.display(filePath);
         
         return `📄 **File: ${relativePath}**\n\n\`\`\`\n${content}\n\`\`\``;
     }
 
     private async writeFile(filePath: string, content: string): Promise<string> {
-        // Create directory if it doesn't exist
-        const dir = path.dirname(filePath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
+        // Changes are staged for review; the file is written only once accepted
+        return await this.reviewManager.propose(vscode.Uri.file(filePath), content);
+    }
+
+    /** Like a write, but never replaces an existing file, e.g. for `/create` with no content. */
+    private async createFile(filePath: string, content: string): Promise<string> {
+        if (fs.existsSync(filePath)) {
+            throw new Error(`${this.display(filePath)} already exists`);
         }
+        return await this.writeFile(filePath, content);
+    }
 
-        fs.writeFileSync(filePath, content, 'utf-8');
-        const relativePath = path.relative(this.workspaceRoot, filePath);
-        
-        return `✅ **File created/updated:** ${relativePath}\n\nContent written successfully (${content.length} characters)`;
+    /** Proposes `content` added at the end of the file, which is created if it does not exist. */
+    private async appendFile(filePath: string, content: string): Promise<string> {
+        const uri = vscode.Uri.file(filePath);
+        let existing = '';
+        try {
+            // Unsaved changes in an open editor count, as they do for the review
+            existing = (await vscode.workspace.openTextDocument(uri)).getText();
+        } catch {
+            // A new file
+        }
+        const separator = !existing ? '' : existing.endsWith('\n') ? '\n' : '\n\n';
+        return await this.reviewManager.propose(uri, existing + separator + content);
     }
 
     private async deleteFile(filePath: string): Promise<string> {
@@ -210,10 +115,7 @@ export class FileOperationsManager {
             throw new Error(`File not found: ${filePath}`);
         }
 
-        fs.unlinkSync(filePath);
-        const relativePath = path.relative(this.workspaceRoot, filePath);
-        
-        return `🗑️ **File deleted:** ${relativePath}`;
+        return await this.reviewManager.propose(vscode.Uri.file(filePath), null);
     }
 
     private async listDirectory(dirPath: string, recursive: boolean = false): Promise<string> {
@@ -227,10 +129,18 @@ export class FileOperationsManager {
         }
 
         const files = this.getDirectoryContents(dirPath, recursive);
-        const relativePath = path.relative(this.workspaceRoot, dirPath);
-        const displayPath = relativePath || '.';
-        
-        return `📁 **Directory: ${displayPath}**\n\n${files.join('\n')}`;
+        return `📁 **Directory: ${this.display(dirPath)}**\n\n${files.join('\n')}`;
+    }
+
+    private listRoots(recursive: boolean = false): string {
+        const items: string[] = [];
+        for (const root of this.roots.all()) {
+            items.push(`📁 ${root.name}/`);
+            if (recursive) {
+                items.push(...this.getDirectoryContents(root.uri.fsPath, true, '  '));
+            }
+        }
+        return `📁 **Workspace folders**\n\n${items.join('\n')}`;
     }
 
     private getDirectoryContents(dirPath: string, recursive: boolean, prefix: string = ''): string[] {
@@ -262,7 +172,18 @@ export class FileOperationsManager {
     private async searchFiles(searchPath: string, searchTerm: string): Promise<string> {
         const results: string[] = [];
         this.searchInDirectory(searchPath, searchTerm, results);
-        
+        return this.formatSearchResults(searchTerm, results);
+    }
+
+    private async searchRoots(searchTerm: string): Promise<string> {
+        const results: string[] = [];
+        for (const root of this.roots.all()) {
+            this.searchInDirectory(root.uri.fsPath, searchTerm, results);
+        }
+        return this.formatSearchResults(searchTerm, results);
+    }
+
+    private formatSearchResults(searchTerm: string, results: string[]): string {
         if (results.length === 0) {
             return `🔍 **Search Results:** No files found containing "${searchTerm}"`;
         }
@@ -288,8 +209,7 @@ export class FileOperationsManager {
                 } else if (stats.isFile()) {
                     // Search in filename
                     if (entry.toLowerCase().includes(searchTerm.toLowerCase())) {
-                        const relativePath = path.relative(this.workspaceRoot, fullPath);
-                        results.push(`📄 ${relativePath} (filename match)`);
+                        results.push(`📄 ${this.display(fullPath)} (filename match)`);
                     }
                     
                     // Search in file content (for text files)
@@ -297,8 +217,7 @@ export class FileOperationsManager {
                         try {
                             const content = fs.readFileSync(fullPath, 'utf-8');
                             if (content.toLowerCase().includes(searchTerm.toLowerCase())) {
-                                const relativePath = path.relative(this.workspaceRoot, fullPath);
-                                results.push(`📄 ${relativePath} (content match)`);
+                                results.push(`📄 ${this.display(fullPath)} (content match)`);
                             }
                         } catch (error) {
                             // Ignore binary files or encoding errors
@@ -325,13 +244,20 @@ export class FileOperationsManager {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
     }
 
-    public getCurrentWorkspace(): string {
-        return this.workspaceRoot;
+    public describeWorkspace(): string {
+        return this.roots.describe();
     }
 
     public async getWorkspaceOverview(): Promise<string> {
         try {
-            const overview = this.getDirectoryContents(this.workspaceRoot, false);
+            const roots = this.roots.all();
+            if (roots.length === 0) {
+                return '🏠 **Workspace Overview:** no folder is open';
+            }
+            // Each folder's top level, indented under its name when there are several
+            const overview = this.roots.isMultiRoot()
+                ? roots.flatMap(root => [`📁 ${root.name}/`, ...this.getDirectoryContents(root.uri.fsPath, false, '  ')])
+                : this.getDirectoryContents(roots[0].uri.fsPath, false);
             return `🏠 **Workspace Overview:**\n\n${overview.join('\n')}`;
         } catch (error) {
             return `❌ Failed to get workspace overview: ${error}`;
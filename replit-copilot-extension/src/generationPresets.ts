@@ -0,0 +1,184 @@
+import * as vscode from 'vscode';
+
+/** Ollama's model options (the `options` object of /api/chat and /api/generate). */
+export interface GenerationOptions {
+    num_ctx?: number;
+    num_predict?: number;
+    num_keep?: number;
+    temperature?: number;
+    top_k?: number;
+    top_p?: number;
+    min_p?: number;
+    typical_p?: number;
+    repeat_penalty?: number;
+    repeat_last_n?: number;
+    presence_penalty?: number;
+    frequency_penalty?: number;
+    seed?: number;
+    stop?: string[];
+    mirostat?: 0 | 1 | 2;
+    mirostat_tau?: number;
+    mirostat_eta?: number;
+}
+
+export interface GenerationPreset {
+    name: string;
+    description?: string;
+    options: GenerationOptions;
+}
+
+/** Requests that can each be given their own preset. */
+export type PresetCommand = 'chat' | 'completion' | 'explain' | 'improve' | 'generate';
+
+const OPTION_TYPES: { [key in keyof Required<GenerationOptions>]: 'integer' | 'number' | 'strings' } = {
+    num_ctx: 'integer',
+    num_predict: 'integer',
+    num_keep: 'integer',
+    temperature: 'number',
+    top_k: 'integer',
+    top_p: 'number',
+    min_p: 'number',
+    typical_p: 'number',
+    repeat_penalty: 'number',
+    repeat_last_n: 'integer',
+    presence_penalty: 'number',
+    frequency_penalty: 'number',
+    seed: 'integer',
+    stop: 'strings',
+    mirostat: 'integer',
+    mirostat_tau: 'number',
+    mirostat_eta: 'number'
+};
+
+// num_ctx is left out so `replitCopilot.numCtx` applies unless a preset sets it
+export const BUILTIN_PRESETS: GenerationPreset[] = [
+    {
+        name: 'balanced',
+        description: 'General chat about code',
+        options: { temperature: 0.6, top_p: 0.9, top_k: 40, repeat_penalty: 1.1, num_predict: 2048 }
+    },
+    {
+        name: 'precise code',
+        description: 'Low temperature for code that has to be right',
+        options: { temperature: 0.2, top_p: 0.9, top_k: 40, repeat_penalty: 1.05, num_predict: 4096 }
+    },
+    {
+        name: 'creative',
+        description: 'More varied wording and ideas',
+        options: { temperature: 0.9, top_p: 0.95, top_k: 80, repeat_penalty: 1.1, num_predict: 2048 }
+    },
+    {
+        name: 'long answer',
+        description: 'No reply length limit and a larger context window',
+        options: { temperature: 0.5, top_p: 0.9, num_predict: -1, num_ctx: 16384 }
+    },
+    {
+        name: 'fill in the middle',
+        description: 'Short, deterministic inline completions',
+        options: { temperature: 0.2, top_p: 0.9, repeat_penalty: 1.0 }
+    }
+];
+
+const COMMAND_DEFAULTS: { [key in PresetCommand]: string } = {
+    chat: 'balanced',
+    completion: 'fill in the middle',
+    explain: 'balanced',
+    improve: 'precise code',
+    generate: 'precise code'
+};
+
+type PresetSetting = { [name: string]: { description?: string; options?: GenerationOptions } };
+type AssignmentSetting = { [key: string]: string };
+
+// Presets are re-read on every request; each problem is logged once
+const reportedProblems = new Set<string>();
+
+/**
+ * Named sets of generation options. Built-in presets can be replaced or
+ * extended in `replitCopilot.generationPresets`, and presets are assigned per
+ * command (`presetByCommand`) and per model (`presetByModel`). Workspace
+ * settings win over user settings; within each, a command's preset wins over
+ * a model's.
+ */
+export class GenerationPresets {
+    public all(): GenerationPreset[] {
+        const presets = new Map(BUILTIN_PRESETS.map(preset => [preset.name, preset]));
+        const inspected = vscode.workspace.getConfiguration('replitCopilot').inspect<PresetSetting>('generationPresets');
+        const custom: PresetSetting = { ...(inspected?.globalValue || {}), ...(inspected?.workspaceValue || {}), ...(inspected?.workspaceFolderValue || {}) };
+        for (const [name, preset] of Object.entries(custom)) {
+            if (preset && typeof preset === 'object') {
+                presets.set(name, { name, description: preset.description, options: GenerationPresets.sanitize(name, preset.options || {}) });
+            }
+        }
+        return Array.from(presets.values());
+    }
+
+    public get(name: string): GenerationPreset | undefined {
+        return this.all().find(preset => preset.name === name);
+    }
+
+    /** The preset for a command run with `model`, falling back to the command's built-in default. */
+    public resolve(command: PresetCommand, model: string): GenerationPreset {
+        const name = this.assignedName(command, model);
+        const preset = (name && this.get(name)) || this.get(COMMAND_DEFAULTS[command]) || BUILTIN_PRESETS[0];
+        if (name && preset.name !== name) {
+            GenerationPresets.warnOnce(`Unknown preset '${name}' for ${command}; using '${preset.name}'`);
+        }
+        return preset;
+    }
+
+    /** Assigns a preset to a command in the workspace settings, or the user's when no folder is open. */
+    public async assign(command: PresetCommand, name: string) {
+        const config = vscode.workspace.getConfiguration('replitCopilot');
+        const inWorkspace = !!vscode.workspace.workspaceFolders?.length;
+        const inspected = config.inspect<AssignmentSetting>('presetByCommand');
+        const current = (inWorkspace ? inspected?.workspaceValue : inspected?.globalValue) || {};
+        await config.update(
+            'presetByCommand',
+            { ...current, [command]: name },
+            inWorkspace ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global
+        );
+    }
+
+    private assignedName(command: PresetCommand, model: string): string | undefined {
+        const config = vscode.workspace.getConfiguration('replitCopilot');
+        const byCommand = config.inspect<AssignmentSetting>('presetByCommand');
+        const byModel = config.inspect<AssignmentSetting>('presetByModel');
+        const candidates = [
+            byCommand?.workspaceFolderValue?.[command],
+            byCommand?.workspaceValue?.[command],
+            byModel?.workspaceFolderValue?.[model],
+            byModel?.workspaceValue?.[model],
+            byCommand?.globalValue?.[command],
+            byModel?.globalValue?.[model]
+        ];
+        return candidates.find(name => typeof name === 'string' && name.length > 0);
+    }
+
+    /**
+     * Keeps only known options of the right type, so a typo or an option from
+     * another API (such as `max_tokens`) is reported instead of silently sent.
+     */
+    private static sanitize(preset: string, options: { [key: string]: any }): GenerationOptions {
+        const clean: { [key: string]: any } = {};
+        for (const [key, value] of Object.entries(options)) {
+            const type = OPTION_TYPES[key as keyof GenerationOptions];
+            const valid = type === 'strings'
+                ? Array.isArray(value) && value.every(item => typeof item === 'string')
+                : !!type && typeof value === 'number' && Number.isFinite(value) && (type === 'number' || Number.isInteger(value));
+            if (valid) {
+                clean[key] = value;
+            } else {
+                GenerationPresets.warnOnce(`Ignoring ${type ? 'invalid value for' : 'unknown option'} '${key}' in preset '${preset}'`);
+            }
+        }
+        return clean;
+    }
+
+    private static warnOnce(message: string) {
+        if (!reportedProblems.has(message)) {
+            reportedProblems.add(message);
+            console.warn(`[PRESETS] ${message}`);
+        }
+    }
+}
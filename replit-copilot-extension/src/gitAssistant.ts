@@ -0,0 +1,376 @@
+import * as vscode from 'vscode';
+import { OllamaClient } from './ollamaClient';
+import { ChatProvider } from './chatProvider';
+import { WorkspaceRoots } from './workspaceRoots';
+import { estimateTokens } from './contextManager';
+
+// The parts of the built-in Git extension's API (extensions/git/src/api/git.d.ts) used here
+interface GitExtension {
+    readonly enabled: boolean;
+    getAPI(version: 1): GitAPI;
+}
+
+interface GitAPI {
+    readonly repositories: Repository[];
+    getRepository(uri: vscode.Uri): Repository | null;
+}
+
+interface GitRef {
+    readonly name?: string;
+    readonly commit?: string;
+    readonly remote?: string;
+}
+
+interface GitBranch extends GitRef {
+    readonly upstream?: { readonly name: string; readonly remote: string };
+}
+
+interface GitCommit {
+    readonly hash: string;
+    readonly message: string;
+    readonly authorName?: string;
+    readonly authorDate?: Date;
+}
+
+interface GitChange {
+    readonly uri: vscode.Uri;
+}
+
+interface Repository {
+    readonly rootUri: vscode.Uri;
+    readonly inputBox: { value: string };
+    readonly state: { readonly HEAD: GitBranch | undefined };
+    diff(cached?: boolean): Promise<string>;
+    diffBetween(ref1: string, ref2: string): Promise<GitChange[]>;
+    diffBetween(ref1: string, ref2: string, path: string): Promise<string>;
+    getMergeBase(ref1: string, ref2: string): Promise<string | undefined>;
+    getBranches(query: { remote?: boolean }): Promise<GitRef[]>;
+    log(options?: { maxEntries?: number; path?: string; range?: string }): Promise<GitCommit[]>;
+    blame(path: string): Promise<string>;
+}
+
+// Left free in num_ctx for the instructions and the model's answer
+const PROMPT_RESERVE_TOKENS = 1536;
+const MIN_DIFF_CHARS = 4000;
+const LOCK_FILES = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|poetry\.lock|composer\.lock|Gemfile\.lock|go\.sum)$/;
+const MAX_BRANCH_COMMITS = 100;
+const MAX_FILE_COMMITS = 30;
+// Blame lines kept around the cursor or selection when the whole file does not fit
+const BLAME_CONTEXT_LINES = 40;
+
+/**
+ * Splits a unified diff into pieces of at most `maxChars`, keeping each
+ * file's changes together where possible. Larger files are split between
+ * hunks, with the file header repeated on each piece, and a single hunk that
+ * is still too large is truncated. Lock files are reduced to a note.
+ */
+export function chunkDiff(diff: string, maxChars: number): string[] {
+    const pieces: string[] = [];
+    for (const file of diff.split(/^(?=diff --git )/m).filter(section => section.trim())) {
+        const header = file.split(/^(?=@@ )/m)[0];
+        const name = /^diff --git a\/(.*?) b\//.exec(header)?.[1] || '';
+        if (LOCK_FILES.test(name)) {
+            pieces.push(`${header.split('\n')[0]}\n(lock file changed; ${file.split('\n').length} diff lines omitted)\n`);
+        } else if (file.length <= maxChars) {
+            pieces.push(file);
+        } else {
+            for (const hunk of file.split(/^(?=@@ )/m).slice(1)) {
+                const room = maxChars - header.length;
+                pieces.push(header + (hunk.length <= room ? hunk : `${hunk.slice(0, Math.max(room - 40, 0))}\n…[hunk truncated]…\n`));
+            }
+        }
+    }
+
+    const chunks: string[] = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && current.length + piece.length > maxChars) {
+            chunks.push(current);
+            current = '';
+        }
+        current += piece;
+    }
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+/**
+ * Source control helpers built on the `vscode.git` extension API: commit
+ * messages written from the staged diff, summaries of a branch against its
+ * base, and questions about a file's log and blame. Diffs that do not fit
+ * the context window are summarized in parts first.
+ */
+export class GitAssistant {
+    constructor(
+        private readonly ollamaClient: OllamaClient,
+        private readonly chatProvider: ChatProvider,
+        private readonly roots: WorkspaceRoots
+    ) {}
+
+    public register(context: vscode.ExtensionContext) {
+        context.subscriptions.push(
+            // From the SCM title bar the command gets the repository's SourceControl
+            vscode.commands.registerCommand('replit-copilot.generateCommitMessage', (sourceControl?: { rootUri?: vscode.Uri }) => this.report(this.generateCommitMessage(sourceControl?.rootUri))),
+            vscode.commands.registerCommand('replit-copilot.summarizeBranch', () => this.report(this.summarizeBranch())),
+            vscode.commands.registerCommand('replit-copilot.askFileHistory', () => this.report(this.askFileHistory()))
+        );
+    }
+
+    private async generateCommitMessage(rootUri?: vscode.Uri) {
+        const repository = await this.repository(rootUri);
+        if (!repository) {
+            return;
+        }
+        const diff = await repository.diff(true);
+        if (!diff.trim()) {
+            vscode.window.showInformationMessage('There are no staged changes to describe. Stage the changes to commit first.');
+            return;
+        }
+
+        const message = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'Writing commit message', cancellable: true },
+            async (progress, token) => {
+                try {
+                    return await this.writeCommitMessage(repository, diff, progress, GitAssistant.signalFor(token));
+                } catch (error) {
+                    if (token.isCancellationRequested) {
+                        return undefined;
+                    }
+                    throw error;
+                }
+            }
+        );
+        if (message === undefined) {
+            return;
+        }
+
+        const cleaned = GitAssistant.cleanCommitMessage(message);
+        if (!cleaned) {
+            throw new Error('The model returned an empty commit message');
+        }
+        repository.inputBox.value = cleaned;
+    }
+
+    private async writeCommitMessage(repository: Repository, diff: string, progress: vscode.Progress<{ message?: string }>, signal: AbortSignal): Promise<string> {
+        const changes = await this.condense(diff, 'staged changes', signal, progress);
+        const recent = await repository.log({ maxEntries: 10 }).catch(() => [] as GitCommit[]);
+        const style = recent.length
+            ? `\n\nRecent commit messages in this repository; follow their style (prefixes, capitalization, length):\n${recent.map(commit => `- ${commit.message.split('\n')[0]}`).join('\n')}`
+            : '';
+
+        progress.report({ message: 'writing the message' });
+        const prompt = `Write a git commit message for the ${changes.summarized ? 'changes summarized' : 'staged diff'} below. Start with a summary line of at most 72 characters in the imperative mood. If the change is not obvious from that line, add a blank line and a short body explaining what changed and why. Reply with the commit message only, without quotes or code fences.${style}\n\n${changes.text}`;
+        return await this.ollamaClient.generate({
+            model: this.ollamaClient.model,
+            prompt,
+            options: { temperature: 0.2, num_predict: 300, num_ctx: this.ollamaClient.contextWindow() }
+        }, signal);
+    }
+
+    private async summarizeBranch() {
+        const repository = await this.repository();
+        if (!repository) {
+            return;
+        }
+        const head = repository.state.HEAD;
+        const current = head?.name || head?.commit?.slice(0, 8) || 'HEAD';
+        const base = await this.pickBase(repository, head);
+        if (!base) {
+            return;
+        }
+
+        const mergeBase = await repository.getMergeBase(base, 'HEAD') || base;
+        const commits = await repository.log({ range: `${mergeBase}..HEAD`, maxEntries: MAX_BRANCH_COMMITS });
+        const changes = await repository.diffBetween(mergeBase, 'HEAD');
+        if (commits.length === 0 && changes.length === 0) {
+            vscode.window.showInformationMessage(`${current} has no changes compared to ${base}`);
+            return;
+        }
+
+        let diff = '';
+        for (const change of changes) {
+            diff += await repository.diffBetween(mergeBase, 'HEAD', change.uri.fsPath);
+        }
+        const log = commits.map(commit => `- ${commit.hash.slice(0, 8)} ${commit.message.split('\n')[0]}`).join('\n');
+        const label = `Summarize the changes on ${current} compared to ${base} (${commits.length} commits, ${changes.length} files)`;
+
+        await this.chatProvider.runInChat(label, `${label}\n\nCommits:\n${log}`, async (onToken, options) => {
+            const condensed = await this.condense(diff, `changes on ${current}`, options.signal);
+            const prompt = `Summarize the changes on branch ${current} compared to ${base}, for a reviewer or a pull request description. Start with one paragraph on the overall purpose, then list the notable changes grouped by area, and end with anything a reviewer should look at closely (risky changes, missing tests, breaking changes).\n\nCommits:\n${log || '(none)'}\n\n${condensed.summarized ? 'Summaries of the diff, in parts' : 'Diff'}:\n${condensed.text}`;
+            return await this.ollamaClient.chat(prompt, onToken, false, options);
+        });
+    }
+
+    private async askFileHistory() {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.document.uri.scheme !== 'file') {
+            vscode.window.showWarningMessage('Open a file to ask about its history');
+            return;
+        }
+        const document = editor.document;
+        const repository = await this.repository(document.uri);
+        if (!repository) {
+            return;
+        }
+
+        const path = this.roots.relativePath(document.uri);
+        const question = await vscode.window.showInputBox({
+            prompt: `Ask about the history of ${path}`,
+            placeHolder: editor.selection.isEmpty ? 'Who last changed this file, and why?' : 'Why was the selected code changed?'
+        });
+        if (!question?.trim()) {
+            return;
+        }
+
+        const commits = await repository.log({ path: document.uri.fsPath, maxEntries: MAX_FILE_COMMITS });
+        const log = commits.map(commit => {
+            const date = commit.authorDate ? new Date(commit.authorDate).toISOString().slice(0, 10) : '';
+            return `${commit.hash.slice(0, 8)} ${date} ${commit.authorName || ''}\n  ${commit.message.trim().split('\n').join('\n  ')}`;
+        }).join('\n');
+        const blame = this.blameExcerpt(await repository.blame(document.uri.fsPath).catch(() => ''), editor);
+        const where = editor.selection.isEmpty ? path : `${path} lines ${editor.selection.start.line + 1}-${editor.selection.end.line + 1}`;
+        const label = `${question.trim()} (history of ${where})`;
+
+        await this.chatProvider.runInChat(label, label, async (onToken, options) => {
+            const prompt = `Answer the question about the git history of ${where} using the log and blame below. Refer to commits by their short hash, and say so when the history does not answer the question.\n\nQuestion: ${question.trim()}\n\nGit log for ${path} (newest first):\n${log || '(no commits)'}\n\n${blame.label}:\n${blame.text || '(not available)'}`;
+            return await this.ollamaClient.chat(prompt, onToken, false, options);
+        });
+    }
+
+    /**
+     * Blame for the selection or the lines around the cursor, with the whole
+     * file when it fits in the context window.
+     */
+    private blameExcerpt(blame: string, editor: vscode.TextEditor): { label: string; text: string } {
+        const lines = blame.split('\n');
+        const budget = this.diffBudget();
+        if (editor.selection.isEmpty && blame.length <= budget) {
+            return { label: 'Git blame', text: blame };
+        }
+        const { start, end } = editor.selection;
+        const from = Math.max(0, (editor.selection.isEmpty ? start.line - BLAME_CONTEXT_LINES : start.line));
+        const to = Math.min(lines.length, (editor.selection.isEmpty ? end.line + BLAME_CONTEXT_LINES : end.line) + 1);
+        return { label: `Git blame, lines ${from + 1}-${to}`, text: lines.slice(from, to).join('\n').slice(0, budget) };
+    }
+
+    /**
+     * The diff itself when it fits the context window, otherwise notes the
+     * model writes on each chunk in turn.
+     */
+    private async condense(
+        diff: string,
+        what: string,
+        signal?: AbortSignal,
+        progress?: vscode.Progress<{ message?: string }>
+    ): Promise<{ text: string; summarized: boolean }> {
+        const budget = this.diffBudget();
+        const chunks = chunkDiff(diff, budget);
+        if (chunks.length === 1) {
+            return { text: chunks[0], summarized: false };
+        }
+
+        const notes: string[] = [];
+        for (let i = 0; i < chunks.length; i++) {
+            progress?.report({ message: `reading part ${i + 1} of ${chunks.length}` });
+            const note = await this.ollamaClient.generate({
+                model: this.ollamaClient.model,
+                prompt: `This is part ${i + 1} of ${chunks.length} of the diff of the ${what}. Describe what it changes as short bullet points, naming the files and the purpose of each change rather than repeating the code.\n\n${chunks[i]}`,
+                options: { temperature: 0.2, num_predict: 400, num_ctx: this.ollamaClient.contextWindow() }
+            }, signal);
+            notes.push(`Part ${i + 1}:\n${note.trim()}`);
+        }
+        console.log(`[GIT] Summarized a ${estimateTokens(diff)}-token diff in ${chunks.length} parts`);
+        return { text: notes.join('\n\n'), summarized: true };
+    }
+
+    /** Characters of diff that fit in one request next to the instructions and the reply. */
+    private diffBudget(): number {
+        return Math.max(MIN_DIFF_CHARS, (this.ollamaClient.contextWindow() - PROMPT_RESERVE_TOKENS) * 4);
+    }
+
+    /** Likely bases first: the upstream, then the usual default branch names. */
+    private async pickBase(repository: Repository, head: GitBranch | undefined): Promise<string | undefined> {
+        const refs = await repository.getBranches({ remote: true });
+        const names = refs.map(ref => ref.remote && ref.name && !ref.name.startsWith(`${ref.remote}/`) ? `${ref.remote}/${ref.name}` : ref.name)
+            .filter((name): name is string => !!name && name !== head?.name && !name.endsWith('/HEAD'));
+        const preferred = ['origin/main', 'origin/master', 'main', 'master', 'develop'];
+        const rank = (name: string) => {
+            const index = preferred.indexOf(name);
+            return index === -1 ? preferred.length : index;
+        };
+        const sorted = Array.from(new Set(names)).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+        const items: vscode.QuickPickItem[] = sorted.map(name => ({ label: name }));
+        const upstream = head?.upstream ? `${head.upstream.remote}/${head.upstream.name}` : undefined;
+        if (upstream) {
+            items.unshift({ label: upstream, description: 'upstream of the current branch' });
+        }
+        const choice = await vscode.window.showQuickPick(items.filter((item, index) => items.findIndex(other => other.label === item.label) === index), {
+            title: `Compare ${head?.name || 'HEAD'} with`,
+            placeHolder: 'Base branch'
+        });
+        return choice?.label;
+    }
+
+    /** The repository containing `hint`, the active file, or the only one; otherwise the user picks. */
+    private async repository(hint?: vscode.Uri): Promise<Repository | undefined> {
+        const git = await this.gitApi();
+        const candidates = [hint, vscode.window.activeTextEditor?.document.uri].filter((uri): uri is vscode.Uri => !!uri);
+        for (const uri of candidates) {
+            const repository = git.getRepository(uri);
+            if (repository) {
+                return repository;
+            }
+        }
+        if (git.repositories.length === 0) {
+            throw new Error('No git repository is open');
+        }
+        if (git.repositories.length === 1) {
+            return git.repositories[0];
+        }
+        const choice = await vscode.window.showQuickPick(
+            git.repositories.map(repository => ({ label: this.roots.relativePath(repository.rootUri), repository })),
+            { placeHolder: 'Repository' }
+        );
+        return choice?.repository;
+    }
+
+    private async gitApi(): Promise<GitAPI> {
+        const extension = vscode.extensions.getExtension<GitExtension>('vscode.git');
+        if (!extension) {
+            throw new Error('The built-in Git extension is not available');
+        }
+        const exports = extension.isActive ? extension.exports : await extension.activate();
+        if (!exports.enabled) {
+            throw new Error('Git is disabled (git.enabled)');
+        }
+        return exports.getAPI(1);
+    }
+
+    private async report(task: Promise<void>) {
+        try {
+            await task;
+        } catch (error) {
+            console.error('[GIT] Failed:', error);
+            vscode.window.showErrorMessage(`Ollama: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+
+    /** Strips the wrapping small models add despite being asked not to. */
+    private static cleanCommitMessage(message: string): string {
+        return message
+            .trim()
+            .replace(/^```[^\n]*\n([\s\S]*?)\n?```$/, '$1')
+            .replace(/^(commit message:\s*)/i, '')
+            .replace(/^["'`]+|["'`]+$/g, '')
+            .trim();
+    }
+
+    private static signalFor(token: vscode.CancellationToken): AbortSignal {
+        const controller = new AbortController();
+        token.onCancellationRequested(() => controller.abort());
+        return controller.signal;
+    }
+}
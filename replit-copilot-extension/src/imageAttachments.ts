@@ -0,0 +1,62 @@
+import * as vscode from 'vscode';
+
+/** An image attached to a chat message. */
+export interface ImageAttachment {
+    name: string;
+    mimeType: string;
+    /** Base64 without a `data:` prefix, as Ollama's `images` field expects. */
+    data: string;
+    /** Small `data:` URL shown in the transcript instead of the full image. */
+    thumbnail?: string;
+}
+
+// Vision models decode PNG and JPEG; the webview converts other formats to PNG before sending
+export const SENDABLE_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+export const PICKABLE_IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp'];
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const MIME_BY_EXTENSION: { [extension: string]: string } = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', bmp: 'image/bmp'
+};
+
+/** The image type from the first bytes of base64 data, or undefined if it is not PNG or JPEG. */
+export function detectImageType(data: string): string | undefined {
+    if (data.startsWith('iVBORw0KGgo')) return 'image/png';
+    if (data.startsWith('/9j/')) return 'image/jpeg';
+    return undefined;
+}
+
+/**
+ * Checks an image posted by the webview before it goes to a model: it must
+ * really be a PNG or JPEG and not too large. Throws with a message for the user.
+ */
+export function checkImage(image: any): ImageAttachment {
+    const name = typeof image?.name === 'string' && image.name ? image.name : 'image';
+    const data = typeof image?.data === 'string' ? image.data : '';
+    const mimeType = detectImageType(data);
+    if (!mimeType) {
+        throw new Error(`${name} is not a PNG or JPEG image`);
+    }
+    if (data.length * 3 / 4 > MAX_IMAGE_BYTES) {
+        throw new Error(`${name} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+    }
+    const thumbnail = typeof image.thumbnail === 'string' && /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/.test(image.thumbnail)
+        ? image.thumbnail
+        : undefined;
+    return { name, mimeType, data, thumbnail };
+}
+
+/** Reads an image file for the webview, which converts and thumbnails it. */
+export async function readImageFile(uri: vscode.Uri): Promise<ImageAttachment> {
+    const name = uri.path.split('/').pop() || 'image';
+    const mimeType = MIME_BY_EXTENSION[(name.split('.').pop() || '').toLowerCase()];
+    if (!mimeType) {
+        throw new Error(`${name} is not an image (supported: ${PICKABLE_IMAGE_EXTENSIONS.join(', ')})`);
+    }
+    const stat = await vscode.workspace.fs.stat(uri);
+    if (stat.size > MAX_IMAGE_BYTES) {
+        throw new Error(`${name} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+    }
+    const bytes = await vscode.workspace.fs.readFile(uri);
+    return { name, mimeType, data: Buffer.from(bytes).toString('base64') };
+}
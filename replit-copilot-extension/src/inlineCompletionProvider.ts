@@ -0,0 +1,178 @@
+import * as vscode from 'vscode';
+import { OllamaClient } from './ollamaClient';
+import { GenerationPresets } from './generationPresets';
+
+export interface InlineCompletionConfig {
+    enabled: boolean;
+    model: string;
+    debounceMs: number;
+    maxTokens: number;
+}
+
+const MAX_PREFIX_CHARS = 4000;
+const MAX_SUFFIX_CHARS = 1500;
+const MAX_NEIGHBOUR_FILES = 3;
+const MAX_NEIGHBOUR_CHARS = 1500;
+const CACHE_SIZE = 50;
+
+const LINE_COMMENTS: { [languageId: string]: string } = {
+    python: '#',
+    shellscript: '#',
+    ruby: '#',
+    perl: '#',
+    r: '#',
+    yaml: '#',
+    dockerfile: '#',
+    makefile: '#',
+    powershell: '#',
+    sql: '--',
+    lua: '--',
+    haskell: '--'
+};
+
+/**
+ * Ghost-text completions from an Ollama fill-in-the-middle model. Requests are
+ * debounced, superseded requests are aborted, and recent results are cached.
+ */
+export class OllamaInlineCompletionProvider implements vscode.InlineCompletionItemProvider {
+    private config: InlineCompletionConfig = { enabled: true, model: 'qwen2.5-coder:1.5b', debounceMs: 300, maxTokens: 128 };
+    private cache = new Map<string, string>();
+    private inflight?: AbortController;
+
+    constructor(private readonly ollamaClient: OllamaClient, private readonly presets: GenerationPresets) {
+        this.updateConfiguration();
+    }
+
+    public updateConfiguration() {
+        const config = vscode.workspace.getConfiguration('replitCopilot');
+        this.config = {
+            enabled: config.get<boolean>('enableInlineCompletion') !== false,
+            model: config.get<string>('completionModel') || 'qwen2.5-coder:1.5b',
+            debounceMs: config.get<number>('completionDebounceMs') ?? 300,
+            maxTokens: config.get<number>('completionMaxTokens') || 128
+        };
+        this.cache.clear();
+    }
+
+    public async provideInlineCompletionItems(
+        document: vscode.TextDocument,
+        position: vscode.Position,
+        _context: vscode.InlineCompletionContext,
+        token: vscode.CancellationToken
+    ): Promise<vscode.InlineCompletionItem[] | undefined> {
+        if (!this.config.enabled) {
+            return undefined;
+        }
+
+        const offset = document.offsetAt(position);
+        const text = document.getText();
+        const prefix = text.slice(Math.max(0, offset - MAX_PREFIX_CHARS), offset);
+        const suffix = text.slice(offset, offset + MAX_SUFFIX_CHARS);
+
+        // Nothing before the cursor gives the model nothing to go on
+        if (!prefix.trim()) {
+            return undefined;
+        }
+
+        const cacheKey = `${this.config.model}\u0000${document.languageId}\u0000${prefix.slice(-500)}\u0000${suffix.slice(0, 200)}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached !== undefined) {
+            return this.toItems(cached, position);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, this.config.debounceMs));
+        if (token.isCancellationRequested) {
+            return undefined;
+        }
+
+        // Only the newest keystroke's request is worth finishing
+        this.inflight?.abort();
+        const controller = new AbortController();
+        this.inflight = controller;
+        const subscription = token.onCancellationRequested(() => controller.abort());
+
+        try {
+            const completion = await this.ollamaClient.generate({
+                model: this.config.model,
+                prompt: this.buildNeighbourContext(document) + prefix,
+                suffix,
+                // completionMaxTokens keeps ghost text short whatever the preset allows
+                options: {
+                    ...this.presets.resolve('completion', this.config.model).options,
+                    num_predict: this.config.maxTokens
+                }
+            }, controller.signal);
+
+            const cleaned = this.cleanCompletion(completion, suffix);
+            this.remember(cacheKey, cleaned);
+            return token.isCancellationRequested ? undefined : this.toItems(cleaned, position);
+        } catch (error: any) {
+            if (!controller.signal.aborted) {
+                console.error('[INLINE-COMPLETION] Completion failed:', error?.message || error);
+            }
+            return undefined;
+        } finally {
+            subscription.dispose();
+            if (this.inflight === controller) {
+                this.inflight = undefined;
+            }
+        }
+    }
+
+    /**
+     * Prepends the start of other open files of the same language, each
+     * introduced by a path comment, so the model sees related code.
+     */
+    private buildNeighbourContext(document: vscode.TextDocument): string {
+        const comment = LINE_COMMENTS[document.languageId] || '//';
+        const visible = new Set(vscode.window.visibleTextEditors.map(editor => editor.document.uri.toString()));
+
+        const neighbours = vscode.workspace.textDocuments
+            .filter(doc => doc.uri.scheme === 'file' && doc.uri.toString() !== document.uri.toString())
+            .filter(doc => doc.languageId === document.languageId)
+            // Files visible side by side are the most likely to be related
+            .sort((a, b) => Number(visible.has(b.uri.toString())) - Number(visible.has(a.uri.toString())))
+            .slice(0, MAX_NEIGHBOUR_FILES);
+
+        let context = '';
+        for (const doc of neighbours) {
+            const snippet = doc.getText().slice(0, MAX_NEIGHBOUR_CHARS);
+            const commented = snippet.split('\n').map(line => `${comment} ${line}`).join('\n');
+            context += `${comment} Path: ${vscode.workspace.asRelativePath(doc.uri)}\n${commented}\n\n`;
+        }
+
+        if (context) {
+            context += `${comment} Path: ${vscode.workspace.asRelativePath(document.uri)}\n`;
+        }
+        return context;
+    }
+
+    private cleanCompletion(completion: string, suffix: string): string {
+        let cleaned = completion.replace(/\s+$/, '');
+
+        // Models sometimes repeat the code that follows the cursor
+        const suffixStart = suffix.trimStart().split('\n')[0];
+        if (suffixStart && cleaned.endsWith(suffixStart)) {
+            cleaned = cleaned.slice(0, -suffixStart.length).replace(/\s+$/, '');
+        }
+        return cleaned;
+    }
+
+    private remember(key: string, completion: string) {
+        // Map iteration order makes the first key the least recently added
+        if (this.cache.size >= CACHE_SIZE) {
+            const oldest = this.cache.keys().next().value;
+            if (oldest !== undefined) {
+                this.cache.delete(oldest);
+            }
+        }
+        this.cache.set(key, completion);
+    }
+
+    private toItems(completion: string, position: vscode.Position): vscode.InlineCompletionItem[] | undefined {
+        if (!completion) {
+            return undefined;
+        }
+        return [new vscode.InlineCompletionItem(completion, new vscode.Range(position, position))];
+    }
+}
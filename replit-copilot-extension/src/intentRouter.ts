@@ -0,0 +1,239 @@
+import * as vscode from 'vscode';
+import { OllamaClient } from './ollamaClient';
+import { FileOperation } from './fileOperationsManager';
+
+/** A slash command that runs a file operation without asking the model. */
+export interface FileCommand {
+    command: string;
+    usage: string;
+    description: string;
+    /** What the webview autocompletes for the first argument. */
+    complete?: 'file' | 'folder';
+}
+
+export const FILE_COMMANDS: FileCommand[] = [
+    { command: '/read', usage: '<path>', description: 'Show a file', complete: 'file' },
+    { command: '/create', usage: '<path>, content on the following lines', description: 'Create a new file, reviewed before it is written', complete: 'folder' },
+    { command: '/ls', usage: '[folder] [-r]', description: 'List a folder', complete: 'folder' },
+    { command: '/search', usage: '<text>', description: 'Find files by name or content' },
+    { command: '/delete', usage: '<path>', description: 'Delete a file, reviewed first', complete: 'file' }
+];
+
+/** A file operation picked for a chat message, and how it was picked. */
+export interface RoutedIntent {
+    operation: FileOperation;
+    source: 'command' | 'model';
+    confidence: number;
+}
+
+const INTENTS = ['read', 'create', 'delete', 'list', 'search', 'none'] as const;
+type Intent = typeof INTENTS[number];
+
+const INTENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        intent: { type: 'string', enum: INTENTS },
+        path: { type: 'string' },
+        query: { type: 'string' },
+        content: { type: 'string' },
+        recursive: { type: 'boolean' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+    },
+    required: ['intent', 'path', 'query', 'content', 'recursive', 'confidence']
+};
+
+const ROUTER_PROMPT = `You route messages sent to a coding assistant in VS Code. Decide whether the message directly asks for exactly one of these workspace file operations, and extract its arguments:
+- read: show the contents of a file (path)
+- create: create a new file (path, content if the message gives it)
+- delete: delete a file (path)
+- list: list a folder (path, "" for the workspace root; recursive if asked for)
+- search: find files by name or content (query)
+Everything else is "none": questions about code, commands or concepts ("explain the ls command", "how do I delete a file in Python"), requests to change or review code, and anything needing more than one operation.
+Copy paths, queries and content exactly as they appear in the message and use "" for anything not given. Never invent a path. confidence is how sure you are of the intent, from 0 to 1.
+Reply with JSON only.`;
+
+// Creating and deleting are reviewed before anything changes, but a wrong guess is still a nuisance
+const CHANGE_CONFIDENCE = 0.9;
+// Longer messages are about code, not file chores, and would make routing slow
+const MAX_ROUTED_LENGTH = 1500;
+// Only messages with a file verb and a path or the word file/folder are worth a model round trip
+const FILE_VERB = /\b(read|open|show|display|print|cat|view|create|make|add|new|write|touch|delete|remove|rm|erase|list|ls|search|find|grep|locate)\b/i;
+const FILE_NOUN = /\b(files?|folders?|director(y|ies)|dirs?)\b/i;
+const PATH_LIKE = /[\w.~-]*[\\/][\w.\\/-]+|\b[\w-]+\.[A-Za-z]\w{0,5}\b/;
+
+/**
+ * Picks a file operation for a chat message. Slash commands such as
+ * `/read src/app.ts` are parsed directly; other messages that look like
+ * file requests are classified by the model with structured output, and only
+ * a confident answer whose arguments appear in the message is acted on.
+ * Everything else goes to the chat as usual.
+ */
+export class IntentRouter {
+    constructor(private readonly ollamaClient: OllamaClient) {}
+
+    /** Throws when a slash command is used incorrectly; the message explains the usage. */
+    public async route(message: string, signal?: AbortSignal): Promise<RoutedIntent | undefined> {
+        const config = vscode.workspace.getConfiguration('replitCopilot');
+        if (config.get<boolean>('enableFileOperations') === false) {
+            return undefined;
+        }
+
+        const command = parseFileCommand(message);
+        if (command) {
+            return { operation: command, source: 'command', confidence: 1 };
+        }
+        if (config.get<boolean>('intentRouting') === false) {
+            return undefined;
+        }
+
+        // Code blocks only matter for their content, which is taken from the message itself
+        const routed = message.replace(/```[\s\S]*?```/g, '[code block]').trim();
+        if (!routed || routed.length > MAX_ROUTED_LENGTH || !looksLikeFileRequest(routed)) {
+            return undefined;
+        }
+
+        let verdict: any;
+        try {
+            verdict = await this.ollamaClient.generateStructured(
+                [
+                    { role: 'system', content: `${ROUTER_PROMPT}\n\nJSON schema:\n${JSON.stringify(INTENT_SCHEMA)}` },
+                    { role: 'user', content: routed }
+                ],
+                INTENT_SCHEMA,
+                config.get<string>('intentModel') || undefined,
+                signal
+            );
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
+            console.log('[INTENT] Routing failed, answering in chat:', error);
+            return undefined;
+        }
+
+        const threshold = config.get<number>('intentConfidence') ?? 0.7;
+        const operation = IntentRouter.toOperation(message, verdict, threshold);
+        console.log('[INTENT] Verdict:', verdict, operation ? 'accepted' : 'ignored');
+        return operation ? { operation, source: 'model', confidence: verdict.confidence } : undefined;
+    }
+
+    private static toOperation(message: string, verdict: any, threshold: number): FileOperation | undefined {
+        const intent: Intent = INTENTS.includes(verdict?.intent) ? verdict.intent : 'none';
+        const confidence = typeof verdict?.confidence === 'number' ? verdict.confidence : 0;
+        const needed = intent === 'create' || intent === 'delete' ? Math.max(threshold, CHANGE_CONFIDENCE) : threshold;
+        if (intent === 'none' || confidence < needed) {
+            return undefined;
+        }
+
+        // Small models sometimes fill arguments in from their imagination
+        const path = typeof verdict.path === 'string' ? unquote(verdict.path.trim()) : '';
+        const grounded = (value: string) => normalize(message).toLowerCase().includes(normalize(value).toLowerCase());
+
+        switch (intent) {
+            case 'read':
+            case 'delete':
+                return path && grounded(path) ? { type: intent, path } : undefined;
+            case 'create': {
+                if (!path || !grounded(path)) {
+                    return undefined;
+                }
+                const given = typeof verdict.content === 'string' && verdict.content && message.includes(verdict.content) ? verdict.content : '';
+                return { type: 'create', path, content: fencedContent(message) ?? given };
+            }
+            case 'list':
+                if (path && !grounded(path)) {
+                    return undefined;
+                }
+                return { type: 'list', path: path || '.', recursive: verdict.recursive === true };
+            case 'search': {
+                const query = typeof verdict.query === 'string' ? unquote(verdict.query.trim()) : '';
+                return query && grounded(query) ? { type: 'search', path: '.', content: query } : undefined;
+            }
+        }
+    }
+}
+
+/**
+ * Parses `/read`, `/create`, `/ls`, `/search` and `/delete`. Returns
+ * undefined for any other message and throws on a command missing its argument.
+ */
+export function parseFileCommand(message: string): FileOperation | undefined {
+    const match = /^\/(read|create|ls|search|delete)(?=\s|$)/.exec(message.trim());
+    if (!match) {
+        return undefined;
+    }
+    const name = match[1];
+    const rest = message.trim().slice(match[0].length).replace(/^[ \t]+/, '');
+    const newline = rest.indexOf('\n');
+    const firstLine = (newline === -1 ? rest : rest.slice(0, newline)).trim();
+    const usage = () => new Error(`Usage: /${name} ${FILE_COMMANDS.find(c => c.command === `/${name}`)!.usage}`);
+
+    switch (name) {
+        case 'read':
+        case 'delete': {
+            const path = unquote(firstLine);
+            if (!path) {
+                throw usage();
+            }
+            return { type: name, path };
+        }
+        case 'create': {
+            const argument = /^("[^"]+"|'[^']+'|`[^`]+`|\S+)/.exec(rest);
+            if (!argument) {
+                throw usage();
+            }
+            const body = rest.slice(argument[0].length).replace(/^[ \t]*\r?\n?/, '');
+            return { type: 'create', path: unquote(argument[0]), content: fencedContent(body) ?? body };
+        }
+        case 'ls': {
+            const words = firstLine.split(/\s+/).filter(Boolean);
+            const recursive = words.some(word => word === '-r' || word === '--recursive');
+            const path = words.filter(word => word !== '-r' && word !== '--recursive').join(' ');
+            return { type: 'list', path: unquote(path) || '.', recursive };
+        }
+        default: {
+            const query = unquote(firstLine);
+            if (!query) {
+                throw usage();
+            }
+            return { type: 'search', path: '.', content: query };
+        }
+    }
+}
+
+/** The slash command that does the same as `operation`, shown when the model picked it. */
+export function describeOperation(operation: FileOperation): string {
+    switch (operation.type) {
+        case 'list':
+            return `/ls ${operation.path}${operation.recursive ? ' -r' : ''}`;
+        case 'search':
+            return `/search ${operation.content || ''}`;
+        case 'write':
+            return `/create ${operation.path}`;
+        default:
+            return `/${operation.type} ${operation.path}`;
+    }
+}
+
+/**
+ * A cheap local check run before asking the model, so ordinary chat
+ * messages do not pay for an extra request.
+ */
+export function looksLikeFileRequest(message: string): boolean {
+    return FILE_VERB.test(message) && (PATH_LIKE.test(message) || FILE_NOUN.test(message));
+}
+
+/** The inside of the first fenced code block, if there is one. */
+function fencedContent(text: string): string | undefined {
+    const match = /```[^\n]*\n([\s\S]*?)\n?```/.exec(text);
+    return match ? match[1] : undefined;
+}
+
+function unquote(text: string): string {
+    const match = /^(["'`])(.*)\1$/.exec(text);
+    return match ? match[2] : text;
+}
+
+function normalize(path: string): string {
+    return path.replace(/\\/g, '/').replace(/^\.\//, '');
+}
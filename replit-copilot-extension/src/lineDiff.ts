@@ -0,0 +1,114 @@
+export interface DiffHunk {
+    /** First changed line in the original text (0-based). */
+    originalStart: number;
+    /** Number of original lines replaced by this hunk. */
+    originalLength: number;
+    /** First changed line in the proposed text (0-based). */
+    proposedStart: number;
+    /** Number of proposed lines that replace them. */
+    proposedLength: number;
+}
+
+// Above this many DP cells the middle section is reported as one hunk
+const MAX_LCS_CELLS = 4000000;
+
+export function splitLines(text: string): string[] {
+    return text.length === 0 ? [] : text.split(/\r?\n/);
+}
+
+/**
+ * Line-based diff: strips the common prefix and suffix, then runs an LCS over
+ * what is left and groups consecutive changes into hunks.
+ */
+export function computeHunks(original: string[], proposed: string[]): DiffHunk[] {
+    let prefix = 0;
+    while (prefix < original.length && prefix < proposed.length && original[prefix] === proposed[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (
+        suffix < original.length - prefix &&
+        suffix < proposed.length - prefix &&
+        original[original.length - 1 - suffix] === proposed[proposed.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+
+    const a = original.slice(prefix, original.length - suffix);
+    const b = proposed.slice(prefix, proposed.length - suffix);
+
+    if (a.length === 0 && b.length === 0) {
+        return [];
+    }
+    if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_LCS_CELLS) {
+        return [{ originalStart: prefix, originalLength: a.length, proposedStart: prefix, proposedLength: b.length }];
+    }
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const hunks: DiffHunk[] = [];
+    let current: DiffHunk | undefined;
+    let i = 0;
+    let j = 0;
+
+    const extend = () => {
+        if (!current) {
+            current = { originalStart: prefix + i, originalLength: 0, proposedStart: prefix + j, proposedLength: 0 };
+        }
+        return current;
+    };
+
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            if (current) {
+                hunks.push(current);
+                current = undefined;
+            }
+            i++;
+            j++;
+        } else if (j < b.length && (i === a.length || lengths[i * width + j + 1] >= lengths[(i + 1) * width + j])) {
+            extend().proposedLength++;
+            j++;
+        } else {
+            extend().originalLength++;
+            i++;
+        }
+    }
+
+    if (current) {
+        hunks.push(current);
+    }
+    return hunks;
+}
+
+/**
+ * Returns `original` with a single hunk's proposed lines applied.
+ */
+export function applyHunk(original: string[], proposed: string[], hunk: DiffHunk): string[] {
+    return [
+        ...original.slice(0, hunk.originalStart),
+        ...proposed.slice(hunk.proposedStart, hunk.proposedStart + hunk.proposedLength),
+        ...original.slice(hunk.originalStart + hunk.originalLength)
+    ];
+}
+
+/**
+ * Returns `proposed` with a single hunk reverted to the original lines.
+ */
+export function revertHunk(original: string[], proposed: string[], hunk: DiffHunk): string[] {
+    return [
+        ...proposed.slice(0, hunk.proposedStart),
+        ...original.slice(hunk.originalStart, hunk.originalStart + hunk.originalLength),
+        ...proposed.slice(hunk.proposedStart + hunk.proposedLength)
+    ];
+}
@@ -1,7 +1,7 @@
 import * as vscode from 'vscode';
 import * as WebSocket from 'ws';
-import axios from 'axios';
 import { spawn, ChildProcess } from 'child_process';
+import { MCPSession, connectHttpSession } from './mcpSession';
 
 export interface MCPConfig {
     serverUrl: string;
@@ -14,6 +14,7 @@ export class MCPClient {
     private config: MCPConfig = { serverUrl: '', timeout: 3000 };
     private ws?: WebSocket;
     private stdioProcess?: ChildProcess;
+    private httpSession?: MCPSession;
     private connected = false;
     private requestQueue = new Map<number, any>();
 
@@ -26,7 +27,7 @@ export class MCPClient {
         this.config = {
             serverUrl: config.get<string>('mcpServerUrl') || '',
             apiKey: config.get<string>('mcpApiKey') || '',
-            type: 'stdio', // Default to STDIO for faster responses
+            type: config.get<'stdio' | 'websocket' | 'http'>('mcpConnectionType') || 'stdio', // STDIO is the fastest default
             timeout: 3000 // 3 second timeout for faster responses
         };
     }
@@ -38,25 +39,18 @@ export class MCPClient {
                 return this.connectStdio();
             }
 
-            // HTTP connection with timeout
+            // Streamable HTTP (or legacy HTTP+SSE) connection
             if (this.config.serverUrl.startsWith('http')) {
-                const controller = new AbortController();
-                const timeout = setTimeout(() => controller.abort(), this.config.timeout || 3000);
-                
-                try {
-                    const response = await axios.get(`${this.config.serverUrl}/health`, {
-                        headers: this.config.apiKey ? { 'Authorization': `Bearer ${this.config.apiKey}` } : {},
-                        timeout: this.config.timeout || 3000,
-                        signal: controller.signal
-                    });
-                    clearTimeout(timeout);
-                    this.connected = response.status === 200;
-                    console.log('Connected to MCP server via HTTP');
-                    return this.connected;
-                } catch (error) {
-                    clearTimeout(timeout);
-                    throw error;
-                }
+                this.httpSession = await connectHttpSession(
+                    'mcpServerUrl',
+                    this.config.serverUrl,
+                    this.config.apiKey || undefined,
+                    this.config.timeout || 3000,
+                    this.config.timeout || 3000
+                );
+                this.connected = true;
+                console.log('Connected to MCP server via HTTP');
+                return this.connected;
             }
 
             // WebSocket connection with timeout
@@ -174,6 +168,10 @@ export class MCPClient {
             this.stdioProcess.kill();
             this.stdioProcess = undefined;
         }
+        if (this.httpSession) {
+            this.httpSession.close();
+            this.httpSession = undefined;
+        }
         // Clear any pending requests
         this.requestQueue.clear();
         this.connected = false;
@@ -227,20 +225,8 @@ export class MCPClient {
             }
 
             // HTTP-based MCP communication
-            if (this.config.serverUrl.startsWith('http')) {
-                const response = await axios.post(`${this.config.serverUrl}/mcp`, message, {
-                    headers: {
-                        'Content-Type': 'application/json',
-                        ...(this.config.apiKey ? { 'Authorization': `Bearer ${this.config.apiKey}` } : {})
-                    },
-                    timeout: this.config.timeout || 3000
-                });
-
-                if (response.data.error) {
-                    throw new Error(response.data.error.message);
-                }
-
-                return response.data.result;
+            if (this.httpSession) {
+                return await this.httpSession.request(method, params);
             }
 
             // WebSocket-based MCP communication
@@ -282,7 +268,8 @@ export class MCPClient {
 
     // MCP-specific methods
     public async getTools(): Promise<any[]> {
-        return await this.sendRequest('tools/list');
+        const result = await this.sendRequest('tools/list');
+        return result?.tools || [];
     }
 
     public async callTool(name: string, arguments_: any = {}): Promise<any> {
@@ -293,7 +280,13 @@ export class MCPClient {
     }
 
     public async getResources(): Promise<any[]> {
-        return await this.sendRequest('resources/list');
+        const result = await this.sendRequest('resources/list');
+        return result?.resources || [];
+    }
+
+    public async getResourceTemplates(): Promise<any[]> {
+        const result = await this.sendRequest('resources/templates/list');
+        return result?.resourceTemplates || [];
     }
 
     public async readResource(uri: string): Promise<any> {
@@ -301,4 +294,16 @@ export class MCPClient {
             uri: uri
         });
     }
+
+    public async getPrompts(): Promise<any[]> {
+        const result = await this.sendRequest('prompts/list');
+        return result?.prompts || [];
+    }
+
+    public async getPrompt(name: string, arguments_: { [key: string]: string } = {}): Promise<any> {
+        return await this.sendRequest('prompts/get', {
+            name: name,
+            arguments: arguments_
+        });
+    }
 }
\ No newline at end of file
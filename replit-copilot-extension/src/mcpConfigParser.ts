@@ -3,9 +3,10 @@ import * as path from 'path';
 import * as vscode from 'vscode';
 
 export interface MCPServerConfig {
-    type: 'stdio' | 'websocket' | 'http';
+    type: 'stdio' | 'websocket' | 'http' | 'sse';
     command?: string;
     args?: string[];
+    env?: { [key: string]: string };
     url?: string;
     apiKey?: string;
     timeout?: number;
@@ -70,6 +71,7 @@ export class MCPConfigParser {
             type: config.type || 'stdio',
             command: config.command,
             args: config.args || [],
+            env: config.env,
             url: config.url,
             apiKey: config.apiKey,
             timeout: config.timeout || 5000
@@ -100,7 +102,7 @@ export class MCPConfigParser {
                     if (!serverConfig.command) {
                         throw new Error(`STDIO server '${name}' missing command`);
                     }
-                } else if (serverConfig.type === 'http' || serverConfig.type === 'websocket') {
+                } else if (serverConfig.type === 'http' || serverConfig.type === 'sse' || serverConfig.type === 'websocket') {
                     if (!serverConfig.url) {
                         throw new Error(`${serverConfig.type.toUpperCase()} server '${name}' missing URL`);
                     }
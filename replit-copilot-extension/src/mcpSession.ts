@@ -0,0 +1,301 @@
+import * as vscode from 'vscode';
+import { MCPTransport, JsonRpcMessage, StreamableHttpTransport, SseTransport, HttpStatusError } from './mcpTransport';
+
+export const LATEST_PROTOCOL_VERSION = '2025-06-18';
+export const SUPPORTED_PROTOCOL_VERSIONS = [LATEST_PROTOCOL_VERSION, '2025-03-26', '2024-11-05'];
+
+export interface MCPServerCapabilities {
+    tools?: { listChanged?: boolean };
+    resources?: { subscribe?: boolean; listChanged?: boolean };
+    prompts?: { listChanged?: boolean };
+    logging?: object;
+    [key: string]: any;
+}
+
+interface PendingRequest {
+    method: string;
+    resolve: (result: any) => void;
+    reject: (error: Error) => void;
+    timer: NodeJS.Timeout;
+}
+
+export class MCPRequestError extends Error {
+    constructor(message: string, public readonly code: number, public readonly data?: any) {
+        super(message);
+        this.name = 'MCPRequestError';
+    }
+}
+
+/**
+ * JSON-RPC session with a single MCP server: owns request ids, matches
+ * responses to pending requests and runs the initialize handshake.
+ */
+export class MCPSession {
+    public serverCapabilities: MCPServerCapabilities = {};
+    public serverInfo?: { name: string; version?: string };
+    public protocolVersion = LATEST_PROTOCOL_VERSION;
+    public instructions?: string;
+
+    private nextId = 1;
+    private pending = new Map<number | string, PendingRequest>();
+    private notificationHandlers = new Map<string, (params: any) => void>();
+    private closed = false;
+
+    constructor(
+        public readonly name: string,
+        private readonly transport: MCPTransport,
+        private readonly requestTimeout: number = 5000
+    ) {
+        this.transport.onmessage = (message) => this.handleMessage(message);
+        this.transport.onclose = () => this.handleClose();
+    }
+
+    /**
+     * Starts the transport and runs the initialize handshake. On any failure
+     * the session is closed, so a stdio server process is not left running.
+     */
+    public async connect(): Promise<void> {
+        try {
+            await this.initialize();
+        } catch (error) {
+            this.close();
+            throw error;
+        }
+    }
+
+    private async initialize(): Promise<void> {
+        await this.transport.start();
+
+        const result = await this.request('initialize', {
+            protocolVersion: LATEST_PROTOCOL_VERSION,
+            capabilities: {
+                roots: { listChanged: false }
+            },
+            clientInfo: {
+                name: 'replit-copilot-extension',
+                version: '0.0.1'
+            }
+        });
+
+        if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result?.protocolVersion)) {
+            throw new Error(`Server ${this.name} requires unsupported protocol version ${result?.protocolVersion}`);
+        }
+
+        this.protocolVersion = result.protocolVersion;
+        this.transport.setProtocolVersion?.(result.protocolVersion);
+        this.serverCapabilities = result.capabilities || {};
+        this.serverInfo = result.serverInfo;
+        this.instructions = result.instructions;
+
+        await this.notify('notifications/initialized');
+        console.log(`[MCP-SESSION] ${this.name} initialized (${this.serverInfo?.name || 'unknown'} ${this.serverInfo?.version || ''}, protocol ${this.protocolVersion})`);
+    }
+
+    public onNotification(method: string, handler: (params: any) => void) {
+        this.notificationHandlers.set(method, handler);
+    }
+
+    /**
+     * Sends a request and resolves with its result. If it times out or
+     * `signal` aborts it, the server is told via notifications/cancelled.
+     */
+    public request(method: string, params?: any, timeout: number = this.requestTimeout, signal?: AbortSignal): Promise<any> {
+        if (this.closed) {
+            return Promise.reject(new Error(`MCP session ${this.name} is closed`));
+        }
+        if (signal?.aborted) {
+            return Promise.reject(new Error(`MCP request '${method}' to ${this.name} was cancelled`));
+        }
+
+        const id = this.nextId++;
+        const message: JsonRpcMessage = { jsonrpc: '2.0', id, method };
+        if (params !== undefined) {
+            message.params = params;
+        }
+
+        return new Promise((resolve, reject) => {
+            const cancel = (reason: string, error: Error) => {
+                if (!this.pending.has(id)) {
+                    return;
+                }
+                clearTimeout(timer);
+                this.pending.delete(id);
+                signal?.removeEventListener('abort', onAbort);
+                this.notify('notifications/cancelled', { requestId: id, reason }).catch(() => undefined);
+                reject(error);
+            };
+            const onAbort = () => cancel('Cancelled by the user', new Error(`MCP request '${method}' to ${this.name} was cancelled`));
+            const timer = setTimeout(
+                () => cancel('Request timed out', new Error(`MCP request '${method}' to ${this.name} timed out after ${timeout}ms`)),
+                timeout
+            );
+
+            this.pending.set(id, {
+                method,
+                resolve: (result) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(result);
+                },
+                reject: (error) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    reject(error);
+                },
+                timer
+            });
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.transport.send(message).catch((error) => {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                signal?.removeEventListener('abort', onAbort);
+                reject(error instanceof Error ? error : new Error(String(error)));
+            });
+        });
+    }
+
+    public async notify(method: string, params?: any): Promise<void> {
+        const message: JsonRpcMessage = { jsonrpc: '2.0', method };
+        if (params !== undefined) {
+            message.params = params;
+        }
+        await this.transport.send(message);
+    }
+
+    /**
+     * Follows `nextCursor` until the server has returned every page of a
+     * list method, collecting the items stored under `key`.
+     */
+    public async paginate<T>(method: string, key: string): Promise<T[]> {
+        const items: T[] = [];
+        let cursor: string | undefined;
+
+        do {
+            const result = await this.request(method, cursor ? { cursor } : {});
+            items.push(...(result?.[key] || []));
+            cursor = result?.nextCursor;
+        } while (cursor);
+
+        return items;
+    }
+
+    private handleMessage(message: JsonRpcMessage) {
+        if (message.method && message.id !== undefined) {
+            this.handleServerRequest(message);
+            return;
+        }
+
+        if (message.method) {
+            const handler = this.notificationHandlers.get(message.method);
+            if (handler) {
+                handler(message.params);
+            }
+            return;
+        }
+
+        if (message.id === undefined) {
+            return;
+        }
+
+        const pending = this.pending.get(message.id);
+        if (!pending) {
+            console.log(`[MCP-SESSION] ${this.name} sent a response for unknown request id ${message.id}`);
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this.pending.delete(message.id);
+
+        if (message.error) {
+            pending.reject(new MCPRequestError(message.error.message, message.error.code, message.error.data));
+        } else {
+            pending.resolve(message.result);
+        }
+    }
+
+    private handleServerRequest(message: JsonRpcMessage) {
+        let reply: JsonRpcMessage;
+
+        switch (message.method) {
+            case 'ping':
+                reply = { jsonrpc: '2.0', id: message.id, result: {} };
+                break;
+            case 'roots/list':
+                reply = {
+                    jsonrpc: '2.0',
+                    id: message.id,
+                    result: {
+                        roots: (vscode.workspace.workspaceFolders || []).map(folder => ({
+                            uri: folder.uri.toString(),
+                            name: folder.name
+                        }))
+                    }
+                };
+                break;
+            default:
+                reply = {
+                    jsonrpc: '2.0',
+                    id: message.id,
+                    error: { code: -32601, message: `Method not found: ${message.method}` }
+                };
+        }
+
+        this.transport.send(reply).catch((error) => {
+            console.error(`[MCP-SESSION] Failed to answer ${message.method} from ${this.name}:`, error);
+        });
+    }
+
+    private handleClose() {
+        this.closed = true;
+        for (const [id, pending] of this.pending.entries()) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error(`Connection to ${this.name} closed before '${pending.method}' completed`));
+            this.pending.delete(id);
+        }
+    }
+
+    public isClosed(): boolean {
+        return this.closed;
+    }
+
+    public close(): void {
+        if (this.closed) {
+            return;
+        }
+        this.transport.close();
+        this.handleClose();
+    }
+}
+
+/**
+ * Connects to a remote server over Streamable HTTP, falling back to the
+ * legacy HTTP+SSE transport when the initialize POST is rejected with
+ * 400/404/405 as the spec's backwards-compatibility rules describe.
+ * `setup` runs before each connection attempt so handlers can be attached.
+ */
+export async function connectHttpSession(
+    name: string,
+    url: string,
+    apiKey: string | undefined,
+    timeout: number,
+    requestTimeout: number,
+    setup?: (session: MCPSession) => void
+): Promise<MCPSession> {
+    const streamable = new MCPSession(name, new StreamableHttpTransport(name, url, apiKey, requestTimeout), timeout);
+    setup?.(streamable);
+
+    try {
+        await streamable.connect();
+        return streamable;
+    } catch (error) {
+        streamable.close();
+        if (!(error instanceof HttpStatusError) || ![400, 404, 405].includes(error.status)) {
+            throw error;
+        }
+        console.log(`[MCP-SESSION] ${name} rejected Streamable HTTP (HTTP ${error.status}), trying legacy HTTP+SSE`);
+    }
+
+    const legacy = new MCPSession(name, new SseTransport(name, url, apiKey, timeout), timeout);
+    setup?.(legacy);
+    await legacy.connect();
+    return legacy;
+}
@@ -0,0 +1,558 @@
+import * as WebSocket from 'ws';
+import axios from 'axios';
+import { spawn, ChildProcess } from 'child_process';
+
+export interface JsonRpcError {
+    code: number;
+    message: string;
+    data?: any;
+}
+
+export interface JsonRpcMessage {
+    jsonrpc: '2.0';
+    id?: number | string;
+    method?: string;
+    params?: any;
+    result?: any;
+    error?: JsonRpcError;
+}
+
+/**
+ * A bidirectional JSON-RPC channel to an MCP server. Transports only move
+ * messages; request/response matching lives in MCPSession.
+ */
+export interface MCPTransport {
+    onmessage?: (message: JsonRpcMessage) => void;
+    onclose?: () => void;
+    start(): Promise<void>;
+    send(message: JsonRpcMessage): Promise<void>;
+    close(): void;
+    setProtocolVersion?(version: string): void;
+}
+
+export interface StdioTransportOptions {
+    command: string;
+    args?: string[];
+    env?: { [key: string]: string };
+    cwd?: string;
+    timeout?: number;
+}
+
+/**
+ * Spawns the server process and exchanges newline-delimited JSON-RPC
+ * messages over its stdin/stdout, as the MCP stdio transport requires.
+ */
+export class StdioTransport implements MCPTransport {
+    public onmessage?: (message: JsonRpcMessage) => void;
+    public onclose?: () => void;
+
+    private process?: ChildProcess;
+    private buffer = '';
+
+    constructor(private readonly name: string, private readonly options: StdioTransportOptions) {}
+
+    public start(): Promise<void> {
+        return new Promise((resolve, reject) => {
+            console.log(`[MCP-TRANSPORT] Starting STDIO process: ${this.options.command} ${this.options.args?.join(' ') || ''}`);
+
+            const child = spawn(this.options.command, this.options.args || [], {
+                stdio: ['pipe', 'pipe', 'pipe'],
+                shell: true,
+                cwd: this.options.cwd,
+                env: { ...process.env, ...(this.options.env || {}) }
+            });
+            this.process = child;
+
+            const timeout = setTimeout(() => {
+                child.kill();
+                reject(new Error(`STDIO process for ${this.name} did not start within ${this.options.timeout || 5000}ms`));
+            }, this.options.timeout || 5000);
+
+            child.on('spawn', () => {
+                clearTimeout(timeout);
+                resolve();
+            });
+
+            child.on('error', (error) => {
+                clearTimeout(timeout);
+                reject(error);
+            });
+
+            child.on('exit', (code) => {
+                console.log(`[MCP-TRANSPORT] ${this.name} exited with code ${code}`);
+                this.process = undefined;
+                this.onclose?.();
+            });
+
+            child.stdout?.setEncoding('utf-8');
+            child.stdout?.on('data', (data: string) => this.handleData(data));
+
+            child.stderr?.on('data', (data) => {
+                console.log(`[MCP-TRANSPORT] ${this.name} stderr:`, data.toString());
+            });
+        });
+    }
+
+    private handleData(data: string) {
+        this.buffer += data;
+
+        let newline = this.buffer.indexOf('\n');
+        while (newline !== -1) {
+            const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(newline + 1);
+            this.handleLine(line);
+            newline = this.buffer.indexOf('\n');
+        }
+    }
+
+    private handleLine(line: string) {
+        if (!line.trim()) {
+            return;
+        }
+
+        let parsed: any;
+        try {
+            parsed = JSON.parse(line);
+        } catch {
+            // Servers sometimes log banners to stdout; they are not protocol messages
+            console.log(`[MCP-TRANSPORT] ${this.name} non-JSON output:`, line);
+            return;
+        }
+
+        for (const message of Array.isArray(parsed) ? parsed : [parsed]) {
+            this.onmessage?.(message);
+        }
+    }
+
+    public async send(message: JsonRpcMessage): Promise<void> {
+        if (!this.process?.stdin?.writable) {
+            throw new Error(`STDIO process for ${this.name} is not running`);
+        }
+        this.process.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    public close(): void {
+        if (this.process) {
+            this.process.stdin?.end();
+            this.process.kill();
+            this.process = undefined;
+        }
+    }
+}
+
+export class WebSocketTransport implements MCPTransport {
+    public onmessage?: (message: JsonRpcMessage) => void;
+    public onclose?: () => void;
+
+    private ws?: WebSocket;
+
+    constructor(private readonly name: string, private readonly url: string, private readonly timeout: number = 5000) {}
+
+    public start(): Promise<void> {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(this.url, ['mcp']);
+            this.ws = ws;
+
+            const timeout = setTimeout(() => {
+                ws.close();
+                reject(new Error(`WebSocket connection to ${this.name} timed out`));
+            }, this.timeout);
+
+            ws.on('open', () => {
+                clearTimeout(timeout);
+                resolve();
+            });
+
+            ws.on('error', (error) => {
+                clearTimeout(timeout);
+                reject(error);
+            });
+
+            ws.on('close', () => {
+                this.ws = undefined;
+                this.onclose?.();
+            });
+
+            ws.on('message', (data: WebSocket.RawData) => {
+                try {
+                    const parsed = JSON.parse(data.toString());
+                    for (const message of Array.isArray(parsed) ? parsed : [parsed]) {
+                        this.onmessage?.(message);
+                    }
+                } catch (error) {
+                    console.error(`[MCP-TRANSPORT] Invalid WebSocket message from ${this.name}:`, error);
+                }
+            });
+        });
+    }
+
+    public async send(message: JsonRpcMessage): Promise<void> {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            throw new Error(`WebSocket to ${this.name} is not open`);
+        }
+        this.ws.send(JSON.stringify(message));
+    }
+
+    public close(): void {
+        this.ws?.close();
+        this.ws = undefined;
+    }
+}
+
+export interface ServerSentEvent {
+    event: string;
+    data: string;
+    id?: string;
+}
+
+/**
+ * Incremental text/event-stream parser; feed it decoded chunks and it emits
+ * each complete event.
+ */
+export class SseParser {
+    private buffer = '';
+    private event = '';
+    private data: string[] = [];
+    private id?: string;
+
+    constructor(private readonly onEvent: (event: ServerSentEvent) => void) {}
+
+    public feed(chunk: string) {
+        this.buffer += chunk;
+
+        let newline = this.buffer.search(/\r?\n/);
+        while (newline !== -1) {
+            const line = this.buffer.slice(0, newline);
+            this.buffer = this.buffer.slice(this.buffer[newline] === '\r' ? newline + 2 : newline + 1);
+            this.handleLine(line);
+            newline = this.buffer.search(/\r?\n/);
+        }
+    }
+
+    private handleLine(line: string) {
+        if (line === '') {
+            if (this.data.length > 0) {
+                this.onEvent({ event: this.event || 'message', data: this.data.join('\n'), id: this.id });
+            }
+            this.event = '';
+            this.data = [];
+            return;
+        }
+
+        if (line.startsWith(':')) {
+            return; // comment / keep-alive
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        switch (field) {
+            case 'event':
+                this.event = value;
+                break;
+            case 'data':
+                this.data.push(value);
+                break;
+            case 'id':
+                this.id = value;
+                break;
+        }
+    }
+}
+
+function deliverJson(text: string, onmessage?: (message: JsonRpcMessage) => void) {
+    if (!text.trim()) {
+        return;
+    }
+    const parsed = JSON.parse(text);
+    for (const message of Array.isArray(parsed) ? parsed : [parsed]) {
+        onmessage?.(message);
+    }
+}
+
+function readStream(stream: any): Promise<string> {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        stream.setEncoding?.('utf-8');
+        stream.on('data', (chunk: string | Buffer) => text += chunk.toString());
+        stream.on('end', () => resolve(text));
+        stream.on('error', reject);
+    });
+}
+
+export class HttpStatusError extends Error {
+    constructor(message: string, public readonly status: number) {
+        super(message);
+        this.name = 'HttpStatusError';
+    }
+}
+
+/**
+ * The MCP Streamable HTTP transport: every message is POSTed to a single
+ * endpoint, replies arrive as JSON or as an SSE stream, and server-initiated
+ * messages use a long-lived GET stream. The `Mcp-Session-Id` assigned at
+ * initialization is echoed on every later request.
+ */
+export class StreamableHttpTransport implements MCPTransport {
+    public onmessage?: (message: JsonRpcMessage) => void;
+    public onclose?: () => void;
+
+    private sessionId?: string;
+    private protocolVersion?: string;
+    private abortController = new AbortController();
+    private lastEventId?: string;
+    private closed = false;
+
+    constructor(
+        private readonly name: string,
+        private readonly url: string,
+        private readonly apiKey?: string,
+        private readonly timeout: number = 5000
+    ) {}
+
+    public async start(): Promise<void> {
+        // Nothing to open; the initialize POST establishes the session
+    }
+
+    public setProtocolVersion(version: string) {
+        this.protocolVersion = version;
+    }
+
+    private headers(accept: string): { [key: string]: string } {
+        return {
+            'Accept': accept,
+            ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {}),
+            ...(this.protocolVersion ? { 'MCP-Protocol-Version': this.protocolVersion } : {}),
+            ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+        };
+    }
+
+    public async send(message: JsonRpcMessage): Promise<void> {
+        const response = await axios.post(this.url, message, {
+            headers: {
+                ...this.headers('application/json, text/event-stream'),
+                'Content-Type': 'application/json'
+            },
+            responseType: 'stream',
+            timeout: this.timeout,
+            signal: this.abortController.signal,
+            validateStatus: () => true
+        });
+
+        if (response.status >= 400) {
+            response.data.resume?.();
+            if (response.status === 404 && this.sessionId) {
+                this.sessionId = undefined;
+                throw new HttpStatusError(`MCP session with ${this.name} expired`, 404);
+            }
+            throw new HttpStatusError(`MCP server ${this.name} responded with HTTP ${response.status}`, response.status);
+        }
+
+        const sessionId = response.headers['mcp-session-id'];
+        if (sessionId) {
+            this.sessionId = String(sessionId);
+        }
+
+        if (message.method === 'notifications/initialized') {
+            this.openEventStream();
+        }
+
+        if (response.status === 202) {
+            response.data.resume?.();
+            return;
+        }
+
+        const contentType = String(response.headers['content-type'] || '');
+        if (contentType.includes('text/event-stream')) {
+            // The POST resolves once accepted; replies keep arriving on the stream
+            this.consumeEventStream(response.data);
+            return;
+        }
+
+        deliverJson(await readStream(response.data), this.onmessage);
+    }
+
+    private consumeEventStream(stream: any): Promise<void> {
+        return new Promise((resolve) => {
+            const parser = new SseParser((event) => {
+                if (event.id) {
+                    this.lastEventId = event.id;
+                }
+                if (event.event !== 'message') {
+                    return;
+                }
+                try {
+                    deliverJson(event.data, this.onmessage);
+                } catch (error) {
+                    console.error(`[MCP-TRANSPORT] Invalid SSE message from ${this.name}:`, error);
+                }
+            });
+
+            stream.setEncoding?.('utf-8');
+            stream.on('data', (chunk: string) => parser.feed(chunk));
+            stream.on('end', () => resolve());
+            stream.on('error', () => resolve());
+        });
+    }
+
+    /**
+     * Opens the optional GET stream for server-initiated requests and
+     * notifications, reconnecting with Last-Event-ID when it drops.
+     */
+    private async openEventStream(attempt: number = 0): Promise<void> {
+        if (this.closed) {
+            return;
+        }
+
+        try {
+            const response = await axios.get(this.url, {
+                headers: {
+                    ...this.headers('text/event-stream'),
+                    ...(this.lastEventId ? { 'Last-Event-ID': this.lastEventId } : {})
+                },
+                responseType: 'stream',
+                signal: this.abortController.signal,
+                validateStatus: () => true
+            });
+
+            if (response.status === 405) {
+                // Server does not offer a standalone stream; that is allowed
+                response.data.resume?.();
+                return;
+            }
+            if (response.status >= 400) {
+                response.data.resume?.();
+                throw new HttpStatusError(`GET stream rejected with HTTP ${response.status}`, response.status);
+            }
+
+            await this.consumeEventStream(response.data);
+            attempt = 0;
+        } catch (error) {
+            if (this.closed) {
+                return;
+            }
+            console.error(`[MCP-TRANSPORT] Event stream from ${this.name} failed:`, error);
+            if (error instanceof HttpStatusError) {
+                return;
+            }
+        }
+
+        if (!this.closed && attempt < 5) {
+            setTimeout(() => this.openEventStream(attempt + 1), 1000 * Math.pow(2, attempt));
+        }
+    }
+
+    public close(): void {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+
+        if (this.sessionId) {
+            // Tell the server it can drop the session; failures are harmless
+            axios.delete(this.url, { headers: this.headers('application/json'), timeout: this.timeout }).catch(() => undefined);
+        }
+        this.abortController.abort();
+        this.onclose?.();
+    }
+}
+
+/**
+ * The deprecated HTTP+SSE transport (protocol 2024-11-05): a GET stream
+ * delivers an `endpoint` event naming where to POST messages, and every reply
+ * comes back on that stream.
+ */
+export class SseTransport implements MCPTransport {
+    public onmessage?: (message: JsonRpcMessage) => void;
+    public onclose?: () => void;
+
+    private endpoint?: string;
+    private abortController = new AbortController();
+    private closed = false;
+
+    constructor(
+        private readonly name: string,
+        private readonly url: string,
+        private readonly apiKey?: string,
+        private readonly timeout: number = 5000
+    ) {}
+
+    private authHeaders(): { [key: string]: string } {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+
+    public async start(): Promise<void> {
+        const response = await axios.get(this.url, {
+            headers: { 'Accept': 'text/event-stream', ...this.authHeaders() },
+            responseType: 'stream',
+            timeout: this.timeout,
+            signal: this.abortController.signal,
+            validateStatus: () => true
+        });
+
+        if (response.status >= 400) {
+            response.data.resume?.();
+            throw new HttpStatusError(`SSE endpoint of ${this.name} responded with HTTP ${response.status}`, response.status);
+        }
+
+        await new Promise<void>((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`${this.name} did not announce its message endpoint`)), this.timeout);
+
+            const parser = new SseParser((event) => {
+                if (event.event === 'endpoint') {
+                    this.endpoint = new URL(event.data.trim(), this.url).toString();
+                    clearTimeout(timer);
+                    resolve();
+                    return;
+                }
+                if (event.event === 'message') {
+                    try {
+                        deliverJson(event.data, this.onmessage);
+                    } catch (error) {
+                        console.error(`[MCP-TRANSPORT] Invalid SSE message from ${this.name}:`, error);
+                    }
+                }
+            });
+
+            const stream = response.data;
+            stream.setEncoding?.('utf-8');
+            stream.on('data', (chunk: string) => parser.feed(chunk));
+            stream.on('end', () => {
+                clearTimeout(timer);
+                reject(new Error(`SSE stream from ${this.name} ended`));
+                if (!this.closed) {
+                    this.closed = true;
+                    this.onclose?.();
+                }
+            });
+            stream.on('error', (error: Error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    public async send(message: JsonRpcMessage): Promise<void> {
+        if (!this.endpoint) {
+            throw new Error(`SSE transport for ${this.name} is not connected`);
+        }
+
+        await axios.post(this.endpoint, message, {
+            headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+            timeout: this.timeout
+        });
+    }
+
+    public close(): void {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.abortController.abort();
+        this.onclose?.();
+    }
+}
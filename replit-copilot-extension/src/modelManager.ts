@@ -0,0 +1,106 @@
+import * as vscode from 'vscode';
+import { ProviderRegistry } from './modelProvider';
+import { OllamaModelInfo, OllamaProvider, PullProgress } from './ollamaProvider';
+
+export interface InstalledModels {
+    backend: string;
+    models: OllamaModelInfo[];
+}
+
+/**
+ * Lists, downloads, copies and deletes the models of an Ollama backend for
+ * the settings panel. Only one download per model runs at a time.
+ */
+export class ModelManager {
+    private readonly pulls = new Map<string, AbortController>();
+    // /api/show capabilities by backend and model; cleared when models change
+    private readonly capabilityCache = new Map<string, Promise<string[] | undefined>>();
+
+    constructor(private readonly providers: ProviderRegistry) {}
+
+    /** Installed models with the details /api/show adds; models whose details fail keep the /api/tags ones. */
+    public async list(): Promise<InstalledModels> {
+        const server = this.server();
+        const models = await server.listModelDetails();
+        await Promise.all(models.map(async model => {
+            try {
+                Object.assign(model, ModelManager.defined(await server.show(model.name)));
+            } catch (error) {
+                console.error(`[MODELS] Could not read details of ${model.name}:`, error);
+            }
+        }));
+        models.sort((a, b) => a.name.localeCompare(b.name));
+        return { backend: server.name, models };
+    }
+
+    /**
+     * What the active backend's `model` can do (`completion`, `vision`,
+     * `tools`, `thinking`, ...). Undefined when that is unknown: an
+     * OpenAI-compatible backend, or an Ollama version without capabilities.
+     */
+    public async capabilities(model: string): Promise<string[] | undefined> {
+        const server = this.providers.active();
+        if (!(server instanceof OllamaProvider)) {
+            return undefined;
+        }
+        const key = `${server.name}/${model}`;
+        if (!this.capabilityCache.has(key)) {
+            const lookup = server.show(model).then(details => details.capabilities);
+            // A failed lookup is retried next time
+            lookup.catch(() => this.capabilityCache.delete(key));
+            this.capabilityCache.set(key, lookup);
+        }
+        return await this.capabilityCache.get(key)!;
+    }
+
+    public async pull(model: string, onProgress: (progress: PullProgress) => void): Promise<void> {
+        if (this.pulls.has(model)) {
+            throw new Error(`${model} is already being downloaded`);
+        }
+        const controller = new AbortController();
+        this.pulls.set(model, controller);
+        try {
+            await this.server().pull(model, onProgress, controller.signal);
+        } finally {
+            this.pulls.delete(model);
+            this.capabilityCache.clear();
+        }
+    }
+
+    public cancelPull(model: string) {
+        this.pulls.get(model)?.abort();
+    }
+
+    /** Deletes after a modal confirmation; returns false when the user cancels. */
+    public async delete(model: string): Promise<boolean> {
+        const server = this.server();
+        const choice = await vscode.window.showWarningMessage(
+            `Delete ${model} from ${server.name}? It will have to be downloaded again to use it.`,
+            { modal: true },
+            'Delete'
+        );
+        if (choice !== 'Delete') {
+            return false;
+        }
+        await server.deleteModel(model);
+        this.capabilityCache.clear();
+        return true;
+    }
+
+    public async copy(source: string, destination: string): Promise<void> {
+        await this.server().copyModel(source, destination);
+        this.capabilityCache.clear();
+    }
+
+    private server(): OllamaProvider {
+        const server = this.providers.ollama();
+        if (!server) {
+            throw new Error('No Ollama backend is configured; models of OpenAI-compatible servers are managed by the server itself');
+        }
+        return server;
+    }
+
+    private static defined<T extends object>(values: T): Partial<T> {
+        return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined)) as Partial<T>;
+    }
+}
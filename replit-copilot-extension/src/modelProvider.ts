@@ -0,0 +1,195 @@
+import * as vscode from 'vscode';
+import { ChatMessage, OllamaTool, OllamaToolCall } from './ollamaClient';
+import { OllamaProvider } from './ollamaProvider';
+import { OpenAICompatibleProvider } from './openAiProvider';
+
+export type BackendType = 'ollama' | 'openai';
+
+/** One entry of `replitCopilot.backends`. */
+export interface BackendConfig {
+    name: string;
+    type: BackendType;
+    url: string;
+    /** Sent as a bearer token; local servers usually need none. */
+    apiKey?: string;
+    /** Model selected when switching to this backend. */
+    model?: string;
+}
+
+export interface GenerateRequest {
+    model: string;
+    prompt: string;
+    suffix?: string;
+    options?: { [key: string]: any };
+}
+
+export interface ProviderChatRequest {
+    model: string;
+    messages: ChatMessage[];
+    tools?: OllamaTool[];
+    /** Generation options using Ollama's names (num_predict, top_p, ...); providers translate them. */
+    options: { [key: string]: any };
+    /** Turns a reasoning model's thinking on or off; unset leaves the model's default. */
+    think?: boolean;
+    /** JSON schema the reply must match (structured output); unset for free text. */
+    format?: object;
+}
+
+export interface StreamedReply {
+    content: string;
+    /** Reasoning the backend returned separately from the answer. */
+    thinking: string;
+    toolCalls: OllamaToolCall[];
+}
+
+export interface StreamHandlers {
+    onToken?: (token: string) => void;
+    onThinking?: (token: string) => void;
+}
+
+/**
+ * A chat backend. `OllamaClient` keeps the conversation, tools and context
+ * budget; a provider only speaks one server's wire format.
+ */
+export interface ModelProvider {
+    readonly name: string;
+    readonly type: BackendType;
+    isAvailable(): Promise<boolean>;
+    listModels(): Promise<string[]>;
+    /** Streams one chat round trip, forwarding content and reasoning tokens and collecting tool calls. */
+    streamChat(request: ProviderChatRequest, handlers: StreamHandlers, signal?: AbortSignal): Promise<StreamedReply>;
+    /** Single non-streaming completion; `suffix` requests fill-in-the-middle where supported. */
+    generate(request: GenerateRequest, signal?: AbortSignal): Promise<string>;
+    embed(model: string, input: string[], signal?: AbortSignal): Promise<number[][]>;
+    /** Whether a failed request means the model cannot take tool definitions. */
+    isToolsUnsupportedError(error: any): Promise<boolean>;
+    /** Whether a failed request means the model cannot be asked to think. */
+    isThinkingUnsupportedError(error: any): Promise<boolean>;
+}
+
+// The Ollama server from `replitCopilot.ollamaUrl` is always available under this name
+export const DEFAULT_BACKEND = 'Ollama';
+
+/**
+ * The configured backends and which one is active. Switching backend or
+ * model writes `replitCopilot.activeBackend` and `replitCopilot.defaultModel`.
+ */
+export class ProviderRegistry {
+    private providers = new Map<string, ModelProvider>();
+    private configs: BackendConfig[] = [];
+    private activeName = DEFAULT_BACKEND;
+
+    constructor() {
+        this.updateConfiguration();
+    }
+
+    public register(context: vscode.ExtensionContext) {
+        context.subscriptions.push(
+            vscode.commands.registerCommand('replit-copilot.selectModel', () => this.pickModel())
+        );
+    }
+
+    public updateConfiguration() {
+        const config = vscode.workspace.getConfiguration('replitCopilot');
+        const ollama: BackendConfig = {
+            name: DEFAULT_BACKEND,
+            type: 'ollama',
+            url: config.get<string>('ollamaUrl') || 'https://ea22b928195e.ngrok-free.app'
+        };
+
+        const configured = (config.get<BackendConfig[]>('backends') || [])
+            .filter(backend => backend && backend.name && backend.url && (backend.type === 'ollama' || backend.type === 'openai'));
+        // A configured backend named "Ollama" replaces the implicit one; later duplicates are ignored
+        this.configs = [ollama, ...configured.filter(b => b.name !== DEFAULT_BACKEND)];
+        const override = configured.find(b => b.name === DEFAULT_BACKEND);
+        if (override) {
+            this.configs[0] = override;
+        }
+        this.configs = this.configs.filter((backend, index, all) => all.findIndex(b => b.name === backend.name) === index);
+
+        this.providers.clear();
+        for (const backend of this.configs) {
+            this.providers.set(backend.name, backend.type === 'openai' ? new OpenAICompatibleProvider(backend) : new OllamaProvider(backend));
+        }
+
+        const active = config.get<string>('activeBackend') || DEFAULT_BACKEND;
+        this.activeName = this.providers.has(active) ? active : this.configs[0].name;
+    }
+
+    public active(): ModelProvider {
+        return this.providers.get(this.activeName)!;
+    }
+
+    /** The Ollama server whose models are managed: the active backend if it is one, else the first configured. */
+    public ollama(): OllamaProvider | undefined {
+        const active = this.active();
+        if (active instanceof OllamaProvider) {
+            return active;
+        }
+        return Array.from(this.providers.values()).find((provider): provider is OllamaProvider => provider instanceof OllamaProvider);
+    }
+
+    public get(name: string): ModelProvider | undefined {
+        return this.providers.get(name);
+    }
+
+    public backends(): BackendConfig[] {
+        return [...this.configs];
+    }
+
+    /** Makes `name` the active backend with `model`, or the backend's own default model. */
+    public async select(name: string, model?: string) {
+        const backend = this.configs.find(b => b.name === name);
+        if (!backend) {
+            throw new Error(`Unknown backend: ${name}`);
+        }
+        const config = vscode.workspace.getConfiguration('replitCopilot');
+        await config.update('activeBackend', name, vscode.ConfigurationTarget.Global);
+        const chosen = model || backend.model;
+        if (chosen) {
+            await config.update('defaultModel', chosen, vscode.ConfigurationTarget.Global);
+        }
+        this.activeName = name;
+    }
+
+    /** Models of every backend; unreachable backends report their error instead. */
+    public async listAll(): Promise<{ name: string; type: BackendType; models: string[]; error?: string }[]> {
+        return await Promise.all(this.configs.map(async backend => {
+            try {
+                const models = await this.providers.get(backend.name)!.listModels();
+                return { name: backend.name, type: backend.type, models };
+            } catch (error) {
+                return { name: backend.name, type: backend.type, models: [], error: error instanceof Error ? error.message : String(error) };
+            }
+        }));
+    }
+
+    /** Quick pick over the models of every backend, grouped by backend. */
+    private async pickModel() {
+        type ModelItem = vscode.QuickPickItem & { backend?: string; model?: string };
+        const current = vscode.workspace.getConfiguration('replitCopilot').get<string>('defaultModel');
+
+        const listed = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Window, title: 'Loading models' },
+            () => this.listAll()
+        );
+        const items: ModelItem[] = [];
+        for (const backend of listed) {
+            items.push({ label: backend.name, kind: vscode.QuickPickItemKind.Separator });
+            if (backend.error) {
+                items.push({ label: '$(warning) Not reachable', description: backend.error, backend: backend.name });
+            }
+            for (const model of backend.models) {
+                const active = backend.name === this.activeName && model === current;
+                items.push({ label: `${active ? '$(check) ' : ''}${model}`, description: backend.type === 'openai' ? 'OpenAI-compatible' : undefined, backend: backend.name, model });
+            }
+        }
+
+        const choice = await vscode.window.showQuickPick(items, { title: 'Select a model', matchOnDescription: true });
+        if (!choice?.backend || !choice.model) {
+            return;
+        }
+        await this.select(choice.backend, choice.model);
+        vscode.window.showInformationMessage(`Chatting with ${choice.model} on ${choice.backend}`);
+    }
+}
@@ -1,31 +1,95 @@
 import * as vscode from 'vscode';
 import axios from 'axios';
+import { ContextManager, ContextUsage, estimateTokens, isSummaryMessage } from './contextManager';
+import { GenerateRequest, ModelProvider, ProviderRegistry, StreamHandlers, StreamedReply } from './modelProvider';
+import { GenerationOptions, GenerationPresets, PresetCommand } from './generationPresets';
+import { stripThinking, ThinkTagSplitter } from './reasoning';
 
 export interface OllamaConfig {
-    url: string;
     model: string;
     systemMessage?: string;
+    enableToolCalling?: boolean;
+    maxToolSteps?: number;
+    numCtx?: number;
+}
+
+export interface OllamaTool {
+    type: 'function';
+    function: {
+        name: string;
+        description: string;
+        parameters: any;
+    };
+}
+
+export interface OllamaToolCall {
+    /** Set by OpenAI-compatible backends, which pair results with calls by id. */
+    id?: string;
+    function: {
+        name: string;
+        arguments: { [key: string]: any };
+    };
 }
 
 export interface ChatMessage {
-    role: 'user' | 'assistant' | 'system';
+    role: 'user' | 'assistant' | 'system' | 'tool';
     content: string;
+    tool_calls?: OllamaToolCall[];
+    tool_name?: string;
+    tool_call_id?: string;
+    /** Base64 PNG or JPEG images for vision models. */
+    images?: string[];
+}
+
+export interface ToolExecutor {
+    getTools(): OllamaTool[];
+    executeTool(name: string, args: any, signal?: AbortSignal): Promise<string>;
 }
 
+export interface ChatOptions {
+    onToolCall?: (name: string, args: any) => void;
+    onToolResult?: (name: string, result: string) => void;
+    /** Aborts the stream and any running tool; the partial answer is kept in history. */
+    signal?: AbortSignal;
+    /** Reports how full the context window is before each request. */
+    onContextUsage?: (usage: ContextUsage) => void;
+    /** Called when an Ollama backend does not have the model, so it can be offered for download. */
+    onModelNotFound?: (model: string) => void;
+    /** Selects the generation preset; defaults to 'chat'. */
+    command?: PresetCommand;
+    /** Receives the model's reasoning, which is shown to the user but never kept in history. */
+    onThinking?: (token: string) => void;
+    /** Base64 images sent along with the user's message. */
+    images?: string[];
+}
+
+export const INTERRUPTED_MARKER = '[Response interrupted by the user]';
+
+// Tokens kept free in num_ctx for the model's answer when the preset does not limit num_predict
+const DEFAULT_REPLY_RESERVE_TOKENS = 1024;
+
 export class OllamaClient {
-    private config: OllamaConfig = { url: 'https://ea22b928195e.ngrok-free.app', model: 'llama3.2:1b' };
+    private config: OllamaConfig = { model: 'llama3.2:1b' };
     private conversationHistory: ChatMessage[] = [];
-
-    constructor() {
+    private toolExecutor?: ToolExecutor;
+    // Named context blocks pinned next to the system prompt, e.g. the workspace overview
+    private contextBlocks = new Map<string, string>();
+    private readonly contextManager = new ContextManager(
+        (previous, messages, signal) => this.summarizeTurns(previous, messages, signal)
+    );
+
+    constructor(private readonly providers: ProviderRegistry, private readonly presets: GenerationPresets) {
         this.updateConfiguration();
     }
 
     public updateConfiguration() {
         const config = vscode.workspace.getConfiguration('replitCopilot');
         this.config = {
-            url: config.get<string>('ollamaUrl') || 'https://ea22b928195e.ngrok-free.app',
             model: config.get<string>('defaultModel') || 'llama3.2:1b',
-            systemMessage: config.get<string>('systemMessage') || this.getEnhancedSystemMessage()
+            systemMessage: config.get<string>('systemMessage') || this.getEnhancedSystemMessage(),
+            enableToolCalling: config.get<boolean>('enableToolCalling') !== false,
+            maxToolSteps: config.get<number>('maxToolSteps') || 8,
+            numCtx: config.get<number>('numCtx') || 8192
         };
 
         // Add system message to conversation history if not present
@@ -37,145 +101,329 @@ export class OllamaClient {
         }
     }
 
+    /** The chat model, also used for one-off prompts such as titles and summaries. */
+    public get model(): string {
+        return this.config.model;
+    }
+
+    /** num_ctx for a command's requests, from its preset or `replitCopilot.numCtx`. */
+    public contextWindow(command: PresetCommand = 'chat'): number {
+        return this.generationOptions(command).num_ctx!;
+    }
+
+    /** The backend chat requests currently go to. */
+    public get provider(): ModelProvider {
+        return this.providers.active();
+    }
+
     public async isAvailable(): Promise<boolean> {
-        try {
-            const response = await axios.get(`${this.config.url}/api/version`, {
-                timeout: 5000
-            });
-            return response.status === 200;
-        } catch (error) {
-            console.error('Ollama not available:', error);
-            return false;
-        }
+        return await this.provider.isAvailable();
     }
 
     public async getModels(): Promise<string[]> {
         try {
-            const response = await axios.get(`${this.config.url}/api/tags`);
-            return response.data.models?.map((model: any) => model.name) || [];
+            return await this.provider.listModels();
         } catch (error) {
-            console.error('Failed to fetch Ollama models:', error);
+            console.error(`Failed to fetch models from ${this.provider.name}:`, error);
             return [];
         }
     }
 
-    public async chat(message: string, onToken?: (token: string) => void, includeContext: boolean = true): Promise<string> {
+    /**
+     * Single non-streaming completion with the active backend. When `suffix`
+     * is given the model's fill-in-the-middle template is applied.
+     */
+    public async generate(request: GenerateRequest, signal?: AbortSignal): Promise<string> {
+        return stripThinking(await this.provider.generate(request, signal));
+    }
+
+    /**
+     * Asks `model` for a JSON object matching `schema` using the backend's
+     * structured output. Runs outside the conversation, without tools.
+     */
+    public async generateStructured(messages: ChatMessage[], schema: object, model: string = this.config.model, signal?: AbortSignal): Promise<any> {
+        const reply = await this.provider.streamChat({
+            model,
+            messages,
+            format: schema,
+            options: { temperature: 0, num_predict: 512, num_ctx: this.generationOptions('chat').num_ctx }
+        }, {}, signal);
+        return JSON.parse(stripThinking(reply.content));
+    }
+
+    /** Whether `model` is asked to think before answering; undefined leaves it to the model. */
+    public getThinking(model: string = this.config.model): boolean | undefined {
+        const byModel = vscode.workspace.getConfiguration('replitCopilot').get<{ [model: string]: boolean }>('thinkingByModel') || {};
+        return typeof byModel[model] === 'boolean' ? byModel[model] : undefined;
+    }
+
+    public async setThinking(enabled: boolean | undefined, model: string = this.config.model) {
+        const config = vscode.workspace.getConfiguration('replitCopilot');
+        const byModel = { ...(config.inspect<{ [model: string]: boolean }>('thinkingByModel')?.globalValue || {}) };
+        if (enabled === undefined) {
+            delete byModel[model];
+        } else {
+            byModel[model] = enabled;
+        }
+        await config.update('thinkingByModel', byModel, vscode.ConfigurationTarget.Global);
+    }
+
+    /**
+     * Embeds each input with the active backend. Returns one vector per input.
+     */
+    public async embed(model: string, input: string[], signal?: AbortSignal): Promise<number[][]> {
+        return await this.provider.embed(model, input, signal);
+    }
+
+    public setToolExecutor(executor: ToolExecutor) {
+        this.toolExecutor = executor;
+    }
+
+    /**
+     * Sets a context block that accompanies every request, such as the
+     * workspace overview or code retrieved for the current turn. Blocks are
+     * pinned next to the system prompt once instead of being repeated in
+     * each user message; pass `undefined` to remove one.
+     */
+    public setContextBlock(name: string, content: string | undefined) {
+        if (content) {
+            this.contextBlocks.set(name, content);
+        } else {
+            this.contextBlocks.delete(name);
+        }
+    }
+
+    public getContextUsage(): ContextUsage {
+        const tools = this.toolExecutor && this.config.enableToolCalling ? this.toolExecutor.getTools() : [];
+        const generation = this.generationOptions('chat');
+        return this.contextManager.usage(this.conversationHistory, this.pinnedMessages(), this.reservedTokens(tools, generation), generation.num_ctx!);
+    }
+
+    /** The preset's options for a command, with num_ctx always set. */
+    private generationOptions(command: PresetCommand): GenerationOptions {
+        const preset = this.presets.resolve(command, this.config.model);
+        return { ...preset.options, num_ctx: preset.options.num_ctx || this.config.numCtx || 8192 };
+    }
+
+    private pinnedMessages(): ChatMessage[] {
+        return Array.from(this.contextBlocks.values()).map(content => ({ role: 'system' as const, content }));
+    }
+
+    // Tool schemas and the reply share num_ctx with the conversation. A generous
+    // num_predict still leaves three quarters of the window for the conversation
+    private reservedTokens(tools: OllamaTool[] | undefined, generation: GenerationOptions): number {
+        const reply = generation.num_predict && generation.num_predict > 0 ? generation.num_predict : DEFAULT_REPLY_RESERVE_TOKENS;
+        return Math.min(reply, Math.floor(generation.num_ctx! / 4)) + (tools && tools.length > 0 ? estimateTokens(JSON.stringify(tools)) : 0);
+    }
+
+    /**
+     * Fits the conversation into num_ctx, summarizing older turns if needed,
+     * and returns the messages for the next request.
+     */
+    private async prepareMessages(tools: OllamaTool[] | undefined, generation: GenerationOptions, options: ChatOptions): Promise<ChatMessage[]> {
+        const reserved = this.reservedTokens(tools, generation);
+        const messages = await this.contextManager.fit(
+            this.conversationHistory,
+            this.pinnedMessages(),
+            Math.max(generation.num_ctx! - reserved, 256),
+            options.signal
+        );
+        options.onContextUsage?.(this.contextManager.usage(this.conversationHistory, this.pinnedMessages(), reserved, generation.num_ctx!));
+        return messages;
+    }
+
+    private async summarizeTurns(previous: string | undefined, messages: ChatMessage[], signal?: AbortSignal): Promise<string> {
+        const transcript = messages.map(message => {
+            const speaker = message.role === 'tool' ? `Tool result (${message.tool_name || 'tool'})` : message.role === 'user' ? 'User' : 'Assistant';
+            const calls = message.tool_calls?.map(call => ` [called ${call.function.name}]`).join('') || '';
+            return `${speaker}:${calls} ${message.content.slice(0, 2000)}`;
+        }).join('\n\n');
+
+        const prompt = `Summarize the conversation below so you can continue it later. Keep the user's goals, decisions made, file names, code identifiers and open questions. Use at most 200 words.${previous ? `\n\nSummary so far:\n${previous}` : ''}\n\nConversation:\n${transcript}\n\nUpdated summary:`;
+        const summary = await this.generate({
+            model: this.config.model,
+            prompt,
+            options: { temperature: 0.2, num_predict: 400, num_ctx: this.generationOptions('chat').num_ctx }
+        }, signal);
+        if (!summary.trim()) {
+            throw new Error('model returned an empty summary');
+        }
+        return summary.trim();
+    }
+
+    public async chat(message: string, onToken?: (token: string) => void, includeContext: boolean = true, options: ChatOptions = {}): Promise<string> {
         try {
-            // Add user message to history
-            this.conversationHistory.push({
+            // One-off helper prompts run outside the conversation
+            const messages: ChatMessage[] = includeContext ? this.conversationHistory : [
+                { role: 'system', content: this.config.systemMessage || this.getEnhancedSystemMessage() }
+            ];
+            messages.push({
                 role: 'user',
-                content: message
+                content: message,
+                ...(options.images?.length ? { images: options.images } : {})
             });
 
-            const payload = {
-                model: this.config.model,
-                messages: includeContext ? this.conversationHistory : [
-                    { role: 'system', content: this.config.systemMessage || this.getEnhancedSystemMessage() },
-                    { role: 'user', content: message }
-                ],
-                stream: true, // Enable streaming for faster responses
-                options: {
-                    temperature: 0.6,
-                    top_p: 0.8,
-                    max_tokens: 1024,
-                    num_predict: 512,
-                    top_k: 30,
-                    repeat_penalty: 1.1
-                }
-            };
-
-            const response = await axios.post(`${this.config.url}/api/chat`, payload, {
-                responseType: 'stream',
-                timeout: 30000
-            });
+            // One-off helper prompts (explain, generate, ...) never act on the workspace
+            let tools = includeContext && this.toolExecutor && this.config.enableToolCalling
+                ? this.toolExecutor.getTools()
+                : undefined;
 
+            const maxSteps = this.config.maxToolSteps || 8;
+            const generation = this.generationOptions(options.command || 'chat');
+            const signal = options.signal;
             let assistantMessage = '';
-            
-            return new Promise<string>((resolve, reject) => {
-                response.data.on('data', (chunk: Buffer) => {
-                    const lines = chunk.toString().split('\n');
-                    for (const line of lines) {
-                        if (line.trim() === '') continue;
+            let partial = '';
+            const handlers: StreamHandlers = {
+                onToken: (token: string) => {
+                    partial += token;
+                    onToken?.(token);
+                },
+                onThinking: options.onThinking
+            };
+
+            for (let step = 0; ; step++) {
+                // Out of tool steps: ask for a final answer from what has been gathered so far
+                const stepTools = step < maxSteps ? tools : undefined;
+                partial = '';
+
+                let reply: StreamedReply;
+                try {
+                    const request = includeContext ? await this.prepareMessages(stepTools, generation, options) : messages;
+                    reply = await this.streamChat(request, stepTools, generation, handlers, signal);
+                } catch (error) {
+                    if (signal?.aborted) {
+                        return this.keepInterruptedReply(messages, partial);
+                    }
+                    if (stepTools && await this.provider.isToolsUnsupportedError(error)) {
+                        console.log(`[OLLAMA] Model '${this.config.model}' does not support tools, retrying without them`);
+                        tools = undefined;
                         try {
-                            const data = JSON.parse(line);
-                            if (data.message?.content) {
-                                const token = data.message.content;
-                                assistantMessage += token;
-                                if (onToken) {
-                                    onToken(token);
-                                }
-                            }
-                            if (data.done) {
-                                // Add complete assistant response to history
-                                this.conversationHistory.push({
-                                    role: 'assistant',
-                                    content: assistantMessage
-                                });
-
-                                // Keep conversation history manageable
-                                if (this.conversationHistory.length > 21) {
-                                    const systemMessage = this.conversationHistory[0];
-                                    if (systemMessage) {
-                                        this.conversationHistory = [
-                                            systemMessage,
-                                            ...this.conversationHistory.slice(-20)
-                                        ];
-                                    } else {
-                                        this.conversationHistory = this.conversationHistory.slice(-20);
-                                    }
-                                }
-                                resolve(assistantMessage || 'Sorry, I couldn\'t generate a response.');
+                            const request = includeContext ? await this.prepareMessages(undefined, generation, options) : messages;
+                            reply = await this.streamChat(request, undefined, generation, handlers, signal);
+                        } catch (retryError) {
+                            if (signal?.aborted) {
+                                return this.keepInterruptedReply(messages, partial);
                             }
-                        } catch (e) {
-                            // Ignore JSON parsing errors for incomplete chunks
+                            throw retryError;
                         }
+                    } else {
+                        throw error;
                     }
-                });
+                }
+
+                // The last step ends the loop even if the backend still asked for tools; those calls are
+                // dropped, since history with unanswered tool calls is rejected by OpenAI-compatible servers
+                const finalStep = step >= maxSteps;
+                if (finalStep && reply.toolCalls.length > 0) {
+                    console.log(`[OLLAMA] Ignoring ${reply.toolCalls.length} tool call(s) after ${maxSteps} tool steps`);
+                }
+                const runTools = reply.toolCalls.length > 0 && !finalStep;
 
-                response.data.on('error', (error: any) => {
-                    reject(error);
+                assistantMessage = reply.content;
+                messages.push({
+                    role: 'assistant',
+                    content: reply.content,
+                    ...(runTools ? { tool_calls: reply.toolCalls } : {})
                 });
 
-                response.data.on('end', () => {
-                    if (assistantMessage === '') {
-                        resolve('Sorry, I couldn\'t generate a response.');
+                if (!runTools || !this.toolExecutor) {
+                    break;
+                }
+
+                for (const call of reply.toolCalls) {
+                    const name = call.function.name;
+                    const args = call.function.arguments || {};
+                    options.onToolCall?.(name, args);
+
+                    const result = await this.toolExecutor.executeTool(name, args, signal);
+                    options.onToolResult?.(name, result);
+
+                    messages.push({ role: 'tool', content: result, tool_name: name, ...(call.id ? { tool_call_id: call.id } : {}) });
+                    if (signal?.aborted) {
+                        return this.keepInterruptedReply(messages, '');
                     }
-                });
-            });
+                }
+            }
+
+            return assistantMessage || 'Sorry, I couldn\'t generate a response.';
 
         } catch (error) {
             console.error('Ollama chat error:', error);
+            const backend = this.provider.name;
             
             if (axios.isAxiosError(error)) {
                 if (error.code === 'ECONNREFUSED') {
-                    return 'Unable to connect to Ollama. Please ensure Ollama is running locally.';
+                    return `Unable to connect to ${backend}. Please ensure the server is running.`;
                 } else if (error.response?.status === 404) {
-                    return `Model '${this.config.model}' not found. Please check if the model is installed in Ollama.`;
+                    if (this.provider.type === 'ollama') {
+                        options.onModelNotFound?.(this.config.model);
+                    }
+                    return `Model '${this.config.model}' not found. Please check if the model is installed in ${backend}.`;
+                } else if (error.response?.status === 401 || error.response?.status === 403) {
+                    return `${backend} rejected the request. Check the apiKey configured for it in replitCopilot.backends.`;
                 } else if (error.code === 'ETIMEDOUT') {
                     return 'Request timed out. The model might be taking too long to respond.';
                 }
             }
             
-            return `Error communicating with Ollama: ${error}`;
+            return `Error communicating with ${backend}: ${error}`;
+        }
+    }
+
+    /**
+     * Records whatever the model had produced before the user stopped it, so
+     * the next turn knows the answer was cut short.
+     */
+    private keepInterruptedReply(messages: ChatMessage[], partial: string): string {
+        messages.push({
+            role: 'assistant',
+            content: partial ? `${partial}\n\n${INTERRUPTED_MARKER}` : INTERRUPTED_MARKER
+        });
+        return partial;
+    }
+
+    /**
+     * One round trip with reasoning kept out of the content, whether the
+     * backend sends it separately or inside `<think>` tags. A model that
+     * cannot be asked to think is retried without the option.
+     */
+    private async streamChat(messages: ChatMessage[], tools: OllamaTool[] | undefined, generation: GenerationOptions, handlers: StreamHandlers, signal?: AbortSignal): Promise<StreamedReply> {
+        const request = { model: this.config.model, messages, tools, options: generation };
+        const think = this.getThinking();
+        const splitter = new ThinkTagSplitter(handlers);
+        const splitHandlers = { onToken: (token: string) => splitter.push(token), onThinking: handlers.onThinking };
+
+        let reply: StreamedReply;
+        try {
+            reply = await this.provider.streamChat(think === undefined ? request : { ...request, think }, splitHandlers, signal);
+        } catch (error) {
+            if (think === undefined || !await this.provider.isThinkingUnsupportedError(error)) {
+                throw error;
+            }
+            console.log(`[OLLAMA] Model '${this.config.model}' does not support thinking, retrying without it`);
+            reply = await this.provider.streamChat(request, splitHandlers, signal);
         }
+        splitter.end();
+        return { ...reply, content: splitter.content, thinking: reply.thinking + splitter.thinking };
     }
 
-    public async generateCode(prompt: string, language?: string, onToken?: (token: string) => void): Promise<string> {
+    public async generateCode(prompt: string, language?: string, onToken?: (token: string) => void, options: ChatOptions = {}): Promise<string> {
         const codePrompt = `${language ? `Generate ${language} code for: ` : 'Generate code for: '}${prompt}\n\nPlease provide clean, well-commented code with explanations.`;
-        return await this.chat(codePrompt, onToken, false);
+        return await this.chat(codePrompt, onToken, false, { ...options, command: 'generate' });
     }
 
-    public async explainCode(code: string, language?: string, onToken?: (token: string) => void): Promise<string> {
+    public async explainCode(code: string, language?: string, onToken?: (token: string) => void, options: ChatOptions = {}): Promise<string> {
         const explainPrompt = `Explain this ${language || ''} code:\n\n\`\`\`${language || ''}\n${code}\n\`\`\`\n\nPlease provide a clear explanation of what this code does, how it works, and any notable patterns or best practices used.`;
-        return await this.chat(explainPrompt, onToken, false);
+        return await this.chat(explainPrompt, onToken, false, { ...options, command: 'explain' });
     }
 
-    public async suggestImprovements(code: string, language?: string, onToken?: (token: string) => void): Promise<string> {
+    public async suggestImprovements(code: string, language?: string, onToken?: (token: string) => void, options: ChatOptions = {}): Promise<string> {
         const improvePrompt = `Review and suggest improvements for this ${language || ''} code:\n\n\`\`\`${language || ''}\n${code}\n\`\`\`\n\nPlease suggest specific improvements for performance, readability, maintainability, or best practices.`;
-        return await this.chat(improvePrompt, onToken, false);
+        return await this.chat(improvePrompt, onToken, false, { ...options, command: 'improve' });
     }
 
     public clearHistory() {
+        this.contextManager.reset();
         this.conversationHistory = [
             {
                 role: 'system',
@@ -184,10 +432,39 @@ export class OllamaClient {
         ];
     }
 
+    public appendToHistory(messages: ChatMessage[]) {
+        this.conversationHistory.push(...messages);
+    }
+
     public getConversationHistory(): ChatMessage[] {
         return [...this.conversationHistory];
     }
 
+    /**
+     * Replaces the conversation with a saved one, keeping the current
+     * system prompt rather than whatever was in effect when it was saved.
+     */
+    public setHistory(messages: ChatMessage[]) {
+        this.clearHistory();
+        // Rolling summaries are part of the conversation; other system messages are not
+        this.conversationHistory.push(...messages.filter(message => message.role !== 'system' || isSummaryMessage(message)));
+    }
+
+    /**
+     * Asks the model for a short title describing the opening exchange of a chat.
+     */
+    public async generateTitle(userMessage: string, assistantReply: string): Promise<string> {
+        const prompt = `Write a title of at most six words for a conversation that starts like this. Reply with the title only.\n\nUser: ${userMessage.slice(0, 1000)}\n\nAssistant: ${assistantReply.slice(0, 1000)}\n\nTitle:`;
+        const response = await this.generate({
+            model: this.config.model,
+            prompt,
+            options: { temperature: 0.2, num_predict: 24 }
+        });
+
+        const firstLine = response.trim().split('\n')[0] || '';
+        return firstLine.replace(/^(title:\s*)/i, '').replace(/^["'*#\s]+|["'*.\s]+$/g, '').slice(0, 60);
+    }
+
     private getEnhancedSystemMessage(): string {
         return `You are an advanced AI coding assistant integrated with VS Code. You have comprehensive access to the workspace and can perform various file and project operations.
 
@@ -198,7 +475,7 @@ FILE OPERATIONS:
 - read_file(path): Read any file in the workspace
 - create_new_file(path, content): Create new files with content
 - edit_existing_file(path, changes): Edit files with line-specific changes
-- search_and_replace_in_file(path, search, replace): Replace text patterns
+- search_and_replace_in_file(path, search, replace): Replace every occurrence of exact text
 - delete files and manage file operations
 - read_currently_open_file(): Get the currently active file in VS Code
 
@@ -247,6 +524,7 @@ BEHAVIORAL GUIDELINES:
 7. Analyze project structure to provide better recommendations
 8. Always check if files exist before attempting operations
 9. Provide clear explanations of what operations you're performing
+10. When tools are provided, call them to perform operations instead of describing what you would do
 
 RESPONSE FORMAT:
 ================
@@ -0,0 +1,321 @@
+import axios from 'axios';
+import { BackendConfig, GenerateRequest, ModelProvider, ProviderChatRequest, StreamHandlers, StreamedReply } from './modelProvider';
+
+/** An installed model as listed by /api/tags, with the details /api/show adds. */
+export interface OllamaModelInfo {
+    name: string;
+    size: number;
+    modifiedAt?: string;
+    family?: string;
+    parameterSize?: string;
+    quantization?: string;
+    contextLength?: number;
+    capabilities?: string[];
+}
+
+/** One line of /api/pull progress; `total` and `completed` are set while a layer downloads. */
+export interface PullProgress {
+    status: string;
+    digest?: string;
+    total?: number;
+    completed?: number;
+}
+
+/**
+ * Ollama's native API: /api/chat streamed as NDJSON, /api/generate and
+ * /api/embed, plus the model management endpoints.
+ */
+export class OllamaProvider implements ModelProvider {
+    public readonly type = 'ollama' as const;
+    public readonly name: string;
+    private readonly url: string;
+    private readonly headers: { [key: string]: string };
+
+    constructor(backend: BackendConfig) {
+        this.name = backend.name;
+        this.url = backend.url.replace(/\/+$/, '');
+        // Ollama itself has no auth, but it is often put behind a proxy that does
+        this.headers = backend.apiKey ? { Authorization: `Bearer ${backend.apiKey}` } : {};
+    }
+
+    public async isAvailable(): Promise<boolean> {
+        try {
+            const response = await axios.get(`${this.url}/api/version`, {
+                headers: this.headers,
+                timeout: 5000
+            });
+            return response.status === 200;
+        } catch (error) {
+            console.error(`[OLLAMA] ${this.name} not available:`, error);
+            return false;
+        }
+    }
+
+    public async listModels(): Promise<string[]> {
+        const response = await axios.get(`${this.url}/api/tags`, { headers: this.headers, timeout: 10000 });
+        return response.data.models?.map((model: any) => model.name) || [];
+    }
+
+    public async listModelDetails(): Promise<OllamaModelInfo[]> {
+        const response = await axios.get(`${this.url}/api/tags`, { headers: this.headers, timeout: 10000 });
+        return (response.data.models || []).map((model: any) => ({
+            name: model.name,
+            size: model.size || 0,
+            modifiedAt: model.modified_at,
+            family: model.details?.family,
+            parameterSize: model.details?.parameter_size,
+            quantization: model.details?.quantization_level
+        }));
+    }
+
+    /** Details from /api/show. The context length is stored under an architecture-specific key. */
+    public async show(model: string): Promise<Partial<OllamaModelInfo>> {
+        const response = await axios.post(`${this.url}/api/show`, { model }, { headers: this.headers, timeout: 10000 });
+        const data = response.data || {};
+        const info = data.model_info || {};
+        const contextKey = Object.keys(info).find(key => key.endsWith('.context_length'));
+        return {
+            family: data.details?.family,
+            parameterSize: data.details?.parameter_size,
+            quantization: data.details?.quantization_level,
+            contextLength: contextKey ? info[contextKey] : undefined,
+            capabilities: Array.isArray(data.capabilities) ? data.capabilities : undefined
+        };
+    }
+
+    /**
+     * Downloads a model with /api/pull, reporting each NDJSON progress line.
+     * Aborting the signal closes the stream, which stops the download; a later
+     * pull resumes from the layers already fetched.
+     */
+    public async pull(model: string, onProgress: (progress: PullProgress) => void, signal?: AbortSignal): Promise<void> {
+        const response = await axios.post(`${this.url}/api/pull`, { model, stream: true }, {
+            headers: this.headers,
+            responseType: 'stream',
+            signal
+        });
+
+        await new Promise<void>((resolve, reject) => {
+            let buffer = '';
+            let finished = false;
+
+            const onAbort = () => {
+                finished = true;
+                response.data.destroy();
+                reject(new Error('Download cancelled'));
+            };
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            const handleLine = (line: string) => {
+                if (line.trim() === '' || finished) return;
+
+                let data: any;
+                try {
+                    data = JSON.parse(line);
+                } catch (e) {
+                    console.error('[OLLAMA] Invalid pull progress line:', line);
+                    return;
+                }
+
+                if (data.error) {
+                    finished = true;
+                    reject(new Error(data.error));
+                    return;
+                }
+                onProgress({ status: data.status || '', digest: data.digest, total: data.total, completed: data.completed });
+                if (data.status === 'success') {
+                    finished = true;
+                    resolve();
+                }
+            };
+
+            response.data.on('data', (chunk: Buffer) => {
+                buffer += chunk.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop() || '';
+                lines.forEach(handleLine);
+            });
+
+            response.data.on('error', (error: any) => {
+                signal?.removeEventListener('abort', onAbort);
+                reject(error);
+            });
+
+            response.data.on('end', () => {
+                signal?.removeEventListener('abort', onAbort);
+                handleLine(buffer);
+                if (!finished) {
+                    reject(new Error('The download ended before Ollama reported success'));
+                }
+            });
+        });
+    }
+
+    public async deleteModel(model: string): Promise<void> {
+        await axios.delete(`${this.url}/api/delete`, { data: { model }, headers: this.headers, timeout: 30000 });
+    }
+
+    public async copyModel(source: string, destination: string): Promise<void> {
+        await axios.post(`${this.url}/api/copy`, { source, destination }, { headers: this.headers, timeout: 30000 });
+    }
+
+    /**
+     * Single non-streaming /api/generate call. When `suffix` is given Ollama
+     * applies the model's fill-in-the-middle template.
+     */
+    public async generate(request: GenerateRequest, signal?: AbortSignal): Promise<string> {
+        const response = await axios.post(`${this.url}/api/generate`, {
+            ...request,
+            stream: false
+        }, {
+            headers: this.headers,
+            timeout: 30000,
+            signal
+        });
+        return response.data?.response || '';
+    }
+
+    /**
+     * Embeds each input with /api/embed. Returns one vector per input.
+     */
+    public async embed(model: string, input: string[], signal?: AbortSignal): Promise<number[][]> {
+        const response = await axios.post(`${this.url}/api/embed`, {
+            model,
+            input
+        }, {
+            headers: this.headers,
+            timeout: 120000,
+            signal
+        });
+        return response.data?.embeddings || [];
+    }
+
+    public async streamChat(request: ProviderChatRequest, handlers: StreamHandlers, signal?: AbortSignal): Promise<StreamedReply> {
+        const payload = {
+            model: request.model,
+            messages: request.messages,
+            ...(request.tools && request.tools.length > 0 ? { tools: request.tools } : {}),
+            ...(request.think !== undefined ? { think: request.think } : {}),
+            ...(request.format ? { format: request.format } : {}),
+            stream: true, // Enable streaming for faster responses
+            options: request.options
+        };
+
+        const response = await axios.post(`${this.url}/api/chat`, payload, {
+            headers: this.headers,
+            responseType: 'stream',
+            timeout: 30000,
+            signal
+        });
+
+        return new Promise<StreamedReply>((resolve, reject) => {
+            const reply: StreamedReply = { content: '', thinking: '', toolCalls: [] };
+            let buffer = '';
+            let finished = false;
+
+            // Closing the response stream makes Ollama stop generating
+            const onAbort = () => {
+                finished = true;
+                response.data.destroy();
+                reject(new Error('Generation stopped by the user'));
+            };
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            const handleLine = (line: string) => {
+                if (line.trim() === '') return;
+
+                let data: any;
+                try {
+                    data = JSON.parse(line);
+                } catch (e) {
+                    console.error('[OLLAMA] Invalid stream line:', line);
+                    return;
+                }
+
+                if (data.error) {
+                    finished = true;
+                    reject(new Error(data.error));
+                    return;
+                }
+                // With `think` set, reasoning arrives in its own field ahead of the content
+                if (data.message?.thinking) {
+                    reply.thinking += data.message.thinking;
+                    handlers.onThinking?.(data.message.thinking);
+                }
+                if (data.message?.content) {
+                    reply.content += data.message.content;
+                    handlers.onToken?.(data.message.content);
+                }
+                if (data.message?.tool_calls) {
+                    reply.toolCalls.push(...data.message.tool_calls);
+                }
+                if (data.done) {
+                    finished = true;
+                    resolve(reply);
+                }
+            };
+
+            response.data.on('data', (chunk: Buffer) => {
+                // Chunks do not align with NDJSON lines; keep the trailing partial line
+                buffer += chunk.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop() || '';
+                lines.forEach(handleLine);
+            });
+
+            response.data.on('error', (error: any) => {
+                signal?.removeEventListener('abort', onAbort);
+                reject(error);
+            });
+
+            response.data.on('end', () => {
+                signal?.removeEventListener('abort', onAbort);
+                handleLine(buffer);
+                if (!finished) {
+                    resolve(reply);
+                }
+            });
+        });
+    }
+
+    public async isToolsUnsupportedError(error: any): Promise<boolean> {
+        if (!axios.isAxiosError(error) || error.response?.status !== 400) {
+            return false;
+        }
+        return (await readErrorBody(error.response.data)).includes('does not support tools');
+    }
+
+    public async isThinkingUnsupportedError(error: any): Promise<boolean> {
+        if (!axios.isAxiosError(error) || error.response?.status !== 400) {
+            return false;
+        }
+        return (await readErrorBody(error.response.data)).includes('does not support thinking');
+    }
+}
+
+// A stream can only be read once, and one error may be checked for several causes
+const errorBodies = new WeakMap<object, Promise<string>>();
+
+/** The body of a failed request, which for streaming requests is itself a stream. */
+export async function readErrorBody(data: any): Promise<string> {
+    if (data && typeof data.on === 'function') {
+        if (!errorBodies.has(data)) {
+            errorBodies.set(data, new Promise<string>((resolve) => {
+                let text = '';
+                data.on('data', (chunk: Buffer) => text += chunk.toString());
+                data.on('end', () => resolve(text));
+                data.on('error', () => resolve(text));
+            }));
+        }
+        return await errorBodies.get(data)!;
+    }
+    return typeof data === 'string' ? data : JSON.stringify(data || '');
+}
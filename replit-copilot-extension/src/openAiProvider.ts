@@ -0,0 +1,254 @@
+import axios from 'axios';
+import { ChatMessage, OllamaToolCall } from './ollamaClient';
+import { BackendConfig, GenerateRequest, ModelProvider, ProviderChatRequest, StreamHandlers, StreamedReply } from './modelProvider';
+import { readErrorBody } from './ollamaProvider';
+import { detectImageType } from './imageAttachments';
+
+/**
+ * Any server speaking the OpenAI chat completions API: LM Studio, llama.cpp,
+ * vLLM, LocalAI, OpenRouter, OpenAI itself, or Ollama's own /v1 endpoint.
+ */
+export class OpenAICompatibleProvider implements ModelProvider {
+    public readonly type = 'openai' as const;
+    public readonly name: string;
+    private readonly baseUrl: string;
+    private readonly headers: { [key: string]: string };
+
+    constructor(backend: BackendConfig) {
+        this.name = backend.name;
+        // Accept both "http://host:1234" and "http://host:1234/v1"
+        const url = backend.url.replace(/\/+$/, '');
+        this.baseUrl = /\/v\d+$/.test(url) ? url : `${url}/v1`;
+        this.headers = backend.apiKey ? { Authorization: `Bearer ${backend.apiKey}` } : {};
+    }
+
+    public async isAvailable(): Promise<boolean> {
+        try {
+            await this.listModels();
+            return true;
+        } catch (error) {
+            console.error(`[OPENAI] ${this.name} not available:`, error);
+            return false;
+        }
+    }
+
+    public async listModels(): Promise<string[]> {
+        const response = await axios.get(`${this.baseUrl}/models`, { headers: this.headers, timeout: 10000 });
+        return (response.data?.data || []).map((model: any) => model.id).filter(Boolean).sort();
+    }
+
+    /** /v1/completions; servers that support it treat `suffix` as fill-in-the-middle. */
+    public async generate(request: GenerateRequest, signal?: AbortSignal): Promise<string> {
+        const response = await axios.post(`${this.baseUrl}/completions`, {
+            model: request.model,
+            prompt: request.prompt,
+            ...(request.suffix !== undefined ? { suffix: request.suffix } : {}),
+            ...OpenAICompatibleProvider.samplingOptions(request.options || {}),
+            stream: false
+        }, {
+            headers: this.headers,
+            timeout: 30000,
+            signal
+        });
+        return response.data?.choices?.[0]?.text || '';
+    }
+
+    public async embed(model: string, input: string[], signal?: AbortSignal): Promise<number[][]> {
+        const response = await axios.post(`${this.baseUrl}/embeddings`, { model, input }, {
+            headers: this.headers,
+            timeout: 120000,
+            signal
+        });
+        const data: { index: number; embedding: number[] }[] = response.data?.data || [];
+        return [...data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    }
+
+    /**
+     * Streams /v1/chat/completions as server-sent events. Tool calls arrive
+     * in fragments keyed by index, with the arguments as a JSON string that
+     * is only complete once the stream ends.
+     */
+    public async streamChat(request: ProviderChatRequest, handlers: StreamHandlers, signal?: AbortSignal): Promise<StreamedReply> {
+        const payload = {
+            model: request.model,
+            messages: OpenAICompatibleProvider.toOpenAIMessages(request.messages),
+            ...(request.tools && request.tools.length > 0 ? { tools: request.tools } : {}),
+            ...(request.format ? { response_format: { type: 'json_schema', json_schema: { name: 'response', schema: request.format } } } : {}),
+            ...OpenAICompatibleProvider.samplingOptions(request.options),
+            stream: true
+        };
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, payload, {
+            headers: this.headers,
+            responseType: 'stream',
+            timeout: 30000,
+            signal
+        });
+
+        return new Promise<StreamedReply>((resolve, reject) => {
+            let content = '';
+            let thinking = '';
+            const calls: { id?: string; name: string; arguments: string }[] = [];
+            let buffer = '';
+            let finished = false;
+
+            const finish = () => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                try {
+                    resolve({ content, thinking, toolCalls: calls.filter(Boolean).map(OpenAICompatibleProvider.toToolCall) });
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            const onAbort = () => {
+                finished = true;
+                response.data.destroy();
+                reject(new Error('Generation stopped by the user'));
+            };
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            const handleLine = (line: string) => {
+                const trimmed = line.trim();
+                // Blank lines separate events; lines starting with ":" are keep-alive comments
+                if (!trimmed.startsWith('data:') || finished) return;
+
+                const body = trimmed.slice(5).trim();
+                if (body === '[DONE]') {
+                    finish();
+                    return;
+                }
+
+                let data: any;
+                try {
+                    data = JSON.parse(body);
+                } catch (e) {
+                    console.error('[OPENAI] Invalid stream line:', line);
+                    return;
+                }
+
+                if (data.error) {
+                    finished = true;
+                    reject(new Error(data.error.message || JSON.stringify(data.error)));
+                    return;
+                }
+
+                const delta = data.choices?.[0]?.delta;
+                // Not part of the OpenAI API, but how vLLM, llama.cpp and others stream reasoning
+                const reasoning = delta?.reasoning_content || delta?.reasoning;
+                if (typeof reasoning === 'string' && reasoning) {
+                    thinking += reasoning;
+                    handlers.onThinking?.(reasoning);
+                }
+                if (delta?.content) {
+                    content += delta.content;
+                    handlers.onToken?.(delta.content);
+                }
+                for (const fragment of delta?.tool_calls || []) {
+                    const index = typeof fragment.index === 'number' ? fragment.index : calls.length;
+                    const call = calls[index] || (calls[index] = { name: '', arguments: '' });
+                    if (fragment.id) call.id = fragment.id;
+                    if (fragment.function?.name) call.name += fragment.function.name;
+                    if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+                }
+            };
+
+            response.data.on('data', (chunk: Buffer) => {
+                buffer += chunk.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop() || '';
+                lines.forEach(handleLine);
+            });
+
+            response.data.on('error', (error: any) => {
+                signal?.removeEventListener('abort', onAbort);
+                reject(error);
+            });
+
+            response.data.on('end', () => {
+                signal?.removeEventListener('abort', onAbort);
+                handleLine(buffer);
+                finish();
+            });
+        });
+    }
+
+    /** There is no standard error for this, but servers name tools in the 400 they return. */
+    public async isToolsUnsupportedError(error: any): Promise<boolean> {
+        if (!axios.isAxiosError(error) || error.response?.status !== 400) {
+            return false;
+        }
+        return /tool/i.test(await readErrorBody(error.response.data));
+    }
+
+    /** The OpenAI API has no `think` switch, so `request.think` is never sent. */
+    public async isThinkingUnsupportedError(_error: any): Promise<boolean> {
+        return false;
+    }
+
+    private static toToolCall(call: { id?: string; name: string; arguments: string }): OllamaToolCall {
+        let args: { [key: string]: any } = {};
+        if (call.arguments.trim()) {
+            try {
+                args = JSON.parse(call.arguments);
+            } catch {
+                throw new Error(`The model called ${call.name} with invalid JSON arguments: ${call.arguments.slice(0, 200)}`);
+            }
+        }
+        return { ...(call.id ? { id: call.id } : {}), function: { name: call.name, arguments: args } };
+    }
+
+    /**
+     * OpenAI pairs each tool result with the call that requested it by id.
+     * Ollama has no ids, so history recorded against an Ollama backend gets
+     * ids made up here, matched to results in call order.
+     */
+    private static toOpenAIMessages(messages: ChatMessage[]): any[] {
+        const pending: string[] = [];
+        return messages.map((message, i) => {
+            if (message.role === 'assistant' && message.tool_calls?.length) {
+                const toolCalls = message.tool_calls.map((call, j) => {
+                    const id = call.id || `call_${i}_${j}`;
+                    pending.push(id);
+                    return { id, type: 'function', function: { name: call.function.name, arguments: JSON.stringify(call.function.arguments || {}) } };
+                });
+                return { role: 'assistant', content: message.content || null, tool_calls: toolCalls };
+            }
+            if (message.role === 'tool') {
+                const known = message.tool_call_id ? pending.indexOf(message.tool_call_id) : -1;
+                const id = known >= 0 ? pending.splice(known, 1)[0] : message.tool_call_id || pending.shift() || `call_${i}`;
+                return { role: 'tool', tool_call_id: id, content: message.content };
+            }
+            if (message.images?.length) {
+                return {
+                    role: message.role,
+                    content: [
+                        { type: 'text', text: message.content },
+                        ...message.images.map(data => ({ type: 'image_url', image_url: { url: `data:${detectImageType(data) || 'image/png'};base64,${data}` } }))
+                    ]
+                };
+            }
+            return { role: message.role, content: message.content };
+        });
+    }
+
+    /** Translates the Ollama option names used across the extension; the rest have no equivalent. */
+    private static samplingOptions(options: { [key: string]: any }): { [key: string]: any } {
+        const mapped: { [key: string]: any } = {};
+        if (options.temperature !== undefined) mapped.temperature = options.temperature;
+        if (options.top_p !== undefined) mapped.top_p = options.top_p;
+        if (options.num_predict !== undefined && options.num_predict > 0) mapped.max_tokens = options.num_predict;
+        if (options.seed !== undefined) mapped.seed = options.seed;
+        if (options.stop !== undefined) mapped.stop = options.stop;
+        if (options.presence_penalty !== undefined) mapped.presence_penalty = options.presence_penalty;
+        if (options.frequency_penalty !== undefined) mapped.frequency_penalty = options.frequency_penalty;
+        return mapped;
+    }
+}
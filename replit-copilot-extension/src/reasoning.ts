@@ -0,0 +1,104 @@
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+/**
+ * Separates `<think>...</think>` reasoning from streamed answer text. Some
+ * models and servers write their reasoning into the content this way rather
+ * than in a separate field. Only a tag at the start of the reply counts, so
+ * an answer that talks about `<think>` tags is left alone. Tags split across
+ * tokens are held back until it is clear what they are.
+ */
+export class ThinkTagSplitter {
+    public content = '';
+    public thinking = '';
+    private pending = '';
+    private inThinking = false;
+    private answerStarted = false;
+    private closedThinking = false;
+
+    constructor(private readonly handlers: { onToken?: (token: string) => void; onThinking?: (token: string) => void } = {}) {}
+
+    public push(token: string) {
+        let text = this.pending + token;
+        this.pending = '';
+
+        while (text) {
+            if (this.inThinking) {
+                const close = text.indexOf(CLOSE_TAG);
+                if (close !== -1) {
+                    this.emitThinking(text.slice(0, close));
+                    this.inThinking = false;
+                    this.closedThinking = true;
+                    text = text.slice(close + CLOSE_TAG.length);
+                    continue;
+                }
+                const held = ThinkTagSplitter.partialTagLength(text, CLOSE_TAG);
+                this.emitThinking(text.slice(0, text.length - held));
+                this.pending = text.slice(text.length - held);
+                return;
+            }
+
+            if (!this.answerStarted) {
+                const trimmed = text.replace(/^\s+/, '');
+                if (trimmed.startsWith(OPEN_TAG)) {
+                    this.inThinking = true;
+                    text = trimmed.slice(OPEN_TAG.length);
+                    continue;
+                }
+                if (trimmed === '' || OPEN_TAG.startsWith(trimmed)) {
+                    // Leading whitespace or the start of a tag: wait for more
+                    this.pending = text;
+                    return;
+                }
+                // The answer after a reasoning block usually starts with blank lines
+                if (this.closedThinking) {
+                    text = trimmed;
+                }
+            }
+            this.emitContent(text);
+            return;
+        }
+    }
+
+    /** Releases anything held back once the stream has ended. */
+    public end() {
+        const rest = this.pending;
+        this.pending = '';
+        if (this.inThinking) {
+            this.emitThinking(rest);
+        } else if (!this.closedThinking || rest.trim()) {
+            this.emitContent(rest);
+        }
+    }
+
+    private emitContent(text: string) {
+        if (!text) return;
+        this.answerStarted = true;
+        this.content += text;
+        this.handlers.onToken?.(text);
+    }
+
+    private emitThinking(text: string) {
+        if (!text) return;
+        this.thinking += text;
+        this.handlers.onThinking?.(text);
+    }
+
+    /** Length of the longest end of `text` that could be the start of `tag`. */
+    private static partialTagLength(text: string, tag: string): number {
+        for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+            if (tag.startsWith(text.slice(text.length - length))) {
+                return length;
+            }
+        }
+        return 0;
+    }
+}
+
+/** The answer part of a complete reply, for non-streamed output such as titles and summaries. */
+export function stripThinking(text: string): string {
+    const splitter = new ThinkTagSplitter();
+    splitter.push(text);
+    splitter.end();
+    return splitter.content;
+}
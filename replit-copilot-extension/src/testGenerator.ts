@@ -0,0 +1,424 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { OllamaClient } from './ollamaClient';
+import { FileOperationsManager } from './fileOperationsManager';
+import { WorkspaceRoots, isWithin } from './workspaceRoots';
+
+export type TestFramework = 'jest' | 'vitest' | 'mocha' | 'pytest';
+
+const JS_LANGUAGES = ['javascript', 'typescript', 'javascriptreact', 'typescriptreact'];
+const JS_FRAMEWORKS: TestFramework[] = ['vitest', 'jest', 'mocha'];
+const JS_CONFIG_FILES: { [framework: string]: string[] } = {
+    vitest: ['vitest.config.ts', 'vitest.config.js', 'vitest.config.mts', 'vitest.config.mjs'],
+    jest: ['jest.config.js', 'jest.config.ts', 'jest.config.cjs', 'jest.config.mjs', 'jest.config.json'],
+    mocha: ['.mocharc.js', '.mocharc.cjs', '.mocharc.json', '.mocharc.yml', '.mocharc.yaml']
+};
+const PYTEST_FILES = ['pytest.ini', 'conftest.py'];
+const PYTEST_MANIFESTS: { [file: string]: RegExp } = {
+    'pyproject.toml': /\[tool\.pytest|\bpytest\b/,
+    'setup.cfg': /\[tool:pytest\]|\bpytest\b/,
+    'tox.ini': /\[pytest\]|\bpytest\b/,
+    'requirements.txt': /^pytest\b/m,
+    'requirements-dev.txt': /^pytest\b/m,
+    'dev-requirements.txt': /^pytest\b/m
+};
+
+const JS_TEST_GLOB = '{**/*.test.*,**/*.spec.*,**/__tests__/**,**/test/**,**/tests/**}';
+const JS_TEST_FILE = /\.(m|c)?(j|t)sx?$/;
+const PYTHON_TEST_GLOB = '{**/test_*.py,**/*_test.py}';
+const TEST_EXCLUDE = '**/{node_modules,.git,dist,out,build,coverage,.venv,venv,__pycache__}/**';
+const MAX_TEST_FILES = 500;
+const TEST_DIRECTORIES = ['test', 'tests'];
+// Leading source folders left out when a test folder mirrors the source tree
+const SOURCE_DIRECTORIES = ['src', 'lib'];
+const MAX_EXAMPLE_CHARS = 6000;
+const MAX_CONTEXT_FILE_CHARS = 12000;
+
+/** Where the tests for a source file go. */
+interface TestTarget {
+    uri: vscode.Uri;
+    exists: boolean;
+    /** For a new file, the existing test closest to it, shown to the model as a style example. */
+    example?: vscode.Uri;
+}
+
+/**
+ * "Generate Tests" for a selection or a whole file. The test framework is
+ * detected from the nearest `package.json`, framework config or Python
+ * project files; the test file's name and location follow the tests already
+ * in the workspace, and the nearest one serves as a style example. The
+ * result is created or appended through the file operations, so it is
+ * reviewed before anything is written.
+ */
+export class TestGenerator {
+    constructor(
+        private readonly ollamaClient: OllamaClient,
+        private readonly fileOps: FileOperationsManager,
+        private readonly roots: WorkspaceRoots
+    ) {}
+
+    public register(context: vscode.ExtensionContext) {
+        context.subscriptions.push(
+            // The Explorer context menu passes the file; from the editor the selection is used
+            vscode.commands.registerCommand('replit-copilot.generateTests', (uri?: vscode.Uri) => this.report(this.generateTests(uri)))
+        );
+    }
+
+    private async generateTests(uri?: vscode.Uri) {
+        const editor = vscode.window.activeTextEditor;
+        const document = uri ? await vscode.workspace.openTextDocument(uri) : editor?.document;
+        if (!document || document.uri.scheme !== 'file') {
+            vscode.window.showWarningMessage('Open or select a source file to generate tests for');
+            return;
+        }
+        const selection = editor && editor.document === document && !editor.selection.isEmpty ? editor.selection : undefined;
+        const code = selection ? document.getText(selection) : document.getText();
+        if (!code.trim()) {
+            vscode.window.showWarningMessage('There is no code to test');
+            return;
+        }
+
+        const framework = await this.framework(document);
+        if (!framework) {
+            return;
+        }
+        const target = await this.testTarget(document.uri, framework);
+        const sourcePath = this.roots.relativePath(document.uri);
+        const testPath = this.roots.relativePath(target.uri);
+        console.log(`[TESTS] ${framework} tests for ${sourcePath} go to ${testPath}${target.exists ? ' (append)' : ''}, example: ${target.example ? this.roots.relativePath(target.example) : 'none'}`);
+
+        const content = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: `Writing ${framework} tests for ${path.basename(document.uri.fsPath)}`, cancellable: true },
+            async (_progress, token) => {
+                const controller = new AbortController();
+                token.onCancellationRequested(() => controller.abort());
+                try {
+                    const prompt = await this.prompt(document, selection, framework, target);
+                    const reply = await this.ollamaClient.generate({
+                        model: this.ollamaClient.model,
+                        prompt,
+                        options: { temperature: 0.2, num_ctx: this.ollamaClient.contextWindow('generate') }
+                    }, controller.signal);
+                    return /```[^\n]*\n([\s\S]*?)\n?```/.exec(reply)?.[1] ?? reply.trim();
+                } catch (error) {
+                    if (token.isCancellationRequested) {
+                        return undefined;
+                    }
+                    throw error;
+                }
+            }
+        );
+        if (content === undefined) {
+            return;
+        }
+        if (!content.trim()) {
+            throw new Error('The model returned no tests');
+        }
+
+        const result = await this.fileOps.executeFileOperation({
+            type: target.exists ? 'append' : 'create',
+            path: target.uri.fsPath,
+            content: content.endsWith('\n') ? content : `${content}\n`
+        });
+        if (result.startsWith('❌')) {
+            throw new Error(result.replace(/^❌\s*/, ''));
+        }
+        console.log('[TESTS]', result);
+    }
+
+    private async prompt(document: vscode.TextDocument, selection: vscode.Selection | undefined, framework: TestFramework, target: TestTarget): Promise<string> {
+        const language = document.languageId;
+        const sourcePath = this.roots.relativePath(document.uri);
+        const testPath = this.roots.relativePath(target.uri);
+        const what = selection ? `the selected code (lines ${selection.start.line + 1}-${selection.end.line + 1}) of ${sourcePath}` : sourcePath;
+        const sections = [
+            `Write ${framework} unit tests for ${what}. Cover the normal behaviour, edge cases and error handling, with descriptive test names.`
+        ];
+
+        if (target.exists) {
+            sections.push(`The tests will be appended to the existing test file ${testPath}, shown below. Reply with only the new tests and any imports they need that the file does not already have; do not repeat existing tests.`);
+        } else {
+            sections.push(`The tests go in a new file, ${testPath}. Import the code under test from \`${importPath(document.uri, target.uri, framework, this.roots)}\`.`);
+        }
+        sections.push('Reply with a single code block and nothing else.');
+
+        sections.push(`Code under test:\n\`\`\`${language}\n${selection ? document.getText(selection) : document.getText()}\n\`\`\``);
+        if (selection && document.getText().length <= MAX_CONTEXT_FILE_CHARS) {
+            sections.push(`The whole of ${sourcePath}, for its imports and exports:\n\`\`\`${language}\n${document.getText()}\n\`\`\``);
+        }
+
+        if (target.exists) {
+            const existing = await readText(target.uri);
+            sections.push(`Existing ${testPath}:\n\`\`\`${language}\n${clip(existing || '')}\n\`\`\``);
+        } else if (target.example) {
+            const example = await readText(target.example);
+            if (example) {
+                sections.push(`An existing test in this project (${this.roots.relativePath(target.example)}); follow its style for structure, naming, assertions and mocking:\n\`\`\`${language}\n${clip(example)}\n\`\`\``);
+            }
+        }
+        return sections.join('\n\n');
+    }
+
+    /** The detected framework, or the user's pick when nothing gives it away. */
+    private async framework(document: vscode.TextDocument): Promise<TestFramework | undefined> {
+        const isPython = document.languageId === 'python';
+        if (!isPython && !JS_LANGUAGES.includes(document.languageId)) {
+            vscode.window.showWarningMessage(`Generating tests supports JavaScript, TypeScript and Python files, not ${document.languageId}`);
+            return undefined;
+        }
+
+        const detected = await detectTestFramework(document.uri, document.languageId, this.roots.rootOf(document.uri)?.uri);
+        if (detected) {
+            return detected;
+        }
+        if (isPython) {
+            // pytest also runs unittest-style tests, so it is a safe default
+            return 'pytest';
+        }
+        const picked = await vscode.window.showQuickPick(JS_FRAMEWORKS, {
+            placeHolder: 'No test framework found in package.json; which one should the tests use?'
+        });
+        return picked as TestFramework | undefined;
+    }
+
+    /**
+     * The existing test file for `source` if there is one, otherwise a new
+     * path named and placed like the workspace's other tests.
+     */
+    private async testTarget(source: vscode.Uri, framework: TestFramework): Promise<TestTarget> {
+        const root = this.roots.rootOf(source)?.uri ?? vscode.Uri.file(path.dirname(source.fsPath));
+        const tests = (await findTests(root, framework)).filter(test => test.fsPath !== source.fsPath);
+        const relative = (uri: vscode.Uri) => path.relative(root.fsPath, uri.fsPath).split(path.sep).join('/');
+        const sourcePath = relative(source);
+        const extension = path.extname(source.fsPath);
+        const base = path.basename(source.fsPath, extension);
+        const nearest = (candidates: vscode.Uri[], to: string) => candidates
+            .slice()
+            .sort((a, b) => sharedSegments(relative(b), to) - sharedSegments(relative(a), to))[0];
+
+        const existing = tests.filter(test => testedName(relative(test), framework) === base);
+        if (existing.length > 0) {
+            return { uri: nearest(existing, sourcePath), exists: true };
+        }
+
+        const folder = testFolder(path.posix.dirname(sourcePath), tests.map(relative));
+        let name = testFileName(base, extension, framework, tests.map(relative), isTestFolder(folder));
+        let uri = vscode.Uri.joinPath(root, folder === '.' ? name : `${folder}/${name}`);
+        if (uri.fsPath === source.fsPath) {
+            // A source file inside a test folder would otherwise be its own test file
+            name = `${base}.test${extension}`;
+            uri = vscode.Uri.joinPath(root, folder === '.' ? name : `${folder}/${name}`);
+        }
+        const exists = await vscode.workspace.fs.stat(uri).then(() => true, () => false);
+        return { uri, exists, example: exists ? undefined : nearest(tests, relative(uri)) };
+    }
+
+    private async report(task: Promise<void>) {
+        try {
+            await task;
+        } catch (error) {
+            console.error('[TESTS] Failed:', error);
+            vscode.window.showErrorMessage(`Ollama: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+}
+
+/**
+ * Looks for a test framework from the file's folder up to `root`: framework
+ * config files and `package.json` dependencies or test script for
+ * JavaScript and TypeScript, pytest files and mentions in Python project files.
+ */
+export async function detectTestFramework(source: vscode.Uri, languageId: string, root?: vscode.Uri): Promise<TestFramework | undefined> {
+    for (const folder of ancestors(source, root)) {
+        const exists = (name: string) => vscode.workspace.fs.stat(vscode.Uri.joinPath(folder, name)).then(() => true, () => false);
+
+        if (languageId === 'python') {
+            for (const name of PYTEST_FILES) {
+                if (await exists(name)) {
+                    return found('pytest', folder, name);
+                }
+            }
+            for (const [name, pattern] of Object.entries(PYTEST_MANIFESTS)) {
+                const text = await readText(vscode.Uri.joinPath(folder, name));
+                if (text && pattern.test(text)) {
+                    return found('pytest', folder, name);
+                }
+            }
+            continue;
+        }
+
+        for (const framework of JS_FRAMEWORKS) {
+            for (const name of JS_CONFIG_FILES[framework]) {
+                if (await exists(name)) {
+                    return found(framework, folder, name);
+                }
+            }
+        }
+        const manifest = await readText(vscode.Uri.joinPath(folder, 'package.json'));
+        if (manifest) {
+            let pkg: any;
+            try {
+                pkg = JSON.parse(manifest);
+            } catch {
+                continue;
+            }
+            const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+            const testScript = typeof pkg.scripts?.test === 'string' ? pkg.scripts.test : '';
+            const framework = JS_FRAMEWORKS.find(candidate => dependencies[candidate] || new RegExp(`\\b${candidate}\\b`).test(testScript))
+                ?? (pkg.jest || dependencies['ts-jest'] ? 'jest' : undefined);
+            if (framework) {
+                return found(framework, folder, 'package.json');
+            }
+        }
+    }
+    return undefined;
+}
+
+function found(framework: TestFramework, folder: vscode.Uri, file: string): TestFramework {
+    console.log(`[TESTS] Detected ${framework} from ${path.join(folder.fsPath, file)}`);
+    return framework;
+}
+
+/** The file's folder and its parents, nearest first, stopping at `root`. */
+function ancestors(source: vscode.Uri, root?: vscode.Uri): vscode.Uri[] {
+    const folders: vscode.Uri[] = [];
+    let current = path.dirname(source.fsPath);
+    while (true) {
+        folders.push(vscode.Uri.file(current));
+        const parent = path.dirname(current);
+        if (!root || current === root.fsPath || parent === current || isWithin(root.fsPath, parent) === undefined) {
+            return folders;
+        }
+        current = parent;
+    }
+}
+
+async function findTests(root: vscode.Uri, framework: TestFramework): Promise<vscode.Uri[]> {
+    const python = framework === 'pytest';
+    const files = await vscode.workspace.findFiles(new vscode.RelativePattern(root, python ? PYTHON_TEST_GLOB : JS_TEST_GLOB), TEST_EXCLUDE, MAX_TEST_FILES);
+    return python ? files : files.filter(file => JS_TEST_FILE.test(file.fsPath));
+}
+
+/** The source file name a test file is for, e.g. `parser` for `parser.test.ts` or `test_parser.py`. */
+function testedName(testPath: string, framework: TestFramework): string | undefined {
+    const name = path.posix.basename(testPath);
+    if (framework === 'pytest') {
+        return /^test_(.+)\.py$/.exec(name)?.[1] ?? /^(.+)_test\.py$/.exec(name)?.[1];
+    }
+    const suffixed = /^(.+)\.(test|spec)\.[^.]+$/.exec(name);
+    if (suffixed) {
+        return suffixed[1];
+    }
+    // Files inside a test folder are often named after their source without a suffix
+    return isTestFolder(path.posix.dirname(testPath)) ? name.replace(/\.[^.]+$/, '') : undefined;
+}
+
+function isTestFolder(folder: string): boolean {
+    return folder.split('/').some(segment => TEST_DIRECTORIES.includes(segment) || segment === '__tests__');
+}
+
+/**
+ * `name.test.ts`, `name.spec.ts`, `test_name.py` or `name_test.py`, whichever
+ * the workspace uses most. A plain `name.ts` is only used inside a test
+ * folder; next to the source it would be the source file itself.
+ */
+function testFileName(base: string, extension: string, framework: TestFramework, tests: string[], inTestFolder: boolean): string {
+    const names = tests.map(test => path.posix.basename(test));
+    if (framework === 'pytest') {
+        const suffixed = names.filter(name => name.endsWith('_test.py')).length;
+        return suffixed > names.length - suffixed ? `${base}_test.py` : `test_${base}.py`;
+    }
+    const spec = names.filter(name => /\.spec\.[^.]+$/.test(name)).length;
+    const test = names.filter(name => /\.test\.[^.]+$/.test(name)).length;
+    const plain = names.length - spec - test;
+    if (inTestFolder && plain > spec && plain > test) {
+        return `${base}${extension}`;
+    }
+    return `${base}.${spec > test ? 'spec' : 'test'}${extension}`;
+}
+
+/**
+ * The folder for a new test, relative to the root: next to the source, in a
+ * `__tests__` folder beside it, or in a `test`/`tests` folder that is flat or
+ * mirrors the source tree, whichever the workspace's tests do most.
+ */
+function testFolder(sourceFolder: string, tests: string[]): string {
+    let beside = 0;
+    let nested = 0;
+    const testRoots = new Map<string, string[]>();
+    for (const test of tests) {
+        const segments = test.split('/').slice(0, -1);
+        const index = segments.findIndex(segment => TEST_DIRECTORIES.includes(segment));
+        if (segments.includes('__tests__')) {
+            nested++;
+        } else if (index !== -1) {
+            const testRoot = segments.slice(0, index + 1).join('/');
+            testRoots.set(testRoot, [...(testRoots.get(testRoot) || []), test]);
+        } else {
+            beside++;
+        }
+    }
+    const inTestRoots = Array.from(testRoots.values()).reduce((sum, list) => sum + list.length, 0);
+    if (nested > beside && nested >= inTestRoots) {
+        return path.posix.join(sourceFolder, '__tests__');
+    }
+    if (inTestRoots === 0 || beside >= inTestRoots) {
+        return sourceFolder;
+    }
+
+    // The test folder of the same package wins, then the busiest one
+    const candidates = Array.from(testRoots.entries()).sort(([a, aTests], [b, bTests]) => {
+        const owns = (testRoot: string) => {
+            const parent = path.posix.dirname(testRoot);
+            return parent === '.' || sourceFolder === parent || sourceFolder.startsWith(`${parent}/`) ? parent.length + 1 : 0;
+        };
+        return owns(b) - owns(a) || bTests.length - aTests.length;
+    });
+    const [testRoot, rootTests] = candidates[0];
+    if (rootTests.every(test => path.posix.dirname(test) === testRoot)) {
+        return testRoot;
+    }
+    const parent = path.posix.dirname(testRoot);
+    const inPackage = (parent === '.' ? sourceFolder : path.posix.relative(parent, sourceFolder)).split('/').filter(segment => segment && segment !== '.');
+    if (SOURCE_DIRECTORIES.includes(inPackage[0])) {
+        inPackage.shift();
+    }
+    return [testRoot, ...inPackage].join('/');
+}
+
+/** How the new test file refers to the code under test. */
+function importPath(source: vscode.Uri, test: vscode.Uri, framework: TestFramework, roots: WorkspaceRoots): string {
+    if (framework === 'pytest') {
+        const root = roots.rootOf(source)?.uri.fsPath ?? path.dirname(source.fsPath);
+        const segments = path.relative(root, source.fsPath).replace(/\.py$/, '').split(path.sep);
+        if (SOURCE_DIRECTORIES.includes(segments[0]) && segments.length > 1) {
+            segments.shift();
+        }
+        return segments.join('.');
+    }
+    const relative = path.relative(path.dirname(test.fsPath), source.fsPath).split(path.sep).join('/').replace(/\.(m|c)?(j|t)sx?$/, '');
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+/** How many leading path segments two workspace-relative paths share. */
+function sharedSegments(a: string, b: string): number {
+    const left = a.split('/');
+    const right = b.split('/');
+    let count = 0;
+    while (count < left.length - 1 && count < right.length - 1 && left[count] === right[count]) {
+        count++;
+    }
+    return count;
+}
+
+async function readText(uri: vscode.Uri): Promise<string | undefined> {
+    try {
+        return Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+    } catch {
+        return undefined;
+    }
+}
+
+function clip(text: string): string {
+    return text.length > MAX_EXAMPLE_CHARS ? `${text.slice(0, MAX_EXAMPLE_CHARS)}\n… (truncated)` : text;
+}
@@ -0,0 +1,252 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { WorkspaceRoots, isWithin, realPath } from './workspaceRoots';
+
+export type PermissionMode = 'allow' | 'ask' | 'deny';
+export type PathAccess = 'read' | 'write';
+export type RememberScope = 'workspace' | 'global';
+
+/** A built-in tool by name, or an MCP tool by server and tool name. */
+export interface ToolRef {
+    name: string;
+    serverId?: string;
+}
+
+// Anything that leaves the machine or runs arbitrary code asks first; file
+// writes are already staged for review, so they run unattended by default
+const DEFAULT_MODES: { [key: string]: PermissionMode } = {
+    run_terminal_command: 'ask',
+    fetch_url_content: 'ask',
+    mcp: 'ask'
+};
+const DEFAULT_PROTECTED_PATHS = ['.env', '.env.*', '**/.git/**'];
+
+/**
+ * Decides which tool calls may run unattended and which paths tools may
+ * touch. Per-tool modes come from `replitCopilot.toolPermissions` in user and
+ * workspace settings; remembered answers are written back to that setting.
+ */
+export class ToolPolicy {
+    constructor(private readonly roots: WorkspaceRoots) {}
+
+    /**
+     * Most specific key first. MCP tools can be configured per tool
+     * (`mcp:server/tool`), per server (`mcp:server`) or all at once (`mcp`).
+     */
+    public static keys(tool: ToolRef): string[] {
+        return tool.serverId ? [`mcp:${tool.serverId}/${tool.name}`, `mcp:${tool.serverId}`, 'mcp'] : [tool.name];
+    }
+
+    public modeFor(tool: ToolRef): PermissionMode {
+        const permissions = this.permissions();
+        const keys = ToolPolicy.keys(tool);
+        for (const key of keys) {
+            if (permissions[key]) {
+                return permissions[key];
+            }
+        }
+        return DEFAULT_MODES[keys[keys.length - 1]] || 'allow';
+    }
+
+    /**
+     * Asks the user whether a gated call may run, offering to remember the
+     * answer. Dismissing the prompt counts as a refusal.
+     */
+    public async confirm(tool: ToolRef, args: any): Promise<boolean> {
+        type Choice = vscode.QuickPickItem & { mode: PermissionMode; scope?: RememberScope };
+        const choices: Choice[] = [
+            { label: '$(check) Allow once', mode: 'allow' },
+            { label: '$(check-all) Always allow in this workspace', mode: 'allow', scope: 'workspace' },
+            { label: '$(check-all) Always allow', mode: 'allow', scope: 'global' },
+            { label: '$(circle-slash) Deny', mode: 'deny' },
+            { label: '$(circle-slash) Always deny in this workspace', mode: 'deny', scope: 'workspace' }
+        ];
+        const available = vscode.workspace.workspaceFolders ? choices : choices.filter(choice => choice.scope !== 'workspace');
+
+        const summary = JSON.stringify(args || {});
+        const choice = await vscode.window.showQuickPick(available, {
+            title: `Ollama wants to use ${tool.serverId ? `${tool.name} from MCP server ${tool.serverId}` : tool.name}`,
+            placeHolder: summary.length > 200 ? `${summary.slice(0, 200)}…` : summary,
+            ignoreFocusOut: true
+        });
+        if (!choice) {
+            return false;
+        }
+        if (choice.scope) {
+            await this.remember(tool, choice.mode, choice.scope);
+        }
+        return choice.mode === 'allow';
+    }
+
+    public async remember(tool: ToolRef, mode: PermissionMode, scope: RememberScope) {
+        const config = vscode.workspace.getConfiguration('replitCopilot');
+        const inspected = config.inspect<{ [key: string]: PermissionMode }>('toolPermissions');
+        const current = (scope === 'workspace' ? inspected?.workspaceValue : inspected?.globalValue) || {};
+        const target = scope === 'workspace' ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global;
+        await config.update('toolPermissions', { ...current, [ToolPolicy.keys(tool)[0]]: mode }, target);
+    }
+
+    /**
+     * Throws unless a tool may access `uri`. Writes outside the workspace
+     * folders and to protected paths are blocked; reading them needs the
+     * user's confirmation each time. Symlinks are followed, so a link inside
+     * the workspace to a file outside it counts as outside.
+     */
+    public async checkPath(uri: vscode.Uri, access: PathAccess): Promise<void> {
+        const { relative, isProtected } = await this.locate(uri);
+
+        if (relative === undefined) {
+            if (access === 'write' && !this.allowWritesOutsideWorkspace()) {
+                throw new Error(`Writing outside the workspace is blocked: ${uri.fsPath}`);
+            }
+            if (access === 'read' && !(await this.confirmPath(`${uri.fsPath} is outside the workspace.`))) {
+                throw new Error(`Reading ${uri.fsPath} was not allowed`);
+            }
+            return;
+        }
+
+        if (isProtected) {
+            if (access === 'write') {
+                throw new Error(`${relative} is a protected path (replitCopilot.protectedPaths)`);
+            }
+            if (!(await this.confirmPath(`${relative} is a protected path.`))) {
+                throw new Error(`Reading ${relative} was not allowed`);
+            }
+        }
+    }
+
+    /**
+     * Where `uri` really is, without asking the user: its real path relative
+     * to the workspace (undefined when outside it) and whether it is protected.
+     * Outside the workspace only file-name patterns such as `.env` apply.
+     */
+    public async locate(uri: vscode.Uri): Promise<{ relative?: string; isProtected: boolean }> {
+        const relative = await this.workspaceRelativePath(uri);
+        if (relative === undefined) {
+            return { isProtected: this.isProtected(path.basename(uri.fsPath)) };
+        }
+        // A link to a protected file is protected, and so is a link named like one
+        const written = this.lexicalRelativePath(uri);
+        return { relative, isProtected: this.isProtected(relative) || (written !== undefined && this.isProtected(written)) };
+    }
+
+    public isProtected(relativePath: string): boolean {
+        const normalized = relativePath.split(path.sep).join('/');
+        const base = path.posix.basename(normalized);
+        return this.protectedPaths().some(pattern => {
+            const regex = ToolPolicy.globToRegExp(pattern);
+            // Patterns without a slash match a file name at any depth, as in .gitignore
+            return regex.test(normalized) || (!pattern.includes('/') && regex.test(base));
+        });
+    }
+
+    /**
+     * Real path relative to the containing workspace root or folder, or
+     * undefined when outside all of them. A `replitCopilot.workspaceRoot`
+     * outside the open folders is inside the sandbox too.
+     */
+    private async workspaceRelativePath(uri: vscode.Uri): Promise<string | undefined> {
+        if (uri.scheme !== 'file') {
+            return this.lexicalRelativePath(uri);
+        }
+        const target = await realPath(uri.fsPath);
+        for (const folder of this.sandboxFolders()) {
+            if (folder.scheme !== 'file') {
+                continue;
+            }
+            const relative = isWithin(await realPath(folder.fsPath), target);
+            if (relative !== undefined) {
+                return relative;
+            }
+        }
+        return undefined;
+    }
+
+    /** The path as written, relative to a workspace root or folder, without following links. */
+    private lexicalRelativePath(uri: vscode.Uri): string | undefined {
+        for (const folder of this.sandboxFolders()) {
+            if (folder.scheme !== uri.scheme) {
+                continue;
+            }
+            const relative = isWithin(folder.fsPath, uri.fsPath);
+            if (relative !== undefined) {
+                return relative;
+            }
+        }
+        return undefined;
+    }
+
+    private sandboxFolders(): vscode.Uri[] {
+        return [...this.roots.all(), ...(vscode.workspace.workspaceFolders || [])].map(folder => folder.uri);
+    }
+
+    private async confirmPath(reason: string): Promise<boolean> {
+        const answer = await vscode.window.showWarningMessage(`${reason} Allow Ollama to read it?`, { modal: true }, 'Allow');
+        return answer === 'Allow';
+    }
+
+    /**
+     * User and workspace entries merged, workspace winning. An untrusted
+     * workspace can tighten the policy but never allow anything.
+     */
+    private permissions(): { [key: string]: PermissionMode } {
+        const inspected = vscode.workspace.getConfiguration('replitCopilot').inspect<{ [key: string]: PermissionMode }>('toolPermissions');
+        const merged: { [key: string]: PermissionMode } = { ...(inspected?.globalValue || {}) };
+        const workspaceValues = { ...(inspected?.workspaceValue || {}), ...(inspected?.workspaceFolderValue || {}) };
+        for (const [key, mode] of Object.entries(workspaceValues)) {
+            if (mode !== 'allow' || vscode.workspace.isTrusted) {
+                merged[key] = mode;
+            }
+        }
+        return merged;
+    }
+
+    /** Workspace settings may add protected paths but not remove the user's. */
+    private protectedPaths(): string[] {
+        const inspected = vscode.workspace.getConfiguration('replitCopilot').inspect<string[]>('protectedPaths');
+        return [
+            ...(inspected?.globalValue ?? DEFAULT_PROTECTED_PATHS),
+            ...(inspected?.workspaceValue || []),
+            ...(inspected?.workspaceFolderValue || [])
+        ];
+    }
+
+    private allowWritesOutsideWorkspace(): boolean {
+        // Only the user's own settings count; a workspace must not be able to open the sandbox
+        const inspected = vscode.workspace.getConfiguration('replitCopilot').inspect<boolean>('allowWritesOutsideWorkspace');
+        return inspected?.globalValue === true;
+    }
+
+    /** Supports `*`, `**`, `?` and `{a,b}`, which covers the usual protected path patterns. */
+    private static globToRegExp(glob: string): RegExp {
+        let source = '';
+        let braces = 0;
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*' && glob[i + 1] === '*') {
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i++;
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '{') {
+                source += '(?:';
+                braces++;
+            } else if (char === '}' && braces > 0) {
+                source += ')';
+                braces--;
+            } else if (char === ',' && braces > 0) {
+                source += '|';
+            } else {
+                source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${source}$`);
+    }
+}
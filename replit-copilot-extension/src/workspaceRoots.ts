@@ -0,0 +1,187 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { promises as fs } from 'fs';
+
+export interface WorkspaceRoot {
+    name: string;
+    uri: vscode.Uri;
+}
+
+/**
+ * The folders that file operations, searches and context work in: every
+ * workspace folder, or only `replitCopilot.workspaceRoot` when it is set.
+ * With more than one root, paths are shown and accepted as
+ * `folder-name/relative/path`, as VS Code does in multi-root workspaces.
+ */
+export class WorkspaceRoots implements vscode.Disposable {
+    private readonly changeEmitter = new vscode.EventEmitter<void>();
+    /** Fires when folders are added or removed, or the override setting changes. */
+    public readonly onDidChange = this.changeEmitter.event;
+    private roots: WorkspaceRoot[] = [];
+    private readonly disposables: vscode.Disposable[];
+
+    constructor() {
+        this.update();
+        this.disposables = [
+            this.changeEmitter,
+            vscode.workspace.onDidChangeWorkspaceFolders(() => this.refresh()),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('replitCopilot.workspaceRoot')) {
+                    this.refresh();
+                }
+            })
+        ];
+    }
+
+    public all(): WorkspaceRoot[] {
+        return [...this.roots];
+    }
+
+    /** Where new files go when a path does not name a root. */
+    public primary(): WorkspaceRoot | undefined {
+        return this.roots[0];
+    }
+
+    public isMultiRoot(): boolean {
+        return this.roots.length > 1;
+    }
+
+    /** The innermost root containing `uri`. */
+    public rootOf(uri: vscode.Uri): WorkspaceRoot | undefined {
+        let found: WorkspaceRoot | undefined;
+        for (const root of this.roots) {
+            if (root.uri.scheme !== uri.scheme) {
+                continue;
+            }
+            if (isWithin(root.uri.fsPath, uri.fsPath) !== undefined && (!found || root.uri.fsPath.length > found.uri.fsPath.length)) {
+                found = root;
+            }
+        }
+        return found;
+    }
+
+    /** `uri` as shown to the user and the model; absolute when it is outside every root. */
+    public relativePath(uri: vscode.Uri): string {
+        const root = this.rootOf(uri);
+        if (!root) {
+            return uri.scheme === 'file' ? uri.fsPath : uri.toString();
+        }
+        const relative = path.relative(root.uri.fsPath, uri.fsPath).split(path.sep).join('/');
+        if (!this.isMultiRoot()) {
+            return relative || '.';
+        }
+        return relative ? `${root.name}/${relative}` : root.name;
+    }
+
+    /**
+     * Resolves a path typed by the user or the model. Absolute paths are kept.
+     * With several roots a leading folder name picks the root; otherwise the
+     * first root where the path exists is used, or the primary root for a
+     * path that does not exist yet.
+     */
+    public async resolve(filePath: string): Promise<vscode.Uri> {
+        if (path.isAbsolute(filePath)) {
+            return vscode.Uri.file(path.normalize(filePath));
+        }
+        const primary = this.primary();
+        if (!primary) {
+            throw new Error('No workspace folder open');
+        }
+
+        const relative = filePath.replace(/\\/g, '/').replace(/^\.\/+/, '').replace(/\/+$/, '');
+        if (!relative || relative === '.') {
+            return primary.uri;
+        }
+        if (!this.isMultiRoot()) {
+            return vscode.Uri.joinPath(primary.uri, relative);
+        }
+
+        const [first, ...rest] = relative.split('/');
+        const named = this.roots.find(root => root.name === first);
+        if (named) {
+            return rest.length ? vscode.Uri.joinPath(named.uri, rest.join('/')) : named.uri;
+        }
+        for (const root of this.roots) {
+            const candidate = vscode.Uri.joinPath(root.uri, relative);
+            try {
+                await vscode.workspace.fs.stat(candidate);
+                return candidate;
+            } catch {
+                // Not in this root
+            }
+        }
+        return vscode.Uri.joinPath(primary.uri, relative);
+    }
+
+    /** Whether a path means every root at once rather than one folder. */
+    public isWorkspacePath(filePath: string): boolean {
+        return this.isMultiRoot() && ['', '.', './'].includes(filePath.trim());
+    }
+
+    /** One line per root, for the model's workspace context. */
+    public describe(): string {
+        if (this.roots.length === 0) {
+            return 'No workspace folder is open.';
+        }
+        if (!this.isMultiRoot()) {
+            return `Workspace root: ${this.roots[0].uri.fsPath}`;
+        }
+        return `Workspace folders (refer to files as folder-name/relative/path):\n${this.roots.map(root => `- ${root.name}: ${root.uri.fsPath}`).join('\n')}`;
+    }
+
+    private refresh() {
+        this.update();
+        this.changeEmitter.fire();
+    }
+
+    private update() {
+        const folders = vscode.workspace.workspaceFolders || [];
+        const override = (vscode.workspace.getConfiguration('replitCopilot').get<string>('workspaceRoot') || '').trim();
+        if (override) {
+            // A relative override is taken from the first workspace folder
+            const base = folders[0]?.uri.fsPath;
+            const fsPath = path.isAbsolute(override) || !base ? path.resolve(override) : path.resolve(base, override);
+            this.roots = [{ name: path.basename(fsPath), uri: vscode.Uri.file(fsPath) }];
+        } else {
+            this.roots = folders.map(folder => ({ name: folder.name, uri: folder.uri }));
+        }
+        console.log('[FILE-OPS] Workspace roots:', this.roots.map(root => root.uri.fsPath).join(', ') || '(none)');
+    }
+
+    public dispose() {
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
+
+/**
+ * `child` relative to `parent`, or undefined when it is not inside it. A
+ * name that merely starts with `..`, such as `..env`, is still inside.
+ */
+export function isWithin(parent: string, child: string): string | undefined {
+    const relative = path.relative(parent, child);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        return undefined;
+    }
+    return relative;
+}
+
+/**
+ * `fsPath` with symlinks resolved. For a path that does not exist yet, its
+ * nearest existing parent is resolved and the rest appended.
+ */
+export async function realPath(fsPath: string): Promise<string> {
+    const missing: string[] = [];
+    let existing = path.resolve(fsPath);
+    while (true) {
+        try {
+            return path.join(await fs.realpath(existing), ...missing);
+        } catch {
+            const parent = path.dirname(existing);
+            if (parent === existing) {
+                return path.resolve(fsPath);
+            }
+            missing.unshift(path.basename(existing));
+            existing = parent;
+        }
+    }
+}